@@ -0,0 +1,30 @@
+// backend/src/application/dto/api_key.dto.js
+// -----------------------------------------------------------------------------
+// Representación pública de una API key.
+// Nunca incluye el hash: la key en claro solo se devuelve una vez, al crearla.
+// -----------------------------------------------------------------------------
+
+/**
+ * Convierte un documento de API key en su DTO seguro.
+ * @param {Object} apiKey Documento API_KEY (objeto plano).
+ * @returns {Object} { id, name, prefix, scopes, expiresAt, revokedAt, active, createdBy, lastUsedAt, lastUsedIp, usageCount, createdAt, updatedAt }
+ */
+export function toApiKeyDTO(apiKey) {
+  const expired = Boolean(apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date());
+
+  return {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes || [],
+    expiresAt: apiKey.expiresAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    active: !apiKey.revokedAt && !expired,
+    createdBy: apiKey.createdBy ?? null,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    lastUsedIp: apiKey.lastUsedIp || null,
+    usageCount: apiKey.usageCount || 0,
+    createdAt: apiKey.createdAt || null,
+    updatedAt: apiKey.updatedAt || null,
+  };
+}
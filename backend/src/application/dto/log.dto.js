@@ -0,0 +1,52 @@
+// backend/src/application/dto/log.dto.js
+// -----------------------------------------------------------------------------
+// Representación pública de un log (LOG_USER).
+// La fecha se guarda como instante UTC; al frontend se le sigue enviando en
+// `date` el texto "yyyy-MM-dd HH:mm:ss" en la zona del log (la tabla de logs
+// lo muestra tal cual) y el instante ISO en `timestamp`.
+// -----------------------------------------------------------------------------
+
+import { DateTime } from "luxon";
+import { LOG_DATE_FORMAT, LOG_TIMEZONE } from "../../domain/entities/log.entity.js";
+
+/**
+ * Formatea el instante de un log en su zona horaria.
+ * Los logs aún sin migrar (date string) se devuelven tal cual.
+ * @param {Date|string|null} date
+ * @param {string} [timezone=LOG_TIMEZONE]
+ * @returns {string|null}
+ */
+export function formatLogDate(date, timezone = LOG_TIMEZONE) {
+  if (!(date instanceof Date)) return date ?? null;
+
+  return DateTime.fromJSDate(date, { zone: timezone }).toFormat(LOG_DATE_FORMAT);
+}
+
+/**
+ * Interpreta una fecha antigua de LOG_USER ("yyyy-MM-dd HH:mm:ss", sin offset).
+ * En la hora que se repite en octubre se toma el primer paso (horario de
+ * verano); la hora que no existe en marzo se desplaza una hora hacia delante.
+ * @param {string} value Fecha tal como la guardaban los logs antiguos
+ * @param {string} [timezone=LOG_TIMEZONE]
+ * @returns {Date|null} Instante UTC, o null si el formato no es válido
+ */
+export function parseLegacyLogDate(value, timezone = LOG_TIMEZONE) {
+  const date = DateTime.fromFormat(String(value), LOG_DATE_FORMAT, { zone: timezone });
+  return date.isValid ? date.toJSDate() : null;
+}
+
+/**
+ * Convierte un documento de log en el objeto que devuelve la API.
+ * @param {Object} log Documento LOG_USER (objeto plano).
+ * @returns {Object} El log con date (texto), timestamp (ISO UTC) y timezone
+ */
+export function toLogDTO(log) {
+  const timezone = log.timezone || LOG_TIMEZONE;
+
+  return {
+    ...log,
+    date: formatLogDate(log.date, timezone),
+    timestamp: log.date instanceof Date ? log.date.toISOString() : null,
+    timezone,
+  };
+}
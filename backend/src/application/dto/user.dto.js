@@ -0,0 +1,34 @@
+// backend/src/application/dto/user.dto.js
+// -----------------------------------------------------------------------------
+// Representación pública de un usuario.
+// Es lo único que las respuestas HTTP deben devolver de un documento USER:
+// nunca incluye la contraseña ni los contadores internos de seguridad.
+// Mantiene los nombres de campo de la BD (full_name, user) porque el frontend
+// ya los consume así. Los permisos se exponen como asignaciones (roles +
+// overrides); los efectivos los calcula el PermissionService.
+// -----------------------------------------------------------------------------
+
+/**
+ * Convierte un documento de usuario en su DTO seguro.
+ * @param {Object} user Documento USER (objeto plano).
+ * @returns {Object} { code, full_name, user, email, roles, permissionOverrides, disabled, mustChangePassword, mfaEnabled, passwordLoginEnabled, googleLoginEnabled, googleLinked, lockedUntil, createdAt, updatedAt }
+ */
+export function toUserDTO(user) {
+  return {
+    code: user.code,
+    full_name: user.full_name,
+    user: user.user,
+    email: user.email,
+    roles: user.roles || [],
+    permissionOverrides: user.permissionOverrides || {},
+    disabled: user.disabled === true,
+    mustChangePassword: user.mustChangePassword === true,
+    mfaEnabled: user.mfa?.enabled === true,
+    passwordLoginEnabled: user.passwordLoginEnabled !== false,
+    googleLoginEnabled: user.googleLoginEnabled !== false,
+    googleLinked: Boolean(user.googleSub),
+    lockedUntil: user.lockedUntil || null,
+    createdAt: user.createdAt || null,
+    updatedAt: user.updatedAt || null,
+  };
+}
@@ -0,0 +1,111 @@
+// backend/src/application/services/activity_log.service.js
+// -----------------------------------------------------------------------------
+// Servicio de auditoría de actividad compartido por los controladores de
+// Google Drive, Google Calendar y la API externa.
+// - Cada handler abre una actividad (módulo + acción) al empezar y la completa
+//   con el recurso afectado y los datos que quiera guardar.
+// - El registro se escribe en LOG_USER cuando termina la respuesta; el
+//   resultado sale del código HTTP (207 = lote con fallos parciales).
+// - El actor es el usuario de la sesión o la API key de la petición.
+// Un fallo al registrar nunca rompe la petición: solo se informa por consola.
+// -----------------------------------------------------------------------------
+
+import { Log } from "../../domain/entities/log.entity.js";
+
+export class ActivityLogService {
+  /**
+   * @param {Object} logRepository Repositorio de logs con el contrato create
+   */
+  constructor(logRepository) {
+    this.logRepository = logRepository;
+  }
+
+  /**
+   * Abre una actividad para la petición y la registra al terminar la respuesta.
+   * El handler puede rellenar la actividad devuelta antes de responder.
+   * @param {Object} req Petición de Express (req.user / req.currentUser / req.apiKey)
+   * @param {Object} res Respuesta de Express
+   * @param {Object} params
+   * @param {string} params.module google | calendar | external_api
+   * @param {string} params.action Acción (ej: "drive.upload_pdf")
+   * @returns {{resource: {type: string, id: string}|null, metadata: Object, error: string|null}}
+   */
+  track(req, res, { module, action }) {
+    const activity = { resource: null, metadata: {}, error: null };
+
+    res.on("finish", () => {
+      this.record({
+        ...this._actorFromRequest(req),
+        module,
+        action,
+        resource: activity.resource,
+        outcome: this._outcomeFromStatus(res.statusCode),
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        metadata: {
+          ...activity.metadata,
+          status: res.statusCode,
+          ...(activity.error ? { error: activity.error } : {}),
+        },
+      });
+    });
+
+    return activity;
+  }
+
+  /**
+   * Escribe una entrada de actividad. Nunca lanza.
+   * @param {Object} entry
+   * @param {number|null} entry.code Código del usuario (null para API keys)
+   * @param {string} entry.user
+   * @param {string|null} [entry.fullName]
+   * @param {string|null} [entry.email]
+   * @param {string} entry.module
+   * @param {string} entry.action
+   * @param {{type: string, id: string}|null} [entry.resource]
+   * @param {string} entry.outcome success | partial | failure
+   * @param {string} [entry.ip]
+   * @param {string} [entry.userAgent]
+   * @param {Object} [entry.metadata]
+   * @returns {Promise<void>}
+   */
+  async record({ code, user, fullName = null, email = null, module, action, resource = null, outcome, ip = null, userAgent = null, metadata = null }) {
+    try {
+      const log = new Log(code, user, fullName, email, new Date(), {
+        action,
+        module,
+        resource,
+        outcome,
+        ip,
+        userAgent,
+        metadata,
+      });
+      await this.logRepository.create(log);
+    } catch (error) {
+      console.error(`[ActivityLogService] No se pudo registrar la acción "${action}" de "${user}":`, error.message);
+    }
+  }
+
+  /**
+   * Identifica al actor: usuario cargado por los guards, usuario del token o API key.
+   * @private
+   */
+  _actorFromRequest(req) {
+    if (req.apiKey) {
+      return { code: null, user: req.user.user };
+    }
+
+    const current = req.currentUser;
+    if (current) {
+      return { code: current.code, user: current.user, fullName: current.full_name, email: current.email };
+    }
+
+    return { code: req.user?.code ?? null, user: req.user?.user ?? "anónimo" };
+  }
+
+  /** @private */
+  _outcomeFromStatus(status) {
+    if (status === 207) return "partial";
+    return status < 400 ? "success" : "failure";
+  }
+}
@@ -0,0 +1,93 @@
+// backend/src/application/services/api_key.service.js
+// -----------------------------------------------------------------------------
+// Servicio de API keys compartido por el middleware de autenticación y los
+// casos de uso de administración.
+// - Emite keys aleatorias; solo se guarda su hash (SHA-256).
+// - Autentica la key de una petición (no revocada y no caducada).
+// - Registra cada uso: resumen en la key y detalle en API_KEY_USAGE.
+// -----------------------------------------------------------------------------
+
+import { API_KEY_PREFIX } from "../../domain/entities/api_key.entity.js";
+
+// Caracteres de la key que se guardan en claro para identificarla
+const VISIBLE_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+export class ApiKeyService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.apiKeyRepository Repositorio de API keys (create, findActiveByHash, touch)
+   * @param {Object} deps.apiKeyUsageRepository Registro de uso con el contrato create
+   * @param {Object} deps.tokenService Servicio de tokens (generateOpaqueToken, hashToken)
+   */
+  constructor({ apiKeyRepository, apiKeyUsageRepository, tokenService }) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.apiKeyUsageRepository = apiKeyUsageRepository;
+    this.tokenService = tokenService;
+  }
+
+  /**
+   * Genera y guarda una API key nueva (datos ya validados por el caso de uso).
+   * @param {Object} params
+   * @param {string} params.name
+   * @param {string[]} params.scopes
+   * @param {Date|null} params.expiresAt
+   * @param {number} [params.createdBy]
+   * @returns {Promise<{apiKey: Object, key: string}>} Documento guardado y key en claro (solo aquí)
+   */
+  async issue({ name, scopes, expiresAt, createdBy }) {
+    const key = `${API_KEY_PREFIX}${this.tokenService.generateOpaqueToken()}`;
+
+    const apiKey = await this.apiKeyRepository.create({
+      name,
+      prefix: key.slice(0, VISIBLE_PREFIX_LENGTH),
+      keyHash: this.tokenService.hashToken(key),
+      scopes,
+      expiresAt,
+      createdBy: createdBy ?? null,
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Devuelve la API key correspondiente a la key presentada si sigue vigente.
+   * @param {string} key Key en claro (header X-API-Key)
+   * @returns {Promise<Object|null>} Documento API_KEY o null si no es válida, está revocada o caducada
+   */
+  async authenticate(key) {
+    if (typeof key !== "string" || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const apiKey = await this.apiKeyRepository.findActiveByHash(this.tokenService.hashToken(key));
+
+    if (!apiKey) return null;
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return null;
+
+    return apiKey;
+  }
+
+  /**
+   * Registra una petición hecha con la key. Un fallo al registrar no debe
+   * tumbar la petición: se escribe en consola y se sigue.
+   * @param {Object} apiKey Documento API_KEY
+   * @param {Object} request { method, path, status, ip, userAgent }
+   * @returns {Promise<void>}
+   */
+  async recordUsage(apiKey, { method, path, status, ip, userAgent }) {
+    try {
+      await Promise.all([
+        this.apiKeyRepository.touch(apiKey._id, { ip }),
+        this.apiKeyUsageRepository.create({
+          keyId: apiKey._id,
+          name: apiKey.name,
+          method,
+          path,
+          status,
+          ip,
+          userAgent,
+        }),
+      ]);
+    } catch (error) {
+      console.error(`[ApiKeyService] No se pudo registrar el uso de la key "${apiKey.name}":`, error.message);
+    }
+  }
+}
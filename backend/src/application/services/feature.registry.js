@@ -0,0 +1,71 @@
+// backend/src/application/services/feature.registry.js
+// -----------------------------------------------------------------------------
+// Registro de funcionalidades (features) a las que se puede conceder acceso.
+// - Las funcionalidades de serie se registran al construir el contenedor.
+// - Un módulo nuevo registra la suya con register({ key, label }) y a partir
+//   de ahí puede asignarse a roles, usarse en overrides y en requirePermission.
+// - Es la fuente única para validar claves de permisos en la API de admin.
+// -----------------------------------------------------------------------------
+
+import { Feature } from "../../domain/entities/feature.entity.js";
+
+const FEATURE_KEY_REGEX = /^[a-z][a-z0-9_]*$/;
+
+export class FeatureRegistry {
+  constructor() {
+    /** @type {Map<string, Feature>} */
+    this._features = new Map();
+  }
+
+  /**
+   * Registra una funcionalidad.
+   * @param {Object} feature
+   * @param {string} feature.key Clave estable en snake_case (ej: 'intrastat')
+   * @param {string} feature.label Nombre legible
+   * @param {string} [feature.description]
+   * @returns {FeatureRegistry} El propio registro (encadenable)
+   * @throws {Error} Si la clave no es válida o ya estaba registrada
+   */
+  register({ key, label, description = "" }) {
+    if (typeof key !== "string" || !FEATURE_KEY_REGEX.test(key)) {
+      throw new Error(`[FeatureRegistry] Clave de funcionalidad no válida: "${key}"`);
+    }
+    if (this._features.has(key)) {
+      throw new Error(`[FeatureRegistry] La funcionalidad "${key}" ya está registrada`);
+    }
+
+    this._features.set(key, new Feature(key, label || key, description));
+    return this;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} true si la funcionalidad está registrada
+   */
+  has(key) {
+    return this._features.has(key);
+  }
+
+  /**
+   * @returns {string[]} Claves registradas, en orden de registro
+   */
+  keys() {
+    return [...this._features.keys()];
+  }
+
+  /**
+   * @returns {Feature[]} Funcionalidades registradas, en orden de registro
+   */
+  list() {
+    return [...this._features.values()];
+  }
+
+  /**
+   * Devuelve las claves de la lista que no están registradas.
+   * @param {string[]} keys
+   * @returns {string[]}
+   */
+  unknown(keys) {
+    return keys.filter((key) => !this._features.has(key));
+  }
+}
@@ -0,0 +1,191 @@
+// backend/src/application/services/mfa.service.js
+// -----------------------------------------------------------------------------
+// Servicio de segundo factor (TOTP) compartido por el login y los casos de uso
+// de gestión de 2FA.
+// - Alta en dos pasos: semilla pendiente → confirmación con un código válido.
+// - Verificación de códigos TOTP (sin reutilización) y de recuperación (un uso).
+// - Política de obligatoriedad: los admins pueden exigir 2FA a quien tenga
+//   ciertas funcionalidades y/o a los administradores.
+// Las semillas se guardan cifradas y los códigos de recuperación como hash.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export const MFA_POLICY_KEY = "mfa_policy";
+
+const DEFAULT_POLICY = Object.freeze({
+  requireForAdmins: false,
+  requiredFeatures: [],
+});
+
+export class MfaService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (updateByCode, advanceMfaStep, consumeMfaRecoveryCode)
+   * @param {Object} deps.settingRepository Repositorio de ajustes (get, set)
+   * @param {Object} deps.totpService Servicio TOTP (generateSecret, buildProvisioningUri, verify, generateRecoveryCodes, normalizeRecoveryCode)
+   * @param {Object} deps.secretCipher Cifrado de semillas (encrypt, decrypt)
+   * @param {Object} deps.tokenService Servicio de tokens con el contrato hashToken
+   */
+  constructor({ userRepository, settingRepository, totpService, secretCipher, tokenService }) {
+    this.userRepository = userRepository;
+    this.settingRepository = settingRepository;
+    this.totpService = totpService;
+    this.secretCipher = secretCipher;
+    this.tokenService = tokenService;
+  }
+
+  /**
+   * Devuelve la política de 2FA vigente (con valores por defecto).
+   * @returns {Promise<{requireForAdmins: boolean, requiredFeatures: string[]}>}
+   */
+  async getPolicy() {
+    const stored = await this.settingRepository.get(MFA_POLICY_KEY);
+    return { ...DEFAULT_POLICY, ...(stored || {}) };
+  }
+
+  /**
+   * Guarda la política de 2FA (ya validada por el caso de uso).
+   * @param {{requireForAdmins: boolean, requiredFeatures: string[]}} policy
+   * @param {number} [actorCode] Admin que la cambia
+   * @returns {Promise<Object>} Política guardada
+   */
+  async savePolicy(policy, actorCode) {
+    return await this.settingRepository.set(MFA_POLICY_KEY, policy, actorCode);
+  }
+
+  /**
+   * Indica si la política exige 2FA a un usuario con esos permisos efectivos.
+   * @param {{isAdmin: boolean, features: string[]}} permissions Resultado de PermissionService.resolve
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredFor({ isAdmin, features }) {
+    const policy = await this.getPolicy();
+
+    if (policy.requireForAdmins && isAdmin) return true;
+    return policy.requiredFeatures.some((feature) => features.includes(feature));
+  }
+
+  /**
+   * Primer paso del alta: genera una semilla pendiente de confirmar.
+   * @param {Object} user Documento USER
+   * @returns {Promise<{secret: string, otpauthUri: string}>} Semilla (para introducirla a mano) y URI del QR
+   * @throws {AppError} 409 si el usuario ya tiene 2FA activo
+   */
+  async beginEnrollment(user) {
+    if (user.mfa?.enabled === true) {
+      throw new AppError("La verificación en dos pasos ya está activada.", 409);
+    }
+
+    const secret = this.totpService.generateSecret();
+
+    await this.userRepository.updateByCode(user.code, {
+      "mfa.pendingSecret": this.secretCipher.encrypt(secret),
+    });
+
+    return {
+      secret,
+      otpauthUri: this.totpService.buildProvisioningUri({ secret, account: user.user }),
+    };
+  }
+
+  /**
+   * Segundo paso del alta: confirma la semilla con un código de la app.
+   * @param {Object} user Documento USER (con mfa.pendingSecret)
+   * @param {string} code Código TOTP
+   * @returns {Promise<string[]>} Códigos de recuperación (se muestran una única vez)
+   * @throws {AppError} 409 si ya estaba activo; 400 si no hay alta en curso o el código
+   *                    no es válido (este último con details.invalidCode)
+   */
+  async confirmEnrollment(user, code) {
+    if (user.mfa?.enabled === true) {
+      throw new AppError("La verificación en dos pasos ya está activada.", 409);
+    }
+    if (!user.mfa?.pendingSecret) {
+      throw new AppError("No hay un alta de verificación en dos pasos en curso.", 400);
+    }
+
+    const secret = this.secretCipher.decrypt(user.mfa.pendingSecret);
+    const step = this.totpService.verify(secret, code);
+
+    if (step === null) {
+      throw new AppError("Código de verificación incorrecto.", 400, { invalidCode: true });
+    }
+
+    const recoveryCodes = this.totpService.generateRecoveryCodes();
+
+    await this.userRepository.updateByCode(user.code, {
+      mfa: {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.mfa.pendingSecret,
+        pendingSecret: null,
+        lastUsedStep: step,
+        recoveryCodes: recoveryCodes.map((recoveryCode) => this._hashRecoveryCode(recoveryCode)),
+      },
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verifica un código TOTP o, en su defecto, un código de recuperación.
+   * Un código aceptado no vuelve a servir.
+   * @param {Object} user Documento USER con 2FA activo
+   * @param {Object} credentials
+   * @param {string} [credentials.code] Código TOTP
+   * @param {string} [credentials.recoveryCode] Código de recuperación
+   * @returns {Promise<boolean>} true si se aceptó
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (user.mfa?.enabled !== true || !user.mfa.secret) return false;
+
+    if (code) {
+      const secret = this.secretCipher.decrypt(user.mfa.secret);
+      const step = this.totpService.verify(secret, code, user.mfa.lastUsedStep ?? -1);
+      return step !== null && await this.userRepository.advanceMfaStep(user.code, step);
+    }
+
+    if (recoveryCode) {
+      const consumed = await this.userRepository.consumeMfaRecoveryCode(
+        user.code,
+        this._hashRecoveryCode(recoveryCode),
+      );
+      if (consumed) {
+        console.warn(`[MfaService] "${user.user}" ha usado un código de recuperación (quedan ${user.mfa.recoveryCodes.length - 1}).`);
+      }
+      return consumed;
+    }
+
+    return false;
+  }
+
+  /**
+   * Genera un juego nuevo de códigos de recuperación (invalida los anteriores).
+   * @param {Object} user Documento USER con 2FA activo
+   * @returns {Promise<string[]>} Códigos en claro
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.totpService.generateRecoveryCodes();
+
+    await this.userRepository.updateByCode(user.code, {
+      "mfa.recoveryCodes": recoveryCodes.map((recoveryCode) => this._hashRecoveryCode(recoveryCode)),
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Desactiva el 2FA y borra semillas y códigos.
+   * @param {Object} user Documento USER
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    await this.userRepository.updateByCode(user.code, { $unset: { mfa: "" } });
+  }
+
+  /** @private */
+  _hashRecoveryCode(recoveryCode) {
+    return this.tokenService.hashToken(this.totpService.normalizeRecoveryCode(recoveryCode));
+  }
+}
@@ -0,0 +1,140 @@
+// backend/src/application/services/permission.service.js
+// -----------------------------------------------------------------------------
+// Resolución de permisos efectivos de un usuario.
+// - Parte de las funcionalidades de sus roles (colección ROLE).
+// - Aplica los overrides del usuario: true concede, false retira.
+// - Un rol con isAdmin da acceso a todas las funcionalidades registradas
+//   y a la administración (los overrides no le restan nada).
+// - Usuarios aún sin migrar (sin campo `roles`): se interpretan sus flags
+//   legados `permision`/`isAdmin` para no cortarles el acceso.
+// - API keys: sus scopes son directamente las funcionalidades concedidas;
+//   nunca son administradoras.
+// - Valida las asignaciones (roles y overrides) que envía la API de admin.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class PermissionService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.roleRepository Repositorio de roles con el contrato findByKeys
+   * @param {Object} deps.featureRegistry Registro de funcionalidades (keys, unknown)
+   */
+  constructor({ roleRepository, featureRegistry }) {
+    this.roleRepository = roleRepository;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * Calcula los permisos efectivos de un usuario.
+   * @param {Object} user Documento USER
+   * @returns {Promise<{isAdmin: boolean, roles: string[], features: string[], permissions: Object<string, boolean>}>}
+   *          features: lista de claves concedidas; permissions: mapa clave → boolean
+   *          de todas las funcionalidades registradas (formato que consume el frontend).
+   */
+  async resolve(user) {
+    if (!Array.isArray(user.roles)) {
+      return this._resolveLegacy(user);
+    }
+
+    const roles = user.roles.length > 0
+      ? await this.roleRepository.findByKeys(user.roles)
+      : [];
+
+    const isAdmin = roles.some((role) => role.isAdmin === true);
+    const granted = new Set(isAdmin ? this.featureRegistry.keys() : roles.flatMap((role) => role.features || []));
+
+    if (!isAdmin) {
+      for (const [feature, value] of Object.entries(user.permissionOverrides || {})) {
+        if (value === true) granted.add(feature);
+        if (value === false) granted.delete(feature);
+      }
+    }
+
+    return this._build(isAdmin, roles.map((role) => role.key), granted);
+  }
+
+  /**
+   * Calcula los permisos efectivos de una API key (mismo formato que resolve).
+   * @param {Object} apiKey Documento API_KEY
+   * @returns {{isAdmin: boolean, roles: string[], features: string[], permissions: Object<string, boolean>}}
+   */
+  resolveApiKey(apiKey) {
+    return this._build(false, [], new Set(apiKey.scopes || []));
+  }
+
+  /**
+   * Comprueba que los roles existen y que los overrides son booleanos sobre
+   * funcionalidades registradas (null se admite en overrides: quita el override).
+   * @param {Object} assignments
+   * @param {string[]} [assignments.roles] Claves de rol
+   * @param {Object} [assignments.permissionOverrides] Mapa funcionalidad → boolean|null
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 con la lista de claves no válidas
+   */
+  async assertValidAssignments({ roles, permissionOverrides }) {
+    const errors = [];
+
+    if (roles !== undefined) {
+      if (!Array.isArray(roles) || roles.some((key) => typeof key !== "string")) {
+        errors.push("roles debe ser una lista de claves de rol");
+      } else if (roles.length > 0) {
+        const found = await this.roleRepository.findByKeys(roles);
+        const missing = roles.filter((key) => !found.some((role) => role.key === key));
+        if (missing.length > 0) {
+          errors.push(`Roles desconocidos: ${missing.join(", ")}`);
+        }
+      }
+    }
+
+    if (permissionOverrides !== undefined) {
+      if (typeof permissionOverrides !== "object" || permissionOverrides === null || Array.isArray(permissionOverrides)) {
+        errors.push("permissionOverrides debe ser un objeto { <funcionalidad>: boolean }");
+      } else {
+        const entries = Object.entries(permissionOverrides);
+        const unknown = this.featureRegistry.unknown(entries.map(([key]) => key));
+        if (unknown.length > 0) {
+          errors.push(`Funcionalidades desconocidas: ${unknown.join(", ")}`);
+        }
+        const notBoolean = entries.filter(([, value]) => typeof value !== "boolean" && value !== null).map(([key]) => key);
+        if (notBoolean.length > 0) {
+          errors.push(`Los overrides deben ser booleanos o null: ${notBoolean.join(", ")}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+  }
+
+  /**
+   * Interpreta los campos previos a los roles (permision/isAdmin).
+   * @private
+   */
+  _resolveLegacy(user) {
+    const isAdmin = user.isAdmin === true;
+    const granted = new Set(
+      isAdmin
+        ? this.featureRegistry.keys()
+        : Object.entries(user.permision || {}).filter(([, value]) => value === true).map(([key]) => key),
+    );
+
+    return this._build(isAdmin, [], granted);
+  }
+
+  /**
+   * Construye la respuesta limitándose a funcionalidades registradas.
+   * @private
+   */
+  _build(isAdmin, roles, granted) {
+    const keys = this.featureRegistry.keys();
+
+    return {
+      isAdmin,
+      roles,
+      features: keys.filter((key) => granted.has(key)),
+      permissions: Object.fromEntries(keys.map((key) => [key, granted.has(key)])),
+    };
+  }
+}
@@ -0,0 +1,174 @@
+// backend/src/application/services/session.service.js
+// -----------------------------------------------------------------------------
+// Servicio de sesiones compartido por los casos de uso de autenticación.
+// - Abre sesiones y emite el par access token + refresh token.
+// - Rota el refresh token en cada refresco (un token solo vale una vez).
+// - Detecta la reutilización de un refresh token ya rotado y revoca la sesión.
+// - Revoca sesiones (logout, admin) y comprueba si una sesión sigue activa.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SessionService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.sessionRepository Repositorio de sesiones (create, findById, rotate, revokeById, revokeAllByUserCode)
+   * @param {Object} deps.tokenService Servicio de tokens (signAccessToken, generateOpaqueToken, hashToken)
+   * @param {number} deps.refreshExpirationDays Días de validez del refresh token
+   * @param {string} deps.accessExpiration Caducidad del access token (se devuelve al cliente)
+   */
+  constructor({ sessionRepository, tokenService, refreshExpirationDays, accessExpiration }) {
+    this.sessionRepository = sessionRepository;
+    this.tokenService = tokenService;
+    this.refreshExpirationDays = refreshExpirationDays;
+    this.accessExpiration = accessExpiration;
+  }
+
+  /**
+   * Abre una sesión nueva para el usuario y emite sus tokens.
+   * @param {Object} user Documento de usuario (code, user)
+   * @param {Object} [context] Datos del cliente
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+   */
+  async startSession(user, { ip, userAgent } = {}) {
+    const secret = this.tokenService.generateOpaqueToken();
+
+    const session = await this.sessionRepository.create({
+      code: user.code,
+      user: user.user,
+      refreshTokenHash: this.tokenService.hashToken(secret),
+      expiresAt: this._refreshExpiresAt(),
+      ip,
+      userAgent,
+    });
+
+    return this._issueTokens(session, secret);
+  }
+
+  /**
+   * Canjea un refresh token por un nuevo par de tokens (rotación).
+   * Si el token presentado ya había sido rotado se asume robo y se revoca
+   * la sesión completa.
+   * @param {string} refreshToken Token con formato "<sessionId>.<secreto>"
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+   * @throws {AppError} 401 si el token no es válido, está caducado o revocado
+   */
+  async refresh(refreshToken) {
+    const { sessionId, secret } = this._parseRefreshToken(refreshToken);
+    const session = await this.sessionRepository.findById(sessionId);
+
+    if (!session) {
+      throw new AppError("Refresh token no válido.", 401);
+    }
+    if (session.revokedAt) {
+      throw new AppError("La sesión ha sido revocada.", 401);
+    }
+    if (session.expiresAt <= new Date()) {
+      throw new AppError("La sesión ha expirado.", 401);
+    }
+
+    const presentedHash = this.tokenService.hashToken(secret);
+    const newSecret = this.tokenService.generateOpaqueToken();
+
+    const rotated = await this.sessionRepository.rotate(
+      sessionId,
+      presentedHash,
+      this.tokenService.hashToken(newSecret),
+      this._refreshExpiresAt(),
+    );
+
+    if (!rotated) {
+      // El token era de esta sesión pero ya no es el vigente → reutilización
+      await this.sessionRepository.revokeById(sessionId, "refresh_token_reuse");
+      console.warn(`[SessionService] Reutilización de refresh token en la sesión ${sessionId}. Sesión revocada.`);
+      throw new AppError("Refresh token no válido.", 401);
+    }
+
+    return this._issueTokens(rotated, newSecret);
+  }
+
+  /**
+   * Cierra la sesión asociada a un refresh token.
+   * @param {string} refreshToken Token con formato "<sessionId>.<secreto>"
+   * @returns {Promise<void>}
+   * @throws {AppError} 401 si el token no pertenece a la sesión
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const { sessionId, secret } = this._parseRefreshToken(refreshToken);
+    const session = await this.sessionRepository.findById(sessionId);
+
+    if (!session || session.refreshTokenHash !== this.tokenService.hashToken(secret)) {
+      throw new AppError("Refresh token no válido.", 401);
+    }
+
+    await this.sessionRepository.revokeById(sessionId, "logout");
+  }
+
+  /**
+   * Revoca todas las sesiones de un usuario.
+   * @param {number} code Código del usuario
+   * @param {string} reason Motivo de la revocación
+   * @param {Object} [options]
+   * @param {string} [options.exceptSessionId] Sesión que se mantiene abierta (p. ej. la actual)
+   * @returns {Promise<number>} Número de sesiones revocadas
+   */
+  async revokeAllForUser(code, reason, { exceptSessionId } = {}) {
+    return await this.sessionRepository.revokeAllByUserCode(code, reason, exceptSessionId);
+  }
+
+  /**
+   * Indica si una sesión existe, no está revocada y no ha caducado.
+   * @param {string} sessionId _id de la sesión (claim "sid" del access token)
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    const session = await this.sessionRepository.findById(sessionId);
+    return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+  }
+
+  /**
+   * Construye la respuesta de tokens para una sesión.
+   * @private
+   */
+  _issueTokens(session, secret) {
+    const sessionId = session._id.toString();
+
+    const token = this.tokenService.signAccessToken({
+      code: session.code,
+      user: session.user,
+      sid: sessionId,
+    });
+
+    return {
+      token,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: this.accessExpiration,
+    };
+  }
+
+  /**
+   * Separa el id de sesión y el secreto del refresh token.
+   * @private
+   */
+  _parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== "string") {
+      throw new AppError("Refresh token no válido.", 401);
+    }
+
+    const [sessionId, secret, ...rest] = refreshToken.split(".");
+    if (!sessionId || !secret || rest.length > 0) {
+      throw new AppError("Refresh token no válido.", 401);
+    }
+
+    return { sessionId, secret };
+  }
+
+  /** @private */
+  _refreshExpiresAt() {
+    return new Date(Date.now() + this.refreshExpirationDays * DAY_MS);
+  }
+}
@@ -0,0 +1,164 @@
+// backend/src/application/use_cases/archive_logs.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: política de retención de LOG_USER.
+// Los meses completos (en hora de Madrid) más antiguos que la retención
+// configurada se exportan a un NDJSON comprimido (logs_yyyy-MM.ndjson.gz) en
+// la carpeta de archivos de Drive y, solo cuando la subida ha terminado y el
+// archivo está registrado en LOG_ARCHIVE, se borran de Mongo.
+// El archivo se genera en streaming (cursor → NDJSON → gzip → subida), así
+// que el tamaño del mes no depende de la memoria del servidor.
+// - Un mes ya archivado pero restaurado a propósito no se vuelve a archivar.
+// - Si una ejecución anterior se cortó tras registrar el archivo, los logs
+//   que coinciden con él se borran sin volver a subirlos.
+// Lo lanza el comando `npm run logs:archive` (cron) o el admin a mano.
+// -----------------------------------------------------------------------------
+
+import { Readable, Transform, pipeline } from "stream";
+import { finished } from "stream/promises";
+import { createGzip } from "zlib";
+import { DateTime } from "luxon";
+import { LOG_TIMEZONE } from "../../domain/entities/log.entity.js";
+
+const MONTH_FORMAT = "yyyy-MM";
+const ARCHIVE_MIME_TYPE = "application/gzip";
+
+export class ArchiveLogsUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.logRepository Contrato findOldestDateBefore, countByDateRange, findByDateRangeCursor, deleteByDateRange
+   * @param {Object} deps.logArchiveRepository Contrato findByMonth, create
+   * @param {Object} deps.driveRepository Contrato uploadFile (con stream), getLogsArchiveFolderId
+   * @param {number} deps.retentionMonths Meses completos que se conservan en Mongo (0 = no archivar)
+   */
+  constructor({ logRepository, logArchiveRepository, driveRepository, retentionMonths }) {
+    this.logRepository = logRepository;
+    this.logArchiveRepository = logArchiveRepository;
+    this.driveRepository = driveRepository;
+    this.retentionMonths = retentionMonths;
+  }
+
+  /**
+   * Archiva en Drive todos los meses anteriores al límite de retención.
+   * @param {Object} [params]
+   * @param {boolean} [params.dryRun=false] Solo calcula qué meses se archivarían
+   * @returns {Promise<Object>} { retentionMonths, cutoff, dryRun, archived: [{ month, count, fileId, fileName, sizeBytes }], skipped: [{ month, count, reason }] }
+   */
+  async execute({ dryRun = false } = {}) {
+    const result = { retentionMonths: this.retentionMonths, cutoff: null, dryRun, archived: [], skipped: [] };
+    if (!(this.retentionMonths > 0)) return result;
+
+    // Se conserva el mes en curso más `retentionMonths` meses completos
+    const cutoff = DateTime.now().setZone(LOG_TIMEZONE).startOf("month").minus({ months: this.retentionMonths });
+    result.cutoff = cutoff.toJSDate();
+
+    const oldest = await this.logRepository.findOldestDateBefore(cutoff.toJSDate());
+    if (!oldest) return result;
+
+    let month = DateTime.fromJSDate(oldest, { zone: LOG_TIMEZONE }).startOf("month");
+    for (; month < cutoff; month = month.plus({ months: 1 })) {
+      const entry = await this._archiveMonth(month, dryRun);
+      if (entry?.reason) result.skipped.push(entry);
+      else if (entry) result.archived.push(entry);
+    }
+
+    return result;
+  }
+
+  /**
+   * Archiva un mes. Devuelve null si no tiene logs.
+   * @private
+   */
+  async _archiveMonth(month, dryRun) {
+    const key = month.toFormat(MONTH_FORMAT);
+    const from = month.toJSDate();
+    const to = month.plus({ months: 1 }).toJSDate();
+
+    const count = await this.logRepository.countByDateRange(from, to);
+    if (count === 0) return null;
+
+    const existing = await this.logArchiveRepository.findByMonth(key);
+    if (existing) {
+      if (existing.restoredAt) {
+        return { month: key, count, reason: "Archivo restaurado: se mantiene en Mongo hasta que se libere." };
+      }
+      if (existing.count !== count) {
+        return { month: key, count, reason: `Ya existe un archivo con ${existing.count} logs y en Mongo hay ${count}: revisar a mano.` };
+      }
+      // Ejecución anterior interrumpida entre el registro del archivo y el borrado
+      if (!dryRun) await this.logRepository.deleteByDateRange(from, to);
+      return { month: key, count, fileId: existing.fileId, fileName: existing.fileName, sizeBytes: existing.sizeBytes };
+    }
+
+    if (dryRun) return { month: key, count };
+
+    const fileName = `logs_${key}.ndjson.gz`;
+    const stats = { count: 0, sizeBytes: 0 };
+    const body = this._archiveStream({ month: key, from, to, timezone: LOG_TIMEZONE }, stats);
+
+    let file;
+    try {
+      // La subida consume el stream; finished confirma que se ha generado entero y sin errores
+      [file] = await Promise.all([
+        this.driveRepository.uploadFile({
+          name: fileName,
+          parentId: this.driveRepository.getLogsArchiveFolderId(),
+          mimeType: ARCHIVE_MIME_TYPE,
+          stream: body,
+        }),
+        finished(body),
+      ]);
+    } catch (error) {
+      body.destroy();
+      throw error;
+    }
+
+    await this.logArchiveRepository.create({
+      month: key,
+      from,
+      to,
+      fileId: file.id,
+      fileName,
+      count: stats.count,
+      sizeBytes: stats.sizeBytes,
+    });
+
+    await this.logRepository.deleteByDateRange(from, to);
+
+    return { month: key, count: stats.count, fileId: file.id, fileName, sizeBytes: stats.sizeBytes };
+  }
+
+  /**
+   * Contenido del archivo de un mes: NDJSON comprimido con la cabecera en la
+   * primera línea y después un log por línea. Los logs se leen del cursor a
+   * medida que la subida los pide; stats acumula los logs y los bytes
+   * comprimidos.
+   * @private
+   * @returns {import('stream').Readable}
+   */
+  _archiveStream(header, stats) {
+    const logRepository = this.logRepository;
+
+    async function* lines() {
+      const cursor = logRepository.findByDateRangeCursor(header.from, header.to);
+      try {
+        yield `${JSON.stringify(header)}\n`;
+        for await (const log of cursor) {
+          stats.count++;
+          yield `${JSON.stringify(log)}\n`;
+        }
+      } finally {
+        await cursor.close();
+      }
+    }
+
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        stats.sizeBytes += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    // Un error en cualquier tramo destruye el stream devuelto (y falla la subida)
+    return pipeline(Readable.from(lines()), createGzip(), measure, () => {});
+  }
+}
@@ -0,0 +1,112 @@
+// backend/src/application/use_cases/backfill_drive_sharing.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: ajustar los permisos de los archivos ya subidos a la política
+// de compartición de su carpeta (drive-sharing.json).
+// - Recorre cada carpeta de drive-ids.json con sus subcarpetas.
+// - Quita los enlaces "anyone" y de dominio que la política no permite (o
+//   que han caducado) y añade los permisos de la política que falten. Los
+//   permisos individuales (propietario, compartidos a mano) no se tocan.
+// - Un archivo que falla no para el recorrido: se anota y se sigue.
+// Admite dryRun (solo cuenta los cambios).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { DRIVE_FOLDER_MIME_TYPE } from "../../domain/entities/drive_folder.entity.js";
+import { diffSharing } from "../../domain/entities/drive_sharing.entity.js";
+
+const SHORTCUT_MIME_TYPE = "application/vnd.google-apps.shortcut";
+const PAGE_SIZE = 100;
+
+export class BackfillDriveSharingUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.driveRepository Repositorio de Drive con el contrato getFolderIdByKey, getFolderKeyById, getSharingPolicy, listChildren, listPermissions, createPermission, deletePermission
+   * @param {string[]} deps.folderKeys Claves de drive-ids.json que se recorren por defecto
+   */
+  constructor({ driveRepository, folderKeys }) {
+    this.driveRepository = driveRepository;
+    this.folderKeys = folderKeys;
+  }
+
+  /**
+   * @param {Object} [params]
+   * @param {string} [params.folderKey] Solo esta carpeta de drive-ids.json
+   * @param {boolean} [params.dryRun=false] No cambia nada; solo cuenta
+   * @returns {Promise<Object>} { dryRun, folders: [{ key, policy, files, changed, added, removed }], errors: [{ key, fileId, name, error }] }
+   * @throws {AppError} 404 si folderKey no está configurada en drive-ids.json
+   */
+  async execute({ folderKey, dryRun = false } = {}) {
+    if (folderKey && !this.driveRepository.getFolderIdByKey(folderKey)) {
+      throw new AppError(`La carpeta "${folderKey}" no está configurada en drive-ids.json.`, 404);
+    }
+
+    const keys = folderKey
+      ? [folderKey]
+      : this.folderKeys.filter((key) => this.driveRepository.getFolderIdByKey(key));
+
+    const result = { dryRun, folders: [], errors: [] };
+
+    for (const key of keys) {
+      result.folders.push(await this._backfillFolder(key, dryRun, result.errors));
+    }
+    return result;
+  }
+
+  /**
+   * Recorre una carpeta de drive-ids.json (en anchura) aplicando su política.
+   * @private
+   */
+  async _backfillFolder(key, dryRun, errors) {
+    const policy = this.driveRepository.getSharingPolicy(key);
+    const summary = { key, policy: policy.type, files: 0, changed: 0, added: 0, removed: 0 };
+    const pending = [this.driveRepository.getFolderIdByKey(key)];
+
+    while (pending.length > 0) {
+      const parentId = pending.shift();
+      let pageToken;
+
+      do {
+        const page = await this.driveRepository.listChildren({ parentId, pageSize: PAGE_SIZE, pageToken });
+
+        for (const file of page.files) {
+          if (file.mimeType === DRIVE_FOLDER_MIME_TYPE) {
+            // Una subcarpeta que es raíz de otra clave se recorre con su propia política
+            if (!this.driveRepository.getFolderKeyById(file.id)) pending.push(file.id);
+            continue;
+          }
+          if (file.mimeType === SHORTCUT_MIME_TYPE) continue;
+
+          summary.files++;
+          try {
+            const { add, remove } = await this._backfillFile(file, policy, dryRun);
+            if (add.length + remove.length > 0) summary.changed++;
+            summary.added += add.length;
+            summary.removed += remove.length;
+          } catch (error) {
+            errors.push({ key, fileId: file.id, name: file.name, error: error.message });
+          }
+        }
+
+        pageToken = page.nextPageToken;
+      } while (pageToken);
+    }
+
+    return summary;
+  }
+
+  /** @private */
+  async _backfillFile(file, policy, dryRun) {
+    const permissions = await this.driveRepository.listPermissions(file.id);
+    const changes = diffSharing(policy, permissions, { createdTime: file.createdTime });
+
+    if (!dryRun) {
+      for (const permission of changes.remove) {
+        await this.driveRepository.deletePermission(file.id, permission.id);
+      }
+      for (const permission of changes.add) {
+        await this.driveRepository.createPermission(file.id, permission);
+      }
+    }
+    return changes;
+  }
+}
@@ -0,0 +1,64 @@
+// backend/src/application/use_cases/change_password.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: el propio usuario cambia su contraseña.
+// - Exige la contraseña actual.
+// - Quita la marca de cambio obligatorio (contraseña temporal).
+// - Cierra el resto de sesiones abiertas y conserva la actual.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { PASSWORD_MIN_LENGTH } from "../../domain/entities/user.entity.js";
+
+export class ChangePasswordUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (findByCode, updateByCode)
+   * @param {Object} deps.passwordHasher Servicio de hash (verify, hash)
+   * @param {Object} deps.sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor({ userRepository, passwordHasher, sessionService }) {
+    this.userRepository = userRepository;
+    this.passwordHasher = passwordHasher;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el cambio de contraseña.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario autenticado
+   * @param {string} [params.sessionId] Sesión actual (no se revoca)
+   * @param {string} params.currentPassword Contraseña actual
+   * @param {string} params.newPassword Contraseña nueva
+   * @returns {Promise<{revokedSessions: number}>} Sesiones cerradas
+   * @throws {AppError} 400 si la contraseña nueva no es válida; 401 si la actual no coincide
+   */
+  async execute({ code, sessionId, currentPassword, newPassword }) {
+    if (typeof newPassword !== "string" || newPassword.length < PASSWORD_MIN_LENGTH) {
+      throw new AppError(`La contraseña nueva debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`, 400);
+    }
+    if (newPassword === currentPassword) {
+      throw new AppError("La contraseña nueva debe ser distinta de la actual.", 400);
+    }
+
+    const user = await this.userRepository.findByCode(code);
+    if (!user || user.disabled === true) {
+      throw new AppError("Usuario del token no encontrado o deshabilitado.", 401);
+    }
+
+    const isValid = await this.passwordHasher.verify(currentPassword, user.password);
+    if (!isValid) {
+      throw new AppError("La contraseña actual no es correcta.", 401);
+    }
+
+    await this.userRepository.updateByCode(code, {
+      password: await this.passwordHasher.hash(newPassword),
+      mustChangePassword: false,
+    });
+
+    const revokedSessions = await this.sessionService.revokeAllForUser(code, "password_changed", {
+      exceptSessionId: sessionId,
+    });
+
+    return { revokedSessions };
+  }
+}
@@ -0,0 +1,56 @@
+// backend/src/application/use_cases/check_drive_folders.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: comprobar las carpetas configuradas en drive-ids.json.
+// Cada clave (las del manifiesto y las de drive-ids.json) tiene que tener ID,
+// existir, ser una carpeta y no estar en la papelera. Se lanza al arrancar
+// (solo informa por consola) y desde GET /api/admin/drive/folders.
+// -----------------------------------------------------------------------------
+
+import {
+  DRIVE_FOLDER_PROBLEMS,
+  folderProblem,
+} from "../../domain/entities/drive_manifest.entity.js";
+
+export class CheckDriveFoldersUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.driveRepository Repositorio de Drive con el contrato getFolderIdByKey, getFolderStatus
+   * @param {string[]} deps.folderKeys Claves que se comprueban (manifiesto + drive-ids.json)
+   */
+  constructor({ driveRepository, folderKeys }) {
+    this.driveRepository = driveRepository;
+    this.folderKeys = folderKeys;
+  }
+
+  /**
+   * @returns {Promise<Object>} { ok, folders: [{ key, id, name, problem, message }], problems: [...] }
+   *   problem es null si la carpeta está bien (ver DRIVE_FOLDER_PROBLEMS)
+   */
+  async execute() {
+    const folders = await Promise.all(this.folderKeys.map((key) => this._checkFolder(key)));
+    const problems = folders.filter((folder) => folder.problem);
+
+    return { ok: problems.length === 0, folders, problems };
+  }
+
+  /** @private */
+  async _checkFolder(key) {
+    const id = this.driveRepository.getFolderIdByKey(key);
+    if (!id) return toResult(key, null, null, "missing");
+
+    try {
+      const meta = await this.driveRepository.getFolderStatus(id);
+      return toResult(key, id, meta?.name ?? null, folderProblem(meta));
+    } catch (error) {
+      return toResult(key, id, null, "error", error.message);
+    }
+  }
+}
+
+/** Resultado de una carpeta, con la descripción del problema si lo hay. */
+function toResult(key, id, name, problem, detail) {
+  const message = problem
+    ? `${DRIVE_FOLDER_PROBLEMS[problem]}${detail ? `: ${detail}` : ""}`
+    : null;
+  return { key, id, name, problem, message };
+}
@@ -0,0 +1,47 @@
+// backend/src/application/use_cases/create_api_key.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: crear una API key para un cliente máquina (admin).
+// - scopes: funcionalidades registradas en el FeatureRegistry.
+// - expiresAt: caducidad opcional (fecha ISO futura).
+// La key en claro se devuelve una única vez; después solo se guarda su hash.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toApiKeyDTO } from "../dto/api_key.dto.js";
+import { validateApiKeyChanges } from "./update_api_key.usecase.js";
+
+export class CreateApiKeyUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.apiKeyService Servicio de API keys con el contrato issue
+   * @param {Object} deps.featureRegistry Registro de funcionalidades con el contrato unknown
+   */
+  constructor({ apiKeyService, featureRegistry }) {
+    this.apiKeyService = apiKeyService;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.name Nombre descriptivo del cliente
+   * @param {string[]} params.scopes Funcionalidades a las que da acceso
+   * @param {string|null} [params.expiresAt] Caducidad (ISO 8601)
+   * @param {number} [params.actorCode] Admin que la crea
+   * @returns {Promise<{apiKey: Object, key: string}>} DTO y key en claro (se muestra una única vez)
+   * @throws {AppError} 400 si los datos no son válidos
+   */
+  async execute({ name, scopes, expiresAt = null, actorCode }) {
+    if (name === undefined || scopes === undefined) {
+      throw new AppError("name y scopes son requeridos.", 400);
+    }
+
+    const changes = validateApiKeyChanges({ name, scopes, expiresAt }, this.featureRegistry);
+
+    const { apiKey, key } = await this.apiKeyService.issue({
+      ...changes,
+      createdBy: actorCode,
+    });
+
+    return { apiKey: toApiKeyDTO(apiKey), key };
+  }
+}
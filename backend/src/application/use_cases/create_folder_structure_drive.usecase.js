@@ -1,11 +1,39 @@
 // backend/src/application/use_cases/create_folder_structure_drive.usecase.js
 // -----------------------------------------------------------------------------
 // Caso de uso: crear estructura recursiva de carpetas en Google Drive.
+// - La carpeta padre se elige por clave de drive-ids.json o por ID; por
+//   defecto, imgs_alertas. Hace falta la funcionalidad del módulo de la
+//   carpeta de drive-ids.json en la que está; fuera de ellas, solo admin.
+// - Modo "merge" (por defecto): reutiliza las carpetas que ya existen con el
+//   mismo nombre, así que repetir la petición no duplica el árbol. Modo
+//   "create": crea todas las carpetas aunque ya existan.
+// - dryRun: no crea nada; indica qué carpetas se crearían.
+// - Las carpetas hermanas se crean en paralelo, con un máximo de peticiones
+//   simultáneas a Drive para todo el árbol.
+// Devuelve el árbol resultante con el ID de cada carpeta y si se ha creado
+// ahora o ya existía. Si Drive falla a mitad, lo ya creado se queda; en modo
+// merge basta con repetir la petición.
 // -----------------------------------------------------------------------------
 
+import { AppError } from "../../domain/errors/app.error.js";
+import { canAccessDriveFolder } from "../../domain/entities/drive_folder.entity.js";
+import { DRIVE_FOLDER_PROBLEMS, folderProblem } from "../../domain/entities/drive_manifest.entity.js";
+
+const FOLDER_STRUCTURE_MODES = ["merge", "create"];
+
+const DEFAULT_PARENT_KEY = "imgs_alertas";
+const DEFAULT_MODE = "merge";
+
+// Peticiones simultáneas a Drive (búsquedas y creaciones) en todo el árbol
+const DRIVE_CONCURRENCY = 4;
+
+// Límites del árbol que se acepta en una petición
+const MAX_DEPTH = 10;
+const MAX_NODES = 500;
+
 export class CreateFolderStructureDriveUseCase {
   /**
-   * @param {Object} driveRepository Repositorio de Drive con el contrato createRecursiveFolders
+   * @param {Object} driveRepository Repositorio de Drive con el contrato getFolderIdByKey, getFolderStatus, resolveFolderKey, listFoldersByName, ensureFolderWithStatus, createFolder
    */
   constructor(driveRepository) {
     this.driveRepository = driveRepository;
@@ -22,12 +50,155 @@ export class CreateFolderStructureDriveUseCase {
    *       {"name": "Subcarpeta X2", "children": [
    *         {"name": "Subcarpeta X21", "children": []}
    *       ]}
-   *     ]      
+   *     ]
    *   }
-   * @returns {Promise<string>} ID de la carpeta raíz creada
+   * @param {string} [params.parentKey] Clave de drive-ids.json bajo la que se crea (por defecto imgs_alertas)
+   * @param {string} [params.parentId] ID de la carpeta padre (alternativa a parentKey)
+   * @param {string} [params.mode="merge"] merge | create
+   * @param {boolean} [params.dryRun=false] No crea nada; solo informa
+   * @param {{isAdmin: boolean, features: string[]}} params.permissions Permisos efectivos (req.permissions)
+   * @returns {Promise<Object>} { dryRun, mode, parent: { id, key }, tree, summary: { created, existing } }.
+   *   Cada nodo de tree: { name, id, status: "created" | "existing", children }; en dryRun las carpetas
+   *   que se crearían van con id null.
+   * @throws {AppError} 400 si la estructura o los parámetros no son válidos; 404 si la carpeta padre
+   *   no existe o no está configurada; 403 sin permiso sobre la carpeta padre
+   */
+  async execute({ structure, parentKey, parentId, mode = DEFAULT_MODE, dryRun = false, permissions }) {
+    if (!FOLDER_STRUCTURE_MODES.includes(mode)) {
+      throw new AppError(`"mode" no válido. Debe ser uno de: ${FOLDER_STRUCTURE_MODES.join(", ")}.`, 400);
+    }
+    if (parentKey && parentId) {
+      throw new AppError('Indica "parentKey" o "parentId", no los dos.', 400);
+    }
+
+    const root = normalizeNode(structure, 1, { nodes: 0 });
+    const parent = await this._resolveParent({ parentKey, parentId });
+
+    if (!canAccessDriveFolder(parent.key, permissions)) {
+      throw new AppError("No tienes permiso para crear carpetas en esta carpeta.", 403);
+    }
+
+    const context = { mode, dryRun, limit: createLimiter(DRIVE_CONCURRENCY), summary: { created: 0, existing: 0 } };
+    const tree = await this._buildNode(root, parent.id, context);
+
+    return { dryRun, mode, parent, tree, summary: context.summary };
+  }
+
+  /**
+   * Carpeta padre: por clave de drive-ids.json o por ID, comprobando que
+   * existe y a qué clave pertenece (para el permiso).
+   * @private
+   * @returns {Promise<{id: string, key: string|null}>}
    */
-  async execute({ structure }) {
-    const parentRootId = this.driveRepository.getImagesAlertsFolderId();
-    return await this.driveRepository.createRecursiveFolders(structure, parentRootId);
+  async _resolveParent({ parentKey, parentId }) {
+    if (!parentId) {
+      const key = parentKey || DEFAULT_PARENT_KEY;
+      const id = this.driveRepository.getFolderIdByKey(key);
+      if (!id) {
+        throw new AppError(`La carpeta "${key}" no está configurada en drive-ids.json.`, 404);
+      }
+      return { id, key };
+    }
+
+    const problem = folderProblem(await this.driveRepository.getFolderStatus(parentId));
+    if (problem) {
+      const status = problem === "not_folder" ? 400 : 404;
+      throw new AppError(`La carpeta padre "${parentId}" ${DRIVE_FOLDER_PROBLEMS[problem]}.`, status);
+    }
+    return { id: parentId, key: await this.driveRepository.resolveFolderKey(parentId) };
   }
-}
\ No newline at end of file
+
+  /**
+   * Resuelve (o crea) una carpeta y, después, sus hijas en paralelo.
+   * @private
+   * @param {{name: string, children: Object[]}} node Nodo ya validado
+   * @param {string|null} parentId Carpeta padre (null si en dryRun se crearía también)
+   * @param {Object} context { mode, dryRun, limit, summary }
+   */
+  async _buildNode(node, parentId, context) {
+    const { folderId, created } = await this._resolveNode(node.name, parentId, context);
+    context.summary[created ? "created" : "existing"]++;
+
+    const children = await Promise.all(
+      node.children.map((child) => this._buildNode(child, folderId, context)),
+    );
+
+    return { name: node.name, id: folderId, status: created ? "created" : "existing", children };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{folderId: string|null, created: boolean}>}
+   */
+  async _resolveNode(name, parentId, { mode, dryRun, limit }) {
+    // Dentro de una carpeta que se crearía no hay nada que buscar
+    if (!parentId) return { folderId: null, created: true };
+
+    if (mode === "create") {
+      if (dryRun) return { folderId: null, created: true };
+      return { folderId: await limit(() => this.driveRepository.createFolder(name, parentId)), created: true };
+    }
+
+    if (dryRun) {
+      const [existing] = await limit(() => this.driveRepository.listFoldersByName(name, parentId));
+      return existing ? { folderId: existing.id, created: false } : { folderId: null, created: true };
+    }
+    return limit(() => this.driveRepository.ensureFolderWithStatus(name, parentId));
+  }
+}
+
+/**
+ * Valida un nodo de la estructura y sus hijos.
+ * @param {Object} node Nodo { name, children? }
+ * @param {number} depth Nivel del nodo (la raíz es 1)
+ * @param {{nodes: number}} count Nodos vistos hasta ahora
+ * @returns {{name: string, children: Object[]}}
+ * @throws {AppError} 400 si el nodo no es válido o el árbol es demasiado grande
+ */
+function normalizeNode(node, depth, count) {
+  const name = typeof node?.name === "string" ? node.name.trim() : "";
+  if (!name) {
+    throw new AppError('Estructura no válida: cada carpeta necesita un "name".', 400);
+  }
+  if (node.children !== undefined && !Array.isArray(node.children)) {
+    throw new AppError(`Estructura no válida: "children" de "${name}" debe ser una lista.`, 400);
+  }
+  if (depth > MAX_DEPTH) {
+    throw new AppError(`Estructura no válida: más de ${MAX_DEPTH} niveles.`, 400);
+  }
+  if (++count.nodes > MAX_NODES) {
+    throw new AppError(`Estructura no válida: más de ${MAX_NODES} carpetas.`, 400);
+  }
+
+  return {
+    name,
+    children: (node.children ?? []).map((child) => normalizeNode(child, depth + 1, count)),
+  };
+}
+
+/**
+ * Limita cuántas tareas se ejecutan a la vez; el resto espera turno.
+ * @param {number} max Tareas simultáneas
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
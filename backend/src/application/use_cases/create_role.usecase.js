@@ -0,0 +1,70 @@
+// backend/src/application/use_cases/create_role.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: crear un rol (admin).
+// Las funcionalidades deben estar registradas en el FeatureRegistry.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+const ROLE_KEY_REGEX = /^[a-z][a-z0-9_-]*$/;
+
+export class CreateRoleUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.roleRepository Repositorio de roles con el contrato create
+   * @param {Object} deps.featureRegistry Registro de funcionalidades con el contrato unknown
+   */
+  constructor({ roleRepository, featureRegistry }) {
+    this.roleRepository = roleRepository;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * Ejecuta el alta del rol.
+   * @param {Object} params
+   * @param {string} params.key Clave estable (minúsculas, dígitos, _ y -)
+   * @param {string} params.name Nombre legible
+   * @param {string} [params.description]
+   * @param {string[]} [params.features] Funcionalidades que concede
+   * @returns {Promise<Object>} Rol creado
+   * @throws {AppError} 400 si los datos no son válidos; 409 si la clave ya existe
+   */
+  async execute({ key, name, description = "", features = [] }) {
+    const errors = [];
+
+    if (typeof key !== "string" || !ROLE_KEY_REGEX.test(key)) {
+      errors.push("La clave del rol debe ir en minúsculas (letras, dígitos, _ y -)");
+    }
+    if (typeof name !== "string" || name.trim().length === 0) {
+      errors.push("El nombre del rol es obligatorio");
+    }
+    if (!Array.isArray(features) || features.some((feature) => typeof feature !== "string")) {
+      errors.push("features debe ser una lista de claves de funcionalidad");
+    } else {
+      const unknown = this.featureRegistry.unknown(features);
+      if (unknown.length > 0) {
+        errors.push(`Funcionalidades desconocidas: ${unknown.join(", ")}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    try {
+      return await this.roleRepository.create({
+        key,
+        name: name.trim(),
+        description: typeof description === "string" ? description.trim() : "",
+        features: [...new Set(features)],
+        isAdmin: false,
+        system: false,
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        throw new AppError(`El rol "${key}" ya existe.`, 409);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,120 @@
+// backend/src/application/use_cases/create_user.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: alta de usuario (admin).
+// - Asigna el siguiente `code` libre.
+// - Hashea la contraseña; si no se indica, genera una temporal que se devuelve
+//   una única vez y obliga a cambiarla en el primer acceso.
+// - Asigna roles y overrides de permisos (validados contra ROLE y el registro
+//   de funcionalidades).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { PASSWORD_MIN_LENGTH } from "../../domain/entities/user.entity.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_CODE_RETRIES = 3;
+
+export class CreateUserUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (findByUsername, findMaxCode, create)
+   * @param {Object} deps.passwordHasher Servicio de hash (hash, generateRandomPassword)
+   * @param {Object} deps.permissionService Servicio de permisos con el contrato assertValidAssignments
+   */
+  constructor({ userRepository, passwordHasher, permissionService }) {
+    this.userRepository = userRepository;
+    this.passwordHasher = passwordHasher;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * Ejecuta el alta.
+   * @param {Object} params
+   * @param {string} params.full_name Nombre completo
+   * @param {string} params.user Username (único)
+   * @param {string} params.email Correo
+   * @param {string} [params.password] Contraseña inicial (si falta se genera una temporal)
+   * @param {string[]} [params.roles] Claves de rol
+   * @param {Object} [params.permissionOverrides] Mapa funcionalidad → boolean
+   * @returns {Promise<{user: Object, temporaryPassword?: string}>} Usuario creado (DTO) y contraseña temporal si se generó
+   * @throws {AppError} 400 si los datos no son válidos; 409 si el username ya existe
+   */
+  async execute({ full_name, user, email, password, roles = [], permissionOverrides = {} }) {
+    this._validate({ full_name, user, email, password });
+    await this.permissionService.assertValidAssignments({ roles, permissionOverrides });
+
+    const username = user.trim();
+    if (await this.userRepository.findByUsername(username)) {
+      throw new AppError(`El usuario "${username}" ya existe.`, 409);
+    }
+
+    const temporaryPassword = password ? undefined : this.passwordHasher.generateRandomPassword();
+    const hashedPassword = await this.passwordHasher.hash(password || temporaryPassword);
+
+    const userData = {
+      full_name: full_name.trim(),
+      user: username,
+      email: email.trim(),
+      password: hashedPassword,
+      roles: [...new Set(roles)],
+      permissionOverrides: Object.fromEntries(
+        Object.entries(permissionOverrides).filter(([, value]) => value !== null),
+      ),
+      disabled: false,
+      mustChangePassword: !password,
+    };
+
+    const created = await this._createWithNextCode(userData);
+
+    return temporaryPassword
+      ? { user: toUserDTO(created), temporaryPassword }
+      : { user: toUserDTO(created) };
+  }
+
+  /**
+   * Inserta con el siguiente code libre. Si dos altas simultáneas obtienen el
+   * mismo code, el índice único rechaza una y se reintenta con el siguiente.
+   * @private
+   */
+  async _createWithNextCode(userData) {
+    for (let attempt = 1; attempt <= MAX_CODE_RETRIES; attempt++) {
+      const code = (await this.userRepository.findMaxCode()) + 1;
+
+      try {
+        return await this.userRepository.create({ ...userData, code });
+      } catch (error) {
+        if (error?.code !== 11000) throw error;
+        if (error.keyPattern?.user) {
+          throw new AppError(`El usuario "${userData.user}" ya existe.`, 409);
+        }
+        if (attempt === MAX_CODE_RETRIES) throw error;
+      }
+    }
+  }
+
+  /**
+   * Valida los datos del alta.
+   * @private
+   */
+  _validate({ full_name, user, email, password }) {
+    const errors = [];
+
+    if (typeof full_name !== "string" || full_name.trim().length === 0) {
+      errors.push("El nombre completo es obligatorio");
+    }
+    if (typeof user !== "string" || user.trim().length === 0) {
+      errors.push("El usuario es obligatorio");
+    }
+    if (typeof email !== "string" || !EMAIL_REGEX.test(email.trim())) {
+      errors.push("El email no es válido");
+    }
+    if (password !== undefined && (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH)) {
+      errors.push(`La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`);
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+  }
+}
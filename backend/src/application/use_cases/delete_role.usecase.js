@@ -0,0 +1,44 @@
+// backend/src/application/use_cases/delete_role.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: borrar un rol (admin).
+// No se pueden borrar roles de sistema ni roles asignados a algún usuario.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class DeleteRoleUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.roleRepository Repositorio de roles (findByKey, deleteByKey)
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato countByRole
+   */
+  constructor({ roleRepository, userRepository }) {
+    this.roleRepository = roleRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Ejecuta el borrado.
+   * @param {Object} params
+   * @param {string} params.key Clave del rol
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 si no existe; 409 si es de sistema o está en uso
+   */
+  async execute({ key }) {
+    const role = await this.roleRepository.findByKey(key);
+
+    if (!role) {
+      throw new AppError("Rol no encontrado.", 404);
+    }
+    if (role.system) {
+      throw new AppError(`El rol "${key}" es de sistema y no se puede borrar.`, 409);
+    }
+
+    const assigned = await this.userRepository.countByRole(key);
+    if (assigned > 0) {
+      throw new AppError(`El rol "${key}" está asignado a ${assigned} usuario(s). Retíralo antes de borrarlo.`, 409);
+    }
+
+    await this.roleRepository.deleteByKey(key);
+  }
+}
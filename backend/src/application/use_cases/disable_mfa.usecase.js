@@ -0,0 +1,58 @@
+// backend/src/application/use_cases/disable_mfa.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: el usuario autenticado desactiva su verificación en dos pasos.
+// - Exige la contraseña y un código (TOTP o de recuperación).
+// - No se permite si la política de 2FA se lo exige.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class DisableMfaUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} deps.passwordHasher Servicio de hash con el contrato verify
+   * @param {Object} deps.permissionService Servicio de permisos con el contrato resolve
+   * @param {Object} deps.mfaService Servicio de 2FA (isRequiredFor, verify, disable)
+   */
+  constructor({ userRepository, passwordHasher, permissionService, mfaService }) {
+    this.userRepository = userRepository;
+    this.passwordHasher = passwordHasher;
+    this.permissionService = permissionService;
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario autenticado
+   * @param {string} params.password Contraseña actual
+   * @param {string} [params.totpCode] Código TOTP
+   * @param {string} [params.recoveryCode] Código de recuperación
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 si no tiene 2FA; 401 si la contraseña o el código no
+   *                    son válidos; 403 si la política le exige 2FA
+   */
+  async execute({ code, password, totpCode, recoveryCode }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario del token no encontrado.", 401);
+    }
+    if (user.mfa?.enabled !== true) {
+      throw new AppError("La verificación en dos pasos no está activada.", 400);
+    }
+
+    if (await this.mfaService.isRequiredFor(await this.permissionService.resolve(user))) {
+      throw new AppError("Tu cuenta requiere verificación en dos pasos; no se puede desactivar.", 403);
+    }
+
+    if (!(await this.passwordHasher.verify(password, user.password))) {
+      throw new AppError("La contraseña no es correcta.", 401);
+    }
+    if (!(await this.mfaService.verify(user, { code: totpCode, recoveryCode }))) {
+      throw new AppError("Código de verificación incorrecto.", 401);
+    }
+
+    await this.mfaService.disable(user);
+  }
+}
@@ -0,0 +1,37 @@
+// backend/src/application/use_cases/enable_mfa.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: el usuario autenticado confirma el alta de la verificación en
+// dos pasos con un código de su app y recibe sus códigos de recuperación.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class EnableMfaUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} mfaService Servicio de 2FA con el contrato confirmEnrollment
+   */
+  constructor(userRepository, mfaService) {
+    this.userRepository = userRepository;
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario autenticado
+   * @param {string} params.totpCode Código TOTP de la app
+   * @returns {Promise<{recoveryCodes: string[]}>} Códigos de recuperación (se muestran una única vez)
+   * @throws {AppError} 401 si el usuario no existe; 400 si el código no es válido; 409 si ya estaba activo
+   */
+  async execute({ code, totpCode }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario del token no encontrado.", 401);
+    }
+
+    const recoveryCodes = await this.mfaService.confirmEnrollment(user, totpCode);
+
+    return { recoveryCodes };
+  }
+}
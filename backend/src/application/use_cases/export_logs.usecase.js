@@ -0,0 +1,135 @@
+// backend/src/application/use_cases/export_logs.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: exportar los logs (con los mismos filtros del listado) a un
+// fichero Excel o CSV. Como en el listado, sin action, module ni resourceId
+// solo se exportan logins; cada fila lleva su módulo, acción y resultado.
+// Las filas se leen con un cursor y se escriben en el stream de salida una a
+// una, así que el tamaño del export no depende de la memoria del servidor.
+// - xlsx: WorkbookWriter en streaming de exceljs.
+// - csv: UTF-8 con BOM y separador ";" (lo que espera Excel en español).
+// -----------------------------------------------------------------------------
+
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { AppError } from "../../domain/errors/app.error.js";
+import { toLogDTO } from "../dto/log.dto.js";
+
+export const LOG_EXPORT_FORMATS = ["xlsx", "csv"];
+
+// Columnas del export (cabecera + cómo se obtiene cada valor del log ya pasado por toLogDTO)
+const COLUMNS = [
+  { header: "Fecha", width: 20, value: (log) => log.date },
+  { header: "Código", width: 10, value: (log) => log.code },
+  { header: "Usuario", width: 20, value: (log) => log.user },
+  { header: "Nombre", width: 30, value: (log) => log.fullName },
+  { header: "Email", width: 30, value: (log) => log.email },
+  { header: "Módulo", width: 14, value: (log) => log.module ?? "auth" },
+  { header: "Acción", width: 30, value: (log) => log.action ?? "login" },
+  { header: "Recurso", width: 40, value: (log) => (log.resource?.id ? `${log.resource.type}:${log.resource.id}` : null) },
+  { header: "Resultado", width: 12, value: (log) => log.outcome ?? "success" },
+  { header: "IP", width: 16, value: (log) => log.ip },
+];
+
+const CSV_SEPARATOR = ";";
+
+export class ExportLogsUseCase {
+  /**
+   * @param {Object} logRepository Repositorio de logs con el contrato findAllFilteredCursor
+   */
+  constructor(logRepository) {
+    this.logRepository = logRepository;
+  }
+
+  /**
+   * Comprueba el formato pedido (antes de empezar a responder).
+   * @param {string} format
+   * @throws {AppError} 400 si no es xlsx ni csv
+   */
+  validateFormat(format) {
+    if (!LOG_EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`Formato no válido. Debe ser uno de: ${LOG_EXPORT_FORMATS.join(", ")}.`, 400);
+    }
+  }
+
+  /**
+   * Escribe todos los logs que cumplen los filtros en el stream de salida.
+   * @param {Object} params
+   * @param {string} params.format xlsx | csv
+   * @param {Object} [params.filters={}] Filtros (los de GetAllLogsFilteredUseCase)
+   * @param {import('stream').Writable} params.output Destino (la respuesta HTTP)
+   * @returns {Promise<number>} Número de filas exportadas
+   * @throws {AppError} 400 si el formato no es válido
+   */
+  async execute({ format, filters = {}, output }) {
+    this.validateFormat(format);
+
+    const cursor = this.logRepository.findAllFilteredCursor(filters);
+
+    try {
+      return format === "xlsx"
+        ? await this._writeXlsx(cursor, output)
+        : await this._writeCsv(cursor, output);
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /** @private */
+  async _writeXlsx(cursor, output) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet("Logs");
+
+    worksheet.columns = COLUMNS.map(({ header, width }) => ({ header, width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    let rows = 0;
+    for await (const doc of cursor) {
+      const log = toLogDTO(doc);
+      worksheet.addRow(COLUMNS.map((column) => column.value(log) ?? null)).commit();
+      rows++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return rows;
+  }
+
+  /** @private */
+  async _writeCsv(cursor, output) {
+    const write = async (values) => {
+      const line = values.map(toCsvField).join(CSV_SEPARATOR) + "\r\n";
+      if (!output.write(line)) {
+        await once(output, "drain");
+      }
+    };
+
+    output.write("\uFEFF"); // BOM: Excel detecta UTF-8 (tildes, ñ)
+    await write(COLUMNS.map((column) => column.header));
+
+    let rows = 0;
+    for await (const doc of cursor) {
+      const log = toLogDTO(doc);
+      await write(COLUMNS.map((column) => column.value(log)));
+      rows++;
+    }
+
+    output.end();
+    return rows;
+  }
+}
+
+/**
+ * Formatea un valor como campo CSV (comillas si hace falta).
+ * Los textos que empiezan por =, +, -, @, tabulador o retorno de carro se
+ * prefijan con ' para que Excel no los interprete como fórmulas (usuario,
+ * nombre y email vienen de fuera).
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return "";
+
+  const text = typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
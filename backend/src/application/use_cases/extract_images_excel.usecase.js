@@ -260,7 +260,7 @@ export class ExcelImageExtractorUseCase {
           buffer: image.buffer
         });
 
-        await driveRepository.setPublicReadPermissions(uploadedImage.id);
+        await driveRepository.applySharingPolicy(uploadedImage.id, targetFolderId);
 
         uploadedImages.push({
           id: uploadedImage.id,
@@ -3,6 +3,8 @@
 // Caso de uso: obtener todos los logs con paginación.
 // -----------------------------------------------------------------------------
 
+import { toLogDTO } from "../dto/log.dto.js";
+
 export class GetAllLogsUseCase {
   /**
    * @param {Object} logRepository Repositorio de logs con el contrato findAllPaginated
@@ -17,8 +19,10 @@ export class GetAllLogsUseCase {
    * @param {number} [params.page=1]  Página (1-based)
    * @param {number} [params.limit=20] Tamaño de página
    * @returns {Promise<Object>} Resultado del repositorio con datos y metadatos de paginación
+   *                            (logs con la fecha formateada, ver toLogDTO)
    */
   async execute({ page = 1, limit = 20 }) {
-    return await this.logRepository.findAllPaginated({ page, limit });
+    const result = await this.logRepository.findAllPaginated({ page, limit });
+    return { ...result, logs: result.logs.map(toLogDTO) };
   }
 }
@@ -4,6 +4,8 @@
 // Orquesta la llamada al repositorio, sin lógica de infraestructura.
 // -----------------------------------------------------------------------------
 
+import { toLogDTO } from "../dto/log.dto.js";
+
 export class GetAllLogsFilteredUseCase {
   /**
    * @param {Object} logRepository Repositorio de logs con el contrato findAllFilteredPaginated
@@ -17,10 +19,13 @@ export class GetAllLogsFilteredUseCase {
    * @param {Object} params
    * @param {number} [params.page=1]  Página (1-based)
    * @param {number} [params.limit=20] Tamaño de página
-   * @param {Object} [params.filters={}] Filtros (user, fullName, email, from, to)
+   * @param {Object} [params.filters={}] Filtros (user, fullName, email, from, to, code, action, module, outcome, resourceId)
+   *                                     (from/to como Date, ya interpretados en hora de Madrid)
    * @returns {Promise<Object>} Resultado del repositorio con datos y metadatos de paginación
+   *                            (logs con la fecha formateada, ver toLogDTO)
    */
   async execute({ page = 1, limit = 20, filters = {} }) {
-    return await this.logRepository.findAllFilteredPaginated({ page, limit, filters });
+    const result = await this.logRepository.findAllFilteredPaginated({ page, limit, filters });
+    return { ...result, data: result.data.map(toLogDTO) };
   }
 }
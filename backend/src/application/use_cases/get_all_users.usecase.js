@@ -1,8 +1,11 @@
 // backend/src/application/use_cases/get_all_users.usecase.js
 // -----------------------------------------------------------------------------
 // Caso de uso: obtener todos los usuarios.
+// Devuelve DTOs seguros (sin contraseña).
 // -----------------------------------------------------------------------------
 
+import { toUserDTO } from "../dto/user.dto.js";
+
 export class GetAllUsersUseCase {
   /**
    * @param {Object} userRepository Repositorio de usuarios con el contrato findAll
@@ -13,9 +16,10 @@ export class GetAllUsersUseCase {
 
   /**
    * Ejecuta la consulta de todos los usuarios.
-   * @returns {Promise<any[]>} Listado completo de usuarios
+   * @returns {Promise<Object[]>} Listado completo de usuarios (DTO)
    */
   async execute() {
-    return await this.userRepository.findAll();
+    const users = await this.userRepository.findAll();
+    return users.map(toUserDTO);
   }
 }
@@ -0,0 +1,36 @@
+// backend/src/application/use_cases/get_api_key_usage.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: consultar el registro de uso de una API key (admin).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class GetApiKeyUsageUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.apiKeyRepository Repositorio de API keys con el contrato findById
+   * @param {Object} deps.apiKeyUsageRepository Registro de uso con el contrato findByKeyPaginated
+   */
+  constructor({ apiKeyRepository, apiKeyUsageRepository }) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.apiKeyUsageRepository = apiKeyUsageRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.id _id de la API key
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=20]
+   * @returns {Promise<{data: any[], total: number, page: number, limit: number, pages: number}>}
+   * @throws {AppError} 404 si la key no existe
+   */
+  async execute({ id, page = 1, limit = 20 }) {
+    const apiKey = await this.apiKeyRepository.findById(id);
+
+    if (!apiKey) {
+      throw new AppError("API key no encontrada.", 404);
+    }
+
+    return await this.apiKeyUsageRepository.findByKeyPaginated(id, { page, limit });
+  }
+}
@@ -0,0 +1,63 @@
+// backend/src/application/use_cases/get_drive_file_content.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: servir el contenido de un archivo de Drive a un usuario
+// autenticado, sin enlaces públicos.
+// - El archivo pertenece al módulo de la carpeta de drive-ids.json en la que
+//   está (subiendo por sus padres); hace falta la funcionalidad de ese módulo
+//   (DRIVE_FOLDER_FEATURES). Fuera de esas carpetas, solo administradores.
+// - Admite un rango de bytes (Range) para que los visores de PDF puedan
+//   pedir el archivo por partes.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { canAccessDriveFolder } from "../../domain/entities/drive_folder.entity.js";
+
+// Documentos nativos de Google (Docs, Sheets...) y carpetas: no tienen contenido descargable
+const GOOGLE_APPS_MIME_PREFIX = "application/vnd.google-apps.";
+
+// Un solo rango: "bytes=inicio-[fin]" o "bytes=-sufijo"
+const SINGLE_RANGE = /^bytes=(\d+-\d*|-\d+)$/;
+
+export class GetDriveFileContentUseCase {
+  /**
+   * @param {Object} driveRepository Repositorio de Drive con el contrato getFileMetadata, resolveFolderKey, downloadFileStream
+   */
+  constructor(driveRepository) {
+    this.driveRepository = driveRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.fileId ID del archivo en Drive
+   * @param {{isAdmin: boolean, features: string[]}} params.permissions Permisos efectivos (req.permissions)
+   * @param {string} [params.range] Cabecera Range de la petición (los rangos múltiples se ignoran)
+   * @returns {Promise<Object>} { name, mimeType, folderKey, stream, status, contentType, contentLength, contentRange }
+   * @throws {AppError} 403 sin permiso sobre la carpeta del archivo; 400 si es una carpeta o un documento nativo de Google
+   */
+  async execute({ fileId, permissions, range }) {
+    const file = await this.driveRepository.getFileMetadata(fileId);
+
+    const folderKey = file.parents?.[0]
+      ? await this.driveRepository.resolveFolderKey(file.parents[0])
+      : null;
+
+    if (!canAccessDriveFolder(folderKey, permissions)) {
+      throw new AppError("No tienes permiso para ver este archivo.", 403);
+    }
+
+    if (file.mimeType?.startsWith(GOOGLE_APPS_MIME_PREFIX)) {
+      throw new AppError(`"${file.name}" no es un archivo descargable (carpeta o documento de Google).`, 400);
+    }
+
+    const content = await this.driveRepository.downloadFileStream(fileId, {
+      range: range && SINGLE_RANGE.test(range) ? range : undefined,
+    });
+
+    return {
+      name: file.name,
+      mimeType: file.mimeType,
+      folderKey,
+      ...content,
+    };
+  }
+}
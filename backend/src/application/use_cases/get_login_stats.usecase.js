@@ -0,0 +1,104 @@
+// backend/src/application/use_cases/get_login_stats.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: estadísticas de uso de la plataforma a partir de los logins
+// registrados en LOG_USER (admin).
+// - En el rango: logins por usuario, por día y por hora, y usuarios activos.
+// - Histórico: último login de cada usuario y usuarios que nunca han entrado.
+// Los días (rango, series por día y por hora) se interpretan en hora de Madrid,
+// y las fechas de último login se devuelven con el formato de la tabla de logs.
+// -----------------------------------------------------------------------------
+
+import { DateTime } from "luxon";
+import { AppError } from "../../domain/errors/app.error.js";
+import { LOG_TIMEZONE } from "../../domain/entities/log.entity.js";
+import { formatLogDate } from "../dto/log.dto.js";
+
+const ZONE = LOG_TIMEZONE;
+const DAY_FORMAT = "yyyy-MM-dd";
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+export class GetLoginStatsUseCase {
+  /**
+   * @param {Object} logRepository Repositorio de logs con el contrato getLoginStats, getLastLoginPerUser
+   */
+  constructor(logRepository) {
+    this.logRepository = logRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} [params.from] Primer día "yyyy-MM-dd" (por defecto, hace 29 días)
+   * @param {string} [params.to] Último día "yyyy-MM-dd" (por defecto, hoy)
+   * @returns {Promise<Object>} { range, totalLogins, activeUsers, byUser, byDay, byHour, lastLoginPerUser, neverLoggedIn }
+   * @throws {AppError} 400 si las fechas no son válidas, from > to o el rango supera MAX_RANGE_DAYS
+   */
+  async execute({ from, to } = {}) {
+    const toDay = to ? parseDay(to, "to") : DateTime.now().setZone(ZONE).startOf("day");
+    const fromDay = from ? parseDay(from, "from") : toDay.minus({ days: DEFAULT_RANGE_DAYS - 1 });
+
+    if (fromDay > toDay) {
+      throw new AppError('"from" no puede ser posterior a "to".', 400);
+    }
+    if (toDay.diff(fromDay, "days").days >= MAX_RANGE_DAYS) {
+      throw new AppError(`El rango no puede superar ${MAX_RANGE_DAYS} días.`, 400);
+    }
+
+    const range = { from: fromDay.toFormat(DAY_FORMAT), to: toDay.toFormat(DAY_FORMAT) };
+
+    const [stats, lastLogins] = await Promise.all([
+      this.logRepository.getLoginStats({
+        from: fromDay.startOf("day").toJSDate(),
+        to: toDay.endOf("day").toJSDate(),
+        timezone: ZONE,
+      }),
+      this.logRepository.getLastLoginPerUser(),
+    ]);
+
+    return {
+      range,
+      totalLogins: stats.totalLogins,
+      activeUsers: stats.activeUsers,
+      byUser: stats.byUser.map((entry) => ({ ...entry, lastLogin: formatLogDate(entry.lastLogin) })),
+      byDay: fillDays(stats.byDay, fromDay, toDay),
+      byHour: fillHours(stats.byHour),
+      lastLoginPerUser: lastLogins
+        .filter((entry) => entry.lastLogin !== null)
+        .map((entry) => ({ ...entry, lastLogin: formatLogDate(entry.lastLogin) })),
+      neverLoggedIn: lastLogins
+        .filter((entry) => entry.lastLogin === null)
+        .map(({ lastLogin, ...user }) => user),
+    };
+  }
+}
+
+/**
+ * Lee un día "yyyy-MM-dd" en hora de Madrid.
+ * @throws {AppError} 400 si no tiene ese formato
+ */
+function parseDay(value, field) {
+  const day = DateTime.fromFormat(String(value), DAY_FORMAT, { zone: ZONE });
+
+  if (!day.isValid) {
+    throw new AppError(`"${field}" debe tener el formato yyyy-MM-dd.`, 400);
+  }
+  return day;
+}
+
+/** Completa con ceros los días del rango sin logins (para pintar series). */
+function fillDays(byDay, fromDay, toDay) {
+  const found = new Map(byDay.map((entry) => [entry.day, entry]));
+  const days = [];
+
+  for (let day = fromDay; day <= toDay; day = day.plus({ days: 1 })) {
+    const key = day.toFormat(DAY_FORMAT);
+    days.push(found.get(key) ?? { day: key, logins: 0, activeUsers: 0 });
+  }
+  return days;
+}
+
+/** Devuelve siempre las 24 horas (0-23), con cero donde no hubo logins. */
+function fillHours(byHour) {
+  const found = new Map(byHour.map((entry) => [entry.hour, entry.logins]));
+  return Array.from({ length: 24 }, (_, hour) => ({ hour, logins: found.get(hour) ?? 0 }));
+}
@@ -0,0 +1,20 @@
+// backend/src/application/use_cases/get_mfa_policy.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: consultar la política de verificación en dos pasos (admin).
+// -----------------------------------------------------------------------------
+
+export class GetMfaPolicyUseCase {
+  /**
+   * @param {Object} mfaService Servicio de 2FA con el contrato getPolicy
+   */
+  constructor(mfaService) {
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * @returns {Promise<{requireForAdmins: boolean, requiredFeatures: string[]}>}
+   */
+  async execute() {
+    return await this.mfaService.getPolicy();
+  }
+}
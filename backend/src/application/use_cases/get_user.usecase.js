@@ -0,0 +1,39 @@
+// backend/src/application/use_cases/get_user.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: obtener un usuario por su código (admin).
+// Incluye sus permisos efectivos (roles + overrides) en `effective`.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class GetUserUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} permissionService Servicio de permisos con el contrato resolve
+   */
+  constructor(userRepository, permissionService) {
+    this.userRepository = userRepository;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * Ejecuta la consulta.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @returns {Promise<Object>} Usuario (DTO) con `effective`
+   * @throws {AppError} 404 si el usuario no existe
+   */
+  async execute({ code }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    return {
+      ...toUserDTO(user),
+      effective: await this.permissionService.resolve(user),
+    };
+  }
+}
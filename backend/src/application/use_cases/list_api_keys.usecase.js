@@ -0,0 +1,23 @@
+// backend/src/application/use_cases/list_api_keys.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: listar las API keys (admin). Nunca devuelve hashes.
+// -----------------------------------------------------------------------------
+
+import { toApiKeyDTO } from "../dto/api_key.dto.js";
+
+export class ListApiKeysUseCase {
+  /**
+   * @param {Object} apiKeyRepository Repositorio de API keys con el contrato findAll
+   */
+  constructor(apiKeyRepository) {
+    this.apiKeyRepository = apiKeyRepository;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} API keys (DTO), más recientes primero
+   */
+  async execute() {
+    const apiKeys = await this.apiKeyRepository.findAll();
+    return apiKeys.map(toApiKeyDTO);
+  }
+}
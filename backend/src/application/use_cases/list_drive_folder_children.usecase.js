@@ -0,0 +1,145 @@
+// backend/src/application/use_cases/list_drive_folder_children.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: navegar por el contenido de una carpeta de drive-ids.json.
+// - Se parte de la carpeta raíz de la clave; con folderId se entra en una
+//   subcarpeta, que tiene que estar dentro de esa raíz.
+// - Paginación con el pageToken de Drive, búsqueda por nombre, filtro por
+//   MIME y orden (las carpetas siempre van primero).
+// - Devuelve la ruta (breadcrumbs) desde la raíz hasta la carpeta listada.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { DRIVE_FOLDER_MIME_TYPE } from "../../domain/entities/drive_folder.entity.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Campos por los que se puede ordenar (orderBy de Drive). "-campo" = descendente.
+const SORT_FIELDS = {
+  name: "name_natural",
+  modifiedTime: "modifiedTime",
+  createdTime: "createdTime",
+  size: "quotaBytesUsed",
+};
+const DEFAULT_SORT = "name";
+
+// Profundidad máxima al subir desde folderId hasta la raíz de la clave
+const MAX_DEPTH = 20;
+
+export class ListDriveFolderChildrenUseCase {
+  /**
+   * @param {Object} driveRepository Repositorio de Drive con el contrato getFolderIdByKey, getFileMetadata, listChildren
+   */
+  constructor(driveRepository) {
+    this.driveRepository = driveRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.key Clave de drive-ids.json (carpeta raíz)
+   * @param {string} [params.folderId] Subcarpeta dentro de la raíz (por defecto, la raíz)
+   * @param {number} [params.pageSize=50] Elementos por página (1-100)
+   * @param {string} [params.pageToken] nextPageToken de la página anterior
+   * @param {string} [params.search] Texto que debe contener el nombre
+   * @param {string} [params.mimeType] MIME exacto, "folder", o prefijo acabado en "/" (ej: "image/")
+   * @param {string} [params.sort="name"] name | modifiedTime | createdTime | size, con "-" delante para descendente
+   * @returns {Promise<Object>} { key, folder, breadcrumbs, files, nextPageToken }
+   * @throws {AppError} 404 si la clave no está configurada o la carpeta no está dentro de su raíz;
+   *   400 si los parámetros no son válidos o folderId no es una carpeta
+   */
+  async execute({ key, folderId, pageSize = DEFAULT_PAGE_SIZE, pageToken, search, mimeType, sort = DEFAULT_SORT }) {
+    const rootId = this.driveRepository.getFolderIdByKey(key);
+    if (!rootId) {
+      throw new AppError(`La carpeta "${key}" no está configurada en drive-ids.json.`, 404);
+    }
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new AppError(`"pageSize" debe ser un entero entre 1 y ${MAX_PAGE_SIZE}.`, 400);
+    }
+    const orderBy = toOrderBy(sort);
+
+    const breadcrumbs = await this._breadcrumbs(rootId, folderId || rootId, key);
+    const folder = breadcrumbs[breadcrumbs.length - 1];
+
+    const page = await this.driveRepository.listChildren({
+      parentId: folder.id,
+      pageSize,
+      pageToken: pageToken || undefined,
+      search: search?.trim() || undefined,
+      mimeType: mimeType === "folder" ? DRIVE_FOLDER_MIME_TYPE : mimeType || undefined,
+      orderBy,
+    });
+
+    return {
+      key,
+      folder,
+      breadcrumbs,
+      files: page.files.map(toChildItem),
+      nextPageToken: page.nextPageToken,
+    };
+  }
+
+  /**
+   * Sube por los padres desde folderId hasta la raíz de la clave.
+   * @private
+   * @returns {Promise<Array<{id: string, name: string}>>} Ruta desde la raíz (incluida) hasta folderId
+   * @throws {AppError} 404 si no se llega a la raíz; 400 si folderId no es una carpeta
+   */
+  async _breadcrumbs(rootId, folderId, key) {
+    const path = [];
+    let currentId = folderId;
+
+    for (let depth = 0; depth <= MAX_DEPTH && currentId; depth++) {
+      let meta;
+      try {
+        meta = await this.driveRepository.getFileMetadata(currentId);
+      } catch (error) {
+        // Un padre sin acceso (404) queda fuera de la raíz: se trata como "no está dentro"
+        if (depth > 0 && error?.code === 404) break;
+        throw error;
+      }
+
+      if (depth === 0 && meta.mimeType !== DRIVE_FOLDER_MIME_TYPE) {
+        throw new AppError(`"${folderId}" no es una carpeta.`, 400);
+      }
+
+      path.unshift({ id: meta.id, name: meta.name });
+      if (meta.id === rootId) return path;
+
+      currentId = meta.parents?.[0];
+    }
+
+    throw new AppError(`La carpeta "${folderId}" no está dentro de "${key}".`, 404);
+  }
+}
+
+/**
+ * Traduce el parámetro sort ("name", "-modifiedTime"...) al orderBy de Drive.
+ * @throws {AppError} 400 si el campo no es uno de SORT_FIELDS
+ */
+function toOrderBy(sort) {
+  const value = String(sort);
+  const descending = value.startsWith("-");
+  const name = descending ? value.slice(1) : value;
+
+  if (!Object.hasOwn(SORT_FIELDS, name)) {
+    throw new AppError(`"sort" no válido. Debe ser uno de: ${Object.keys(SORT_FIELDS).join(", ")} (con "-" delante para descendente).`, 400);
+  }
+  return `folder,${SORT_FIELDS[name]}${descending ? " desc" : ""}`;
+}
+
+/** Elemento de la carpeta tal como se devuelve al frontend. */
+function toChildItem(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    isFolder: file.mimeType === DRIVE_FOLDER_MIME_TYPE,
+    size: file.size !== undefined ? Number(file.size) : null,
+    createdTime: file.createdTime ?? null,
+    modifiedTime: file.modifiedTime ?? null,
+    webViewLink: file.webViewLink ?? null,
+    iconLink: file.iconLink ?? null,
+    thumbnailLink: file.thumbnailLink ?? null,
+  };
+}
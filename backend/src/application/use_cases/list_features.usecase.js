@@ -0,0 +1,20 @@
+// backend/src/application/use_cases/list_features.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: listar las funcionalidades registradas (admin).
+// -----------------------------------------------------------------------------
+
+export class ListFeaturesUseCase {
+  /**
+   * @param {Object} featureRegistry Registro de funcionalidades con el contrato list
+   */
+  constructor(featureRegistry) {
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * @returns {Promise<Array<{key: string, label: string, description: string}>>}
+   */
+  async execute() {
+    return this.featureRegistry.list().map(({ key, label, description }) => ({ key, label, description }));
+  }
+}
@@ -0,0 +1,21 @@
+// backend/src/application/use_cases/list_log_archives.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: listar los archivos mensuales de logs guardados en Drive (admin).
+// -----------------------------------------------------------------------------
+
+export class ListLogArchivesUseCase {
+  /**
+   * @param {Object} logArchiveRepository Repositorio de archivos de logs con el contrato findAll
+   */
+  constructor(logArchiveRepository) {
+    this.logArchiveRepository = logArchiveRepository;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Archivos (del mes más reciente al más antiguo) con `restored`
+   */
+  async execute() {
+    const archives = await this.logArchiveRepository.findAll();
+    return archives.map((archive) => ({ ...archive, restored: archive.restoredAt !== null }));
+  }
+}
@@ -0,0 +1,20 @@
+// backend/src/application/use_cases/list_roles.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: listar los roles (admin).
+// -----------------------------------------------------------------------------
+
+export class ListRolesUseCase {
+  /**
+   * @param {Object} roleRepository Repositorio de roles con el contrato findAll
+   */
+  constructor(roleRepository) {
+    this.roleRepository = roleRepository;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Roles ordenados por clave
+   */
+  async execute() {
+    return await this.roleRepository.findAll();
+  }
+}
@@ -1,76 +1,511 @@
 // backend/src/application/use_cases/login.usecase.js
 // -----------------------------------------------------------------------------
 // Caso de uso: login de usuario.
-// - Verifica credenciales (username/password) contra el repositorio de usuarios.
-// - Genera un token JWT con expiración.
+// - Verifica credenciales (username/password) contra el hash almacenado.
+// - Migra de forma transparente las contraseñas legadas en texto plano.
+// - Bloquea progresivamente la cuenta tras varios fallos consecutivos.
+// - Rechaza las cuentas deshabilitadas por un administrador.
+// - Registra cada intento fallido (username, IP, user agent).
+// - Abre una sesión en servidor y emite access token + refresh token.
 // - Registra un log de inicio de sesión exitoso.
+// - Devuelve los permisos efectivos del usuario (roles + overrides).
+// - Verificación en dos pasos (TOTP): si el usuario tiene 2FA activo, o la
+//   política se lo exige, el primer paso solo devuelve un token "mfa pending"
+//   de vida corta y la sesión se abre al verificar el código (o al completar
+//   el alta obligatoria del segundo factor).
+// - Iniciar sesión con Google (OIDC): la cuenta se busca por la cuenta de
+//   Google ya vinculada (googleSub) o, si no hay, por el email verificado del
+//   ID token en USER.email, y sigue el mismo camino (2FA, sesión, log). Un
+//   admin decide por usuario si puede entrar con contraseña y/o con Google.
+// Los fallos de credenciales devuelven siempre el mismo error genérico para
+// no revelar qué usernames existen.
 // -----------------------------------------------------------------------------
 
-import jwt from "jsonwebtoken";
-import { DateTime } from "luxon";
 import { Log } from "../../domain/entities/log.entity.js";
+import { AppError } from "../../domain/errors/app.error.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const INVALID_CREDENTIALS_MESSAGE = "Usuario o contraseña incorrectos.";
+const TOO_MANY_ATTEMPTS_MESSAGE =
+  "Demasiados intentos fallidos. Inténtalo de nuevo más tarde.";
+const DISABLED_ACCOUNT_MESSAGE =
+  "La cuenta está deshabilitada. Contacta con un administrador.";
+const INVALID_MFA_CODE_MESSAGE = "Código de verificación incorrecto.";
+const INVALID_MFA_TOKEN_MESSAGE =
+  "La verificación ha caducado o no es válida. Inicia sesión de nuevo.";
+const PASSWORD_LOGIN_DISABLED_MESSAGE =
+  "El acceso con contraseña está desactivado para esta cuenta. Inicia sesión con Google.";
+const GOOGLE_REJECTED_MESSAGE =
+  "No se pudo iniciar sesión con esta cuenta de Google.";
+const GOOGLE_LOGIN_DISABLED_MESSAGE =
+  "El acceso con Google está desactivado para esta cuenta. Inicia sesión con tu contraseña.";
 
 export class LoginUseCase {
   // El caso de uso depende de "contratos" (repositorios), no de implementaciones.
   /**
-   * @param {Object} userRepository Repositorio de usuarios con el contrato findByUsername
-   * @param {Object} logRepository  Repositorio de logs con el contrato create
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (findByUsername, findByCode, findByGoogleSub, findAllByEmail, updateById, updateByCode, registerFailedLogin, resetFailedLogins)
+   * @param {Object} deps.logRepository Repositorio de logs con el contrato create
+   * @param {Object} deps.loginAttemptRepository Repositorio de intentos fallidos (create, getFailureStatsSince)
+   * @param {Object} deps.passwordHasher Servicio de hash con los contratos verify/hash/needsRehash
+   * @param {Object} deps.sessionService Servicio de sesiones con el contrato startSession
+   * @param {Object} deps.permissionService Servicio de permisos con el contrato resolve
+   * @param {Object} deps.mfaService Servicio de 2FA (isRequiredFor, verify, beginEnrollment, confirmEnrollment)
+   * @param {Object} deps.tokenService Servicio de tokens (signMfaToken, verifyMfaToken)
+   * @param {string} deps.mfaTokenExpiration Caducidad del token "mfa pending" (se devuelve al cliente)
+   * @param {Object} deps.googleIdTokenVerifier Verificador de ID tokens de Google con el contrato verify
+   * @param {Object} deps.lockoutPolicy Política de bloqueo { maxAttempts, baseLockMinutes, maxLockMinutes }
    */
-  constructor(userRepository, logRepository) {
+  constructor({
+    userRepository,
+    logRepository,
+    loginAttemptRepository,
+    passwordHasher,
+    sessionService,
+    permissionService,
+    mfaService,
+    tokenService,
+    mfaTokenExpiration,
+    googleIdTokenVerifier,
+    lockoutPolicy,
+  }) {
     this.userRepository = userRepository;
     this.logRepository = logRepository;
+    this.loginAttemptRepository = loginAttemptRepository;
+    this.passwordHasher = passwordHasher;
+    this.sessionService = sessionService;
+    this.permissionService = permissionService;
+    this.mfaService = mfaService;
+    this.tokenService = tokenService;
+    this.mfaTokenExpiration = mfaTokenExpiration;
+    this.googleIdTokenVerifier = googleIdTokenVerifier;
+    this.lockoutPolicy = lockoutPolicy;
+    this._dummyHash = null;
   }
 
   /**
-   * Autentica y emite un token JWT; registra log de acceso.
+   * Primer paso: autentica con contraseña. Si no hace falta segundo factor
+   * abre la sesión y emite sus tokens; si hace falta, devuelve un reto 2FA.
    * @param {string} username Nombre de usuario
    * @param {string} password Contraseña en texto plano
-   * @returns {Promise<{token: string, user: Object}>} Token y datos públicos del usuario
-   * @throws {Error} Si las credenciales son inválidas o el usuario no existe
+   * @param {Object} [context] Datos del cliente para la sesión y la auditoría
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   * @returns {Promise<Object>} Tokens y datos públicos del usuario, o bien
+   *          { mfaRequired: true, enrollmentRequired, mfaToken, expiresIn }
+   * @throws {AppError} 401 con mensaje genérico si las credenciales no son válidas;
+   *                    403 si la cuenta está deshabilitada o solo admite Google;
+   *                    429 (con details.retryAfter) si la cuenta está bloqueada
    */
-  async login(username, password) {
+  async login(username, password, context = {}) {
     // 1) Buscar usuario por username
     const user = await this.userRepository.findByUsername(username);
 
     if (!user) {
-      throw new Error("Usuario no encontrado");
+      // Siempre lanza: 401 genérico o 429 si acumula demasiados fallos
+      await this._rejectUnknownUser(username, password, context);
     }
 
-    // 2) Verificación sencilla (comparación directa de password)
-    if (password !== user.password) {
-      throw new Error("Contraseña incorrecta");
+    // 2) Cuenta bloqueada temporalmente
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await this._recordFailure(username, user, "locked", context);
+      throw this._tooManyAttemptsError(new Date(user.lockedUntil));
     }
 
-    // 3) Construir payload del JWT con datos no sensibles
-    const payload = {
-      code: user.code,
-      user: user.user,
-    };
+    // 3) Verificar la contraseña contra el hash (o el texto plano legado)
+    const isValid = await this.passwordHasher.verify(password, user.password);
+    if (!isValid) {
+      await this._registerCredentialFailure(user, username, "bad_password", context);
+      throw new AppError(INVALID_CREDENTIALS_MESSAGE, 401);
+    }
+
+    // 3a) Cuenta deshabilitada: solo se informa tras validar la contraseña
+    //     para no revelar el estado de cuentas ajenas
+    if (user.disabled === true) {
+      throw new AppError(DISABLED_ACCOUNT_MESSAGE, 403);
+    }
+    if (user.passwordLoginEnabled === false) {
+      throw new AppError(PASSWORD_LOGIN_DISABLED_MESSAGE, 403);
+    }
+
+    // 3b) Acierto: reiniciar contador de fallos si lo había
+    await this._resetFailuresIfAny(user);
+
+    // 3c) Migración transparente: si la contraseña seguía en texto plano o con
+    //     parámetros antiguos, se guarda de nuevo con el hash actual
+    if (this.passwordHasher.needsRehash(user.password)) {
+      await this._rehashPassword(user, password);
+    }
+
+    // 4) Segundo factor o apertura de la sesión
+    return await this._continueAfterFirstFactor(user, context);
+  }
+
+  /**
+   * Primer paso con Google: verifica el ID token, localiza la cuenta (por la
+   * cuenta de Google vinculada o, si no, por el email verificado) y continúa
+   * igual que el login con contraseña.
+   * @param {string} idToken ID token (JWT) obtenido por el cliente con Google Sign-In
+   * @param {Object} [context] Datos del cliente ({ ip, userAgent })
+   * @returns {Promise<Object>} Igual que login
+   * @throws {AppError} 401 si el token no es válido o no hay cuenta para el email;
+   *                    403 si la cuenta está deshabilitada o no admite Google; 409 si varias cuentas comparten el email;
+   *                    429 (con details.retryAfter) si la cuenta está bloqueada
+   */
+  async loginWithGoogle(idToken, context = {}) {
+    // 1) Verificar el token con las claves públicas del emisor
+    let identity;
+    try {
+      identity = await this.googleIdTokenVerifier.verify(idToken);
+    } catch (error) {
+      console.warn("[LoginUseCase] ID token de Google rechazado:", error.message);
+      await this._recordFailure("google", null, "google_rejected", context);
+      throw new AppError(GOOGLE_REJECTED_MESSAGE, 401);
+    }
+
+    const googleLabel = `google:${identity.email}`;
+
+    if (!identity.email || !identity.emailVerified) {
+      await this._recordFailure(googleLabel, null, "google_rejected", context);
+      throw new AppError("El email de la cuenta de Google no está verificado.", 401);
+    }
+
+    // 2) Localizar la cuenta: primero la ya vinculada a esta cuenta de Google
+    //    (sigue valiendo aunque cambie el email); si no hay, por email (única)
+    const user = await this.userRepository.findByGoogleSub(identity.sub)
+      ?? await this._findGoogleUserByEmail(identity, googleLabel, context);
+
+    // 3) Mismas comprobaciones de estado que el login con contraseña
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await this._recordFailure(googleLabel, user, "locked", context);
+      throw this._tooManyAttemptsError(new Date(user.lockedUntil));
+    }
+    if (user.disabled === true) {
+      throw new AppError(DISABLED_ACCOUNT_MESSAGE, 403);
+    }
+    if (user.googleLoginEnabled === false) {
+      await this._recordFailure(googleLabel, user, "google_rejected", context);
+      throw new AppError(GOOGLE_LOGIN_DISABLED_MESSAGE, 403);
+    }
+
+    // 4) Primer acceso con Google: vincular la cuenta
+    if (!user.googleSub) {
+      await this.userRepository.updateByCode(user.code, { googleSub: identity.sub });
+    }
+
+    await this._resetFailuresIfAny(user);
+
+    // 5) Segundo factor o apertura de la sesión
+    return await this._continueAfterFirstFactor(user, context);
+  }
+
+  /**
+   * Cuenta cuyo USER.email coincide con el email verificado de Google. Tiene
+   * que ser única y no estar vinculada a otra cuenta de Google (email
+   * reasignado).
+   * @private
+   * @throws {AppError} 401 si no hay cuenta o está vinculada a otra; 409 si hay varias
+   */
+  async _findGoogleUserByEmail(identity, googleLabel, context) {
+    const users = await this.userRepository.findAllByEmail(identity.email);
+
+    if (users.length === 0) {
+      await this._recordFailure(googleLabel, null, "google_rejected", context);
+      throw new AppError("No hay ninguna cuenta asociada a este email de Google.", 401);
+    }
+    if (users.length > 1) {
+      console.warn(`[LoginUseCase] ${users.length} cuentas comparten el email de Google; login rechazado.`);
+      throw new AppError("Varias cuentas comparten este email. Contacta con un administrador.", 409);
+    }
+
+    const [user] = users;
+    if (user.googleSub && user.googleSub !== identity.sub) {
+      await this._recordFailure(googleLabel, user, "google_rejected", context);
+      throw new AppError(GOOGLE_REJECTED_MESSAGE, 401);
+    }
+    return user;
+  }
+
+  /**
+   * Segundo paso: verifica el código TOTP (o uno de recuperación) y abre la sesión.
+   * Los códigos erróneos cuentan como intentos fallidos (mismo bloqueo que la contraseña).
+   * @param {Object} params
+   * @param {string} params.mfaToken Token "mfa pending" del primer paso
+   * @param {string} [params.code] Código TOTP
+   * @param {string} [params.recoveryCode] Código de recuperación
+   * @param {Object} [context] Datos del cliente ({ ip, userAgent })
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, user: Object}>}
+   * @throws {AppError} 401 si el token o el código no son válidos; 429 si la cuenta está bloqueada
+   */
+  async verifyMfa({ mfaToken, code, recoveryCode }, context = {}) {
+    const { user, payload } = await this._loadMfaUser(mfaToken, context);
+
+    if (payload.enroll) {
+      throw new AppError("Debes dar de alta la verificación en dos pasos para continuar.", 400);
+    }
+
+    const isValid = await this.mfaService.verify(user, { code, recoveryCode });
+    if (!isValid) {
+      await this._registerCredentialFailure(user, user.user, "bad_mfa_code", context);
+      throw new AppError(INVALID_MFA_CODE_MESSAGE, 401);
+    }
+
+    await this._resetFailuresIfAny(user);
+    return await this._completeLogin(user, await this.permissionService.resolve(user), context);
+  }
+
+  /**
+   * Alta obligatoria durante el login (primer paso): genera la semilla.
+   * @param {Object} params
+   * @param {string} params.mfaToken Token "mfa pending" con enroll: true
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   * @throws {AppError} 401 si el token no es válido; 400 si el usuario no está en alta obligatoria
+   */
+  async beginMfaEnrollment({ mfaToken }) {
+    const { user, payload } = await this._loadMfaUser(mfaToken);
+
+    if (!payload.enroll) {
+      throw new AppError("La verificación en dos pasos ya está activada.", 400);
+    }
+
+    return await this.mfaService.beginEnrollment(user);
+  }
+
+  /**
+   * Alta obligatoria durante el login (segundo paso): confirma el código,
+   * activa el 2FA y abre la sesión.
+   * @param {Object} params
+   * @param {string} params.mfaToken Token "mfa pending" con enroll: true
+   * @param {string} params.code Código TOTP de la app recién configurada
+   * @param {Object} [context] Datos del cliente ({ ip, userAgent })
+   * @returns {Promise<Object>} Igual que el login más recoveryCodes (se muestran una única vez)
+   * @throws {AppError} 401 si el token no es válido; 400 si el código no es válido
+   */
+  async confirmMfaEnrollment({ mfaToken, code }, context = {}) {
+    const { user, payload } = await this._loadMfaUser(mfaToken, context);
+
+    if (!payload.enroll) {
+      throw new AppError("La verificación en dos pasos ya está activada.", 400);
+    }
+
+    let recoveryCodes;
+    try {
+      recoveryCodes = await this.mfaService.confirmEnrollment(user, code);
+    } catch (error) {
+      if (error instanceof AppError && error.details?.invalidCode) {
+        await this._registerCredentialFailure(user, user.user, "bad_mfa_code", context);
+      }
+      throw error;
+    }
+
+    await this._resetFailuresIfAny(user);
+    const result = await this._completeLogin(user, await this.permissionService.resolve(user), context);
+
+    return { ...result, recoveryCodes };
+  }
+
+  /**
+   * Tras el primer factor (contraseña o Google): exige el segundo factor si
+   * está activo, o si la política lo exige aunque no esté dado de alta; si
+   * no, abre la sesión directamente.
+   * @private
+   */
+  async _continueAfterFirstFactor(user, context) {
+    const permissions = await this.permissionService.resolve(user);
+    const mfaEnabled = user.mfa?.enabled === true;
 
-    // 4) Firmar el token con secreto y expiración
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: "8h" } // La sesión durará 8 horas
-    );
+    if (mfaEnabled || await this.mfaService.isRequiredFor(permissions)) {
+      return this._mfaChallenge(user, { enroll: !mfaEnabled });
+    }
+
+    return await this._completeLogin(user, permissions, context);
+  }
 
-    // 5) Crear log de login correcto con hora de Madrid
-    const madridNow = DateTime.now().setZone('Europe/Madrid').toFormat('yyyy-MM-dd HH:mm:ss');
+  /**
+   * Abre la sesión, registra el log de acceso y construye la respuesta.
+   * @private
+   */
+  async _completeLogin(user, { isAdmin, roles, features, permissions }, context) {
+    // Abrir sesión: access token de vida corta + refresh token rotatorio
+    const tokens = await this.sessionService.startSession(user, context);
 
-    const log = new Log(user.code, user.user, user.full_name, user.email, madridNow);
+    // Crear log de login correcto (instante UTC; se muestra en hora de Madrid)
+    const log = new Log(user.code, user.user, user.full_name, user.email, new Date(), {
+      ip: context?.ip,
+      userAgent: context?.userAgent,
+    });
     await this.logRepository.create(log);
 
-    // 6) Devolver token y datos de usuario relevantes para el frontend
+    // Devolver tokens y datos de usuario relevantes para el frontend
     return {
-      token: token,
+      ...tokens,
       user: {
         username: user.user,
         fullName: user.full_name,
         email: user.email,
-        permissions: user.permision || null, // En caso de ser el admin este campo será null
-        isAdmin: user.isAdmin || false       // Solo el admin tendrá este campo como true.
-        // ESto se debe a que en la BD el admin no tiene el campo 'permissions' y es el único que tiene el campo 'isAdmin'.
+        permissions,  // Mapa funcionalidad → boolean (lo consume el dashboard)
+        features,     // Lista de funcionalidades concedidas
+        roles,
+        isAdmin,
+        mustChangePassword: user.mustChangePassword === true, // Contraseña temporal asignada por un admin
+        mfaEnabled: user.mfa?.enabled === true,
+        passwordLoginEnabled: user.passwordLoginEnabled !== false,
+        googleLoginEnabled: user.googleLoginEnabled !== false,
+      }
+    }
+  }
+
+  /**
+   * Respuesta del primer paso cuando falta el segundo factor.
+   * @private
+   */
+  _mfaChallenge(user, { enroll }) {
+    return {
+      mfaRequired: true,
+      enrollmentRequired: enroll,
+      mfaToken: this.tokenService.signMfaToken({ code: user.code, user: user.user, enroll }),
+      expiresIn: this.mfaTokenExpiration,
+    };
+  }
+
+  /**
+   * Valida el token "mfa pending" y carga su usuario (existente, habilitado
+   * y no bloqueado).
+   * @private
+   */
+  async _loadMfaUser(mfaToken, context = {}) {
+    let payload;
+    try {
+      payload = this.tokenService.verifyMfaToken(mfaToken);
+    } catch (error) {
+      throw new AppError(INVALID_MFA_TOKEN_MESSAGE, 401);
+    }
+
+    const user = await this.userRepository.findByCode(payload.code);
+    if (!user || user.disabled === true) {
+      throw new AppError(INVALID_MFA_TOKEN_MESSAGE, 401);
+    }
+
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await this._recordFailure(user.user, user, "locked", context);
+      throw this._tooManyAttemptsError(new Date(user.lockedUntil));
+    }
+
+    return { user, payload };
+  }
+
+  /** @private */
+  async _resetFailuresIfAny(user) {
+    if (user.failedLoginCount > 0 || user.lockedUntil) {
+      await this.userRepository.resetFailedLogins({ _id: user._id });
+    }
+  }
+
+  /**
+   * Username inexistente: se comporta igual que una cuenta real (mismo coste
+   * de verificación, mismo error y mismo bloqueo tras varios fallos) para que
+   * no se pueda distinguir si el usuario existe.
+   * @private
+   */
+  async _rejectUnknownUser(username, password, context) {
+    const since = new Date(Date.now() - this.lockoutPolicy.maxLockMinutes * MINUTE_MS);
+    const { count, lastAt } = await this.loginAttemptRepository.getFailureStatsSince(username, since);
+    const lockMinutes = this._lockMinutesFor(count);
+
+    if (lockMinutes > 0) {
+      const lockedUntil = new Date(lastAt.getTime() + lockMinutes * MINUTE_MS);
+      if (lockedUntil > new Date()) {
+        await this._recordFailure(username, null, "locked", context);
+        throw this._tooManyAttemptsError(lockedUntil);
       }
     }
+
+    await this.passwordHasher.verify(password, await this._getDummyHash());
+    await this._recordFailure(username, null, "user_not_found", context);
+    throw new AppError(INVALID_CREDENTIALS_MESSAGE, 401);
+  }
+
+  /**
+   * Suma el fallo (contraseña o código 2FA) al usuario y, si alcanza el
+   * umbral, lo bloquea con una duración que se duplica en cada fallo
+   * adicional (hasta el máximo).
+   * @private
+   */
+  async _registerCredentialFailure(user, username, reason, context) {
+    const updated = await this.userRepository.registerFailedLogin(user._id);
+    const failures = updated?.failedLoginCount ?? 0;
+    const minutes = this._lockMinutesFor(failures);
+
+    if (minutes > 0) {
+      const lockedUntil = new Date(Date.now() + minutes * MINUTE_MS);
+      await this.userRepository.updateById(user._id, { lockedUntil });
+      console.warn(`[LoginUseCase] Usuario ${user.code} bloqueado ${minutes} min tras ${failures} fallos.`);
+    }
+
+    await this._recordFailure(username, user, reason, context);
+  }
+
+  /**
+   * Minutos de bloqueo para un número de fallos consecutivos: 0 por debajo
+   * del umbral; a partir de él, baseLockMinutes duplicándose en cada fallo
+   * extra hasta maxLockMinutes.
+   * @private
+   */
+  _lockMinutesFor(failures) {
+    const { maxAttempts, baseLockMinutes, maxLockMinutes } = this.lockoutPolicy;
+    if (failures < maxAttempts) return 0;
+    return Math.min(baseLockMinutes * 2 ** (failures - maxAttempts), maxLockMinutes);
+  }
+
+  /**
+   * Registra el intento fallido. Un error de auditoría no debe cambiar la
+   * respuesta al cliente.
+   * @private
+   */
+  async _recordFailure(username, user, reason, { ip, userAgent } = {}) {
+    try {
+      await this.loginAttemptRepository.create({
+        user: username,
+        code: user?.code ?? null,
+        ip,
+        userAgent,
+        reason,
+      });
+    } catch (error) {
+      console.error("[LoginUseCase] No se pudo registrar el intento fallido:", error.message);
+    }
+  }
+
+  /** @private */
+  _tooManyAttemptsError(lockedUntil) {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    return new AppError(TOO_MANY_ATTEMPTS_MESSAGE, 429, { retryAfter });
+  }
+
+  /**
+   * Hash de referencia para igualar el tiempo de respuesta con usuarios inexistentes.
+   * @private
+   */
+  async _getDummyHash() {
+    if (!this._dummyHash) {
+      this._dummyHash = await this.passwordHasher.hash("dummy-password-for-timing");
+    }
+    return this._dummyHash;
+  }
+
+  /**
+   * Re-hashea la contraseña del usuario tras un login correcto.
+   * Un fallo aquí no debe impedir el login: se registra y se reintenta en el
+   * siguiente acceso.
+   * @private
+   */
+  async _rehashPassword(user, password) {
+    try {
+      const hashed = await this.passwordHasher.hash(password);
+      await this.userRepository.updateById(user._id, { password: hashed });
+    } catch (error) {
+      console.error(`[LoginUseCase] No se pudo re-hashear la contraseña del usuario ${user.code}:`, error.message);
+    }
   }
 }
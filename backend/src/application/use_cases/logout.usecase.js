@@ -0,0 +1,26 @@
+// backend/src/application/use_cases/logout.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: cerrar sesión.
+// Revoca en servidor la sesión asociada al refresh token recibido, de modo que
+// ni el refresh token ni los access tokens emitidos para ella vuelven a valer.
+// -----------------------------------------------------------------------------
+
+export class LogoutUseCase {
+  /**
+   * @param {Object} sessionService Servicio de sesiones con el contrato revokeByRefreshToken
+   */
+  constructor(sessionService) {
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el cierre de sesión.
+   * @param {Object} params
+   * @param {string} params.refreshToken Refresh token de la sesión a cerrar
+   * @returns {Promise<void>}
+   * @throws {AppError} 401 si el refresh token no es válido
+   */
+  async execute({ refreshToken }) {
+    await this.sessionService.revokeByRefreshToken(refreshToken);
+  }
+}
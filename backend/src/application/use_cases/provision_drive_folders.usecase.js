@@ -0,0 +1,134 @@
+// backend/src/application/use_cases/provision_drive_folders.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: crear la jerarquía de carpetas de Drive a partir del
+// manifiesto (config/drive-manifest.json) y escribir drive-ids.json.
+// - Cada clave se resuelve por su ruta bajo la carpeta principal (DRIVE_ID):
+//   se busca cada nivel y se crea si falta. Si hay carpetas hermanas
+//   duplicadas se fusionan en la más antigua.
+// - Las claves que ya tienen una carpeta válida en drive-ids.json se
+//   conservan tal cual (salvo con force), para no mover un entorno que ya
+//   funciona.
+// - Una clave que falla no para el resto: se anota y se sigue.
+// Repetirlo es seguro. Admite dryRun (solo busca; no crea ni escribe nada).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { folderProblem } from "../../domain/entities/drive_manifest.entity.js";
+
+export class ProvisionDriveFoldersUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.driveRepository Repositorio de Drive con el contrato getDriveIds, setDriveIds, getFolderStatus, listFoldersByName, createFolder, mergeFolders
+   * @param {Object} deps.driveIdsFile Archivo drive-ids.json con el contrato write, path
+   * @param {Array<{key: string, path: string[]}>} deps.manifest Manifiesto ya validado (parseDriveManifest)
+   * @param {string} deps.rootFolderId Carpeta principal de Drive (DRIVE_ID)
+   */
+  constructor({ driveRepository, driveIdsFile, manifest, rootFolderId }) {
+    this.driveRepository = driveRepository;
+    this.driveIdsFile = driveIdsFile;
+    this.manifest = manifest;
+    this.rootFolderId = rootFolderId;
+  }
+
+  /**
+   * @param {Object} [params]
+   * @param {boolean} [params.dryRun=false] Solo busca; no crea carpetas ni escribe drive-ids.json
+   * @param {boolean} [params.force=false] Resuelve también las claves que ya tienen una carpeta válida
+   * @returns {Promise<Object>} { dryRun, rootFolderId, folders: [{ key, path, id, status, error }], driveIds, written, writeError }
+   *   status: configured (se conserva) | existing | created | missing (dryRun) | error
+   * @throws {AppError} 500 si no está configurada la carpeta principal (DRIVE_ID)
+   */
+  async execute({ dryRun = false, force = false } = {}) {
+    if (!this.rootFolderId) {
+      throw new AppError("Falta la carpeta principal de Drive (DRIVE_ID).", 500);
+    }
+
+    const currentIds = this.driveRepository.getDriveIds();
+    // Ruta ya resuelta ("Nóminas", "Nóminas/Asesorías"...) → { id, created }; los niveles comunes se buscan una vez
+    const resolved = new Map();
+    const folders = [];
+
+    for (const { key, path } of this.manifest) {
+      const entry = { key, path: path.join("/"), id: null, status: null, error: null };
+
+      try {
+        if (!force && (await this._isValidFolder(currentIds[key]))) {
+          Object.assign(entry, { id: currentIds[key], status: "configured" });
+        } else {
+          const result = await this._resolvePath(path, resolved, dryRun);
+          Object.assign(entry, {
+            id: result.id,
+            status: !result.id ? "missing" : result.created ? "created" : "existing",
+          });
+        }
+      } catch (error) {
+        Object.assign(entry, { status: "error", error: error.message });
+      }
+      folders.push(entry);
+    }
+
+    // Las claves que no están en el manifiesto se conservan
+    const driveIds = { ...currentIds };
+    for (const folder of folders) {
+      if (folder.id) driveIds[folder.key] = folder.id;
+    }
+
+    const result = { dryRun, rootFolderId: this.rootFolderId, folders, driveIds, written: null, writeError: null };
+    if (dryRun) return result;
+
+    // En caliente para este proceso; el archivo, para los siguientes arranques
+    this.driveRepository.setDriveIds(driveIds);
+    try {
+      await this.driveIdsFile.write(driveIds);
+      result.written = this.driveIdsFile.path;
+    } catch (error) {
+      result.writeError = error.message;
+    }
+    return result;
+  }
+
+  /** @private */
+  async _isValidFolder(folderId) {
+    if (!folderId) return false;
+    return folderProblem(await this.driveRepository.getFolderStatus(folderId)) === null;
+  }
+
+  /**
+   * Busca (y, si no es dryRun, crea) cada nivel de la ruta bajo la carpeta principal.
+   * @private
+   * @returns {Promise<{id: string|null, created: boolean}>} id null si falta algún nivel (dryRun)
+   */
+  async _resolvePath(path, resolved, dryRun) {
+    let parentId = this.rootFolderId;
+    let created = false;
+
+    for (let depth = 1; depth <= path.length; depth++) {
+      const prefix = path.slice(0, depth).join("/");
+
+      if (!resolved.has(prefix)) {
+        resolved.set(prefix, await this._resolveFolder(path[depth - 1], parentId, dryRun));
+      }
+      const level = resolved.get(prefix);
+      if (!level.id) return { id: null, created: false };
+
+      parentId = level.id;
+      created = created || level.created;
+    }
+    return { id: parentId, created };
+  }
+
+  /** @private */
+  async _resolveFolder(name, parentId, dryRun) {
+    const [found, ...duplicates] = await this.driveRepository.listFoldersByName(name, parentId);
+
+    if (found) {
+      if (duplicates.length > 0 && !dryRun) {
+        await this.driveRepository.mergeFolders(found.id, duplicates.map((folder) => folder.id));
+      }
+      return { id: found.id, created: false };
+    }
+
+    if (dryRun) return { id: null, created: false };
+    return { id: await this.driveRepository.createFolder(name, parentId), created: true };
+  }
+}
@@ -0,0 +1,26 @@
+// backend/src/application/use_cases/refresh_token.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: refrescar la sesión.
+// Canjea un refresh token vigente por un access token nuevo y rota el refresh
+// token (el anterior deja de ser válido).
+// -----------------------------------------------------------------------------
+
+export class RefreshTokenUseCase {
+  /**
+   * @param {Object} sessionService Servicio de sesiones con el contrato refresh
+   */
+  constructor(sessionService) {
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el refresco de tokens.
+   * @param {Object} params
+   * @param {string} params.refreshToken Refresh token recibido del cliente
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+   * @throws {AppError} 401 si el refresh token no es válido, ha caducado o fue revocado
+   */
+  async execute({ refreshToken }) {
+    return await this.sessionService.refresh(refreshToken);
+  }
+}
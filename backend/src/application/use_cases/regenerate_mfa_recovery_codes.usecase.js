@@ -0,0 +1,41 @@
+// backend/src/application/use_cases/regenerate_mfa_recovery_codes.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: el usuario autenticado genera un juego nuevo de códigos de
+// recuperación (los anteriores dejan de valer). Exige un código TOTP.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class RegenerateMfaRecoveryCodesUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} mfaService Servicio de 2FA (verify, regenerateRecoveryCodes)
+   */
+  constructor(userRepository, mfaService) {
+    this.userRepository = userRepository;
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario autenticado
+   * @param {string} params.totpCode Código TOTP actual
+   * @returns {Promise<{recoveryCodes: string[]}>}
+   * @throws {AppError} 400 si no tiene 2FA; 401 si el código no es válido
+   */
+  async execute({ code, totpCode }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario del token no encontrado.", 401);
+    }
+    if (user.mfa?.enabled !== true) {
+      throw new AppError("La verificación en dos pasos no está activada.", 400);
+    }
+    if (!(await this.mfaService.verify(user, { code: totpCode }))) {
+      throw new AppError("Código de verificación incorrecto.", 401);
+    }
+
+    return { recoveryCodes: await this.mfaService.regenerateRecoveryCodes(user) };
+  }
+}
@@ -0,0 +1,41 @@
+// backend/src/application/use_cases/release_log_archive.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: liberar un archivo de logs restaurado (admin).
+// Borra de LOG_USER los logs del mes (siguen en Drive) y quita la marca de
+// restaurado, devolviendo el mes a la política de retención normal.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class ReleaseLogArchiveUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.logRepository Contrato deleteByDateRange
+   * @param {Object} deps.logArchiveRepository Contrato findById, clearRestored
+   */
+  constructor({ logRepository, logArchiveRepository }) {
+    this.logRepository = logRepository;
+    this.logArchiveRepository = logArchiveRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.id _id del archivo (LOG_ARCHIVE)
+   * @returns {Promise<{archive: Object, deleted: number}>} Archivo actualizado y logs borrados
+   * @throws {AppError} 404 si el archivo no existe; 409 si no está restaurado
+   */
+  async execute({ id }) {
+    const archive = await this.logArchiveRepository.findById(id);
+    if (!archive) {
+      throw new AppError("Archivo de logs no encontrado.", 404);
+    }
+    if (!archive.restoredAt) {
+      throw new AppError("El archivo no está restaurado.", 409);
+    }
+
+    const deleted = await this.logRepository.deleteByDateRange(archive.from, archive.to);
+    const updated = await this.logArchiveRepository.clearRestored(archive._id);
+
+    return { archive: updated, deleted };
+  }
+}
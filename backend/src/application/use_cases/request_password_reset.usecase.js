@@ -0,0 +1,181 @@
+// backend/src/application/use_cases/request_password_reset.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: solicitar la recuperación de contraseña ("he olvidado mi contraseña").
+// - Emite un token de un solo uso con caducidad y lo envía al email del usuario.
+// - Invalida los tokens anteriores que siguieran pendientes.
+// - El resultado es el mismo exista o no el usuario, para no revelar
+//   qué usernames están registrados.
+// - Se hace en dos pasos: `accept` limita las solicitudes por cuenta y por IP
+//   y las registra (igual exista o no la cuenta); `execute` busca al usuario
+//   y envía el correo. Los dos terminan antes de responder (en Lambda no se
+//   puede trabajar después), así que `execute` dura siempre al menos
+//   minDurationMs para que el tiempo de respuesta no delate si la cuenta existe.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const TOO_MANY_REQUESTS_MESSAGE =
+  "Demasiadas solicitudes de recuperación. Inténtalo de nuevo más tarde.";
+
+export class RequestPasswordResetUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato findByUsername
+   * @param {Object} deps.passwordResetRepository Repositorio de tokens (create, invalidateAllForUser)
+   * @param {Object} deps.passwordResetRequestRepository Repositorio de solicitudes (create, getStatsSince)
+   * @param {Object} deps.tokenService Servicio de tokens (generateOpaqueToken, hashToken)
+   * @param {Object} deps.mailer Servicio de correo con el contrato send
+   * @param {number} deps.tokenMinutes Minutos de validez del token
+   * @param {string} [deps.resetUrl] URL del formulario de reseteo; se le añade ?token=
+   * @param {Object} deps.throttlePolicy Límites de solicitudes
+   * @param {number} deps.throttlePolicy.maxPerAccount Máximo por username en la ventana
+   * @param {number} deps.throttlePolicy.maxPerIp Máximo por IP en la ventana
+   * @param {number} deps.throttlePolicy.windowMinutes Duración de la ventana
+   * @param {number} deps.minDurationMs Duración mínima de execute (igual exista o no la cuenta)
+   * @param {Function} [deps.sleep] Espera en ms (los tests la sustituyen)
+   */
+  constructor({ userRepository, passwordResetRepository, passwordResetRequestRepository, tokenService, mailer, tokenMinutes, resetUrl, throttlePolicy, minDurationMs, sleep: wait = sleep }) {
+    this.userRepository = userRepository;
+    this.passwordResetRepository = passwordResetRepository;
+    this.passwordResetRequestRepository = passwordResetRequestRepository;
+    this.tokenService = tokenService;
+    this.mailer = mailer;
+    this.tokenMinutes = tokenMinutes;
+    this.resetUrl = resetUrl;
+    this.throttlePolicy = throttlePolicy;
+    this.minDurationMs = minDurationMs;
+    this.sleep = wait;
+  }
+
+  /**
+   * Primer paso: comprueba los límites por cuenta y por
+   * IP y registra la solicitud. No consulta USER, así que tarda lo mismo
+   * exista o no la cuenta.
+   * @param {Object} params
+   * @param {string} params.username Username introducido
+   * @param {Object} [context] Datos del cliente
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   * @returns {Promise<void>}
+   * @throws {AppError} 429 (con details.retryAfter) si se supera algún límite
+   */
+  async accept({ username }, { ip, userAgent } = {}) {
+    const { maxPerAccount, maxPerIp, windowMinutes } = this.throttlePolicy;
+    const user = username.toLowerCase();
+    const since = new Date(Date.now() - windowMinutes * MINUTE_MS);
+
+    const stats = await this.passwordResetRequestRepository.getStatsSince({ user, ip }, since);
+    const exceeded = [
+      stats.user.count >= maxPerAccount ? stats.user : null,
+      ip && stats.ip.count >= maxPerIp ? stats.ip : null,
+    ].filter(Boolean);
+
+    if (exceeded.length > 0) {
+      console.warn(`[RequestPasswordResetUseCase] Límite de solicitudes superado (username "${username}", IP ${ip}).`);
+      throw new AppError(TOO_MANY_REQUESTS_MESSAGE, 429, {
+        retryAfter: this._retryAfterSeconds(exceeded, windowMinutes),
+      });
+    }
+
+    await this.passwordResetRequestRepository.create({ user, ip, userAgent });
+  }
+
+  /**
+   * Segundo paso: emite el token y envía el correo. Tarda al menos
+   * minDurationMs aunque la cuenta no exista o algo falle.
+   * Nunca lanza por usuario inexistente ni por fallo del correo: ambos casos
+   * se registran en consola.
+   * @param {Object} params
+   * @param {string} params.username Username del usuario
+   * @param {Object} [context] Datos del cliente para la auditoría
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   * @returns {Promise<void>}
+   */
+  async execute(params, context = {}) {
+    const startedAt = Date.now();
+    try {
+      await this._sendResetEmail(params, context);
+    } finally {
+      const remaining = this.minDurationMs - (Date.now() - startedAt);
+      if (remaining > 0) {
+        await this.sleep(remaining);
+      }
+    }
+  }
+
+  /**
+   * Busca al usuario, emite el token y envía el correo.
+   * @private
+   */
+  async _sendResetEmail({ username }, { ip, userAgent }) {
+    const user = await this.userRepository.findByUsername(username);
+
+    if (!user || user.disabled === true || !user.email) {
+      console.warn(`[RequestPasswordResetUseCase] Solicitud ignorada para "${username}" (inexistente, deshabilitado o sin email).`);
+      return;
+    }
+    if (user.passwordLoginEnabled === false) {
+      console.warn(`[RequestPasswordResetUseCase] Solicitud ignorada para "${username}" (solo accede con Google).`);
+      return;
+    }
+
+    const token = this.tokenService.generateOpaqueToken();
+
+    await this.passwordResetRepository.invalidateAllForUser(user.code);
+    await this.passwordResetRepository.create({
+      code: user.code,
+      tokenHash: this.tokenService.hashToken(token),
+      expiresAt: new Date(Date.now() + this.tokenMinutes * MINUTE_MS),
+      ip,
+      userAgent,
+    });
+
+    try {
+      await this.mailer.send(this._buildMessage(user, token));
+    } catch (error) {
+      console.error(`[RequestPasswordResetUseCase] No se pudo enviar el correo a "${user.user}":`, error.message);
+    }
+  }
+
+  /**
+   * Segundos hasta que la solicitud más antigua de los límites superados
+   * sale de la ventana.
+   * @private
+   */
+  _retryAfterSeconds(exceeded, windowMinutes) {
+    const releaseAt = Math.max(...exceeded.map(({ oldestAt }) =>
+      (oldestAt ? oldestAt.getTime() : Date.now()) + windowMinutes * MINUTE_MS));
+    return Math.max(1, Math.ceil((releaseAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Compone el correo de recuperación.
+   * @private
+   */
+  _buildMessage(user, token) {
+    const link = this.resetUrl
+      ? `${this.resetUrl}${this.resetUrl.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`
+      : null;
+
+    const lines = [
+      `Hola ${user.full_name},`,
+      "",
+      "Hemos recibido una solicitud para restablecer tu contraseña de GIMAR.",
+      link ? `Abre este enlace para elegir una nueva: ${link}` : `Tu código de recuperación es: ${token}`,
+      "",
+      `El ${link ? "enlace" : "código"} caduca en ${this.tokenMinutes} minutos y solo puede usarse una vez.`,
+      "Si no has sido tú, ignora este correo: tu contraseña no cambiará.",
+    ];
+
+    return {
+      to: user.email,
+      subject: "Recuperación de contraseña",
+      text: lines.join("\n"),
+    };
+  }
+}
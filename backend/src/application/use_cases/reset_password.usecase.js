@@ -0,0 +1,67 @@
+// backend/src/application/use_cases/reset_password.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: fijar una contraseña nueva con el token recibido por email.
+// - El token se canjea de forma atómica (un solo uso) y debe estar vigente.
+// - Desbloquea la cuenta, quita la marca de cambio obligatorio y cierra
+//   todas las sesiones abiertas.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { PASSWORD_MIN_LENGTH } from "../../domain/entities/user.entity.js";
+
+const INVALID_TOKEN_MESSAGE = "El enlace de recuperación no es válido o ha caducado.";
+
+export class ResetPasswordUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (findByCode, updateByCode)
+   * @param {Object} deps.passwordResetRepository Repositorio de tokens (consume, invalidateAllForUser)
+   * @param {Object} deps.tokenService Servicio de tokens con el contrato hashToken
+   * @param {Object} deps.passwordHasher Servicio de hash con el contrato hash
+   * @param {Object} deps.sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor({ userRepository, passwordResetRepository, tokenService, passwordHasher, sessionService }) {
+    this.userRepository = userRepository;
+    this.passwordResetRepository = passwordResetRepository;
+    this.tokenService = tokenService;
+    this.passwordHasher = passwordHasher;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el reseteo.
+   * @param {Object} params
+   * @param {string} params.token Token recibido por email
+   * @param {string} params.newPassword Contraseña nueva
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 si la contraseña no es válida o el token no es válido, está usado o ha caducado
+   */
+  async execute({ token, newPassword }) {
+    if (typeof newPassword !== "string" || newPassword.length < PASSWORD_MIN_LENGTH) {
+      throw new AppError(`La contraseña nueva debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`, 400);
+    }
+    if (typeof token !== "string" || token.length === 0) {
+      throw new AppError(INVALID_TOKEN_MESSAGE, 400);
+    }
+
+    const reset = await this.passwordResetRepository.consume(this.tokenService.hashToken(token));
+    if (!reset) {
+      throw new AppError(INVALID_TOKEN_MESSAGE, 400);
+    }
+
+    const user = await this.userRepository.findByCode(reset.code);
+    if (!user || user.disabled === true) {
+      throw new AppError(INVALID_TOKEN_MESSAGE, 400);
+    }
+
+    await this.userRepository.updateByCode(reset.code, {
+      password: await this.passwordHasher.hash(newPassword),
+      mustChangePassword: false,
+      failedLoginCount: 0,
+      lockedUntil: null,
+    });
+
+    await this.passwordResetRepository.invalidateAllForUser(reset.code);
+    await this.sessionService.revokeAllForUser(reset.code, "password_reset");
+  }
+}
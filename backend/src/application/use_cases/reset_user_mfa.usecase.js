@@ -0,0 +1,42 @@
+// backend/src/application/use_cases/reset_user_mfa.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: quitar la verificación en dos pasos de un usuario que ha
+// perdido su dispositivo y sus códigos de recuperación (admin).
+// Revoca sus sesiones; si la política le exige 2FA, tendrá que darlo de alta
+// de nuevo en su siguiente login.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class ResetUserMfaUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} deps.mfaService Servicio de 2FA con el contrato disable
+   * @param {Object} deps.sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor({ userRepository, mfaService, sessionService }) {
+    this.userRepository = userRepository;
+    this.mfaService = mfaService;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @returns {Promise<{user: string}>} Username afectado
+   * @throws {AppError} 404 si el usuario no existe
+   */
+  async execute({ code }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    await this.mfaService.disable(user);
+    await this.sessionService.revokeAllForUser(code, "mfa_reset");
+
+    return { user: user.user };
+  }
+}
@@ -0,0 +1,50 @@
+// backend/src/application/use_cases/reset_user_password.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: forzar el reseteo de contraseña de un usuario (admin).
+// - Genera una contraseña temporal (se devuelve una única vez).
+// - Obliga al usuario a cambiarla en su siguiente acceso.
+// - Desbloquea la cuenta y revoca todas sus sesiones abiertas.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class ResetUserPasswordUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato updateByCode
+   * @param {Object} deps.passwordHasher Servicio de hash (hash, generateRandomPassword)
+   * @param {Object} deps.sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor({ userRepository, passwordHasher, sessionService }) {
+    this.userRepository = userRepository;
+    this.passwordHasher = passwordHasher;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el reseteo.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @returns {Promise<{user: Object, temporaryPassword: string}>} Usuario (DTO) y contraseña temporal
+   * @throws {AppError} 404 si el usuario no existe
+   */
+  async execute({ code }) {
+    const temporaryPassword = this.passwordHasher.generateRandomPassword();
+
+    const updated = await this.userRepository.updateByCode(code, {
+      password: await this.passwordHasher.hash(temporaryPassword),
+      mustChangePassword: true,
+      failedLoginCount: 0,
+      lockedUntil: null,
+    });
+
+    if (!updated) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    await this.sessionService.revokeAllForUser(code, "password_reset");
+
+    return { user: toUserDTO(updated), temporaryPassword };
+  }
+}
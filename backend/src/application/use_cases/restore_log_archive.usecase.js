@@ -0,0 +1,121 @@
+// backend/src/application/use_cases/restore_log_archive.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: restaurar un archivo mensual de logs en LOG_USER (admin).
+// Lee el archivo de Drive en streaming (descarga → gunzip → líneas) y vuelve
+// a insertar sus logs por lotes con el mismo _id, de modo que se pueden
+// consultar, filtrar y exportar como el resto. Repetir la restauración (o
+// reintentarla tras un fallo a medias) no duplica logs.
+// Admite el formato actual (.ndjson.gz: cabecera y un log por línea) y el de
+// los primeros archivos (.json.gz: un único JSON con la lista "logs").
+// El mes queda marcado como restaurado: el archivado automático no lo toca
+// hasta que se libere (ReleaseLogArchiveUseCase).
+// -----------------------------------------------------------------------------
+
+import { pipeline } from "stream";
+import { createGunzip } from "zlib";
+import { AppError } from "../../domain/errors/app.error.js";
+
+const BATCH_SIZE = 500;
+
+export class RestoreLogArchiveUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.logRepository Contrato insertManyPreservingIds
+   * @param {Object} deps.logArchiveRepository Contrato findById, markRestored
+   * @param {Object} deps.driveRepository Contrato downloadFileStream
+   */
+  constructor({ logRepository, logArchiveRepository, driveRepository }) {
+    this.logRepository = logRepository;
+    this.logArchiveRepository = logArchiveRepository;
+    this.driveRepository = driveRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.id _id del archivo (LOG_ARCHIVE)
+   * @returns {Promise<{archive: Object, restored: number}>} Archivo actualizado y logs insertados
+   * @throws {AppError} 404 si el archivo no existe; 422 si su contenido no es válido
+   */
+  async execute({ id }) {
+    const archive = await this.logArchiveRepository.findById(id);
+    if (!archive) {
+      throw new AppError("Archivo de logs no encontrado.", 404);
+    }
+
+    let read = 0;
+    let restored = 0;
+    let batch = [];
+    const flush = async () => {
+      // _id y date vienen como texto: el repositorio los convierte según el esquema
+      restored += await this.logRepository.insertManyPreservingIds(batch);
+      batch = [];
+    };
+
+    for await (const log of this._readLogs(archive)) {
+      batch.push(log);
+      read++;
+      if (batch.length === BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    const updated = await this.logArchiveRepository.markRestored(archive._id, read);
+
+    return { archive: updated, restored };
+  }
+
+  /**
+   * Logs del archivo, según se descargan y descomprimen.
+   * @private
+   * @throws {AppError} 422 si no es un gzip válido, alguna línea no es JSON o falta la cabecera
+   */
+  async *_readLogs(archive) {
+    const { stream } = await this.driveRepository.downloadFileStream(archive.fileId);
+    const invalid = () => new AppError(`El archivo "${archive.fileName}" no es un JSON comprimido válido.`, 422);
+    const parse = (line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw invalid();
+      }
+    };
+
+    let header = null;
+    try {
+      for await (const line of this._readLines(stream)) {
+        if (!line) continue;
+        if (header) {
+          yield parse(line);
+          continue;
+        }
+
+        header = parse(line);
+        // Formato antiguo: todo el mes en un solo JSON
+        if (Array.isArray(header.logs)) yield* header.logs;
+        else if (!header.month) break;
+      }
+    } catch (error) {
+      throw error instanceof AppError ? error : invalid();
+    }
+
+    if (!header?.month && !Array.isArray(header?.logs)) {
+      throw new AppError(`El archivo "${archive.fileName}" no contiene logs.`, 422);
+    }
+  }
+
+  /**
+   * Líneas del contenido descomprimido, según llegan.
+   * @private
+   */
+  async *_readLines(stream) {
+    const text = pipeline(stream, createGunzip(), () => {});
+    text.setEncoding("utf8");
+
+    let pending = "";
+    for await (const chunk of text) {
+      const lines = (pending + chunk).split("\n");
+      pending = lines.pop();
+      yield* lines;
+    }
+    if (pending) yield pending;
+  }
+}
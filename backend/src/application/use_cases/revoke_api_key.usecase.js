@@ -0,0 +1,37 @@
+// backend/src/application/use_cases/revoke_api_key.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: revocar una API key (admin). Deja de autenticar de inmediato;
+// el documento se conserva para la auditoría de su uso.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toApiKeyDTO } from "../dto/api_key.dto.js";
+
+export class RevokeApiKeyUseCase {
+  /**
+   * @param {Object} apiKeyRepository Repositorio de API keys (findById, revokeById)
+   */
+  constructor(apiKeyRepository) {
+    this.apiKeyRepository = apiKeyRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.id _id de la API key
+   * @returns {Promise<Object>} API key revocada (DTO)
+   * @throws {AppError} 404 si no existe; 409 si ya estaba revocada
+   */
+  async execute({ id }) {
+    const revoked = await this.apiKeyRepository.revokeById(id);
+
+    if (!revoked) {
+      const current = await this.apiKeyRepository.findById(id);
+      if (!current) {
+        throw new AppError("API key no encontrada.", 404);
+      }
+      throw new AppError("La API key ya estaba revocada.", 409);
+    }
+
+    return toApiKeyDTO(revoked);
+  }
+}
@@ -0,0 +1,36 @@
+// backend/src/application/use_cases/revoke_user_sessions.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: revocar todas las sesiones de un usuario (acción de admin).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class RevokeUserSessionsUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor(userRepository, sessionService) {
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta la revocación.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @returns {Promise<{user: string, revoked: number}>} Username y número de sesiones revocadas
+   * @throws {AppError} 404 si el usuario no existe
+   */
+  async execute({ code }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    const revoked = await this.sessionService.revokeAllForUser(user.code, "admin_revoke");
+
+    return { user: user.user, revoked };
+  }
+}
@@ -0,0 +1,46 @@
+// backend/src/application/use_cases/set_user_disabled.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: deshabilitar o rehabilitar una cuenta (admin).
+// Al deshabilitar se revocan todas las sesiones abiertas del usuario.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class SetUserDisabledUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato updateByCode
+   * @param {Object} sessionService Servicio de sesiones con el contrato revokeAllForUser
+   */
+  constructor(userRepository, sessionService) {
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Ejecuta el cambio de estado.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @param {boolean} params.disabled true para deshabilitar, false para rehabilitar
+   * @param {number} [params.actorCode] Código del admin que ejecuta la acción
+   * @returns {Promise<Object>} Usuario actualizado (DTO)
+   * @throws {AppError} 400 si un admin intenta deshabilitarse a sí mismo; 404 si no existe
+   */
+  async execute({ code, disabled, actorCode }) {
+    if (disabled && code === actorCode) {
+      throw new AppError("No puedes deshabilitar tu propia cuenta.", 400);
+    }
+
+    const updated = await this.userRepository.updateByCode(code, { disabled });
+
+    if (!updated) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    if (disabled) {
+      await this.sessionService.revokeAllForUser(code, "user_disabled");
+    }
+
+    return toUserDTO(updated);
+  }
+}
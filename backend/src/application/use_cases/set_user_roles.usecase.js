@@ -0,0 +1,53 @@
+// backend/src/application/use_cases/set_user_roles.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: asignar la lista completa de roles de un usuario (admin).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { ADMIN_ROLE_KEY } from "../../domain/entities/role.entity.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class SetUserRolesUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios con el contrato updateByCode
+   * @param {Object} deps.permissionService Servicio de permisos (assertValidAssignments, resolve)
+   */
+  constructor({ userRepository, permissionService }) {
+    this.userRepository = userRepository;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * Ejecuta la asignación (sustituye los roles anteriores).
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @param {string[]} params.roles Claves de rol
+   * @param {number} [params.actorCode] Código del admin que ejecuta la acción
+   * @returns {Promise<Object>} Usuario actualizado (DTO) con sus permisos efectivos
+   * @throws {AppError} 400 si algún rol no existe o un admin se quita a sí mismo
+   *                    el rol de administración; 404 si el usuario no existe
+   */
+  async execute({ code, roles, actorCode }) {
+    if (!Array.isArray(roles)) {
+      throw new AppError("roles debe ser una lista de claves de rol.", 400);
+    }
+
+    await this.permissionService.assertValidAssignments({ roles });
+
+    if (code === actorCode && !roles.includes(ADMIN_ROLE_KEY)) {
+      throw new AppError("No puedes quitarte tu propio rol de administración.", 400);
+    }
+
+    const updated = await this.userRepository.updateByCode(code, { roles: [...new Set(roles)] });
+
+    if (!updated) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    return {
+      ...toUserDTO(updated),
+      effective: await this.permissionService.resolve(updated),
+    };
+  }
+}
@@ -0,0 +1,34 @@
+// backend/src/application/use_cases/setup_mfa.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: el usuario autenticado inicia el alta de la verificación en
+// dos pasos (genera la semilla TOTP y la URI del QR).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class SetupMfaUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato findByCode
+   * @param {Object} mfaService Servicio de 2FA con el contrato beginEnrollment
+   */
+  constructor(userRepository, mfaService) {
+    this.userRepository = userRepository;
+    this.mfaService = mfaService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario autenticado
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   * @throws {AppError} 401 si el usuario no existe; 409 si ya tiene 2FA activo
+   */
+  async execute({ code }) {
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario del token no encontrado.", 401);
+    }
+
+    return await this.mfaService.beginEnrollment(user);
+  }
+}
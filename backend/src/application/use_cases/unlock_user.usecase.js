@@ -0,0 +1,32 @@
+// backend/src/application/use_cases/unlock_user.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: desbloquear una cuenta bloqueada por intentos fallidos (admin).
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class UnlockUserUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato resetFailedLogins
+   */
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Ejecuta el desbloqueo: reinicia el contador de fallos y elimina lockedUntil.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @returns {Promise<{user: string}>} Username desbloqueado
+   * @throws {AppError} 404 si el usuario no existe
+   */
+  async execute({ code }) {
+    const user = await this.userRepository.resetFailedLogins({ code });
+
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    return { user: user.user };
+  }
+}
@@ -0,0 +1,101 @@
+// backend/src/application/use_cases/update_api_key.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: editar nombre, scopes y/o caducidad de una API key (admin).
+// La key en sí no cambia; para sustituirla se crea otra y se revoca esta.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toApiKeyDTO } from "../dto/api_key.dto.js";
+
+/**
+ * Valida y normaliza los campos editables de una API key. Solo tiene en
+ * cuenta los campos presentes (distintos de undefined).
+ * @param {Object} fields { name?, scopes?, expiresAt? }
+ * @param {Object} featureRegistry Registro de funcionalidades con el contrato unknown
+ * @returns {Object} Campos normalizados (expiresAt como Date o null)
+ * @throws {AppError} 400 con la lista de errores
+ */
+export function validateApiKeyChanges({ name, scopes, expiresAt }, featureRegistry) {
+  const errors = [];
+  const changes = {};
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || name.trim().length === 0) {
+      errors.push("El nombre de la API key es obligatorio");
+    } else {
+      changes.name = name.trim();
+    }
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => typeof scope !== "string")) {
+      errors.push("scopes debe ser una lista no vacía de funcionalidades");
+    } else {
+      const unknown = featureRegistry.unknown(scopes);
+      if (unknown.length > 0) {
+        errors.push(`Funcionalidades desconocidas: ${unknown.join(", ")}`);
+      } else {
+        changes.scopes = [...new Set(scopes)];
+      }
+    }
+  }
+
+  if (expiresAt !== undefined) {
+    const date = expiresAt === null ? null : new Date(expiresAt);
+    if (date !== null && (typeof expiresAt !== "string" || Number.isNaN(date.getTime()))) {
+      errors.push("expiresAt debe ser una fecha ISO 8601 o null");
+    } else if (date !== null && date <= new Date()) {
+      errors.push("expiresAt debe ser una fecha futura");
+    } else {
+      changes.expiresAt = date;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join(", "), 400);
+  }
+
+  return changes;
+}
+
+export class UpdateApiKeyUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.apiKeyRepository Repositorio de API keys (findById, updateById)
+   * @param {Object} deps.featureRegistry Registro de funcionalidades con el contrato unknown
+   */
+  constructor({ apiKeyRepository, featureRegistry }) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.id _id de la API key
+   * @param {string} [params.name]
+   * @param {string[]} [params.scopes]
+   * @param {string|null} [params.expiresAt] null quita la caducidad
+   * @returns {Promise<Object>} API key actualizada (DTO)
+   * @throws {AppError} 400 si los datos no son válidos; 404 si no existe; 409 si está revocada
+   */
+  async execute({ id, name, scopes, expiresAt }) {
+    const changes = validateApiKeyChanges({ name, scopes, expiresAt }, this.featureRegistry);
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError("No hay cambios: indica name, scopes y/o expiresAt.", 400);
+    }
+
+    const current = await this.apiKeyRepository.findById(id);
+
+    if (!current) {
+      throw new AppError("API key no encontrada.", 404);
+    }
+    if (current.revokedAt) {
+      throw new AppError("La API key está revocada y no se puede editar.", 409);
+    }
+
+    const updated = await this.apiKeyRepository.updateById(id, changes);
+
+    return toApiKeyDTO(updated);
+  }
+}
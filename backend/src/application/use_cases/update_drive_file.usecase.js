@@ -0,0 +1,209 @@
+// backend/src/application/use_cases/update_drive_file.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: corregir un documento subido a Drive sin entrar en Drive.
+// - rename: cambia el nombre.
+// - move: lo lleva a otra carpeta de drive-ids.json (ej: un Intrastat de
+//   COMPRA subido como VENTA). Sin targetFolderId se mantiene la misma
+//   ruta de subcarpetas (día, año/mes...) bajo la carpeta destino, creándola
+//   si hace falta. Si las dos carpetas tienen distinta política de
+//   compartición, se le aplica la del destino.
+// - trash / restore: lo manda a la papelera o lo recupera.
+// Hace falta la funcionalidad de la carpeta en la que está el archivo y, al
+// mover, también la de la carpeta destino (fuera de drive-ids.json, solo
+// admin). Solo archivos: las carpetas y las raíces de drive-ids.json no se
+// tocan desde aquí.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { DRIVE_FOLDER_MIME_TYPE, canAccessDriveFolder } from "../../domain/entities/drive_folder.entity.js";
+import { DRIVE_FOLDER_PROBLEMS, folderProblem } from "../../domain/entities/drive_manifest.entity.js";
+import { diffSharing, sameSharingPolicy } from "../../domain/entities/drive_sharing.entity.js";
+
+const OPERATIONS = ["rename", "move", "trash", "restore"];
+
+// Profundidad máxima al subir desde la carpeta del archivo hasta la raíz de su clave
+const MAX_DEPTH = 20;
+
+export class UpdateDriveFileUseCase {
+  /**
+   * @param {Object} driveRepository Repositorio de Drive con el contrato getFileMetadata, getFolderStatus, getFolderIdByKey,
+   *   getFolderKeyById, resolveFolderKey, ensureFolder, moveFile, updateFileMetadata, getSharingPolicy, listPermissions,
+   *   createPermission, deletePermission
+   */
+  constructor(driveRepository) {
+    this.driveRepository = driveRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.fileId ID del archivo en Drive
+   * @param {string} params.operation rename | move | trash | restore
+   * @param {string} [params.name] Nombre nuevo (rename)
+   * @param {string} [params.targetKey] Clave de drive-ids.json destino (move)
+   * @param {string} [params.targetFolderId] Subcarpeta destino dentro de targetKey (move; opcional)
+   * @param {{isAdmin: boolean, features: string[]}} params.permissions Permisos efectivos (req.permissions)
+   * @returns {Promise<Object>} { operation, file: { id, name, mimeType, parentId, trashed }, from: { key, folderId, name },
+   *   to: { key, folderId, name }, sharing } (sharing solo al mover entre políticas distintas:
+   *   { policy, added, removed } o { policy, error })
+   * @throws {AppError} 400 si la operación o sus datos no son válidos o es una carpeta; 403 sin permiso sobre
+   *   la carpeta de origen o destino; 404 si la clave o carpeta destino no existe; 409 si ya está (o no) en la papelera
+   */
+  async execute({ fileId, operation, name, targetKey, targetFolderId, permissions }) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new AppError(`Operación no válida. Debe ser una de: ${OPERATIONS.join(", ")}.`, 400);
+    }
+    if (this.driveRepository.getFolderKeyById(fileId)) {
+      throw new AppError(`"${fileId}" es una carpeta de drive-ids.json; no se puede modificar desde aquí.`, 400);
+    }
+
+    const file = await this.driveRepository.getFileMetadata(fileId);
+    if (file.mimeType === DRIVE_FOLDER_MIME_TYPE) {
+      throw new AppError(`"${file.name}" es una carpeta; solo se pueden modificar archivos.`, 400);
+    }
+
+    const parentId = file.parents?.[0] ?? null;
+    const sourceKey = parentId ? await this.driveRepository.resolveFolderKey(parentId) : null;
+    if (!canAccessDriveFolder(sourceKey, permissions)) {
+      throw new AppError("No tienes permiso para modificar este archivo.", 403);
+    }
+
+    const from = { key: sourceKey, folderId: parentId, name: file.name };
+    let updated;
+    let to = from;
+    let sharing = null;
+
+    switch (operation) {
+      case "rename": {
+        const newName = typeof name === "string" ? name.trim() : "";
+        if (!newName) throw new AppError('Falta el nombre nuevo ("name").', 400);
+
+        updated = await this.driveRepository.updateFileMetadata(fileId, { name: newName });
+        to = { ...from, name: updated.name };
+        break;
+      }
+      case "trash":
+      case "restore": {
+        const trashed = operation === "trash";
+        if (Boolean(file.trashed) === trashed) {
+          throw new AppError(`"${file.name}" ${trashed ? "ya está" : "no está"} en la papelera.`, 409);
+        }
+        updated = await this.driveRepository.updateFileMetadata(fileId, { trashed });
+        break;
+      }
+      case "move": {
+        if (file.trashed) {
+          throw new AppError(`"${file.name}" está en la papelera; restáuralo antes de moverlo.`, 409);
+        }
+        const destinationId = await this._destination({ parentId, sourceKey, targetKey, targetFolderId, permissions });
+        if (destinationId === parentId) {
+          throw new AppError(`"${file.name}" ya está en esa carpeta.`, 400);
+        }
+
+        await this.driveRepository.moveFile(fileId, parentId, destinationId);
+        updated = await this.driveRepository.getFileMetadata(fileId);
+        to = { key: targetKey, folderId: destinationId, name: updated.name };
+        sharing = await this._syncSharing(file, sourceKey, targetKey);
+        break;
+      }
+    }
+
+    return {
+      operation,
+      file: {
+        id: updated.id,
+        name: updated.name,
+        mimeType: updated.mimeType,
+        parentId: updated.parents?.[0] ?? null,
+        trashed: Boolean(updated.trashed),
+      },
+      from,
+      to,
+      sharing,
+    };
+  }
+
+  /**
+   * Carpeta destino de un move: targetFolderId (dentro de targetKey) o la
+   * misma ruta de subcarpetas que tenía bajo su clave de origen.
+   * @private
+   * @returns {Promise<string>} ID de la carpeta destino
+   */
+  async _destination({ parentId, sourceKey, targetKey, targetFolderId, permissions }) {
+    if (!targetKey) throw new AppError('Falta la carpeta destino ("targetKey").', 400);
+
+    const targetRootId = this.driveRepository.getFolderIdByKey(targetKey);
+    if (!targetRootId) {
+      throw new AppError(`La carpeta "${targetKey}" no está configurada en drive-ids.json.`, 404);
+    }
+    if (!canAccessDriveFolder(targetKey, permissions)) {
+      throw new AppError(`No tienes permiso para mover archivos a "${targetKey}".`, 403);
+    }
+
+    if (targetFolderId) {
+      const problem = folderProblem(await this.driveRepository.getFolderStatus(targetFolderId));
+      if (problem) {
+        const status = problem === "not_folder" ? 400 : 404;
+        throw new AppError(`La carpeta destino "${targetFolderId}" ${DRIVE_FOLDER_PROBLEMS[problem]}.`, status);
+      }
+      if (await this.driveRepository.resolveFolderKey(targetFolderId) !== targetKey) {
+        throw new AppError(`La carpeta "${targetFolderId}" no está dentro de "${targetKey}".`, 400);
+      }
+      return targetFolderId;
+    }
+
+    const path = sourceKey ? await this._relativePath(this.driveRepository.getFolderIdByKey(sourceKey), parentId) : [];
+    let destinationId = targetRootId;
+    for (const folderName of path) {
+      destinationId = await this.driveRepository.ensureFolder(folderName, destinationId);
+    }
+    return destinationId;
+  }
+
+  /**
+   * Nombres de las subcarpetas entre la raíz de la clave (excluida) y
+   * folderId (incluida). Vacío si folderId es la raíz o no se llega a ella.
+   * @private
+   * @returns {Promise<string[]>}
+   */
+  async _relativePath(rootId, folderId) {
+    const names = [];
+    let currentId = folderId;
+
+    for (let depth = 0; depth <= MAX_DEPTH && currentId; depth++) {
+      if (currentId === rootId) return names;
+
+      const meta = await this.driveRepository.getFileMetadata(currentId);
+      names.unshift(meta.name);
+      currentId = meta.parents?.[0];
+    }
+    return [];
+  }
+
+  /**
+   * Ajusta los permisos del archivo a la política de la carpeta destino si
+   * es distinta de la de origen. El archivo ya está movido: un fallo aquí se
+   * devuelve en el resultado (se puede corregir con `npm run drive:sharing`).
+   * @private
+   * @returns {Promise<Object|null>} { policy, added, removed } | { policy, error } | null si la política no cambia
+   */
+  async _syncSharing(file, sourceKey, targetKey) {
+    const policy = this.driveRepository.getSharingPolicy(targetKey);
+    if (sameSharingPolicy(policy, this.driveRepository.getSharingPolicy(sourceKey))) return null;
+
+    try {
+      const permissions = await this.driveRepository.listPermissions(file.id);
+      const { add, remove } = diffSharing(policy, permissions, { createdTime: file.createdTime });
+
+      for (const permission of remove) {
+        await this.driveRepository.deletePermission(file.id, permission.id);
+      }
+      for (const permission of add) {
+        await this.driveRepository.createPermission(file.id, permission);
+      }
+      return { policy: policy.type, added: add.length, removed: remove.length };
+    } catch (error) {
+      console.error(`[UpdateDriveFileUseCase] No se pudo aplicar la política de "${targetKey}" a ${file.id}:`, error.message);
+      return { policy: policy.type, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,59 @@
+// backend/src/application/use_cases/update_mfa_policy.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: fijar la política de verificación en dos pasos (admin).
+// - requiredFeatures: funcionalidades cuyo acceso exige 2FA.
+// - requireForAdmins: exigir 2FA a los administradores.
+// Los usuarios afectados sin 2FA deberán darlo de alta en su siguiente login.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class UpdateMfaPolicyUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.mfaService Servicio de 2FA (getPolicy, savePolicy)
+   * @param {Object} deps.featureRegistry Registro de funcionalidades con el contrato unknown
+   */
+  constructor({ mfaService, featureRegistry }) {
+    this.mfaService = mfaService;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string[]} [params.requiredFeatures]
+   * @param {boolean} [params.requireForAdmins]
+   * @param {number} [params.actorCode] Admin que hace el cambio
+   * @returns {Promise<{requireForAdmins: boolean, requiredFeatures: string[]}>} Política resultante
+   * @throws {AppError} 400 si los datos no son válidos
+   */
+  async execute({ requiredFeatures, requireForAdmins, actorCode }) {
+    const errors = [];
+
+    if (requiredFeatures !== undefined) {
+      if (!Array.isArray(requiredFeatures) || requiredFeatures.some((feature) => typeof feature !== "string")) {
+        errors.push("requiredFeatures debe ser una lista de funcionalidades");
+      } else {
+        const unknown = this.featureRegistry.unknown(requiredFeatures);
+        if (unknown.length > 0) {
+          errors.push(`Funcionalidades desconocidas: ${unknown.join(", ")}`);
+        }
+      }
+    }
+    if (requireForAdmins !== undefined && typeof requireForAdmins !== "boolean") {
+      errors.push("requireForAdmins debe ser booleano");
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    const current = await this.mfaService.getPolicy();
+    const policy = {
+      requireForAdmins: requireForAdmins ?? current.requireForAdmins,
+      requiredFeatures: requiredFeatures ? [...new Set(requiredFeatures)] : current.requiredFeatures,
+    };
+
+    return await this.mfaService.savePolicy(policy, actorCode);
+  }
+}
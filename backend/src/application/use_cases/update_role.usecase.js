@@ -0,0 +1,78 @@
+// backend/src/application/use_cases/update_role.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: editar nombre, descripción o funcionalidades de un rol (admin).
+// La clave y el flag isAdmin no son editables.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+
+export class UpdateRoleUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.roleRepository Repositorio de roles con el contrato updateByKey
+   * @param {Object} deps.featureRegistry Registro de funcionalidades con el contrato unknown
+   */
+  constructor({ roleRepository, featureRegistry }) {
+    this.roleRepository = roleRepository;
+    this.featureRegistry = featureRegistry;
+  }
+
+  /**
+   * Ejecuta la edición.
+   * @param {Object} params
+   * @param {string} params.key Clave del rol
+   * @param {string} [params.name]
+   * @param {string} [params.description]
+   * @param {string[]} [params.features] Lista completa de funcionalidades (sustituye a la anterior)
+   * @returns {Promise<Object>} Rol actualizado
+   * @throws {AppError} 400 si no hay cambios válidos; 404 si el rol no existe
+   */
+  async execute({ key, name, description, features }) {
+    const changes = {};
+    const errors = [];
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim().length === 0) {
+        errors.push("El nombre del rol no puede estar vacío");
+      } else {
+        changes.name = name.trim();
+      }
+    }
+
+    if (description !== undefined) {
+      if (typeof description !== "string") {
+        errors.push("La descripción debe ser texto");
+      } else {
+        changes.description = description.trim();
+      }
+    }
+
+    if (features !== undefined) {
+      if (!Array.isArray(features) || features.some((feature) => typeof feature !== "string")) {
+        errors.push("features debe ser una lista de claves de funcionalidad");
+      } else {
+        const unknown = this.featureRegistry.unknown(features);
+        if (unknown.length > 0) {
+          errors.push(`Funcionalidades desconocidas: ${unknown.join(", ")}`);
+        } else {
+          changes.features = [...new Set(features)];
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new AppError("No hay campos que actualizar (name, description, features).", 400);
+    }
+
+    const updated = await this.roleRepository.updateByKey(key, changes);
+
+    if (!updated) {
+      throw new AppError("Rol no encontrado.", 404);
+    }
+
+    return updated;
+  }
+}
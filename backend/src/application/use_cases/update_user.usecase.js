@@ -0,0 +1,64 @@
+// backend/src/application/use_cases/update_user.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: editar los datos básicos de un usuario (admin).
+// Solo permite modificar full_name y email.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class UpdateUserUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios con el contrato updateByCode
+   */
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Ejecuta la edición.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @param {string} [params.full_name] Nuevo nombre completo
+   * @param {string} [params.email] Nuevo correo
+   * @returns {Promise<Object>} Usuario actualizado (DTO)
+   * @throws {AppError} 400 si no hay cambios válidos; 404 si el usuario no existe
+   */
+  async execute({ code, full_name, email }) {
+    const changes = {};
+    const errors = [];
+
+    if (full_name !== undefined) {
+      if (typeof full_name !== "string" || full_name.trim().length === 0) {
+        errors.push("El nombre completo no puede estar vacío");
+      } else {
+        changes.full_name = full_name.trim();
+      }
+    }
+
+    if (email !== undefined) {
+      if (typeof email !== "string" || !EMAIL_REGEX.test(email.trim())) {
+        errors.push("El email no es válido");
+      } else {
+        changes.email = email.trim();
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new AppError("No hay campos que actualizar (full_name, email).", 400);
+    }
+
+    const updated = await this.userRepository.updateByCode(code, changes);
+
+    if (!updated) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    return toUserDTO(updated);
+  }
+}
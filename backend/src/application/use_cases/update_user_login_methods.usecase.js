@@ -0,0 +1,76 @@
+// backend/src/application/use_cases/update_user_login_methods.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: configurar cómo puede iniciar sesión un usuario (admin).
+// - passwordLoginEnabled: false deja solo "Iniciar sesión con Google".
+// - googleLoginEnabled: false deja solo la contraseña. Al menos uno de los
+//   dos métodos tiene que quedar activo.
+// - unlinkGoogle: olvida la cuenta de Google vinculada; el siguiente login
+//   con Google vincula la cuenta que presente el mismo email.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class UpdateUserLoginMethodsUseCase {
+  /**
+   * @param {Object} userRepository Repositorio de usuarios (findByCode, updateByCode)
+   */
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @param {boolean} [params.passwordLoginEnabled]
+   * @param {boolean} [params.googleLoginEnabled]
+   * @param {boolean} [params.unlinkGoogle]
+   * @returns {Promise<Object>} Usuario actualizado (DTO)
+   * @throws {AppError} 400 si los datos no son válidos; 404 si no existe
+   */
+  async execute({ code, passwordLoginEnabled, googleLoginEnabled, unlinkGoogle }) {
+    const errors = [];
+
+    if (passwordLoginEnabled !== undefined && typeof passwordLoginEnabled !== "boolean") {
+      errors.push("passwordLoginEnabled debe ser booleano");
+    }
+    if (googleLoginEnabled !== undefined && typeof googleLoginEnabled !== "boolean") {
+      errors.push("googleLoginEnabled debe ser booleano");
+    }
+    if (unlinkGoogle !== undefined && typeof unlinkGoogle !== "boolean") {
+      errors.push("unlinkGoogle debe ser booleano");
+    }
+    if (passwordLoginEnabled === undefined && googleLoginEnabled === undefined && unlinkGoogle !== true) {
+      errors.push("No hay cambios: indica passwordLoginEnabled, googleLoginEnabled y/o unlinkGoogle");
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    const user = await this.userRepository.findByCode(code);
+
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+
+    const passwordEnabled = passwordLoginEnabled ?? user.passwordLoginEnabled !== false;
+    const googleEnabled = googleLoginEnabled ?? user.googleLoginEnabled !== false;
+
+    if (!passwordEnabled && !googleEnabled) {
+      throw new AppError("El usuario tiene que poder iniciar sesión con contraseña o con Google.", 400);
+    }
+    if (!passwordEnabled && !user.email) {
+      throw new AppError("El usuario no tiene email: no podría iniciar sesión con Google.", 400);
+    }
+
+    const changes = {};
+    if (passwordLoginEnabled !== undefined) changes.passwordLoginEnabled = passwordLoginEnabled;
+    if (googleLoginEnabled !== undefined) changes.googleLoginEnabled = googleLoginEnabled;
+    if (unlinkGoogle === true) changes.googleSub = null;
+
+    const updated = await this.userRepository.updateByCode(code, changes);
+
+    return toUserDTO(updated);
+  }
+}
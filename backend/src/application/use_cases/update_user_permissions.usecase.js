@@ -0,0 +1,64 @@
+// backend/src/application/use_cases/update_user_permissions.usecase.js
+// -----------------------------------------------------------------------------
+// Caso de uso: fijar overrides de permisos de un usuario (admin).
+// Un override concede (true) o retira (false) una funcionalidad por encima de
+// lo que den sus roles; null elimina el override. Solo se modifican las
+// funcionalidades enviadas; el resto se conserva.
+// -----------------------------------------------------------------------------
+
+import { AppError } from "../../domain/errors/app.error.js";
+import { toUserDTO } from "../dto/user.dto.js";
+
+export class UpdateUserPermissionsUseCase {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.userRepository Repositorio de usuarios (findByCode, updateByCode)
+   * @param {Object} deps.permissionService Servicio de permisos (assertValidAssignments, resolve)
+   */
+  constructor({ userRepository, permissionService }) {
+    this.userRepository = userRepository;
+    this.permissionService = permissionService;
+  }
+
+  /**
+   * Ejecuta la actualización de overrides.
+   * @param {Object} params
+   * @param {number} params.code Código del usuario
+   * @param {Object} params.permissions Mapa funcionalidad → boolean|null (ej: { intrastat: true })
+   * @returns {Promise<Object>} Usuario actualizado (DTO) con sus permisos efectivos
+   * @throws {AppError} 400 si hay funcionalidades desconocidas o valores no válidos;
+   *                    404 si no existe; 409 si el usuario no está migrado a roles
+   */
+  async execute({ code, permissions }) {
+    const entries = Object.entries(permissions || {});
+
+    if (entries.length === 0) {
+      throw new AppError("No se indicó ningún permiso a modificar.", 400);
+    }
+
+    await this.permissionService.assertValidAssignments({ permissionOverrides: permissions });
+
+    const user = await this.userRepository.findByCode(code);
+    if (!user) {
+      throw new AppError("Usuario no encontrado.", 404);
+    }
+    if (!Array.isArray(user.roles)) {
+      throw new AppError("El usuario aún no está migrado a roles (npm run migrate:roles).", 409);
+    }
+
+    // Notación de punto para no pisar el resto de overrides
+    const $set = {};
+    const $unset = {};
+    for (const [feature, value] of entries) {
+      if (value === null) $unset[`permissionOverrides.${feature}`] = "";
+      else $set[`permissionOverrides.${feature}`] = value;
+    }
+
+    const updated = await this.userRepository.updateByCode(code, { $set, $unset });
+
+    return {
+      ...toUserDTO(updated),
+      effective: await this.permissionService.resolve(updated),
+    };
+  }
+}
@@ -16,26 +16,28 @@ export class UploadExcelUseCase {
    * Ejecuta la subida de archivo Excel de prototipo.
    * - Obtiene o crea la carpeta del día actual en la carpeta padre recibida.
    * - Sube el archivo Excel manteniendo su formato original.
-   * - Configura permisos públicos de lectura.
+   * - Aplica la política de compartición de la carpeta destino (applySharingPolicy).
    * @param {Object} params
    * @param {Object} params.file Archivo subido (req.file)
    * @param {string} params.originalname Nombre original del archivo
    * @param {string} params.mimetype Tipo MIME del archivo
-   * @param {Buffer} params.buffer Buffer del archivo
+   * @param {Buffer} params.buffer Buffer del archivo (almacenamiento en memoria)
+   * @param {string} [params.filePath] Temporal en disco (almacenamiento en disco; se usa en lugar del buffer)
    * @param {string} params.parentFolderId Carpeta padre (ya resuelta por el controlador)
    * @returns {Promise<Object>} Metadatos del archivo subido
    */
-  async execute({ file, originalname, mimetype, buffer, targetFolderId }) {
+  async execute({ file, originalname, mimetype, buffer, filePath, targetFolderId }) {
     // 1. Subir el archivo Excel con su formato original
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: targetFolderId,
       mimeType: mimetype,
-      buffer: buffer,
+      buffer,
+      filePath,
     });
 
-    // 2. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 2. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, targetFolderId);
 
     return uploadedFile;
   }
@@ -44,12 +46,13 @@ export class UploadExcelUseCase {
    * Ejecuta la subida de archivo Excel de prototipo.
    * - Obtiene o crea la carpeta del día actual en la carpeta padre recibida.
    * - Sube el archivo Excel manteniendo su formato original.
-   * - Configura permisos públicos de lectura.
+   * - Aplica la política de compartición de la carpeta destino (applySharingPolicy).
    * @param {Object} params
    * @param {Object} params.file Archivo subido (req.file)
    * @param {string} params.originalname Nombre original del archivo
    * @param {string} params.mimetype Tipo MIME del archivo
-   * @param {Buffer} params.buffer Buffer del archivo
+   * @param {Buffer} params.buffer Buffer del archivo (almacenamiento en memoria)
+   * @param {string} [params.filePath] Temporal en disco (almacenamiento en disco; se usa en lugar del buffer)
    * @param {string} params.parentFolderId Carpeta padre (ya resuelta por el controlador)
    * @returns {Promise<Object>} Metadatos del archivo subido
    */
@@ -58,35 +61,26 @@ export class UploadExcelUseCase {
     originalname,
     mimetype,
     buffer,
+    filePath,
     parentFolderId,
   }) {
     // 1. Generar nombre de carpeta del día
     const folderName = this.driveRepository.generateFolderName(originalname);
 
-    // 2. Buscar carpeta del día actual
-    let targetFolderId = await this.driveRepository.findFolderByName(
-      folderName,
-      parentFolderId
-    );
-
-    // 3. Si no existe, crearla
-    if (!targetFolderId) {
-      targetFolderId = await this.driveRepository.createFolder(
-        folderName,
-        parentFolderId
-      );
-    }
+    // 2. Obtener (o crear) la carpeta del día actual
+    const targetFolderId = await this.driveRepository.ensureFolder(folderName, parentFolderId);
 
-    // 4. Subir el archivo Excel con su formato original
+    // 3. Subir el archivo Excel con su formato original
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: targetFolderId,
       mimeType: mimetype,
-      buffer: buffer,
+      buffer,
+      filePath,
     });
 
-    // 5. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 4. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, targetFolderId);
 
     return uploadedFile;
   }
@@ -96,34 +90,25 @@ export class UploadExcelUseCase {
     originalname,
     mimetype,
     buffer,
+    filePath,
     parentFolderId,
   }) {
     // 1. Generar nombre de carpeta del día
     const folderName = this.driveRepository.generateDayFolderName();
 
-    // 2. Buscar carpeta del día actual
-    let targetFolderId = await this.driveRepository.findFolderByName(
-      folderName,
-      parentFolderId
-    );
-
-    // 3. Si no existe, crearla
-    if (!targetFolderId) {
-      targetFolderId = await this.driveRepository.createFolder(
-        folderName,
-        parentFolderId
-      );
-    }
-    // 4. Subir el archivo Excel con su formato original
+    // 2. Obtener (o crear) la carpeta del día actual
+    const targetFolderId = await this.driveRepository.ensureFolder(folderName, parentFolderId);
+    // 3. Subir el archivo Excel con su formato original
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: targetFolderId,
       mimeType: mimetype,
-      buffer: buffer,
+      buffer,
+      filePath,
     });
 
-    // 5. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 4. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, targetFolderId);
 
     return uploadedFile;
   }
@@ -135,43 +120,16 @@ export class UploadExcelUseCase {
   async getOrCreateNominasFolder({ parentFolderId, mes, anio, nombre }) {
     // Carpeta año
     const folderNameAno = this.driveRepository.generateFolderName(anio);
-    let targetFolderIdAnio = await this.driveRepository.findFolderByName(
-      folderNameAno,
-      parentFolderId
-    );
-    if (!targetFolderIdAnio) {
-      targetFolderIdAnio = await this.driveRepository.createFolder(
-        folderNameAno,
-        parentFolderId
-      );
-    }
+    const targetFolderIdAnio = await this.driveRepository.ensureFolder(folderNameAno, parentFolderId);
 
     // Carpeta mes
     const folderNameMes = this.driveRepository.generateFolderName(mes);
-    let targetFolderIdMes = await this.driveRepository.findFolderByName(
-      folderNameMes,
-      targetFolderIdAnio
-    );
-    if (!targetFolderIdMes) {
-      targetFolderIdMes = await this.driveRepository.createFolder(
-        folderNameMes,
-        targetFolderIdAnio
-      );
-    }
+    const targetFolderIdMes = await this.driveRepository.ensureFolder(folderNameMes, targetFolderIdAnio);
 
     // Carpeta nombre (si existe)
     if (nombre) {
       const folderNameCarpeta = this.driveRepository.generateFolderName(nombre);
-      let targetFolderIdCarpeta = await this.driveRepository.findFolderByName(
-        folderNameCarpeta,
-        targetFolderIdMes
-      );
-      if (!targetFolderIdCarpeta) {
-        targetFolderIdCarpeta = await this.driveRepository.createFolder(
-          folderNameCarpeta,
-          targetFolderIdMes
-        );
-      }
+      const targetFolderIdCarpeta = await this.driveRepository.ensureFolder(folderNameCarpeta, targetFolderIdMes);
       return targetFolderIdCarpeta;
     }
 
@@ -185,67 +143,33 @@ export class UploadExcelUseCase {
   async getOrCreateMesAnio({ parentFolderId, mes, anio }) {
     // Carpeta año
     const folderNameAno = this.driveRepository.generateFolderName(anio);
-    let targetFolderIdAnio = await this.driveRepository.findFolderByName(
-      folderNameAno,
-      parentFolderId
-    );
-    if (!targetFolderIdAnio) {
-      targetFolderIdAnio = await this.driveRepository.createFolder(
-        folderNameAno,
-        parentFolderId
-      );
-    }
+    const targetFolderIdAnio = await this.driveRepository.ensureFolder(folderNameAno, parentFolderId);
 
     // Carpeta mes
     const folderNameMes = this.driveRepository.generateFolderName(mes);
-    let targetFolderIdMes = await this.driveRepository.findFolderByName(
-      folderNameMes,
-      targetFolderIdAnio
-    );
-    if (!targetFolderIdMes) {
-      targetFolderIdMes = await this.driveRepository.createFolder(
-        folderNameMes,
-        targetFolderIdAnio
-      );
-    }
+    const targetFolderIdMes = await this.driveRepository.ensureFolder(folderNameMes, targetFolderIdAnio);
     return targetFolderIdMes;
   }
 
   async createFolderIfNotExists({ folderName, parentFolderId }) {
     const folderName_ = this.driveRepository.generateFolderName(folderName);
 
-    // Buscamos si existe
-    let existingId = await this.driveRepository.findFolderByName(
-      folderName_,
-      parentFolderId
-    );
-
-    // Si existe, la devolvemos directamente
-    if (existingId) {
-      return existingId;
-    }
-
-    // Si NO existe, la creamos
-    const newFolder = await this.driveRepository.createFolder(
-      folderName_,
-      parentFolderId
-    );
-
-    // createFolder suele devolver un objeto o el ID, asegúrate de devolver el ID
-    return newFolder.id || newFolder;
+    // Devuelve la existente o la crea (sin duplicarla si llegan varias a la vez)
+    return this.driveRepository.ensureFolder(folderName_, parentFolderId);
   }
 
   /**
    * Sube un archivo a una carpeta ya existente.
    */
-  async uploadFileToFolder({ originalname, mimetype, buffer, folderId }) {
+  async uploadFileToFolder({ originalname, mimetype, buffer, filePath, folderId }) {
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: folderId,
       mimeType: mimetype,
-      buffer: buffer,
+      buffer,
+      filePath,
     });
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, folderId);
     return uploadedFile;
   }
 }
@@ -16,37 +16,34 @@ export class UploadImageAlertUseCase {
    * Ejecuta la subida de imagen de alerta.
    * - Obtiene o crea la carpeta del día actual.
    * - Sube el archivo manteniendo su formato original.
-   * - Configura permisos públicos de lectura.
+   * - Aplica la política de compartición de la carpeta destino (applySharingPolicy).
    * @param {Object} params
    * @param {Object} params.file Archivo subido (req.file)
    * @param {string} params.originalname Nombre original del archivo
    * @param {string} params.mimetype Tipo MIME del archivo
-   * @param {Buffer} params.buffer Buffer del archivo
+   * @param {Buffer} params.buffer Buffer del archivo (almacenamiento en memoria)
+   * @param {string} [params.filePath] Temporal en disco (almacenamiento en disco; se usa en lugar del buffer)
    * @param {string} params.parentFolderId Carpeta padre (ya resuelta por el controlador)
    * @returns {Promise<Object>} Metadatos del archivo subido
    */
-  async execute({ file, originalname, mimetype, buffer, parentFolderId }) {
+  async execute({ file, originalname, mimetype, buffer, filePath, parentFolderId }) {
     // 1. Obtener ID ID/nombre de carpeta del día
     const folderName = this.driveRepository.generateDayFolderName();
 
-    // 2. Buscar carpeta del día actual
-    let targetFolderId = await this.driveRepository.findFolderByName(folderName, parentFolderId);
+    // 2. Obtener (o crear) la carpeta del día actual
+    const targetFolderId = await this.driveRepository.ensureFolder(folderName, parentFolderId);
 
-    // 3. Si no existe, crearla
-    if (!targetFolderId) {
-      targetFolderId = await this.driveRepository.createFolder(folderName, parentFolderId);
-    }
-
-    // 4. Subir el archivo con su formato original
+    // 3. Subir el archivo con su formato original
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: targetFolderId,
       mimeType: mimetype,
-      buffer: buffer
+      buffer,
+      filePath,
     });
 
-    // 5. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 4. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, targetFolderId);
 
     return uploadedFile;
   }
@@ -2,8 +2,11 @@
 // -----------------------------------------------------------------------------
 // Caso de uso: subir archivo PDF a Google Drive en una carpeta concreta.
 // Recibe directamente el `parentFolderId` desde el controlador.
+// execute() evita duplicados silenciosos: ver drive_upload.entity.js.
 // -----------------------------------------------------------------------------
 
+import { suffixedName } from "../../domain/entities/drive_upload.entity.js";
+
 export class UploadPdfUseCase {
   /**
    * @param {Object} driveRepository Repositorio de Drive con los contratos necesarios
@@ -16,39 +19,36 @@ export class UploadPdfUseCase {
    * Ejecuta la subida de archivo PDF.
    * - Obtiene o crea la carpeta del día actual en la carpeta padre recibida.
    * - Sube el archivo PDF manteniendo su formato original.
-   * - Configura permisos públicos de lectura.
+   * - Aplica la política de compartición de la carpeta destino (applySharingPolicy).
    * @param {Object} params
    * @param {Object} params.file Archivo subido (req.file)
    * @param {string} params.originalname Nombre original del archivo
    * @param {string} params.mimetype Tipo MIME del archivo
-   * @param {Buffer} params.buffer Buffer del archivo
+   * @param {Buffer} params.buffer Buffer del archivo (almacenamiento en memoria)
+   * @param {string} [params.filePath] Temporal en disco (almacenamiento en disco; se usa en lugar del buffer)
    * @param {string} params.parentFolderId Carpeta padre (ya resuelta por el controlador)
    * @returns {Promise<Object>} Metadatos del archivo subido con targetFolderId
    */
-  async executeFolder({ file, originalname, mimetype, buffer, parentFolderId }) {
+  async executeFolder({ file, originalname, mimetype, buffer, filePath, parentFolderId }) {
     // 1. Generar nombre de carpeta del día (puedes usar la misma función que para Excel)
     const folderName = this.driveRepository.generateFolderName(originalname);
 
-    // 2. Buscar carpeta del día actual
-    let targetFolderId = await this.driveRepository.findFolderByName(folderName, parentFolderId);
-
-    // 3. Si no existe, crearla
-    if (!targetFolderId) {
-      targetFolderId = await this.driveRepository.createFolder(folderName, parentFolderId);
-    }
+    // 2. Obtener (o crear) la carpeta del día actual
+    const targetFolderId = await this.driveRepository.ensureFolder(folderName, parentFolderId);
 
-    // 4. Subir el archivo PDF con su formato original
+    // 3. Subir el archivo PDF con su formato original
     const uploadedFile = await this.driveRepository.uploadFile({
       name: originalname,
       parentId: targetFolderId,
       mimeType: mimetype,
-      buffer: buffer
+      buffer,
+      filePath,
     });
 
-    // 5. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 4. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, targetFolderId);
 
-    // 6. Retornar con targetFolderId y folderName para consistencia
+    // 5. Retornar con targetFolderId y folderName para consistencia
     return {
       ...uploadedFile,
       targetFolderId,
@@ -62,32 +62,79 @@ export class UploadPdfUseCase {
     // 1. Generar nombre de carpeta del día (puedes usar la misma función que para Excel)
     const folderName = this.driveRepository.generateDayFolderName();
 
-    // 2. Buscar carpeta del día actual
-    let targetFolderId = await this.driveRepository.findFolderByName(folderName, parentFolderId);
-
-    // 3. Si no existe, crearla
-    if (!targetFolderId) {
-      targetFolderId = await this.driveRepository.createFolder(folderName, parentFolderId);
-    }
+    // 2. Obtener (o crear) la carpeta del día actual
+    const targetFolderId = await this.driveRepository.ensureFolder(folderName, parentFolderId);
 
     return targetFolderId;// 5. Configurar permisos públicos
   }
 
-  async execute({ file, originalname, mimetype, buffer, parentFolderId }) {
-    // 1. Subir el archivo PDF con su formato original
+  /**
+   * Sube un PDF a la carpeta recibida. Con onConflict, comprueba antes si ya
+   * hay uno igual (mismo md5Checksum o mismo nombre) y, si lo hay, aplica:
+   * - skip: devuelve el existente sin subir nada.
+   * - revision: sube el contenido como nueva revisión del existente (si es
+   *   idéntico, no hay nada que actualizar y se aplica skip).
+   * - keep_both: lo sube como archivo nuevo con sufijo ("nombre (1).pdf").
+   * @param {Object} params
+   * @param {string} params.originalname Nombre original del archivo
+   * @param {string} params.mimetype Tipo MIME del archivo
+   * @param {Buffer} params.buffer Buffer del archivo (almacenamiento en memoria)
+   * @param {string} [params.filePath] Temporal en disco (almacenamiento en disco; se usa en lugar del buffer)
+   * @param {string} params.parentFolderId Carpeta destino (ya resuelta por el controlador)
+   * @param {string} [params.onConflict] Política si hay conflicto (UPLOAD_CONFLICT_POLICIES); sin ella no se buscan duplicados
+   * @returns {Promise<Object>} Metadatos del archivo con policy ("created" o la política aplicada)
+   *   y conflict ({ fileId, name, matchedBy } o null)
+   */
+  async execute({ file, originalname, mimetype, buffer, filePath, parentFolderId, onConflict }) {
+    // 1. Buscar un archivo igual (contenido o nombre) en la carpeta destino
+    const duplicate = onConflict
+      ? await this.driveRepository.findDuplicate({
+          parentId: parentFolderId,
+          name: originalname,
+          buffer,
+          filePath,
+        })
+      : null;
+
+    const conflict = duplicate
+      ? { fileId: duplicate.file.id, name: duplicate.file.name, matchedBy: duplicate.matchedBy }
+      : null;
+
+    // 2. Mismo contenido con revision, o skip: se devuelve el que ya estaba
+    const policy = duplicate?.matchedBy === "md5" && onConflict === "revision" ? "skip" : onConflict;
+
+    if (duplicate && policy === "skip") {
+      const { id, name, mimeType, webContentLink, webViewLink } = duplicate.file;
+      return { id, name, mimeType, webContentLink, webViewLink, policy, conflict };
+    }
+
+    // 3. Nueva revisión del existente: conserva ID, enlaces y permisos
+    if (duplicate && policy === "revision") {
+      const updatedFile = await this.driveRepository.updateFileContent({
+        fileId: duplicate.file.id,
+        mimeType: mimetype,
+        buffer,
+        filePath,
+      });
+      return { ...updatedFile, policy, conflict };
+    }
+
+    // 4. Subir el archivo PDF con su formato original (con sufijo si hay que conservar ambos)
     const uploadedFile = await this.driveRepository.uploadFile({
-      name: originalname,
+      name: duplicate ? suffixedName(originalname, duplicate.siblingNames) : originalname,
       parentId: parentFolderId,
       mimeType: mimetype,
-      buffer: buffer
+      buffer,
+      filePath,
     });
 
-    // 2. Configurar permisos públicos
-    await this.driveRepository.setPublicReadPermissions(uploadedFile.id);
+    // 5. Compartir según la política de la carpeta destino
+    await this.driveRepository.applySharingPolicy(uploadedFile.id, parentFolderId);
 
-    // 3. Retornar con targetFolderId y folderName para consistencia
     return {
       ...uploadedFile,
+      policy: duplicate ? policy : "created",
+      conflict,
     };
   }
 }
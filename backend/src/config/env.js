@@ -22,9 +22,63 @@ const config = {
   },
 
   // --- JWT ---
+  // expiration: vida del access token (8h: el frontend aún no usa /refresh).
+  // No limita la revocación: authMiddleware comprueba la sesión (claim "sid")
+  // en cada petición, así que logout, deshabilitar la cuenta o cambiar la
+  // contraseña invalidan el token en la siguiente petición.
+  // refreshExpirationDays: vida del refresh token de cada sesión.
   jwt: {
     secret: process.env.JWT_SECRET,
     expiration: process.env.JWT_EXPIRATION || '8h',
+    refreshExpirationDays: parseInt(process.env.JWT_REFRESH_EXPIRATION_DAYS, 10) || 30,
+  },
+
+  // --- Protección de login ---
+  // Tras loginMaxAttempts fallos consecutivos la cuenta se bloquea
+  // loginLockBaseMinutes, duplicándose en cada fallo extra hasta loginLockMaxMinutes.
+  security: {
+    loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    loginLockBaseMinutes: parseInt(process.env.LOGIN_LOCK_BASE_MINUTES, 10) || 5,
+    loginLockMaxMinutes: parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 24 * 60,
+  },
+
+  // --- Verificación en dos pasos (TOTP) ---
+  // issuer: nombre que muestra la app autenticadora.
+  // tokenExpiration: vida del token intermedio entre contraseña y código.
+  // encryptionKey: clave con la que se cifran las semillas en BD (si no se
+  // define se deriva de JWT_SECRET; cambiarla invalida las semillas guardadas).
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'GIMAR',
+    tokenExpiration: process.env.MFA_TOKEN_EXPIRATION || '5m',
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  },
+
+  // --- Recuperación de contraseña ---
+  // tokenMinutes: validez del enlace enviado por email.
+  // resetUrl: formulario del frontend que recibe ?token=<token>.
+  // maxPerAccount / maxPerIp: solicitudes aceptadas por username y por IP en
+  // cada ventana de windowMinutes; las siguientes reciben un 429.
+  // minResponseMs: duración mínima de la respuesta (por encima de lo que suele
+  // tardar el envío del correo) para no revelar si la cuenta existe.
+  passwordReset: {
+    tokenMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 30,
+    resetUrl: process.env.PASSWORD_RESET_URL,
+    maxPerAccount: parseInt(process.env.PASSWORD_RESET_MAX_PER_ACCOUNT, 10) || 3,
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP, 10) || 10,
+    windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES, 10) || 60,
+    minResponseMs: parseInt(process.env.PASSWORD_RESET_MIN_RESPONSE_MS, 10) || 2500,
+  },
+
+  // --- Correo (SMTP) ---
+  // Para pruebas en local puede apuntar a un servidor tipo MailHog/Mailpit
+  // (SMTP_HOST=localhost, SMTP_PORT=1025, sin usuario).
+  mail: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'GIMAR <no-reply@gimar.local>',
   },
 
   // --- Google OAuth ---
@@ -37,10 +91,49 @@ const config = {
     calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
   },
 
+  // --- Iniciar sesión con Google (OIDC) ---
+  // clientIds: client IDs OAuth cuyos ID tokens se aceptan (separados por
+  // comas; por defecto el GOOGLE_CLIENT_ID del backend).
+  // hostedDomains: dominios de Google Workspace permitidos (vacío = cualquiera).
+  // jwksUrl / issuers: emisor de los tokens; solo se cambian para apuntar a un
+  // emisor local en pruebas.
+  googleSignIn: {
+    clientIds: (process.env.GOOGLE_SIGNIN_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+      .split(',').map((id) => id.trim()).filter(Boolean),
+    hostedDomains: (process.env.GOOGLE_SIGNIN_HOSTED_DOMAINS || '')
+      .split(',').map((domain) => domain.trim()).filter(Boolean),
+    jwksUrl: process.env.GOOGLE_SIGNIN_JWKS_URL || undefined,
+    issuers: process.env.GOOGLE_SIGNIN_ISSUERS
+      ? process.env.GOOGLE_SIGNIN_ISSUERS.split(',').map((issuer) => issuer.trim())
+      : undefined,
+  },
+
+  // --- Retención de logs (LOG_USER) ---
+  // Los meses completos más antiguos que `months` se archivan en Drive
+  // (carpeta "logs_archive" de drive-ids.json) y se borran de Mongo.
+  // 0 desactiva el archivado. Se lanza con `npm run logs:archive` (cron) o
+  // desde POST /api/admin/logs/archives/run.
+  logRetention: {
+    months: Number.isInteger(parseInt(process.env.LOG_RETENTION_MONTHS, 10))
+      ? parseInt(process.env.LOG_RETENTION_MONTHS, 10)
+      : 12,
+  },
+
   // --- Google Drive ---
+  // La compartición de los archivos subidos se configura por carpeta en
+  // config/drive-sharing.json.
+  // persistFolderCache: guarda en Mongo (DRIVE_FOLDER) las carpetas del día,
+  // año, mes... ya resueltas, para no buscarlas otra vez tras un arranque en
+  // frío. DRIVE_FOLDER_CACHE_PERSIST=false la deja solo en memoria.
+  // idsPath: drive-ids.json que lee el arranque y escribe `npm run
+  // drive:provision` (por defecto, config/drive-ids.json).
+  // checkOnStartup: al arrancar se comprueban las carpetas de drive-ids.json
+  // y se informa por consola; DRIVE_CHECK_ON_STARTUP=false lo desactiva.
   drive: {
     mainFolderId: process.env.DRIVE_ID,
     idsPath: process.env.GOOGLE_DRIVE_IDS_PATH,
+    persistFolderCache: process.env.DRIVE_FOLDER_CACHE_PERSIST !== 'false',
+    checkOnStartup: process.env.DRIVE_CHECK_ON_STARTUP !== 'false',
   },
 
   // --- ERP Externo ---
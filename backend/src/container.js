@@ -21,22 +21,92 @@ import {
   getCalendar,
   bufferToStream,
 } from "./infrastructure/web/middlewares/google.middleware.js";
-import driveIds from "./config/drive-ids.json" with { type: "json" };
+import { fileURLToPath } from "url";
+import driveSharing from "./config/drive-sharing.json" with { type: "json" };
+import driveManifest from "./config/drive-manifest.json" with { type: "json" };
+import { parseSharingPolicies } from "./domain/entities/drive_sharing.entity.js";
+import { parseDriveManifest } from "./domain/entities/drive_manifest.entity.js";
+import { DriveIdsFile } from "./infrastructure/database/google/drive_ids.file.js";
+
+// --- Seguridad ---
+import { PasswordHasher } from "./infrastructure/security/password.hasher.js";
+import { TokenService } from "./infrastructure/security/token.service.js";
+import { TotpService } from "./infrastructure/security/totp.service.js";
+import { SecretCipher } from "./infrastructure/security/secret.cipher.js";
+import { GoogleIdTokenVerifier } from "./infrastructure/security/google_id_token.verifier.js";
+import { SessionService } from "./application/services/session.service.js";
+import { MfaService } from "./application/services/mfa.service.js";
+import { ApiKeyService } from "./application/services/api_key.service.js";
+import { ActivityLogService } from "./application/services/activity_log.service.js";
+import { SmtpMailer } from "./infrastructure/mail/smtp.mailer.js";
+import { FeatureRegistry } from "./application/services/feature.registry.js";
+import { PermissionService } from "./application/services/permission.service.js";
+import { BUILTIN_FEATURES } from "./domain/entities/feature.entity.js";
+import { createAuthMiddleware } from "./infrastructure/web/middlewares/auth.middleware.js";
+import { createPermissionGuards } from "./infrastructure/web/middlewares/permission.middleware.js";
 
 // --- Repositorios ---
 import { UserRepository } from "./infrastructure/database/repositories/user.repository.js";
 import { LogRepository } from "./infrastructure/database/repositories/log_user.repository.js";
+import { LogArchiveRepository } from "./infrastructure/database/repositories/log_archive.repository.js";
+import { DriveFolderRepository } from "./infrastructure/database/repositories/drive_folder.repository.js";
+import { SessionRepository } from "./infrastructure/database/repositories/session.repository.js";
+import { LoginAttemptRepository } from "./infrastructure/database/repositories/login_attempt.repository.js";
+import { PasswordResetRepository } from "./infrastructure/database/repositories/password_reset.repository.js";
+import { PasswordResetRequestRepository } from "./infrastructure/database/repositories/password_reset_request.repository.js";
+import { RoleRepository } from "./infrastructure/database/repositories/role.repository.js";
+import { SettingRepository } from "./infrastructure/database/repositories/setting.repository.js";
+import { ApiKeyRepository } from "./infrastructure/database/repositories/api_key.repository.js";
+import { ApiKeyUsageRepository } from "./infrastructure/database/repositories/api_key_usage.repository.js";
 import { ExternalAPIRepository } from "./infrastructure/database/repositories/external_api.repository.js";
 import { CalendarRepository } from "./infrastructure/database/google/calendar.repository.js";
 import { DriveRepository } from "./infrastructure/database/google/drive.repository.js";
 
 // --- Casos de uso: Auth ---
 import { LoginUseCase } from "./application/use_cases/login.usecase.js";
+import { RefreshTokenUseCase } from "./application/use_cases/refresh_token.usecase.js";
+import { LogoutUseCase } from "./application/use_cases/logout.usecase.js";
+import { ChangePasswordUseCase } from "./application/use_cases/change_password.usecase.js";
+import { RequestPasswordResetUseCase } from "./application/use_cases/request_password_reset.usecase.js";
+import { ResetPasswordUseCase } from "./application/use_cases/reset_password.usecase.js";
+import { SetupMfaUseCase } from "./application/use_cases/setup_mfa.usecase.js";
+import { EnableMfaUseCase } from "./application/use_cases/enable_mfa.usecase.js";
+import { DisableMfaUseCase } from "./application/use_cases/disable_mfa.usecase.js";
+import { RegenerateMfaRecoveryCodesUseCase } from "./application/use_cases/regenerate_mfa_recovery_codes.usecase.js";
 
 // --- Casos de uso: Admin ---
 import { GetAllUsersUseCase } from "./application/use_cases/get_all_users.usecase.js";
 import { GetAllLogsUseCase } from "./application/use_cases/get_all_logs.usecase.js";
 import { GetAllLogsFilteredUseCase } from "./application/use_cases/get_all_logs_filtered.usecase.js";
+import { ExportLogsUseCase } from "./application/use_cases/export_logs.usecase.js";
+import { GetLoginStatsUseCase } from "./application/use_cases/get_login_stats.usecase.js";
+import { ArchiveLogsUseCase } from "./application/use_cases/archive_logs.usecase.js";
+import { ListLogArchivesUseCase } from "./application/use_cases/list_log_archives.usecase.js";
+import { RestoreLogArchiveUseCase } from "./application/use_cases/restore_log_archive.usecase.js";
+import { ReleaseLogArchiveUseCase } from "./application/use_cases/release_log_archive.usecase.js";
+import { RevokeUserSessionsUseCase } from "./application/use_cases/revoke_user_sessions.usecase.js";
+import { UnlockUserUseCase } from "./application/use_cases/unlock_user.usecase.js";
+import { GetUserUseCase } from "./application/use_cases/get_user.usecase.js";
+import { CreateUserUseCase } from "./application/use_cases/create_user.usecase.js";
+import { UpdateUserUseCase } from "./application/use_cases/update_user.usecase.js";
+import { UpdateUserPermissionsUseCase } from "./application/use_cases/update_user_permissions.usecase.js";
+import { SetUserDisabledUseCase } from "./application/use_cases/set_user_disabled.usecase.js";
+import { ResetUserPasswordUseCase } from "./application/use_cases/reset_user_password.usecase.js";
+import { SetUserRolesUseCase } from "./application/use_cases/set_user_roles.usecase.js";
+import { ListFeaturesUseCase } from "./application/use_cases/list_features.usecase.js";
+import { ListRolesUseCase } from "./application/use_cases/list_roles.usecase.js";
+import { CreateRoleUseCase } from "./application/use_cases/create_role.usecase.js";
+import { UpdateRoleUseCase } from "./application/use_cases/update_role.usecase.js";
+import { DeleteRoleUseCase } from "./application/use_cases/delete_role.usecase.js";
+import { GetMfaPolicyUseCase } from "./application/use_cases/get_mfa_policy.usecase.js";
+import { UpdateMfaPolicyUseCase } from "./application/use_cases/update_mfa_policy.usecase.js";
+import { ResetUserMfaUseCase } from "./application/use_cases/reset_user_mfa.usecase.js";
+import { UpdateUserLoginMethodsUseCase } from "./application/use_cases/update_user_login_methods.usecase.js";
+import { ListApiKeysUseCase } from "./application/use_cases/list_api_keys.usecase.js";
+import { CreateApiKeyUseCase } from "./application/use_cases/create_api_key.usecase.js";
+import { UpdateApiKeyUseCase } from "./application/use_cases/update_api_key.usecase.js";
+import { RevokeApiKeyUseCase } from "./application/use_cases/revoke_api_key.usecase.js";
+import { GetApiKeyUsageUseCase } from "./application/use_cases/get_api_key_usage.usecase.js";
 
 // --- Casos de uso: External ---
 import { GetNotasProduccionUseCase } from "./application/use_cases/get_notas_produccion.usecase.js";
@@ -52,7 +122,13 @@ import { UploadImageAlertUseCase } from "./application/use_cases/upload_image_dr
 import { UploadExcelUseCase } from "./application/use_cases/upload_excel_drive.usecase.js";
 import { UploadPdfUseCase } from "./application/use_cases/upload_pdf_drive.usecase.js";
 import { CheckFolderDriveUseCase } from "./application/use_cases/check_folder_drive.usecase.js";
+import { ListDriveFolderChildrenUseCase } from "./application/use_cases/list_drive_folder_children.usecase.js";
+import { GetDriveFileContentUseCase } from "./application/use_cases/get_drive_file_content.usecase.js";
+import { UpdateDriveFileUseCase } from "./application/use_cases/update_drive_file.usecase.js";
+import { BackfillDriveSharingUseCase } from "./application/use_cases/backfill_drive_sharing.usecase.js";
 import { CreateFolderStructureDriveUseCase } from "./application/use_cases/create_folder_structure_drive.usecase.js";
+import { CheckDriveFoldersUseCase } from "./application/use_cases/check_drive_folders.usecase.js";
+import { ProvisionDriveFoldersUseCase } from "./application/use_cases/provision_drive_folders.usecase.js";
 
 // --- Controladores ---
 import { AuthController } from "./infrastructure/web/controllers/auth.controller.js";
@@ -71,7 +147,8 @@ import { createGoogleRoutes } from "./infrastructure/web/routes/google.routes.js
 /**
  * Crea y devuelve todas las dependencias de la aplicación ya conectadas.
  * Se llama una sola vez al arrancar el servidor.
- * @returns {Object} Objeto con todas las rutas listas para montar en Express.
+ * @returns {Object} Objeto con todas las rutas listas para montar en Express
+ *          (y los casos de uso que usan los comandos y el arranque).
  */
 export function createContainer() {
   // ===========================
@@ -80,25 +157,146 @@ export function createContainer() {
   // Se instancian una sola vez y se comparten entre los casos de uso que los necesiten
   const userRepository = new UserRepository();
   const logRepository = new LogRepository();
+  const logArchiveRepository = new LogArchiveRepository();
+  const sessionRepository = new SessionRepository();
+  const loginAttemptRepository = new LoginAttemptRepository();
+  const passwordResetRepository = new PasswordResetRepository();
+  const passwordResetRequestRepository = new PasswordResetRequestRepository();
+  const roleRepository = new RoleRepository();
+  const settingRepository = new SettingRepository();
+  const apiKeyRepository = new ApiKeyRepository();
+  const apiKeyUsageRepository = new ApiKeyUsageRepository();
   const externalApiRepository = new ExternalAPIRepository();
   // Calendar — recibe la instancia del cliente de Google Calendar y el ID del calendario
   const calendarRepository = new CalendarRepository({
     calendar: getCalendar(),
     calendarId: config.google.calendarId,
   });
-  // Drive — recibe la instancia del cliente de Google Drive, los IDs y el helper bufferToStream
+  // Drive — drive-ids.json se lee de GOOGLE_DRIVE_IDS_PATH (o config/) y puede
+  // estar vacío en un entorno nuevo (`npm run drive:provision` lo rellena).
+  // Las claves válidas son las del manifiesto más las de drive-ids.json.
+  const driveIdsFile = new DriveIdsFile(
+    config.drive.idsPath || fileURLToPath(new URL("./config/drive-ids.json", import.meta.url)),
+  );
+  const driveIds = driveIdsFile.read();
+  const folderManifest = parseDriveManifest(driveManifest);
+  const driveFolderKeys = [...new Set([...folderManifest.map((entry) => entry.key), ...Object.keys(driveIds)])];
+  // Recibe la instancia del cliente de Google Drive, los IDs, el helper
+  // bufferToStream, las políticas de compartición (una política mal escrita
+  // impide arrancar) y, si está activada, la caché en Mongo de carpetas resueltas
   const driveRepository = new DriveRepository({
     drive: getDrive(),
     driveIds,
     bufferToStream,
+    sharingPolicies: parseSharingPolicies(driveSharing, driveFolderKeys),
+    folderStore: config.drive.persistFolderCache ? new DriveFolderRepository() : null,
+  });
+
+  // ===========================
+  // SERVICIOS DE SEGURIDAD
+  // ===========================
+  const passwordHasher = new PasswordHasher();
+  const tokenService = new TokenService({
+    secret: config.jwt.secret,
+    accessExpiration: config.jwt.expiration,
+    mfaExpiration: config.mfa.tokenExpiration,
   });
+  const sessionService = new SessionService({
+    sessionRepository,
+    tokenService,
+    refreshExpirationDays: config.jwt.refreshExpirationDays,
+    accessExpiration: config.jwt.expiration,
+  });
+  const mailer = new SmtpMailer(config.mail);
+  const googleIdTokenVerifier = new GoogleIdTokenVerifier(config.googleSignIn);
+  const totpService = new TotpService({ issuer: config.mfa.issuer });
+  const secretCipher = new SecretCipher({ key: config.mfa.encryptionKey });
+  const mfaService = new MfaService({
+    userRepository,
+    settingRepository,
+    totpService,
+    secretCipher,
+    tokenService,
+  });
+  const apiKeyService = new ApiKeyService({
+    apiKeyRepository,
+    apiKeyUsageRepository,
+    tokenService,
+  });
+  const activityLogService = new ActivityLogService(logRepository);
+
+  // ===========================
+  // FUNCIONALIDADES Y PERMISOS
+  // ===========================
+  // Los módulos nuevos registran aquí su funcionalidad para poder asignarla
+  // a roles y protegerla con requirePermission('<clave>').
+  const featureRegistry = new FeatureRegistry();
+  BUILTIN_FEATURES.forEach((feature) => featureRegistry.register(feature));
+  const permissionService = new PermissionService({ roleRepository, featureRegistry });
 
   // ===========================
   // CASOS DE USO
   // ===========================
 
   // Auth
-  const loginUseCase = new LoginUseCase(userRepository, logRepository);
+  const loginUseCase = new LoginUseCase({
+    userRepository,
+    logRepository,
+    loginAttemptRepository,
+    passwordHasher,
+    sessionService,
+    permissionService,
+    mfaService,
+    tokenService,
+    mfaTokenExpiration: config.mfa.tokenExpiration,
+    googleIdTokenVerifier,
+    lockoutPolicy: {
+      maxAttempts: config.security.loginMaxAttempts,
+      baseLockMinutes: config.security.loginLockBaseMinutes,
+      maxLockMinutes: config.security.loginLockMaxMinutes,
+    },
+  });
+  const refreshTokenUseCase = new RefreshTokenUseCase(sessionService);
+  const logoutUseCase = new LogoutUseCase(sessionService);
+  const changePasswordUseCase = new ChangePasswordUseCase({
+    userRepository,
+    passwordHasher,
+    sessionService,
+  });
+  const requestPasswordResetUseCase = new RequestPasswordResetUseCase({
+    userRepository,
+    passwordResetRepository,
+    passwordResetRequestRepository,
+    tokenService,
+    mailer,
+    tokenMinutes: config.passwordReset.tokenMinutes,
+    resetUrl: config.passwordReset.resetUrl,
+    throttlePolicy: {
+      maxPerAccount: config.passwordReset.maxPerAccount,
+      maxPerIp: config.passwordReset.maxPerIp,
+      windowMinutes: config.passwordReset.windowMinutes,
+    },
+    minDurationMs: config.passwordReset.minResponseMs,
+  });
+  const resetPasswordUseCase = new ResetPasswordUseCase({
+    userRepository,
+    passwordResetRepository,
+    tokenService,
+    passwordHasher,
+    sessionService,
+  });
+  const setupMfaUseCase = new SetupMfaUseCase(userRepository, mfaService);
+  const enableMfaUseCase = new EnableMfaUseCase(userRepository, mfaService);
+  const disableMfaUseCase = new DisableMfaUseCase({
+    userRepository,
+    passwordHasher,
+    permissionService,
+    mfaService,
+  });
+  const regenerateMfaRecoveryCodesUseCase = new RegenerateMfaRecoveryCodesUseCase(
+    userRepository,
+    mfaService,
+  );
 
   // Admin
   const getAllUsersUseCase = new GetAllUsersUseCase(userRepository);
@@ -106,6 +304,68 @@ export function createContainer() {
   const getAllLogsFilteredUseCase = new GetAllLogsFilteredUseCase(
     logRepository,
   );
+  const exportLogsUseCase = new ExportLogsUseCase(logRepository);
+  const getLoginStatsUseCase = new GetLoginStatsUseCase(logRepository);
+  const archiveLogsUseCase = new ArchiveLogsUseCase({
+    logRepository,
+    logArchiveRepository,
+    driveRepository,
+    retentionMonths: config.logRetention.months,
+  });
+  const listLogArchivesUseCase = new ListLogArchivesUseCase(logArchiveRepository);
+  const restoreLogArchiveUseCase = new RestoreLogArchiveUseCase({
+    logRepository,
+    logArchiveRepository,
+    driveRepository,
+  });
+  const releaseLogArchiveUseCase = new ReleaseLogArchiveUseCase({
+    logRepository,
+    logArchiveRepository,
+  });
+  const revokeUserSessionsUseCase = new RevokeUserSessionsUseCase(
+    userRepository,
+    sessionService,
+  );
+  const unlockUserUseCase = new UnlockUserUseCase(userRepository);
+  const getUserUseCase = new GetUserUseCase(userRepository, permissionService);
+  const createUserUseCase = new CreateUserUseCase({
+    userRepository,
+    passwordHasher,
+    permissionService,
+  });
+  const updateUserUseCase = new UpdateUserUseCase(userRepository);
+  const updateUserPermissionsUseCase = new UpdateUserPermissionsUseCase({
+    userRepository,
+    permissionService,
+  });
+  const setUserRolesUseCase = new SetUserRolesUseCase({ userRepository, permissionService });
+  const listFeaturesUseCase = new ListFeaturesUseCase(featureRegistry);
+  const listRolesUseCase = new ListRolesUseCase(roleRepository);
+  const createRoleUseCase = new CreateRoleUseCase({ roleRepository, featureRegistry });
+  const updateRoleUseCase = new UpdateRoleUseCase({ roleRepository, featureRegistry });
+  const deleteRoleUseCase = new DeleteRoleUseCase({ roleRepository, userRepository });
+  const setUserDisabledUseCase = new SetUserDisabledUseCase(userRepository, sessionService);
+  const resetUserPasswordUseCase = new ResetUserPasswordUseCase({
+    userRepository,
+    passwordHasher,
+    sessionService,
+  });
+  const getMfaPolicyUseCase = new GetMfaPolicyUseCase(mfaService);
+  const updateMfaPolicyUseCase = new UpdateMfaPolicyUseCase({ mfaService, featureRegistry });
+  const resetUserMfaUseCase = new ResetUserMfaUseCase({
+    userRepository,
+    mfaService,
+    sessionService,
+  });
+  const updateUserLoginMethodsUseCase = new UpdateUserLoginMethodsUseCase(userRepository);
+  const listApiKeysUseCase = new ListApiKeysUseCase(apiKeyRepository);
+  const createApiKeyUseCase = new CreateApiKeyUseCase({ apiKeyService, featureRegistry });
+  const updateApiKeyUseCase = new UpdateApiKeyUseCase({ apiKeyRepository, featureRegistry });
+  const revokeApiKeyUseCase = new RevokeApiKeyUseCase(apiKeyRepository);
+  const getApiKeyUsageUseCase = new GetApiKeyUsageUseCase({
+    apiKeyRepository,
+    apiKeyUsageRepository,
+  });
 
   // External — recibe el repositorio y la config del ERP por inyección
   const getNotasProduccionUseCase = new GetNotasProduccionUseCase({
@@ -132,19 +392,81 @@ export function createContainer() {
   const uploadExcelUseCase = new UploadExcelUseCase(driveRepository);
   const uploadPdfUseCase = new UploadPdfUseCase(driveRepository);
   const checkFolderUseCase = new CheckFolderDriveUseCase(driveRepository);
+  const listDriveFolderChildrenUseCase = new ListDriveFolderChildrenUseCase(driveRepository);
+  const getDriveFileContentUseCase = new GetDriveFileContentUseCase(driveRepository);
+  const updateDriveFileUseCase = new UpdateDriveFileUseCase(driveRepository);
+  const backfillDriveSharingUseCase = new BackfillDriveSharingUseCase({
+    driveRepository,
+    folderKeys: driveFolderKeys,
+  });
+  const checkDriveFoldersUseCase = new CheckDriveFoldersUseCase({
+    driveRepository,
+    folderKeys: driveFolderKeys,
+  });
+  const provisionDriveFoldersUseCase = new ProvisionDriveFoldersUseCase({
+    driveRepository,
+    driveIdsFile,
+    manifest: folderManifest,
+    rootFolderId: config.drive.mainFolderId,
+  });
   const createFolderStructureUseCase = new CreateFolderStructureDriveUseCase(driveRepository);
 
   // ===========================
   // CONTROLADORES
   // ===========================
-  const authController = new AuthController({ loginUseCase, userRepository });
+  const authController = new AuthController({
+    loginUseCase,
+    refreshTokenUseCase,
+    logoutUseCase,
+    changePasswordUseCase,
+    requestPasswordResetUseCase,
+    resetPasswordUseCase,
+    setupMfaUseCase,
+    enableMfaUseCase,
+    disableMfaUseCase,
+    regenerateMfaRecoveryCodesUseCase,
+    userRepository,
+    permissionService,
+  });
   const adminController = new AdminController({
     getAllUsersUseCase,
     getAllLogsUseCase,
     getAllLogsFilteredUseCase,
+    revokeUserSessionsUseCase,
+    unlockUserUseCase,
+    getUserUseCase,
+    createUserUseCase,
+    updateUserUseCase,
+    updateUserPermissionsUseCase,
+    setUserDisabledUseCase,
+    resetUserPasswordUseCase,
+    setUserRolesUseCase,
+    listFeaturesUseCase,
+    listRolesUseCase,
+    createRoleUseCase,
+    updateRoleUseCase,
+    deleteRoleUseCase,
+    getMfaPolicyUseCase,
+    updateMfaPolicyUseCase,
+    resetUserMfaUseCase,
+    updateUserLoginMethodsUseCase,
+    listApiKeysUseCase,
+    createApiKeyUseCase,
+    updateApiKeyUseCase,
+    revokeApiKeyUseCase,
+    getApiKeyUsageUseCase,
+    exportLogsUseCase,
+    getLoginStatsUseCase,
+    listLogArchivesUseCase,
+    archiveLogsUseCase,
+    restoreLogArchiveUseCase,
+    releaseLogArchiveUseCase,
+    checkDriveFoldersUseCase,
+    provisionDriveFoldersUseCase,
   });
   const externalApiController = new ExternalApiController({
     getNotasProduccionUseCase,
+    activityLogService,
   });
 
   const calendarController = new CalendarController({
@@ -153,6 +475,7 @@ export function createContainer() {
     updateCalendarCommentUseCase,
     deleteCalendarCommentUseCase,
     calendarRepository,
+    activityLogService,
   });
 
   const googleController = new GoogleController({
@@ -161,18 +484,57 @@ export function createContainer() {
     uploadPdfUseCase,
     checkFolderUseCase,
     createFolderStructureUseCase,
+    listDriveFolderChildrenUseCase,
+    getDriveFileContentUseCase,
+    updateDriveFileUseCase,
     driveRepository,
     lambdaConfig: config.lambda,
+    activityLogService,
+  });
+
+  // ===========================
+  // MIDDLEWARES
+  // ===========================
+  // authMiddleware valida JWT + sesión; los guards comprueban admin o la
+  // funcionalidad de cada módulo. Todos los routers de la API los reciben.
+  // Los routers de negocio (external, calendar, google) admiten además API
+  // keys (header X-API-Key); auth y admin solo aceptan usuarios.
+  // passwordChangeAuthMiddleware deja pasar a usuarios con contraseña
+  // temporal: solo se monta en el cambio de contraseña.
+  const authMiddleware = createAuthMiddleware({ tokenService, sessionService, userRepository });
+  const passwordChangeAuthMiddleware = createAuthMiddleware({
+    tokenService,
+    sessionService,
+    userRepository,
+    allowPendingPasswordChange: true,
   });
+  const apiAuthMiddleware = createAuthMiddleware({ tokenService, sessionService, userRepository, apiKeyService });
+  const permissionGuards = createPermissionGuards({ userRepository, permissionService });
 
   // ===========================
   // RUTAS
   // ===========================
-  const authRoutes = createAuthRoutes({ authController });
-  const adminRoutes = createAdminRoutes({ adminController });
-  const externalApiRoutes = createExternalApiRoutes({ externalApiController });
-  const calendarRoutes = createCalendarRoutes({ calendarController });
-  const googleRoutes = createGoogleRoutes({ googleController });
+  const authRoutes = createAuthRoutes({ authController, authMiddleware, passwordChangeAuthMiddleware });
+  const adminRoutes = createAdminRoutes({
+    adminController,
+    authMiddleware,
+    permissionGuards,
+  });
+  const externalApiRoutes = createExternalApiRoutes({
+    externalApiController,
+    authMiddleware: apiAuthMiddleware,
+    permissionGuards,
+  });
+  const calendarRoutes = createCalendarRoutes({
+    calendarController,
+    authMiddleware: apiAuthMiddleware,
+    permissionGuards,
+  });
+  const googleRoutes = createGoogleRoutes({
+    googleController,
+    authMiddleware: apiAuthMiddleware,
+    permissionGuards,
+  });
 
   return {
     authRoutes,
@@ -180,5 +542,13 @@ export function createContainer() {
     externalApiRoutes,
     calendarRoutes,
     googleRoutes,
+    // Para el comando de retención de logs (scripts/archive_logs.js)
+    archiveLogsUseCase,
+    // Para el comando de permisos de Drive (scripts/drive_sharing_backfill.js)
+    backfillDriveSharingUseCase,
+    // Para la comprobación de carpetas al arrancar (main.routes.js) y el
+    // comando de aprovisionamiento (scripts/drive_provision.js)
+    checkDriveFoldersUseCase,
+    provisionDriveFoldersUseCase,
   };
 }
@@ -0,0 +1,36 @@
+// backend/src/domain/entities/api_key.entity.js
+
+// Representa una API key de un cliente máquina (escenarios de Make, Lambdas,
+// scripts). Sus scopes son claves de funcionalidad: dan acceso a las mismas
+// rutas que esa funcionalidad da a un usuario, nunca a /api/admin.
+// Actualmente se usa como documentación de la estructura del dominio.
+
+/**
+ * Prefijo de las API keys en claro. Permite reconocerlas en logs y en
+ * escáneres de secretos.
+ */
+export const API_KEY_PREFIX = 'gmr_';
+
+/**
+ * Header HTTP en el que los clientes envían la API key.
+ */
+export const API_KEY_HEADER = 'x-api-key';
+
+export class ApiKey {
+  constructor(name, prefix, scopes, expiresAt = null) {
+    this.name = name;
+    this.prefix = prefix;
+    this.scopes = scopes;
+    this.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * 🔗 Funciones relacionadas con ApiKey en el sistema:
+ * - infrastructure/database/models/api_key.model.js → Definición del esquema en MongoDB
+ * - infrastructure/database/models/api_key_usage.model.js → Registro de uso de cada key
+ * - infrastructure/database/repositories/api_key*.repository.js → Consultas a la DB
+ * - application/services/api_key.service.js → Emisión, autenticación y registro de uso
+ * - application/use_cases/*_api_key*.usecase.js → Gestión de API keys (admin)
+ * - web/middlewares/auth.middleware.js → Autenticación por header X-API-Key
+ */
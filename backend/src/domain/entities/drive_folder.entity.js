@@ -0,0 +1,56 @@
+// backend/src/domain/entities/drive_folder.entity.js
+
+// Carpetas de Google Drive configuradas en drive-ids.json.
+// Cada clave pertenece al módulo que sube archivos a esa carpeta; para
+// navegar por ella hace falta la funcionalidad de ese módulo.
+
+/** MIME type de las carpetas en Drive. */
+export const DRIVE_FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Funcionalidad necesaria para ver el contenido de cada carpeta de
+ * drive-ids.json. Las claves que no aparecen aquí (ej: logs_archive) solo
+ * las ven los administradores.
+ */
+export const DRIVE_FOLDER_FEATURES = {
+  imgs_alertas: 'alertas_produccion',
+  sw_prototipos: 'prototipos',
+  versace_prototipos: 'prototipos',
+  sw_pedidos: 'gestion_pedidos',
+  versace_pedidos: 'gestion_pedidos',
+  intrastat_ventas: 'intrastat',
+  intrastat_compras: 'intrastat',
+  nominas_asesorias: 'gestion_nominas',
+  nominas_nominas: 'gestion_nominas',
+  inventario: 'inventario',
+  situacion_pedidos_pdf: 'situacion_pedidos',
+  situacion_pedidos_dirma: 'situacion_pedidos',
+  situacion_pedidos_versace: 'situacion_pedidos',
+  situacion_pedidos_erp: 'situacion_pedidos',
+  situacion_pedidos_sw: 'situacion_pedidos',
+};
+
+/**
+ * ¿Puede trabajar con los archivos de esta carpeta de drive-ids.json (ver,
+ * crear carpetas, renombrar, mover...)? Los administradores, siempre; el
+ * resto, con la funcionalidad de la carpeta. Fuera de las carpetas
+ * configuradas (folderKey null), solo administradores.
+ * @param {string|null} folderKey Clave de drive-ids.json
+ * @param {{isAdmin: boolean, features: string[]}} permissions Permisos efectivos (req.permissions)
+ * @returns {boolean}
+ */
+export function canAccessDriveFolder(folderKey, permissions) {
+  if (permissions?.isAdmin) return true;
+  if (!folderKey || !Object.hasOwn(DRIVE_FOLDER_FEATURES, folderKey)) return false;
+
+  return permissions?.features?.includes(DRIVE_FOLDER_FEATURES[folderKey]) ?? false;
+}
+
+/**
+ * 🔗 Funciones relacionadas con las carpetas de Drive en el sistema:
+ * - infrastructure/database/google/drive.repository.js → IDs (drive-ids.json) y listado de hijos
+ * - application/use_cases/list_drive_folder_children.usecase.js → Navegación por carpeta
+ * - application/use_cases/get_drive_file_content.usecase.js, create_folder_structure_drive.usecase.js,
+ *   update_drive_file.usecase.js → canAccessDriveFolder
+ * - infrastructure/web/routes/google.routes.js → Guard por clave de carpeta
+ */
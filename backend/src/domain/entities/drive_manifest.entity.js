@@ -0,0 +1,65 @@
+// backend/src/domain/entities/drive_manifest.entity.js
+
+// Manifiesto de carpetas de Drive (config/drive-manifest.json): para cada
+// clave lógica de drive-ids.json, su ruta bajo la carpeta principal
+// (DRIVE_ID), con "/" entre niveles. Ej: "nominas_asesorias": "Nóminas/Asesorías".
+// `npm run drive:provision` busca o crea esas carpetas y escribe drive-ids.json.
+
+import { DRIVE_FOLDER_MIME_TYPE } from './drive_folder.entity.js';
+
+/** Formato de las claves (las mismas que usa el código: getFolderIdByKey). */
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Problemas que puede tener una carpeta configurada, con su descripción.
+ * Los detecta la comprobación de arranque y GET /api/admin/drive/folders.
+ */
+export const DRIVE_FOLDER_PROBLEMS = {
+  missing: 'sin ID en drive-ids.json',
+  not_found: 'no existe o la cuenta de Google no tiene acceso',
+  not_folder: 'no es una carpeta',
+  trashed: 'está en la papelera',
+  error: 'no se ha podido comprobar',
+};
+
+/**
+ * Valida y normaliza el manifiesto.
+ * @param {Object} config Contenido de drive-manifest.json: { folders: { [key]: "Ruta/De/Carpetas" } }
+ * @returns {Array<{key: string, path: string[]}>} Una entrada por clave, con la ruta partida en niveles
+ * @throws {Error} Si alguna clave o ruta no es válida (se detecta al arrancar)
+ */
+export function parseDriveManifest(config = {}) {
+  return Object.entries(config.folders || {}).map(([key, path]) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`drive-manifest.json: la clave "${key}" no es válida (solo minúsculas, números y "_")`);
+    }
+
+    const segments = typeof path === 'string' ? path.split('/').map((segment) => segment.trim()) : [];
+    if (segments.length === 0 || segments.some((segment) => !segment)) {
+      throw new Error(`drive-manifest.json: la ruta de "${key}" no es válida (ej: "Nóminas/Asesorías")`);
+    }
+
+    return { key, path: segments };
+  });
+}
+
+/**
+ * Problema de una carpeta según sus metadatos de Drive.
+ * @param {{mimeType: string, trashed: boolean}|null} meta Metadatos (null si Drive responde 404)
+ * @returns {'not_found'|'not_folder'|'trashed'|null} null si la carpeta es válida
+ */
+export function folderProblem(meta) {
+  if (!meta) return 'not_found';
+  if (meta.mimeType !== DRIVE_FOLDER_MIME_TYPE) return 'not_folder';
+  if (meta.trashed) return 'trashed';
+  return null;
+}
+
+/**
+ * 🔗 Funciones relacionadas con el manifiesto de carpetas de Drive:
+ * - config/drive-manifest.json → Clave lógica → ruta bajo DRIVE_ID
+ * - infrastructure/database/google/drive_ids.file.js → Lectura/escritura de drive-ids.json
+ * - application/use_cases/provision_drive_folders.usecase.js → Busca o crea las carpetas
+ * - application/use_cases/check_drive_folders.usecase.js → Comprobación de arranque
+ * - scripts/drive_provision.js → `npm run drive:provision`
+ */
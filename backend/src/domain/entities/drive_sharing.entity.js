@@ -0,0 +1,185 @@
+// backend/src/domain/entities/drive_sharing.entity.js
+
+// Política de compartición de los archivos subidos a Drive, por carpeta de
+// drive-ids.json (config/drive-sharing.json). Tipos:
+// - private: sin permisos extra (solo la cuenta de servicio/propietario).
+//   Los usuarios los ven con GET /api/google/files/:id/content.
+// - domain: lectura para todo un dominio de Google Workspace.
+// - members: lectura para grupos y/o usuarios concretos (caducidad opcional,
+//   la aplica Drive con expirationTime).
+// - anyone: cualquiera con el enlace. Drive no admite caducidad en este tipo:
+//   expiresInDays se aplica quitando el permiso con `npm run drive:sharing`.
+
+export const SHARING_POLICY_TYPES = ['private', 'domain', 'members', 'anyone'];
+
+const ROLES = ['reader', 'commenter'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Valida y normaliza el fichero de políticas.
+ * @param {Object} config Contenido de drive-sharing.json: { default, folders: { [key]: policy } }
+ * @param {string[]} [folderKeys] Claves válidas (las de drive-ids.json)
+ * @returns {{default: Object, folders: Object<string, Object>}}
+ * @throws {Error} Si alguna política no es válida (se detecta al arrancar)
+ */
+export function parseSharingPolicies(config = {}, folderKeys = null) {
+  const folders = {};
+
+  for (const [key, policy] of Object.entries(config.folders || {})) {
+    if (folderKeys && !folderKeys.includes(key)) {
+      throw new Error(`drive-sharing.json: la carpeta "${key}" no existe en drive-ids.json`);
+    }
+    folders[key] = normalizePolicy(policy, key);
+  }
+
+  return {
+    default: normalizePolicy(config.default || { type: 'private' }, 'default'),
+    folders,
+  };
+}
+
+/**
+ * Permisos que hay que crear al subir un archivo con esta política.
+ * @param {Object} policy Política normalizada
+ * @param {Date} [from=new Date()] Desde cuándo cuenta expiresInDays (la subida)
+ * @returns {Object[]} Recursos de permiso para la API de Drive
+ */
+export function sharingPermissions(policy, from = new Date()) {
+  switch (policy.type) {
+    case 'domain':
+      return [{ type: 'domain', role: policy.role, domain: policy.domain, allowFileDiscovery: policy.allowFileDiscovery }];
+    case 'members': {
+      const expirationTime = policy.expiresInDays
+        ? new Date(from.getTime() + policy.expiresInDays * DAY_MS).toISOString()
+        : undefined;
+      return [
+        ...policy.groups.map((emailAddress) => ({ type: 'group', role: policy.role, emailAddress, expirationTime })),
+        ...policy.users.map((emailAddress) => ({ type: 'user', role: policy.role, emailAddress, expirationTime })),
+      ];
+    }
+    case 'anyone':
+      return [{ type: 'anyone', role: policy.role }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compara los permisos actuales de un archivo con su política.
+ * - Quita los enlaces "anyone" y los permisos de dominio que la política no
+ *   permite (y el "anyone" caducado según expiresInDays).
+ * - Añade los permisos de la política que falten, salvo si ya han caducado
+ *   (expiresInDays cuenta desde la creación del archivo).
+ * Los permisos individuales de usuarios y grupos que no vienen de la
+ * política (compartidos a mano, propietario, editores) no se tocan.
+ * @param {Object} policy Política normalizada
+ * @param {Object[]} permissions Permisos actuales ({ id, type, role, domain, emailAddress })
+ * @param {Object} [options]
+ * @param {string} [options.createdTime] Fecha de creación del archivo (ISO)
+ * @param {Date} [options.now=new Date()]
+ * @returns {{add: Object[], remove: Object[]}} Permisos a crear y a borrar
+ */
+export function diffSharing(policy, permissions, { createdTime, now = new Date() } = {}) {
+  const from = createdTime ? new Date(createdTime) : now;
+  const expired = Boolean(policy.expiresInDays)
+    && now.getTime() - from.getTime() > policy.expiresInDays * DAY_MS;
+
+  const desired = expired ? [] : sharingPermissions(policy, from);
+
+  const remove = permissions.filter((permission) => {
+    if (permission.type === 'anyone') return !desired.some((wanted) => wanted.type === 'anyone');
+    if (permission.type === 'domain') {
+      return !desired.some((wanted) => wanted.type === 'domain' && sameEmail(wanted.domain, permission.domain));
+    }
+    return false;
+  });
+
+  const add = desired.filter((wanted) => !permissions.some((permission) => samePermission(wanted, permission)));
+
+  return { add, remove };
+}
+
+/**
+ * Indica si dos políticas normalizadas dan los mismos permisos (se comparan
+ * por valor: dos carpetas pueden tener políticas iguales en objetos distintos).
+ * @param {Object} a Política normalizada
+ * @param {Object} b Política normalizada
+ * @returns {boolean}
+ */
+export function sameSharingPolicy(a, b) {
+  if (!a || !b) return a === b;
+
+  return a.type === b.type
+    && (a.role ?? null) === (b.role ?? null)
+    && sameEmail(a.domain, b.domain)
+    && Boolean(a.allowFileDiscovery) === Boolean(b.allowFileDiscovery)
+    && sameEmailList(a.groups, b.groups)
+    && sameEmailList(a.users, b.users)
+    && (a.expiresInDays ?? null) === (b.expiresInDays ?? null);
+}
+
+/** @private */
+function normalizePolicy(policy, name) {
+  const fail = (message) => {
+    throw new Error(`drive-sharing.json: política "${name}" no válida: ${message}`);
+  };
+
+  if (!policy || !SHARING_POLICY_TYPES.includes(policy.type)) {
+    fail(`"type" debe ser uno de: ${SHARING_POLICY_TYPES.join(', ')}`);
+  }
+
+  const role = policy.role ?? 'reader';
+  if (!ROLES.includes(role)) fail(`"role" debe ser uno de: ${ROLES.join(', ')}`);
+
+  const expiresInDays = policy.expiresInDays ?? null;
+  if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    fail('"expiresInDays" debe ser un entero positivo');
+  }
+
+  switch (policy.type) {
+    case 'domain':
+      if (!policy.domain) fail('falta "domain"');
+      return { type: 'domain', role, domain: policy.domain, allowFileDiscovery: policy.allowFileDiscovery === true };
+    case 'members': {
+      const groups = policy.groups ?? [];
+      const users = policy.users ?? [];
+      if (!Array.isArray(groups) || !Array.isArray(users) || groups.length + users.length === 0) {
+        fail('"groups" y/o "users" deben ser listas de emails (al menos uno)');
+      }
+      return { type: 'members', role, groups, users, expiresInDays };
+    }
+    case 'anyone':
+      return { type: 'anyone', role, expiresInDays };
+    default:
+      return { type: 'private' };
+  }
+}
+
+/** @private */
+function samePermission(wanted, permission) {
+  if (wanted.type !== permission.type) return false;
+  if (wanted.type === 'domain') return sameEmail(wanted.domain, permission.domain);
+  if (wanted.type === 'anyone') return true;
+  return sameEmail(wanted.emailAddress, permission.emailAddress);
+}
+
+/** @private */
+function sameEmail(a, b) {
+  return String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+}
+
+/** @private */
+function sameEmailList(a = [], b = []) {
+  const normalize = (list) => [...new Set(list.map((email) => email.toLowerCase()))].sort();
+  const left = normalize(a);
+  const right = normalize(b);
+  return left.length === right.length && left.every((email, index) => email === right[index]);
+}
+
+/**
+ * 🔗 Funciones relacionadas con la compartición de archivos de Drive:
+ * - config/drive-sharing.json → Políticas por carpeta de drive-ids.json
+ * - infrastructure/database/google/drive.repository.js → applySharingPolicy (subidas)
+ * - application/use_cases/backfill_drive_sharing.usecase.js → Ajuste de archivos existentes
+ * - scripts/drive_sharing_backfill.js → `npm run drive:sharing`
+ */
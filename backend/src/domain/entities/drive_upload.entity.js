@@ -0,0 +1,45 @@
+// backend/src/domain/entities/drive_upload.entity.js
+
+// Subida de un archivo a una carpeta de Drive en la que ya hay otro igual:
+// mismo contenido (md5Checksum) o mismo nombre. El cliente elige qué hacer
+// con el campo "onConflict" del form-data:
+// - skip: no se sube; se devuelve el archivo que ya estaba.
+// - revision: se sube como nueva revisión del existente (files.update), que
+//   conserva su ID, enlaces y permisos. Si el contenido es idéntico no hay
+//   nada que actualizar y se aplica skip.
+// - keep_both: se sube como archivo nuevo con sufijo: "factura (1).pdf".
+
+export const UPLOAD_CONFLICT_POLICIES = ['skip', 'revision', 'keep_both'];
+
+export const DEFAULT_UPLOAD_CONFLICT_POLICY = 'skip';
+
+/**
+ * Qué se ha hecho con cada archivo (campo "policy" de exitosos/fallidos):
+ * "created" si no había conflicto; si lo había, la política aplicada.
+ */
+export const UPLOAD_RESULTS = ['created', ...UPLOAD_CONFLICT_POLICIES];
+
+/**
+ * Primer nombre libre con sufijo numérico: "informe.pdf" → "informe (1).pdf".
+ * @param {string} name Nombre original
+ * @param {string[]} takenNames Nombres que ya hay en la carpeta
+ * @returns {string}
+ */
+export function suffixedName(name, takenNames) {
+  const taken = new Set(takenNames.map((existing) => existing.toLowerCase()));
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  for (let index = 1; ; index++) {
+    const candidate = `${base} (${index})${extension}`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * 🔗 Funciones relacionadas con los duplicados al subir a Drive:
+ * - infrastructure/database/google/drive.repository.js → findDuplicate, updateFileContent
+ * - application/use_cases/upload_pdf_drive.usecase.js → Aplica la política de conflicto
+ * - infrastructure/web/controllers/google.controller.js → Campo "onConflict" de Intrastat e inventario
+ */
@@ -0,0 +1,38 @@
+// backend/src/domain/entities/feature.entity.js
+
+// Funcionalidades de la aplicación a las que se puede conceder acceso.
+// Cada módulo se identifica por una clave estable (la misma que usa el
+// frontend para mostrar u ocultar su tarjeta en el dashboard).
+
+/**
+ * Funcionalidades que trae la aplicación de serie. Se registran en el
+ * FeatureRegistry al construir el contenedor; un módulo nuevo solo tiene que
+ * registrar la suya con featureRegistry.register({ key, label }).
+ */
+export const BUILTIN_FEATURES = [
+  { key: 'buzon', label: 'Buzón' },
+  { key: 'alertas_produccion', label: 'Alertas de producción' },
+  { key: 'prototipos', label: 'Prototipos' },
+  { key: 'situacion_pedidos', label: 'Situación de pedidos' },
+  { key: 'gestion_pedidos', label: 'Gestión de pedidos' },
+  { key: 'gestion_nominas', label: 'Gestión de nóminas' },
+  { key: 'intrastat', label: 'Intrastat' },
+  { key: 'inventario', label: 'Inventario' },
+  { key: 'parte_situacion', label: 'Parte de situación' },
+  { key: 'notas_fabricacion', label: 'Notas de fabricación' },
+];
+
+export class Feature {
+  constructor(key, label, description = '') {
+    this.key = key;
+    this.label = label;
+    this.description = description;
+  }
+}
+
+/**
+ * 🔗 Funciones relacionadas con Feature en el sistema:
+ * - application/services/feature.registry.js → Registro de funcionalidades disponibles
+ * - application/services/permission.service.js → Resolución de permisos efectivos
+ * - infrastructure/web/middlewares/permission.middleware.js → Guards por funcionalidad
+ */
@@ -1,22 +1,66 @@
 // backend/src/domain/entities/log.entity.js
 
-// Representa un registro de login en el sistema.
+// Representa un registro de actividad en el sistema: logins y acciones de los
+// módulos de Google Drive, Google Calendar y la API externa.
 // Actualmente se usa como documentación de la estructura del dominio.
 
+/** Zona horaria en la que se muestran (y filtran) las fechas de los logs. */
+export const LOG_TIMEZONE = 'Europe/Madrid';
+
+/** Formato de fecha que se devuelve al frontend (tabla de logs). */
+export const LOG_DATE_FORMAT = 'yyyy-MM-dd HH:mm:ss';
+
 export class Log {
-  constructor(code, user, fullName, email, date) {
+  /**
+   * @param {number|null} code Código del usuario (null si actúa una API key)
+   * @param {string} user Username (o "apikey:<nombre>")
+   * @param {string|null} fullName
+   * @param {string|null} email
+   * @param {Date} date Instante del evento (UTC)
+   * @param {Object} [activity] Datos de la acción (por defecto, un login correcto)
+   * @param {string} [activity.action='login'] Acción realizada (ej: "drive.upload_pdf")
+   * @param {string} [activity.module='auth'] auth | google | calendar | external_api
+   * @param {{type: string, id: string}|null} [activity.resource] Recurso afectado (archivo de Drive, evento...)
+   * @param {string} [activity.outcome='success'] success | partial (parte de un lote falló) | failure
+   * @param {string|null} [activity.ip]
+   * @param {string|null} [activity.userAgent]
+   * @param {Object|null} [activity.metadata] Datos adicionales de la acción
+   * @param {string} [activity.timezone=LOG_TIMEZONE] Zona horaria con la que se muestra la fecha
+   */
+  constructor(code, user, fullName, email, date, {
+    action = 'login',
+    module = 'auth',
+    resource = null,
+    outcome = 'success',
+    ip = null,
+    userAgent = null,
+    metadata = null,
+    timezone = LOG_TIMEZONE,
+  } = {}) {
     this.code = code;
     this.user = user;
     this.fullName = fullName;
     this.email = email;
     this.date = date;
+    this.action = action;
+    this.module = module;
+    this.resource = resource;
+    this.outcome = outcome;
+    this.ip = ip;
+    this.userAgent = userAgent;
+    this.metadata = metadata;
+    this.timezone = timezone;
   }
 }
 
 /**
  * 🔗 Funciones relacionadas con Log en el sistema:
+ * - application/dto/log.dto.js → Fecha formateada para el frontend
+ * - scripts/migrate_log_dates.js → Migración de las fechas string antiguas a Date
  * - infrastructure/database/models/log.model.js → Definición del esquema en MongoDB
  * - infrastructure/database/repositories/log_user.repository.js → Consultas a la DB
+ * - application/services/activity_log.service.js → Registro de acciones desde los controladores
+ * - application/use_cases/login.usecase.js → Log de cada login correcto
  * - application/use_cases/get_all_logs.usecase.js → Listado completo de logs
  * - application/use_cases/get_all_logs_filtered.usecase.js → Listado filtrado de logs
  * - web/controllers/admin.controller.js → Endpoints para administración de logs
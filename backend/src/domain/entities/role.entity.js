@@ -0,0 +1,55 @@
+// backend/src/domain/entities/role.entity.js
+
+// Representa un rol: un conjunto de funcionalidades que se asigna a usuarios.
+// Actualmente se usa como documentación de la estructura del dominio.
+
+/**
+ * Clave del rol de administración. Lo crea la migración de roles y no se
+ * puede borrar: da acceso a todas las funcionalidades y a /api/admin.
+ */
+export const ADMIN_ROLE_KEY = 'admin';
+
+/**
+ * Asignaciones equivalentes a los flags legados de un usuario sin migrar
+ * (`isAdmin` / `permision`): los admin pasan al rol admin y el resto a un
+ * override a true por cada flag activo, de modo que conservan el mismo acceso.
+ * @param {Object} user Documento USER sin campo `roles`
+ * @param {Set<string>} knownFeatures Claves de funcionalidad registradas
+ * @returns {{roles: string[], permissionOverrides: Object<string, boolean>, ignored: string[]}}
+ *          ignored: flags activos que no son funcionalidades (se descartan)
+ */
+export function legacyRoleAssignments(user, knownFeatures) {
+  if (user.isAdmin === true) {
+    return { roles: [ADMIN_ROLE_KEY], permissionOverrides: {}, ignored: [] };
+  }
+
+  const enabled = Object.entries(user.permision || {})
+    .filter(([, value]) => value === true)
+    .map(([key]) => key);
+
+  return {
+    roles: [],
+    permissionOverrides: Object.fromEntries(
+      enabled.filter((key) => knownFeatures.has(key)).map((key) => [key, true]),
+    ),
+    ignored: enabled.filter((key) => !knownFeatures.has(key)),
+  };
+}
+
+export class Role {
+  constructor(key, name, features, isAdmin = false) {
+    this.key = key;
+    this.name = name;
+    this.features = features;
+    this.isAdmin = isAdmin;
+  }
+}
+
+/**
+ * 🔗 Funciones relacionadas con Role en el sistema:
+ * - infrastructure/database/models/role.model.js → Definición del esquema en MongoDB
+ * - infrastructure/database/repositories/role.repository.js → Consultas a la DB
+ * - application/services/permission.service.js → Roles + overrides → permisos efectivos
+ * - application/use_cases/*_role*.usecase.js → Gestión de roles (admin)
+ * - scripts/migrate_user_roles.js → Migración desde los flags `permision`/`isAdmin` (legacyRoleAssignments)
+ */
@@ -3,14 +3,20 @@
 // Representa un usuario en nuestro sistema, independiente de la base de datos.
 // Actualmente se usa como documentación de la estructura del dominio.
 
+/**
+ * Longitud mínima exigida a cualquier contraseña nueva (alta, cambio o reseteo).
+ */
+export const PASSWORD_MIN_LENGTH = 8;
+
 export class User {
-  constructor(code, fullName, user, password, email, permissions) {
+  constructor(code, fullName, user, password, email, roles = [], permissionOverrides = {}) {
     this.code = code;
     this.fullName = fullName;
     this.user = user;
     this.password = password;
     this.email = email;
-    this.permissions = permissions;
+    this.roles = roles;                             // Claves de ROLE asignadas
+    this.permissionOverrides = permissionOverrides; // { <feature>: true|false } por encima de los roles
   }
 }
 
@@ -20,5 +26,9 @@ export class User {
  * - infrastructure/database/repositories/user.repository.js → Consultas a la DB
  * - application/use_cases/login.usecase.js → Autenticación de usuario
  * - application/use_cases/get_all_users.usecase.js → Listado de usuarios
+ * - application/use_cases/*_user*.usecase.js → Gestión de usuarios (admin)
+ * - application/use_cases/*password*.usecase.js → Cambio y recuperación de contraseña
+ * - application/dto/user.dto.js → Representación pública (sin contraseña)
+ * - application/services/permission.service.js → Permisos efectivos (roles + overrides)
  * - web/controllers/auth.controller.js → Endpoints de login/registro
  */
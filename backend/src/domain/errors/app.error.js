@@ -0,0 +1,20 @@
+// backend/src/domain/errors/app.error.js
+
+// Error de aplicación con código HTTP asociado.
+// Los casos de uso lo lanzan para errores esperados (credenciales, sesión
+// revocada, recurso inexistente...) y los controladores lo traducen a la
+// respuesta HTTP sin tener que comparar mensajes.
+
+export class AppError extends Error {
+  /**
+   * @param {string} message Mensaje legible para el cliente.
+   * @param {number} [status=400] Código HTTP que debe devolver el controlador.
+   * @param {Object} [details] Datos adicionales (p. ej. { retryAfter } en segundos).
+   */
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,26 @@
+// backend/src/domain/errors/google_api.error.js
+
+// Error de una llamada a las APIs de Google (Drive, Calendar).
+// Lleva el código HTTP y el motivo que devuelve Google (ej: "notFound",
+// "userRateLimitExceeded") para que los controladores respondan con el mismo
+// estado (`error.code`) en lugar de un 500 genérico.
+
+export class GoogleApiError extends Error {
+  /**
+   * @param {string} message Mensaje de Google (o descripción del fallo).
+   * @param {Object} params
+   * @param {number} params.status Código HTTP de la respuesta (502 si no hubo respuesta).
+   * @param {string|null} [params.reason] Motivo de Google (errors[0].reason o error.status).
+   * @param {number|null} [params.retryAfter] Segundos indicados en Retry-After, si los hay.
+   * @param {number} [params.attempts=1] Intentos realizados antes de fallar.
+   */
+  constructor(message, { status, reason = null, retryAfter = null, attempts = 1 }) {
+    super(message);
+    this.name = 'GoogleApiError';
+    this.status = status;
+    this.code = status;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+    this.attempts = attempts;
+  }
+}
@@ -2,21 +2,48 @@
 // -----------------------------------------------------------------------------
 // Repositorio de Google Drive.
 // Encapsula toda la comunicación con la API de Drive: búsqueda, creación de
-// carpetas, subida de archivos y gestión de permisos.
+// carpetas, subida (con detección de duplicados) y descarga de archivos y
+// gestión de permisos.
+// Los permisos de los archivos subidos se crean solo en applySharingPolicy,
+// según la política de su carpeta de drive-ids.json (drive-sharing.json).
 // Recibe sus dependencias por inyección desde el contenedor.
 // -----------------------------------------------------------------------------
 
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { DRIVE_FOLDER_MIME_TYPE } from '../../../domain/entities/drive_folder.entity.js';
+import { sharingPermissions } from '../../../domain/entities/drive_sharing.entity.js';
+
+// Profundidad máxima al subir por los padres buscando una carpeta de drive-ids.json
+const MAX_FOLDER_DEPTH = 20;
+
+// Cuánto se fían ensureFolder de una carpeta ya resuelta antes de volver a
+// buscarla en Drive: en memoria (proceso) y en Mongo (entre arranques en frío)
+const FOLDER_CACHE_TTL_MS = 60 * 60 * 1000; // 1 h
+const FOLDER_STORE_TTL_MS = 24 * 60 * 60 * 1000; // 24 h
+
 export class DriveRepository {
   /**
    * @param {Object} deps - Dependencias inyectadas desde el contenedor.
    * @param {Object} deps.drive - Cliente autenticado de Google Drive API.
    * @param {Object} deps.driveIds - Mapa de IDs de carpetas (drive-ids.json).
    * @param {Function} deps.bufferToStream - Convierte un Buffer en ReadableStream.
+   * @param {Object} [deps.sharingPolicies] - Políticas ya validadas (parseSharingPolicies): { default, folders }.
+   * @param {Object} [deps.folderStore] - Caché persistente de ensureFolder con el contrato find, save (DriveFolderRepository); sin ella, solo memoria.
    */
-  constructor({ drive, driveIds, bufferToStream }) {
+  constructor({ drive, driveIds, bufferToStream, sharingPolicies = { default: { type: 'private' }, folders: {} }, folderStore = null }) {
     this.drive = drive;
     this.driveIds = driveIds;
     this.bufferToStream = bufferToStream;
+    this.sharingPolicies = sharingPolicies;
+    this.folderStore = folderStore;
+
+    // Carpeta → clave de drive-ids.json (o null) ya resuelta; las carpetas no se mueven
+    this.folderKeyCache = new Map();
+
+    // ensureFolder: "padre/nombre" → { folderId, expiresAt } y resoluciones en curso
+    this.folderCache = new Map();
+    this.folderLocks = new Map();
   }
 
   // ==========================================================================
@@ -31,7 +58,7 @@ export class DriveRepository {
    */
   async findFolderByName(folderName, parentId) {
     const search = await this.drive.files.list({
-      q: `name = '${folderName}' and mimeType = 'application/vnd.google-apps.folder' and '${parentId}' in parents and trashed = false`,
+      q: folderQuery(folderName, parentId),
       fields: 'files(id,name)',
       pageSize: 1,
       includeItemsFromAllDrives: true,
@@ -41,6 +68,153 @@ export class DriveRepository {
     return search.data.files?.[0]?.id || null;
   }
 
+  /**
+   * Devuelve el ID de una carpeta hija, creándola si no existe. Es lo que usan
+   * las subidas para la carpeta del día, año, mes...
+   * - Caché en memoria por (padre, nombre) y, si hay folderStore, en Mongo
+   *   para no repetir la búsqueda tras un arranque en frío.
+   * - Las peticiones simultáneas del mismo proceso comparten una sola
+   *   resolución (mutex por clave), así que no crean la carpeta dos veces.
+   * - Si ya hay varias carpetas hermanas con ese nombre (creadas a la vez por
+   *   otra instancia, o de antes), se queda la más antigua y se le mueve el
+   *   contenido de las demás, que van a la papelera.
+   * @param {string} name - Nombre exacto de la carpeta.
+   * @param {string} parentId - ID de la carpeta padre.
+   * @returns {Promise<string>} ID de la carpeta.
+   */
+  async ensureFolder(name, parentId) {
+    const { folderId } = await this.ensureFolderWithStatus(name, parentId);
+    return folderId;
+  }
+
+  /**
+   * Como ensureFolder, pero indica además si la carpeta se ha creado ahora.
+   * Las llamadas simultáneas que comparten la resolución reciben el mismo
+   * resultado (todas ven created: true si se creó).
+   * @param {string} name - Nombre exacto de la carpeta.
+   * @param {string} parentId - ID de la carpeta padre.
+   * @returns {Promise<{folderId: string, created: boolean}>}
+   */
+  async ensureFolderWithStatus(name, parentId) {
+    const key = `${parentId}/${name}`;
+
+    const cached = this.folderCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return { folderId: cached.folderId, created: false };
+
+    if (!this.folderLocks.has(key)) {
+      const resolution = this._resolveFolder(name, parentId)
+        .then((resolved) => {
+          this.folderCache.set(key, { folderId: resolved.folderId, expiresAt: Date.now() + FOLDER_CACHE_TTL_MS });
+          return resolved;
+        })
+        .finally(() => this.folderLocks.delete(key));
+      this.folderLocks.set(key, resolution);
+    }
+    return this.folderLocks.get(key);
+  }
+
+  /**
+   * Busca la carpeta en la caché persistente y, si no está, en Drive
+   * (creándola o fusionando duplicadas).
+   * @private
+   * @returns {Promise<{folderId: string, created: boolean}>}
+   */
+  async _resolveFolder(name, parentId) {
+    const stored = await this._readFolderStore(parentId, name);
+    if (stored) return { folderId: stored, created: false };
+
+    let created = false;
+    let folders = await this.listFoldersByName(name, parentId);
+    if (folders.length === 0) {
+      const createdId = await this.createFolder(name, parentId);
+      // Otra instancia puede haberla creado a la vez: se vuelve a listar
+      folders = await this.listFoldersByName(name, parentId);
+      if (folders.length === 0) folders = [{ id: createdId }];
+      created = folders[0].id === createdId;
+    }
+
+    const [kept, ...duplicates] = folders;
+    if (duplicates.length > 0) await this.mergeFolders(kept.id, duplicates.map((folder) => folder.id));
+
+    await this._writeFolderStore(parentId, name, kept.id);
+    return { folderId: kept.id, created };
+  }
+
+  /**
+   * Lee la caché persistente de ensureFolder. Si Mongo falla se sigue sin
+   * ella (se busca en Drive).
+   * @private
+   */
+  async _readFolderStore(parentId, name) {
+    if (!this.folderStore) return null;
+    try {
+      return await this.folderStore.find(parentId, name);
+    } catch (error) {
+      console.warn('[DriveRepository] No se pudo leer la caché de carpetas:', error.message);
+      return null;
+    }
+  }
+
+  /** @private */
+  async _writeFolderStore(parentId, name, folderId) {
+    if (!this.folderStore) return;
+    try {
+      await this.folderStore.save(parentId, name, folderId, new Date(Date.now() + FOLDER_STORE_TTL_MS));
+    } catch (error) {
+      console.warn('[DriveRepository] No se pudo guardar la caché de carpetas:', error.message);
+    }
+  }
+
+  /**
+   * Lista las carpetas (no eliminadas) con un nombre exacto, la más antigua primero.
+   * @param {string} name - Nombre exacto de la carpeta.
+   * @param {string} parentId - ID de la carpeta padre.
+   * @returns {Promise<Array<{id: string, name: string, createdTime: string}>>}
+   */
+  async listFoldersByName(name, parentId) {
+    const response = await this.drive.files.list({
+      q: folderQuery(name, parentId),
+      fields: 'files(id, name, createdTime)',
+      orderBy: 'createdTime',
+      pageSize: 100,
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+    });
+    return response.data.files || [];
+  }
+
+  /**
+   * Fusiona carpetas duplicadas en una: mueve su contenido a la que se
+   * conserva y las manda a la papelera. Un fallo no interrumpe la subida que
+   * lo ha provocado: se avisa por consola y se reintenta en la siguiente
+   * resolución (la duplicada sigue ahí).
+   * @param {string} keptId - Carpeta que se conserva.
+   * @param {string[]} duplicateIds - Carpetas que se vacían y se eliminan.
+   * @returns {Promise<void>}
+   */
+  async mergeFolders(keptId, duplicateIds) {
+    for (const duplicateId of duplicateIds) {
+      try {
+        let pageToken;
+        do {
+          const page = await this.listChildren({ parentId: duplicateId, pageSize: 100, pageToken });
+          for (const child of page.files) {
+            await this.moveFile(child.id, duplicateId, keptId);
+          }
+          pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        await this.drive.files.update({
+          fileId: duplicateId,
+          resource: { trashed: true },
+          supportsAllDrives: true,
+        });
+      } catch (error) {
+        console.warn(`[DriveRepository] No se pudo fusionar la carpeta duplicada ${duplicateId} en ${keptId}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Crea una carpeta dentro de otra carpeta padre.
    * @param {string} name - Nombre de la nueva carpeta.
@@ -62,21 +236,39 @@ export class DriveRepository {
   }
 
   /**
-   * Crea recursivamente un árbol de carpetas a partir de una estructura JSON.
-   * @param {Object} folder - Nodo con { name: string, children?: Array }.
-   * @param {string} parentId - ID de la carpeta padre raíz.
-   * @returns {Promise<string>} ID de la carpeta creada en el nivel actual.
+   * Lista una página del contenido (no eliminado) de una carpeta.
+   * @param {Object} params
+   * @param {string} params.parentId - ID de la carpeta.
+   * @param {number} [params.pageSize=50] - Elementos por página (máx. 100).
+   * @param {string} [params.pageToken] - nextPageToken de la página anterior.
+   * @param {string} [params.search] - Texto que debe contener el nombre.
+   * @param {string} [params.mimeType] - MIME exacto, o prefijo acabado en "/" (ej: "image/").
+   * @param {string} [params.orderBy='folder,name'] - Orden en la sintaxis de Drive.
+   * @returns {Promise<{files: Object[], nextPageToken: string|null}>}
    */
-  async createRecursiveFolders(folder, parentId) {
-    const newFolderId = await this.createFolder(folder.name, parentId);
-
-    if (folder.children && folder.children.length > 0) {
-      for (const child of folder.children) {
-        await this.createRecursiveFolders(child, newFolderId);
-      }
+  async listChildren({ parentId, pageSize = 50, pageToken, search, mimeType, orderBy = 'folder,name' }) {
+    const filters = [`'${escapeQueryValue(parentId)}' in parents`, 'trashed = false'];
+    if (search) filters.push(`name contains '${escapeQueryValue(search)}'`);
+    if (mimeType) {
+      filters.push(mimeType.endsWith('/')
+        ? `mimeType contains '${escapeQueryValue(mimeType)}'`
+        : `mimeType = '${escapeQueryValue(mimeType)}'`);
     }
 
-    return newFolderId;
+    const response = await this.drive.files.list({
+      q: filters.join(' and '),
+      fields: 'nextPageToken, files(id, name, mimeType, size, createdTime, modifiedTime, webViewLink, iconLink, thumbnailLink)',
+      pageSize,
+      pageToken,
+      orderBy,
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+    });
+
+    return {
+      files: response.data.files || [],
+      nextPageToken: response.data.nextPageToken || null,
+    };
   }
 
   // ==========================================================================
@@ -84,35 +276,61 @@ export class DriveRepository {
   // ==========================================================================
 
   /**
-   * Sube un archivo a Drive, le asigna permisos públicos de lectura y
-   * devuelve los metadatos actualizados (con links de descarga y vista).
+   * Sube un archivo a Drive y devuelve los metadatos actualizados (con links de
+   * descarga y vista). No crea permisos: los casos de uso aplican después
+   * applySharingPolicy.
    * @param {Object} params
    * @param {string} params.name - Nombre del archivo.
    * @param {string} params.parentId - ID de la carpeta destino.
    * @param {string} params.mimeType - Tipo MIME del archivo.
-   * @param {Buffer} params.buffer - Contenido del archivo.
+   * @param {Buffer} [params.buffer] - Contenido del archivo (en memoria).
+   * @param {string} [params.filePath] - Ruta de un archivo en disco; se sube en streaming en lugar del buffer.
+   * @param {import('stream').Readable} [params.stream] - Contenido generado al vuelo; se sube tal cual (ni buffer ni disco).
    * @returns {Promise<Object>} Metadatos: { id, name, mimeType, webContentLink, webViewLink }.
    */
-  async uploadFile({ name, parentId, mimeType, buffer }) {
+  async uploadFile({ name, parentId, mimeType, buffer, filePath, stream }) {
+    const body = stream ?? (filePath ? createReadStream(filePath) : this.bufferToStream(buffer));
+
     const response = await this.drive.files.create({
       resource: { name, parents: [parentId] },
-      media: { mimeType, body: this.bufferToStream(buffer) },
+      media: { mimeType, body },
       fields: 'id, name, mimeType, webContentLink, webViewLink',
       supportsAllDrives: true,
     });
 
     const fileData = response.data;
 
-    // Hacer el archivo público para lectura
-    await this.drive.permissions.create({
+    // Re-obtener metadatos con los links ya disponibles
+    const updatedFile = await this.drive.files.get({
       fileId: fileData.id,
-      resource: { role: 'reader', type: 'anyone' },
+      fields: 'id, name, mimeType, webContentLink, webViewLink',
+      supportsAllDrives: true,
+    });
+
+    return updatedFile.data;
+  }
+
+  /**
+   * Sube contenido nuevo a un archivo existente: Drive lo guarda como una
+   * revisión más y el archivo conserva su ID, enlaces y permisos.
+   * @param {Object} params
+   * @param {string} params.fileId - ID del archivo en Drive.
+   * @param {string} params.mimeType - Tipo MIME del contenido.
+   * @param {Buffer} [params.buffer] - Contenido (en memoria).
+   * @param {string} [params.filePath] - Ruta de un archivo en disco; se sube en streaming en lugar del buffer.
+   * @returns {Promise<Object>} Metadatos: { id, name, mimeType, webContentLink, webViewLink }.
+   */
+  async updateFileContent({ fileId, mimeType, buffer, filePath }) {
+    const body = filePath ? createReadStream(filePath) : this.bufferToStream(buffer);
+
+    await this.drive.files.update({
+      fileId,
+      media: { mimeType, body },
       supportsAllDrives: true,
     });
 
-    // Re-obtener metadatos con los links ya disponibles
     const updatedFile = await this.drive.files.get({
-      fileId: fileData.id,
+      fileId,
       fields: 'id, name, mimeType, webContentLink, webViewLink',
       supportsAllDrives: true,
     });
@@ -121,27 +339,249 @@ export class DriveRepository {
   }
 
   /**
-   * Asigna permisos de lectura pública (anyone) a un archivo existente.
+   * Busca en la carpeta destino un archivo que choque con el que se va a
+   * subir: primero uno con el mismo contenido (md5Checksum), después uno con
+   * el mismo nombre. La query de Drive no admite md5Checksum, así que se
+   * listan los archivos de la carpeta y se comparan aquí.
+   * @param {Object} params
+   * @param {string} params.parentId - ID de la carpeta destino.
+   * @param {string} params.name - Nombre con el que se va a subir.
+   * @param {Buffer} [params.buffer] - Contenido (en memoria).
+   * @param {string} [params.filePath] - Ruta del contenido en disco (se lee en streaming).
+   * @returns {Promise<{file: Object, matchedBy: 'md5'|'name', md5Checksum: string, siblingNames: string[]}|null>}
+   *   null si no hay conflicto; siblingNames son los nombres que ya hay en la carpeta.
+   */
+  async findDuplicate({ parentId, name, buffer, filePath }) {
+    const md5Checksum = await md5Of({ buffer, filePath });
+    const siblings = [];
+    let pageToken;
+
+    do {
+      const response = await this.drive.files.list({
+        q: `'${escapeQueryValue(parentId)}' in parents and mimeType != '${DRIVE_FOLDER_MIME_TYPE}' and trashed = false`,
+        fields: 'nextPageToken, files(id, name, mimeType, md5Checksum, webContentLink, webViewLink)',
+        pageSize: 1000,
+        pageToken,
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+      });
+      siblings.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    const sameContent = siblings.find((file) => file.md5Checksum === md5Checksum);
+    const sameName = siblings.find((file) => file.name === name);
+    if (!sameContent && !sameName) return null;
+
+    return {
+      file: sameContent || sameName,
+      matchedBy: sameContent ? 'md5' : 'name',
+      md5Checksum,
+      siblingNames: siblings.map((file) => file.name),
+    };
+  }
+
+  /**
+   * Mueve un archivo o carpeta de una carpeta a otra (conserva su ID).
    * @param {string} fileId - ID del archivo en Drive.
+   * @param {string} fromParentId - Carpeta en la que está.
+   * @param {string} toParentId - Carpeta destino.
    * @returns {Promise<void>}
    */
-  async setPublicReadPermissions(fileId) {
+  async moveFile(fileId, fromParentId, toParentId) {
+    await this.drive.files.update({
+      fileId,
+      addParents: toParentId,
+      removeParents: fromParentId,
+      resource: {},
+      supportsAllDrives: true,
+    });
+  }
+
+  /**
+   * Cambia los metadatos de un archivo (nombre, papelera...).
+   * @param {string} fileId - ID del archivo en Drive.
+   * @param {Object} resource - Campos a cambiar (ej: { name } o { trashed: true }).
+   * @returns {Promise<Object>} Archivo actualizado: { id, name, mimeType, parents, trashed }.
+   */
+  async updateFileMetadata(fileId, resource) {
+    const response = await this.drive.files.update({
+      fileId,
+      resource,
+      fields: 'id, name, mimeType, parents, trashed',
+      supportsAllDrives: true,
+    });
+    return response.data;
+  }
+
+  /**
+   * Descarga el contenido de un archivo.
+   * @param {string} fileId - ID del archivo en Drive.
+   * @returns {Promise<Buffer>} Contenido del archivo.
+   */
+  async downloadFile(fileId) {
+    const response = await this.drive.files.get({ fileId, alt: 'media' });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Abre la descarga del contenido de un archivo en streaming.
+   * @param {string} fileId - ID del archivo en Drive.
+   * @param {Object} [options]
+   * @param {string} [options.range] - Cabecera Range a reenviar (ej: "bytes=0-1023").
+   * @returns {Promise<{stream: import('stream').Readable, status: number, contentType: string|null, contentLength: string|null, contentRange: string|null}>}
+   *   status 206 si Drive ha servido un rango.
+   */
+  async downloadFileStream(fileId, { range } = {}) {
+    const response = await this.drive.files.get(
+      { fileId, alt: 'media', supportsAllDrives: true },
+      { responseType: 'stream', headers: range ? { Range: range } : {} },
+    );
+
+    return {
+      stream: response.data,
+      status: response.status,
+      contentType: response.headers['content-type'] ?? null,
+      contentLength: response.headers['content-length'] ?? null,
+      contentRange: response.headers['content-range'] ?? null,
+    };
+  }
+
+  // ==========================================================================
+  // PERMISOS (POLÍTICA DE COMPARTICIÓN)
+  // ==========================================================================
+
+  /**
+   * Política de compartición de una carpeta de drive-ids.json (o la de por defecto).
+   * @param {string|null} folderKey - Clave de drive-ids.json.
+   * @returns {Object} Política normalizada ({ type, ... }).
+   */
+  getSharingPolicy(folderKey) {
+    return folderKey && Object.hasOwn(this.sharingPolicies.folders, folderKey)
+      ? this.sharingPolicies.folders[folderKey]
+      : this.sharingPolicies.default;
+  }
+
+  /**
+   * Crea los permisos que marca la política de la carpeta destino
+   * (ninguno si es private). Es el único sitio donde se comparten las subidas.
+   * @param {string} fileId - ID del archivo subido.
+   * @param {string} parentId - Carpeta en la que se ha subido.
+   * @returns {Promise<string>} Tipo de política aplicada.
+   */
+  async applySharingPolicy(fileId, parentId) {
+    const policy = this.getSharingPolicy(await this.resolveFolderKey(parentId));
+
+    for (const permission of sharingPermissions(policy)) {
+      await this.createPermission(fileId, permission);
+    }
+    return policy.type;
+  }
+
+  /**
+   * Lista los permisos de un archivo.
+   * @param {string} fileId - ID del archivo en Drive.
+   * @returns {Promise<Object[]>} [{ id, type, role, domain, emailAddress, expirationTime }]
+   */
+  async listPermissions(fileId) {
+    const response = await this.drive.permissions.list({
+      fileId,
+      fields: 'permissions(id, type, role, domain, emailAddress, expirationTime)',
+      pageSize: 100,
+      supportsAllDrives: true,
+    });
+    return response.data.permissions || [];
+  }
+
+  /**
+   * Crea un permiso (sin enviar correo a usuarios y grupos).
+   * @param {string} fileId - ID del archivo en Drive.
+   * @param {Object} permission - Recurso de permiso ({ type, role, domain?, emailAddress?, expirationTime? }).
+   * @returns {Promise<void>}
+   */
+  async createPermission(fileId, permission) {
     await this.drive.permissions.create({
       fileId,
-      resource: { role: 'reader', type: 'anyone' },
+      resource: permission,
+      sendNotificationEmail: permission.type === 'user' || permission.type === 'group' ? false : undefined,
       supportsAllDrives: true,
     });
   }
 
+  /**
+   * Borra un permiso de un archivo.
+   * @param {string} fileId - ID del archivo en Drive.
+   * @param {string} permissionId - ID del permiso.
+   * @returns {Promise<void>}
+   */
+  async deletePermission(fileId, permissionId) {
+    await this.drive.permissions.delete({ fileId, permissionId, supportsAllDrives: true });
+  }
+
+  /**
+   * Busca a qué carpeta de drive-ids.json pertenece una carpeta, subiendo por
+   * sus padres. El resultado se cachea (para cada carpeta recorrida).
+   * @param {string} folderId - ID de la carpeta.
+   * @returns {Promise<string|null>} Clave de drive-ids.json, o null si está fuera de todas.
+   */
+  async resolveFolderKey(folderId) {
+    const visited = [];
+    let key = null;
+    let currentId = folderId;
+
+    for (let depth = 0; depth <= MAX_FOLDER_DEPTH && currentId; depth++) {
+      if (this.folderKeyCache.has(currentId)) {
+        key = this.folderKeyCache.get(currentId);
+        break;
+      }
+      visited.push(currentId);
+
+      key = this.getFolderKeyById(currentId);
+      if (key) break;
+
+      try {
+        const meta = await this.getFileMetadata(currentId);
+        currentId = meta.parents?.[0];
+      } catch (error) {
+        // Sin acceso a un padre: está fuera de las carpetas configuradas
+        if (error?.code === 404) break;
+        throw error;
+      }
+    }
+
+    for (const id of visited) this.folderKeyCache.set(id, key);
+    return key;
+  }
+
+  /**
+   * Metadatos para comprobar una carpeta configurada (incluye si está en la papelera).
+   * @param {string} folderId - ID de la carpeta en Drive.
+   * @returns {Promise<Object|null>} { id, name, mimeType, trashed }, o null si Drive responde 404.
+   */
+  async getFolderStatus(folderId) {
+    try {
+      const response = await this.drive.files.get({
+        fileId: folderId,
+        fields: 'id, name, mimeType, trashed',
+        supportsAllDrives: true,
+      });
+      return response.data;
+    } catch (error) {
+      if (error?.code === 404) return null;
+      throw error;
+    }
+  }
+
   /**
    * Obtiene los metadatos de un archivo o carpeta por su ID.
    * @param {string} fileId - ID del recurso en Drive.
-   * @returns {Promise<Object>} Metadatos: { id, name, mimeType, parents, driveId, shortcutDetails }.
+   * @returns {Promise<Object>} Metadatos: { id, name, mimeType, parents, trashed, createdTime, driveId, shortcutDetails }.
    */
   async getFileMetadata(fileId) {
     const response = await this.drive.files.get({
       fileId,
-      fields: 'id, name, mimeType, parents, driveId, shortcutDetails',
+      fields: 'id, name, mimeType, parents, trashed, createdTime, driveId, shortcutDetails',
+      supportsAllDrives: true,
     });
     return response.data;
   }
@@ -196,11 +636,48 @@ export class DriveRepository {
    */
   _getFolderId(key, label) {
     if (!this.driveIds?.[key]) {
-      throw new Error(`Falta ID de carpeta "${label}" (key: ${key}) en drive-ids.json`);
+      throw new Error(`Falta ID de carpeta "${label}" (key: ${key}) en drive-ids.json. Créala con \`npm run drive:provision\`.`);
     }
     return this.driveIds[key];
   }
 
+  /**
+   * Devuelve el ID configurado para una clave de drive-ids.json.
+   * @param {string} key - Clave en el objeto driveIds (ej: "inventario").
+   * @returns {string|null} ID de la carpeta, o null si la clave no existe o está vacía.
+   */
+  getFolderIdByKey(key) {
+    return Object.hasOwn(this.driveIds || {}, key) ? this.driveIds[key] || null : null;
+  }
+
+  /**
+   * Copia del mapa completo de drive-ids.json.
+   * @returns {Object<string, string>}
+   */
+  getDriveIds() {
+    return { ...this.driveIds };
+  }
+
+  /**
+   * Sustituye el mapa de drive-ids.json en caliente (tras aprovisionar) y
+   * olvida las carpetas ya resueltas a una clave.
+   * @param {Object<string, string>} driveIds
+   */
+  setDriveIds(driveIds) {
+    this.driveIds = { ...driveIds };
+    this.folderKeyCache.clear();
+  }
+
+  /**
+   * Clave de drive-ids.json de una carpeta raíz (búsqueda inversa).
+   * @param {string} folderId - ID de la carpeta.
+   * @returns {string|null} Clave, o null si el ID no está configurado.
+   */
+  getFolderKeyById(folderId) {
+    const entry = Object.entries(this.driveIds || {}).find(([, id]) => id && id === folderId);
+    return entry ? entry[0] : null;
+  }
+
   // --- Alertas ---
   /** @returns {string} ID de la carpeta de imágenes de alertas. */
   getImagesAlertsFolderId() {
@@ -257,6 +734,12 @@ export class DriveRepository {
     return this._getFolderId('inventario', 'Inventario');
   }
 
+  // --- Archivo de logs ---
+  /** @returns {string} ID de la carpeta de archivos mensuales de LOG_USER. */
+  getLogsArchiveFolderId() {
+    return this._getFolderId('logs_archive', 'Archivo de logs');
+  }
+
   // --- Situación de Pedidos ---
   /** @returns {string} ID de la carpeta de informes PDF de situación de pedidos. */
   getSituacionPedidosPDF() {
@@ -282,4 +765,39 @@ export class DriveRepository {
   getSituacionPedidosSW() {
     return this._getFolderId('situacion_pedidos_sw', 'Situación pedidos SW');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Query (q) de las carpetas no eliminadas con un nombre exacto dentro de un padre.
+ * @param {string} name
+ * @param {string} parentId
+ * @returns {string}
+ */
+function folderQuery(name, parentId) {
+  return `name = '${escapeQueryValue(name)}' and mimeType = '${DRIVE_FOLDER_MIME_TYPE}' and '${escapeQueryValue(parentId)}' in parents and trashed = false`;
+}
+
+/**
+ * Escapa un valor para usarlo entre comillas simples en una query (q) de Drive.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * md5 (hex) del contenido, el mismo formato que md5Checksum de Drive.
+ * Un temporal en disco se lee en streaming.
+ * @param {{buffer?: Buffer, filePath?: string}} source
+ * @returns {Promise<string>}
+ */
+async function md5Of({ buffer, filePath }) {
+  const hash = createHash('md5');
+  if (filePath) {
+    for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+  } else {
+    hash.update(buffer);
+  }
+  return hash.digest('hex');
+}
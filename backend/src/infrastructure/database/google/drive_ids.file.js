@@ -0,0 +1,55 @@
+// src/infrastructure/database/google/drive_ids.file.js
+// -----------------------------------------------------------------------------
+// Lectura y escritura de drive-ids.json (clave lógica → ID de carpeta de Drive).
+// Se lee una vez al arrancar (contenedor) y lo reescribe el aprovisionamiento
+// (`npm run drive:provision` o POST /api/admin/drive/folders/provision).
+// -----------------------------------------------------------------------------
+
+import { existsSync, readFileSync } from 'fs';
+import { rename, writeFile } from 'fs/promises';
+
+export class DriveIdsFile {
+  /**
+   * @param {string} path - Ruta de drive-ids.json (GOOGLE_DRIVE_IDS_PATH o config/drive-ids.json).
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /**
+   * Lee el mapa de IDs. Si el archivo no existe devuelve un mapa vacío (entorno
+   * nuevo, aún sin aprovisionar).
+   * @returns {Object<string, string>}
+   * @throws {Error} Si el archivo no es un objeto JSON de textos (impide arrancar)
+   */
+  read() {
+    if (!existsSync(this.path)) return {};
+
+    let ids;
+    try {
+      ids = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`drive-ids.json (${this.path}) no es un JSON válido: ${error.message}`);
+    }
+
+    const valid = ids && typeof ids === 'object' && !Array.isArray(ids)
+      && Object.values(ids).every((id) => typeof id === 'string');
+    if (!valid) {
+      throw new Error(`drive-ids.json (${this.path}) debe ser un objeto { clave: "ID de carpeta" }`);
+    }
+    return ids;
+  }
+
+  /**
+   * Sustituye el archivo por el nuevo mapa. Se escribe en un temporal y se
+   * renombra, así que un fallo a medias no deja el archivo corrupto.
+   * @param {Object<string, string>} ids
+   * @returns {Promise<void>}
+   * @throws {Error} Si no se puede escribir (ej: sistema de archivos de solo lectura en Lambda)
+   */
+  async write(ids) {
+    const tempPath = `${this.path}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify(ids, null, 4)}\n`, 'utf8');
+    await rename(tempPath, this.path);
+  }
+}
@@ -0,0 +1,35 @@
+// backend/src/infrastructure/database/models/api_key.model.js
+// ------------------------------------------------------
+// Mongoose model: API_KEY
+// API keys de clientes máquina (Make, Lambdas, scripts).
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de API key.
+ *
+ * Campos:
+ * - name: Nombre descriptivo del cliente (ej: "Make - nóminas").
+ * - prefix: Primeros caracteres de la key, para identificarla sin guardarla.
+ * - keyHash: SHA-256 de la key (la key en claro nunca se guarda).
+ * - scopes: Funcionalidades (claves del FeatureRegistry) a las que da acceso.
+ * - expiresAt: Caducidad opcional (null = no caduca).
+ * - revokedAt: Momento en que se revocó.
+ * - createdBy: Código del admin que la creó.
+ * - lastUsedAt / lastUsedIp / usageCount: Resumen de uso.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: { type: [String], default: [] },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdBy: { type: Number, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  usageCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+export const ApiKeyModel = mongoose.model('API_KEY', apiKeySchema, 'API_KEY');
@@ -0,0 +1,40 @@
+// backend/src/infrastructure/database/models/api_key_usage.model.js
+// ------------------------------------------------------
+// Mongoose model: API_KEY_USAGE
+// Registro de cada petición autenticada con una API key.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// Los registros se conservan 90 días.
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * Esquema de uso de API key.
+ *
+ * Campos:
+ * - keyId: _id de la API key.
+ * - name: Nombre de la key en el momento de la petición.
+ * - method / path: Petición realizada.
+ * - status: Código HTTP de la respuesta.
+ * - ip / userAgent: Cliente.
+ * - date: Fecha/hora de la petición.
+ */
+const apiKeyUsageSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  status: { type: Number, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  date: { type: Date, required: true, default: Date.now },
+});
+
+// Consulta del uso de una key, más recientes primero.
+apiKeyUsageSchema.index({ keyId: 1, date: -1 });
+
+// TTL: Mongo elimina los registros antiguos automáticamente.
+apiKeyUsageSchema.index({ date: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+export const ApiKeyUsageModel = mongoose.model('API_KEY_USAGE', apiKeyUsageSchema, 'API_KEY_USAGE');
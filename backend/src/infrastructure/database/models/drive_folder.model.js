@@ -0,0 +1,31 @@
+// backend/src/infrastructure/database/models/drive_folder.model.js
+// ------------------------------------------------------
+// Mongoose model: DRIVE_FOLDER
+// Carpetas de Drive ya resueltas (carpeta del día, año, mes...) para no
+// volver a buscarlas en Drive tras un arranque en frío.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de carpeta resuelta.
+ *
+ * Campos:
+ * - parentId / name: Carpeta padre y nombre exacto (únicos juntos).
+ * - folderId: ID de la carpeta en Drive.
+ * - expiresAt: Caducidad de la entrada; pasada, se vuelve a buscar en Drive
+ *   (así una carpeta borrada a mano no se usa indefinidamente).
+ */
+const driveFolderSchema = new mongoose.Schema({
+  parentId: { type: String, required: true },
+  name: { type: String, required: true },
+  folderId: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+driveFolderSchema.index({ parentId: 1, name: 1 }, { unique: true });
+
+// TTL: Mongo elimina las entradas caducadas automáticamente.
+driveFolderSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const DriveFolderModel = mongoose.model('DRIVE_FOLDER', driveFolderSchema, 'DRIVE_FOLDER');
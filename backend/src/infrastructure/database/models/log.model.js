@@ -10,22 +10,48 @@ import mongoose from 'mongoose';
  * Esquema de Log.
  *
  * Campos:
- * - code: Código/razón del evento (numérico).
- * - user: Username que generó el evento.
+ * - code: Código del usuario que generó el evento (null si fue una API key).
+ * - user: Username que generó el evento ("apikey:<nombre>" para API keys).
  * - fullName: Nombre completo del usuario.
  * - email: Correo del usuario.
- * - date: Fecha/hora del evento como String.
+ * - date: Instante del evento (Date, UTC).
+ * - timezone: Zona horaria en la que se muestra la fecha (Europe/Madrid).
+ * - action: Acción realizada ("login", "drive.upload_pdf", "calendar.create_comment"...).
+ * - module: Módulo que la registró (auth, google, calendar, external_api).
+ * - resource: Recurso afectado { type, id } (archivo/carpeta de Drive, evento...).
+ * - outcome: success | partial | failure.
+ * - ip / userAgent: Cliente que hizo la petición.
+ * - metadata: Datos adicionales (status HTTP, error, parámetros relevantes...).
+ * Los logs anteriores a estos campos son logins correctos (valores por defecto).
+ * Los logs antiguos guardaban `date` como string en hora de Madrid; se
+ * convierten con `npm run migrate:log-dates`.
  */
 const logSchema = new mongoose.Schema({
-  code: { type: Number, required: true },
+  code: { type: Number, default: null },
   user: { type: String, required: true },
-  fullName: { type: String, required: true },
-  email: { type: String, required: true },
-  date: { type: String, required: true }
+  fullName: { type: String, default: null },
+  email: { type: String, default: null },
+  date: { type: Date, required: true },
+  timezone: { type: String, default: 'Europe/Madrid' },
+  action: { type: String, default: 'login' },
+  module: { type: String, enum: ['auth', 'google', 'calendar', 'external_api'], default: 'auth' },
+  resource: {
+    type: { type: String },
+    id: { type: String },
+  },
+  outcome: { type: String, enum: ['success', 'partial', 'failure'], default: 'success' },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null },
 });
 
 // Índice para ordenar/consultar por fecha de manera eficiente.
 logSchema.index({ date: -1 });
+// Consultas de auditoría por módulo/acción y por recurso afectado.
+logSchema.index({ module: 1, action: 1, date: -1 });
+logSchema.index({ 'resource.id': 1, date: -1 });
+// Último login por usuario (estadísticas de uso).
+logSchema.index({ code: 1, date: -1 });
 
 // Nombre explícito de la colección: 'LOG_USER' (mayúsculas por consistencia con USER).
 export const LogModel = mongoose.model('LOG_USER', logSchema, 'LOG_USER');
@@ -0,0 +1,33 @@
+// backend/src/infrastructure/database/models/log_archive.model.js
+// ------------------------------------------------------
+// Mongoose model: LOG_ARCHIVE
+// Índice de los archivos mensuales de LOG_USER guardados en Drive.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de archivo de logs.
+ *
+ * Campos:
+ * - month: Mes archivado "yyyy-MM" (hora de Madrid).
+ * - from / to: Rango [from, to) de fechas de los logs del mes.
+ * - fileId / fileName: Archivo .ndjson.gz (.json.gz en los primeros archivos) en la carpeta de archivos de Drive.
+ * - count: Número de logs del archivo.
+ * - sizeBytes: Tamaño comprimido.
+ * - restoredAt / restoredCount: Última restauración a LOG_USER (null si los
+ *   logs del mes solo están en Drive).
+ */
+const logArchiveSchema = new mongoose.Schema({
+  month: { type: String, required: true, unique: true },
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  fileId: { type: String, required: true },
+  fileName: { type: String, required: true },
+  count: { type: Number, required: true },
+  sizeBytes: { type: Number, required: true },
+  restoredAt: { type: Date, default: null },
+  restoredCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+export const LogArchiveModel = mongoose.model('LOG_ARCHIVE', logArchiveSchema, 'LOG_ARCHIVE');
@@ -0,0 +1,38 @@
+// backend/src/infrastructure/database/models/login_attempt.model.js
+// ------------------------------------------------------
+// Mongoose model: LOGIN_ATTEMPT
+// Auditoría de intentos de login fallidos.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de intento de login fallido.
+ *
+ * Campos:
+ * - user: Username introducido (exista o no en USER); "google:<email>" en el login con Google.
+ * - code: Código del usuario si el username existe.
+ * - ip: IP del cliente.
+ * - userAgent: User-Agent del cliente.
+ * - reason: Motivo interno del fallo (nunca se devuelve al cliente):
+ *   'user_not_found' | 'bad_password' | 'bad_mfa_code' | 'google_rejected' | 'locked'.
+ * - date: Fecha/hora del intento.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  code: { type: Number, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['user_not_found', 'bad_password', 'bad_mfa_code', 'google_rejected', 'locked'],
+  },
+  date: { type: Date, required: true, default: Date.now },
+});
+
+// Conteo de fallos recientes por username y consultas de auditoría por fecha.
+loginAttemptSchema.index({ user: 1, date: -1 });
+loginAttemptSchema.index({ date: -1 });
+
+export const LoginAttemptModel = mongoose.model('LOGIN_ATTEMPT', loginAttemptSchema, 'LOGIN_ATTEMPT');
@@ -0,0 +1,34 @@
+// backend/src/infrastructure/database/models/password_reset.model.js
+// ------------------------------------------------------
+// Mongoose model: PASSWORD_RESET
+// Tokens de recuperación de contraseña enviados por email.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de token de recuperación.
+ *
+ * Campos:
+ * - code: Código del usuario que solicitó la recuperación.
+ * - tokenHash: SHA-256 del token enviado por email (el token en claro nunca se guarda).
+ * - expiresAt: Caducidad del token.
+ * - usedAt: Momento en que se canjeó (un token solo vale una vez).
+ * - ip / userAgent: Cliente que solicitó la recuperación.
+ */
+const passwordResetSchema = new mongoose.Schema({
+  code: { type: Number, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+}, { timestamps: true });
+
+// Invalidación de los tokens pendientes de un usuario.
+passwordResetSchema.index({ code: 1, usedAt: 1 });
+
+// TTL: Mongo elimina los tokens caducados automáticamente.
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PasswordResetModel = mongoose.model('PASSWORD_RESET', passwordResetSchema, 'PASSWORD_RESET');
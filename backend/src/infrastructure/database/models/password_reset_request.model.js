@@ -0,0 +1,39 @@
+// backend/src/infrastructure/database/models/password_reset_request.model.js
+// ------------------------------------------------------
+// Mongoose model: PASSWORD_RESET_REQUEST
+// Solicitudes de "he olvidado mi contraseña", para limitar cuántas se
+// aceptan por cuenta y por IP.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// Las solicitudes solo cuentan dentro de la ventana de limitación (≤ 24 h).
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+/**
+ * Esquema de solicitud de recuperación.
+ *
+ * Campos:
+ * - user: Username introducido, en minúsculas (exista o no en USER).
+ * - ip / userAgent: Cliente que hizo la solicitud.
+ * - date: Fecha/hora de la solicitud.
+ */
+const passwordResetRequestSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  date: { type: Date, required: true, default: Date.now },
+});
+
+// Conteo de solicitudes recientes por cuenta y por IP.
+passwordResetRequestSchema.index({ user: 1, date: -1 });
+passwordResetRequestSchema.index({ ip: 1, date: -1 });
+
+// TTL: Mongo elimina las solicitudes antiguas automáticamente.
+passwordResetRequestSchema.index({ date: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+export const PasswordResetRequestModel = mongoose.model(
+  'PASSWORD_RESET_REQUEST',
+  passwordResetRequestSchema,
+  'PASSWORD_RESET_REQUEST',
+);
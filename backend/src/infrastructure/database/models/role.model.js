@@ -0,0 +1,29 @@
+// backend/src/infrastructure/database/models/role.model.js
+// ------------------------------------------------------
+// Mongoose model: ROLE
+// Roles que agrupan funcionalidades y se asignan a usuarios.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de rol.
+ *
+ * Campos:
+ * - key: Clave estable del rol (unique), la que se guarda en USER.roles.
+ * - name: Nombre legible.
+ * - description: Descripción opcional.
+ * - features: Claves de funcionalidades registradas que concede el rol.
+ * - isAdmin: Da acceso a todas las funcionalidades y a la administración.
+ * - system: Rol creado por la aplicación (no se puede borrar).
+ */
+const roleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  features: { type: [String], default: [] },
+  isAdmin: { type: Boolean, default: false },
+  system: { type: Boolean, default: false },
+}, { timestamps: true });
+
+export const RoleModel = mongoose.model('ROLE', roleSchema, 'ROLE');
@@ -0,0 +1,40 @@
+// backend/src/infrastructure/database/models/session.model.js
+// ------------------------------------------------------
+// Mongoose model: SESSION
+// Sesiones de usuario asociadas a un refresh token rotatorio.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de sesión.
+ *
+ * Campos:
+ * - code: Código del usuario dueño de la sesión.
+ * - user: Username del usuario dueño de la sesión.
+ * - refreshTokenHash: SHA-256 del secreto del refresh token vigente
+ *   (el token en claro nunca se guarda).
+ * - expiresAt: Fecha de caducidad del refresh token.
+ * - revokedAt / revokedReason: Marca de revocación (logout, admin, reutilización...).
+ * - lastUsedAt: Último refresco de la sesión.
+ * - ip / userAgent: Cliente que abrió la sesión.
+ */
+const sessionSchema = new mongoose.Schema({
+  code: { type: Number, required: true },
+  user: { type: String, required: true },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  lastUsedAt: { type: Date, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+}, { timestamps: true });
+
+// Revocación masiva por usuario.
+sessionSchema.index({ code: 1, revokedAt: 1 });
+
+// TTL: Mongo elimina las sesiones caducadas automáticamente.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SessionModel = mongoose.model('SESSION', sessionSchema, 'SESSION');
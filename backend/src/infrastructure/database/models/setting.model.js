@@ -0,0 +1,23 @@
+// backend/src/infrastructure/database/models/setting.model.js
+// ------------------------------------------------------
+// Mongoose model: SETTING
+// Ajustes de la aplicación editables por los administradores.
+// ------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/**
+ * Esquema de ajuste.
+ *
+ * Campos:
+ * - key: Clave del ajuste (unique), p. ej. 'mfa_policy'.
+ * - value: Valor libre (objeto); cada caso de uso valida su forma.
+ * - updatedBy: Código del admin que hizo el último cambio.
+ */
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: Number, default: null },
+}, { timestamps: true, minimize: false });
+
+export const SettingModel = mongoose.model('SETTING', settingSchema, 'SETTING');
@@ -1,29 +1,31 @@
 // backend/src/infrastructure/database/models/user.model.js
 // ------------------------------------------------------
 // Mongoose model: USER
-// Define el esquema de usuarios y su subdocumento de permisos.
+// Define el esquema de usuarios.
 // ------------------------------------------------------
 
 import mongoose from 'mongoose';
 
 /**
- * Subdocumento de permisos por funcionalidad.
- * Todos los campos son booleanos y representan flags de acceso
- * a distintas áreas de la aplicación.
-*/
-const permissionSchema = new mongoose.Schema({
-  buzon: Boolean,
-  alertas_produccion: Boolean,
-  prototipos: Boolean,
-  situacion_pedidos: Boolean,
-  gestion_pedidos: Boolean,
-  gestion_nominas: Boolean,
-  intrastat: Boolean,
-  inventario: Boolean,
-  parte_situacion: Boolean,
-  notas_fabricacion: Boolean,
+ * Subdocumento de segundo factor (TOTP).
+ * - enabled / enabledAt: 2FA activo y desde cuándo.
+ * - secret: Semilla TOTP cifrada (SecretCipher); nunca en claro.
+ * - pendingSecret: Semilla cifrada en proceso de alta (hasta confirmar un código).
+ * - lastUsedStep: Último periodo TOTP aceptado (impide reutilizar un código).
+ * - recoveryCodes: SHA-256 de los códigos de recuperación aún sin usar.
+ */
+const mfaSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  enabledAt: { type: Date, default: null },
+  secret: { type: String, default: null },
+  pendingSecret: { type: String, default: null },
+  lastUsedStep: { type: Number, default: -1 },
+  recoveryCodes: { type: [String], default: [] },
 }, { _id: false });
 
+// Comparación de emails sin distinguir mayúsculas (Google los devuelve en minúsculas).
+export const EMAIL_COLLATION = { locale: 'en', strength: 2 };
+
 /**
  * Esquema principal de usuario.
  *
@@ -31,19 +33,55 @@ const permissionSchema = new mongoose.Schema({
  * - code: Identificador numérico interno (unique).
  * - full_name: Nombre completo para display.
  * - user: Nombre de usuario (unique), utilizado para autenticación.
- * - password: Contraseña (no exponer en respuestas públicas).
+ * - password: Hash scrypt de la contraseña (texto plano solo en usuarios legados,
+ *   que se migran en su siguiente login). No exponer en respuestas públicas.
  * - email: Correo del usuario.
- * - permision: Subdocumento de permisos (nota: el nombre podría ser 'permission').
- * - isAdmin: Flag opcional de rol administrador.
+ * - roles: Claves de ROLE asignadas. Ausente en usuarios aún no migrados
+ *   (ver scripts/migrate_user_roles.js).
+ * - permissionOverrides: Mapa funcionalidad → boolean que concede (true) o
+ *   retira (false) funcionalidades por encima de los roles.
+ * - permision / isAdmin: Campos legados previos a los roles. Solo se leen
+ *   mientras el usuario no está migrado; la migración los elimina.
+ * - failedLoginCount: Intentos fallidos consecutivos (se reinicia al acertar).
+ * - lockedUntil: Si está en el futuro, la cuenta está bloqueada hasta esa fecha.
+ * - lastFailedLoginAt: Fecha del último intento fallido.
+ * - disabled: Cuenta deshabilitada por un admin (no puede iniciar sesión).
+ * - mustChangePassword: La contraseña actual es temporal (alta o reset por admin).
+ * - mfa: Segundo factor TOTP (ver mfaSchema).
+ * - passwordLoginEnabled: Si es false solo puede entrar con Google (lo decide un admin).
+ * - googleLoginEnabled: Si es false no puede entrar con Google (lo decide un admin).
+ * - googleSub: Identificador de la cuenta de Google vinculada en el primer
+ *   "Iniciar sesión con Google"; otra cuenta con el mismo email no entra.
  */
+
 const userSchema = new mongoose.Schema({
   code: { type: Number, required: true, unique: true },
   full_name: { type: String, required: true },
   user: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   email: { type: String, required: true },
-  permision: { type: permissionSchema, required: true },
+  roles: { type: [String], default: undefined },
+  permissionOverrides: { type: Map, of: Boolean, default: undefined },
+  permision: { type: mongoose.Schema.Types.Mixed, required: false },
   isAdmin: { type: Boolean, required: false },
-});
+  failedLoginCount: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  lastFailedLoginAt: { type: Date, default: null },
+  disabled: { type: Boolean, default: false },
+  mustChangePassword: { type: Boolean, default: false },
+  mfa: { type: mfaSchema, default: undefined },
+  passwordLoginEnabled: { type: Boolean, default: true },
+  googleLoginEnabled: { type: Boolean, default: true },
+  googleSub: { type: String, default: null },
+}, { timestamps: true });
+
+// Búsqueda de usuarios por rol (borrado de roles en uso).
+userSchema.index({ roles: 1 });
+
+// Búsqueda por email en el login con Google.
+userSchema.index({ email: 1 }, { collation: EMAIL_COLLATION });
+
+// Búsqueda por la cuenta de Google vinculada (solo las que la tienen).
+userSchema.index({ googleSub: 1 }, { partialFilterExpression: { googleSub: { $type: 'string' } } });
 
 export const UserModel = mongoose.model('USER', userSchema, 'USER');
@@ -0,0 +1,87 @@
+// backend/src/infrastructure/database/repositories/api_key.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de API keys: encapsula la lectura/escritura sobre la colección API_KEY.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { ApiKeyModel } from '../models/api_key.model.js';
+
+// Implementación concreta para gestionar API keys en MongoDB.
+export class ApiKeyRepository {
+
+  /**
+   * Crea una API key.
+   * @param {Object} keyData { name, prefix, keyHash, scopes, expiresAt, createdBy }
+   * @returns {Promise<any>} API key creada (objeto plano).
+   */
+  async create(keyData) {
+    const apiKey = await ApiKeyModel.create(keyData);
+    return apiKey.toObject();
+  }
+
+  /**
+   * Devuelve todas las API keys, más recientes primero.
+   * @returns {Promise<any[]>}
+   */
+  async findAll() {
+    return await ApiKeyModel.find().sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Busca una API key por su _id.
+   * @param {string} id
+   * @returns {Promise<any|null>} API key o null si no existe o el id no es válido.
+   */
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await ApiKeyModel.findById(id).lean();
+  }
+
+  /**
+   * Busca una API key no revocada por el hash de la key presentada.
+   * @param {string} keyHash SHA-256 de la key.
+   * @returns {Promise<any|null>}
+   */
+  async findActiveByHash(keyHash) {
+    return await ApiKeyModel.findOne({ keyHash, revokedAt: null }).lean();
+  }
+
+  /**
+   * Actualiza campos concretos de una API key.
+   * @param {string} id
+   * @param {Object} changes Campos a modificar (name, scopes, expiresAt).
+   * @returns {Promise<any|null>} API key actualizada o null si no existe.
+   */
+  async updateById(id, changes) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await ApiKeyModel.findByIdAndUpdate(id, changes, { new: true }).lean();
+  }
+
+  /**
+   * Revoca una API key (deja de autenticar de inmediato).
+   * @param {string} id
+   * @returns {Promise<any|null>} API key revocada o null si no existe o ya estaba revocada.
+   */
+  async revokeById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await ApiKeyModel.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Actualiza el resumen de uso de una API key.
+   * @param {string} id
+   * @param {Object} usage
+   * @param {string} [usage.ip]
+   * @returns {Promise<void>}
+   */
+  async touch(id, { ip } = {}) {
+    await ApiKeyModel.updateOne(
+      { _id: id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ip ?? null }, $inc: { usageCount: 1 } },
+    );
+  }
+}
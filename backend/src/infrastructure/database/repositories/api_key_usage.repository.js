@@ -0,0 +1,55 @@
+// backend/src/infrastructure/database/repositories/api_key_usage.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio del registro de uso de API keys (colección API_KEY_USAGE).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { ApiKeyUsageModel } from '../models/api_key_usage.model.js';
+
+// Implementación concreta para registrar y consultar el uso de API keys en MongoDB.
+export class ApiKeyUsageRepository {
+
+  /**
+   * Registra una petición hecha con una API key.
+   * @param {Object} usage { keyId, name, method, path, status, ip, userAgent }
+   * @returns {Promise<void>}
+   */
+  async create(usage) {
+    await ApiKeyUsageModel.create({
+      keyId: usage.keyId,
+      name: usage.name,
+      method: usage.method,
+      path: usage.path,
+      status: usage.status ?? null,
+      ip: usage.ip ?? null,
+      userAgent: usage.userAgent ?? null,
+      date: new Date(),
+    });
+  }
+
+  /**
+   * Lista el uso de una API key con paginación, más recientes primero.
+   * @param {string} keyId
+   * @param {Object} params
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=20]
+   * @returns {Promise<{data: any[], total: number, page: number, limit: number, pages: number}>}
+   */
+  async findByKeyPaginated(keyId, { page = 1, limit = 20 }) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      return { data: [], total: 0, page, limit, pages: 0 };
+    }
+
+    const query = { keyId };
+    const [data, total] = await Promise.all([
+      ApiKeyUsageModel.find(query)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ApiKeyUsageModel.countDocuments(query),
+    ]);
+
+    return { data, total, page, limit, pages: Math.ceil(total / limit) };
+  }
+}
@@ -0,0 +1,42 @@
+// backend/src/infrastructure/database/repositories/drive_folder.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de carpetas de Drive resueltas: lectura/escritura sobre la
+// colección DRIVE_FOLDER. Es la caché persistente de DriveRepository.ensureFolder.
+// -----------------------------------------------------------------------------
+
+import { DriveFolderModel } from '../models/drive_folder.model.js';
+
+// Implementación concreta para guardar en MongoDB qué ID tiene cada carpeta.
+export class DriveFolderRepository {
+
+  /**
+   * Busca una carpeta resuelta que no haya caducado.
+   * @param {string} parentId ID de la carpeta padre.
+   * @param {string} name Nombre exacto de la carpeta.
+   * @returns {Promise<string|null>} ID de la carpeta en Drive o null.
+   */
+  async find(parentId, name) {
+    const entry = await DriveFolderModel.findOne({
+      parentId,
+      name,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return entry ? entry.folderId : null;
+  }
+
+  /**
+   * Guarda (o sustituye) el ID de una carpeta.
+   * @param {string} parentId ID de la carpeta padre.
+   * @param {string} name Nombre exacto de la carpeta.
+   * @param {string} folderId ID de la carpeta en Drive.
+   * @param {Date} expiresAt Hasta cuándo vale la entrada.
+   * @returns {Promise<void>}
+   */
+  async save(parentId, name, folderId, expiresAt) {
+    await DriveFolderModel.updateOne(
+      { parentId, name },
+      { $set: { folderId, expiresAt } },
+      { upsert: true },
+    );
+  }
+}
@@ -0,0 +1,78 @@
+// backend/src/infrastructure/database/repositories/log_archive.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de archivos de logs: encapsula la lectura/escritura sobre la
+// colección LOG_ARCHIVE (índice de los archivos mensuales subidos a Drive).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { LogArchiveModel } from '../models/log_archive.model.js';
+
+// Implementación concreta para gestionar el índice de archivos en MongoDB.
+export class LogArchiveRepository {
+
+  /**
+   * Registra un archivo mensual.
+   * @param {Object} archiveData { month, from, to, fileId, fileName, count, sizeBytes }
+   * @returns {Promise<any>} Archivo creado (objeto plano).
+   */
+  async create(archiveData) {
+    const archive = await LogArchiveModel.create(archiveData);
+    return archive.toObject();
+  }
+
+  /**
+   * Devuelve todos los archivos, del mes más reciente al más antiguo.
+   * @returns {Promise<any[]>}
+   */
+  async findAll() {
+    return await LogArchiveModel.find().sort({ month: -1 }).lean();
+  }
+
+  /**
+   * Busca un archivo por su _id.
+   * @param {string} id
+   * @returns {Promise<any|null>} Archivo o null si no existe o el id no es válido.
+   */
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await LogArchiveModel.findById(id).lean();
+  }
+
+  /**
+   * Busca el archivo de un mes.
+   * @param {string} month "yyyy-MM"
+   * @returns {Promise<any|null>}
+   */
+  async findByMonth(month) {
+    return await LogArchiveModel.findOne({ month }).lean();
+  }
+
+  /**
+   * Marca un archivo como restaurado en LOG_USER.
+   * @param {string} id
+   * @param {number} restoredCount Logs insertados de nuevo.
+   * @returns {Promise<any|null>} Archivo actualizado.
+   */
+  async markRestored(id, restoredCount) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await LogArchiveModel.findByIdAndUpdate(
+      id,
+      { restoredAt: new Date(), restoredCount },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Marca un archivo como no restaurado (sus logs vuelven a estar solo en Drive).
+   * @param {string} id
+   * @returns {Promise<any|null>} Archivo actualizado.
+   */
+  async clearRestored(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await LogArchiveModel.findByIdAndUpdate(
+      id,
+      { restoredAt: null, restoredCount: 0 },
+      { new: true },
+    ).lean();
+  }
+}
@@ -5,12 +5,56 @@
 // -----------------------------------------------------------------------------
 
 import { LogModel } from '../models/log.model.js';
+import { UserModel } from '../models/user.model.js';
+
+// Logins correctos (los logs anteriores al registro de actividad no tienen 'action')
+const LOGIN_MATCH = { action: { $in: ['login', null] } };
+
+/**
+ * Traduce los filtros del listado de logs a una consulta de Mongo.
+ * Compartido por la consulta paginada y por la exportación.
+ * Sin action, module ni resourceId se devuelven solo los logins: los eventos
+ * de actividad se piden de forma explícita.
+ * @param {Object} filters Criterios (user, fullName, email, from, to, code, action, module, outcome, resourceId).
+ * @returns {Object} Consulta para LogModel.find / countDocuments.
+ */
+function buildFilterQuery(filters) {
+  const asksForActivity = Boolean(filters.action || filters.module || filters.resourceId);
+  const query = asksForActivity ? {} : { ...LOGIN_MATCH };
+
+  // Filtro por campos de texto (búsqueda parcial case-insensitive)
+  if (filters.user) {
+    query.user = { $regex: filters.user, $options: 'i' };
+  }
+  if (filters.fullName) {
+    query.fullName = { $regex: filters.fullName, $options: 'i' };
+  }
+  if (filters.email) {
+    query.email = { $regex: filters.email, $options: 'i' };
+  }
+
+  // Filtros de actividad (coincidencia exacta)
+  if (filters.code !== undefined) query.code = filters.code;
+  if (filters.action) query.action = filters.action;
+  if (filters.module) query.module = filters.module;
+  if (filters.outcome) query.outcome = filters.outcome;
+  if (filters.resourceId) query['resource.id'] = filters.resourceId;
+
+  // Filtro por rango de fechas (Date; si se proporciona 'from' y/o 'to')
+  if (filters.from || filters.to) {
+    query.date = {};
+    if (filters.from) query.date.$gte = filters.from;
+    if (filters.to) query.date.$lte = filters.to;
+  }
+
+  return query;
+}
 
 // Implementación concreta para crear y consultar logs en MongoDB.
 export class LogRepository {
 
   /**
-   * Lista todos los logs con paginación.
+   * Lista los logins con paginación (sin eventos de actividad).
    * - Orden: desc por fecha (más recientes primero).
    * - Devuelve los documentos y metadatos de paginación.
    * @param {Object} params
@@ -23,14 +67,14 @@ export class LogRepository {
 
     // Consulta paginada y ordenada
     const logs = await LogModel
-      .find({})
+      .find(LOGIN_MATCH)
       .sort({ date: -1 }) // Más recientes primero
       .skip(skip)
       .limit(limit)
       .lean(); // Devuelve objetos planos (mejor rendimiento en lectura)
 
     // Total de documentos para calcular el número de páginas
-    const total = await LogModel.countDocuments();
+    const total = await LogModel.countDocuments(LOGIN_MATCH);
 
     return {
       logs,
@@ -44,7 +88,9 @@ export class LogRepository {
    * Lista logs aplicando filtros + paginación.
    * - Filtros soportados:
    *   • user / fullName / email → búsqueda parcial (regex insensible a mayúsculas).
-   *   • date → rango [from, to] (incluyentes si se proporcionan).
+   *   • code / action / module / outcome / resourceId → coincidencia exacta.
+   *   • date → rango [from, to] de instantes Date (incluyentes si se proporcionan).
+   *   • Sin action, module ni resourceId → solo logins.
    * - Orden: desc por fecha (más recientes primero).
    * @param {Object} params
    * @param {number} [params.page=1]   Página actual (1-based).
@@ -54,25 +100,7 @@ export class LogRepository {
    */
   async findAllFilteredPaginated({ page = 1, limit = 20, filters = {} }) {
     const skip = (page - 1) * limit; // Offset para la paginación
-    const query = {};                 // Objeto de consulta para Mongo
-
-    // Filtro por campos de texto (búsqueda parcial case-insensitive)
-    if (filters.user) {
-      query.user = { $regex: filters.user, $options: 'i' };
-    }
-    if (filters.fullName) {
-      query.fullName = { $regex: filters.fullName, $options: 'i' };
-    }
-    if (filters.email) {
-      query.email = { $regex: filters.email, $options: 'i' };
-    }
-
-    // Filtro por rango de fechas (si se proporciona 'from' y/o 'to')
-    if (filters.from || filters.to) {
-      query.date = {};
-      if (filters.from) query.date.$gte = filters.from;
-      if (filters.to) query.date.$lte = filters.to;
-    }
+    const query = buildFilterQuery(filters); // Objeto de consulta para Mongo
 
     // Consulta paginada con filtros aplicados
     const results = await LogModel.find(query)
@@ -93,14 +121,209 @@ export class LogRepository {
     };
   }
   
+  /**
+   * Recorre todos los logs que cumplen los filtros, sin paginar.
+   * - Mismos filtros y orden que findAllFilteredPaginated.
+   * - Devuelve un cursor para procesar documento a documento (exportaciones)
+   *   sin cargar la colección entera en memoria.
+   * @param {Object} [filters={}] Criterios de filtrado.
+   * @returns {import('mongoose').Cursor} Cursor de objetos planos (for await...of).
+   */
+  findAllFilteredCursor(filters = {}) {
+    return LogModel.find(buildFilterQuery(filters))
+      .sort({ date: -1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Estadísticas de logins en un rango de fechas (una sola agregación con $facet).
+   * El día y la hora de cada login se calculan en la zona indicada.
+   * @param {Object} params
+   * @param {Date} params.from Inicio del rango (incluido).
+   * @param {Date} params.to Fin del rango (incluido).
+   * @param {string} params.timezone Zona horaria para agrupar por día y hora (ej: "Europe/Madrid").
+   * @returns {Promise<{totalLogins: number, activeUsers: number, byUser: any[], byDay: any[], byHour: any[]}>}
+   */
+  async getLoginStats({ from, to, timezone }) {
+    const [stats] = await LogModel.aggregate([
+      { $match: { ...LOGIN_MATCH, date: { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          // Logins por usuario, con su último login dentro del rango
+          byUser: [
+            { $sort: { date: -1 } },
+            {
+              $group: {
+                _id: '$code',
+                user: { $first: '$user' },
+                fullName: { $first: '$fullName' },
+                logins: { $sum: 1 },
+                lastLogin: { $first: '$date' },
+              },
+            },
+            { $sort: { logins: -1, user: 1 } },
+            { $project: { _id: 0, code: '$_id', user: 1, fullName: 1, logins: 1, lastLogin: 1 } },
+          ],
+          // Logins y usuarios distintos por día
+          byDay: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                logins: { $sum: 1 },
+                users: { $addToSet: '$code' },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, day: '$_id', logins: 1, activeUsers: { $size: '$users' } } },
+          ],
+          // Logins por hora del día (0-23)
+          byHour: [
+            { $group: { _id: { $hour: { date: '$date', timezone } }, logins: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, hour: '$_id', logins: 1 } },
+          ],
+          totals: [
+            { $group: { _id: null, logins: { $sum: 1 }, users: { $addToSet: '$code' } } },
+            { $project: { _id: 0, logins: 1, activeUsers: { $size: '$users' } } },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      totalLogins: stats.totals[0]?.logins ?? 0,
+      activeUsers: stats.totals[0]?.activeUsers ?? 0,
+      byUser: stats.byUser,
+      byDay: stats.byDay,
+      byHour: stats.byHour,
+    };
+  }
+
+  /**
+   * Último login de cada usuario (histórico completo), partiendo de USER para
+   * que aparezcan también los que nunca han entrado (lastLogin: null).
+   * @returns {Promise<Array<{code: number, user: string, fullName: string, email: string, disabled: boolean, lastLogin: Date|null}>>}
+   *          Ordenado por último login descendente (los que nunca han entrado al final).
+   */
+  async getLastLoginPerUser() {
+    return await UserModel.aggregate([
+      {
+        $lookup: {
+          from: LogModel.collection.name,
+          let: { code: '$code' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$code', '$$code'] }, ...LOGIN_MATCH } },
+            { $sort: { date: -1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, date: 1 } },
+          ],
+          as: 'lastLog',
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          code: 1,
+          user: 1,
+          fullName: '$full_name',
+          email: 1,
+          disabled: { $eq: ['$disabled', true] },
+          lastLogin: { $ifNull: [{ $arrayElemAt: ['$lastLog.date', 0] }, null] },
+        },
+      },
+      { $sort: { lastLogin: -1, user: 1 } },
+    ]);
+  }
+
+  /**
+   * Fecha del log más antiguo anterior a un instante (para el archivado).
+   * Solo tiene en cuenta fechas Date (los logs sin migrar no se archivan).
+   * @param {Date} before Instante límite (excluido).
+   * @returns {Promise<Date|null>} Fecha del log más antiguo o null si no hay.
+   */
+  async findOldestDateBefore(before) {
+    const log = await LogModel.findOne({ date: { $type: 'date', $lt: before } })
+      .sort({ date: 1 })
+      .select('date')
+      .lean();
+
+    return log?.date ?? null;
+  }
+
+  /**
+   * Recorre los logs de un rango [from, to) en orden cronológico.
+   * @param {Date} from Inicio (incluido).
+   * @param {Date} to Fin (excluido).
+   * @returns {import('mongoose').Cursor} Cursor de objetos planos (for await...of).
+   */
+  findByDateRangeCursor(from, to) {
+    return LogModel.find({ date: { $gte: from, $lt: to } })
+      .sort({ date: 1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Cuenta los logs de un rango [from, to).
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Promise<number>}
+   */
+  async countByDateRange(from, to) {
+    return await LogModel.countDocuments({ date: { $gte: from, $lt: to } });
+  }
+
+  /**
+   * Borra los logs de un rango [from, to).
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Promise<number>} Número de logs borrados.
+   */
+  async deleteByDateRange(from, to) {
+    const result = await LogModel.deleteMany({ date: { $gte: from, $lt: to } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Vuelve a insertar logs conservando su _id (restauración de archivos).
+   * Los que ya existen no se tocan, así que repetir la operación es seguro.
+   * @param {Object[]} logs Documentos completos (con _id y date como Date).
+   * @returns {Promise<number>} Número de logs insertados.
+   */
+  async insertManyPreservingIds(logs) {
+    if (logs.length === 0) return 0;
+
+    const result = await LogModel.bulkWrite(
+      logs.map(({ _id, ...log }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $setOnInsert: log },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+
+    return result.upsertedCount;
+  }
+
   /**
    * Crea un nuevo documento de log en la base de datos.
-   * @param {Object} logData Datos del log a crear.
-   * @param {number} logData.code
+   * @param {Object} logData Datos del log a crear (ver domain/entities/log.entity.js).
+   * @param {number|null} logData.code
    * @param {string} logData.user
-   * @param {string} logData.fullName
-   * @param {string} logData.email
-   * @param {string} logData.date
+   * @param {string|null} logData.fullName
+   * @param {string|null} logData.email
+   * @param {Date} logData.date
+   * @param {string} [logData.timezone]
+   * @param {string} [logData.action]
+   * @param {string} [logData.module]
+   * @param {{type: string, id: string}|null} [logData.resource]
+   * @param {string} [logData.outcome]
+   * @param {string|null} [logData.ip]
+   * @param {string|null} [logData.userAgent]
+   * @param {Object|null} [logData.metadata]
    * @returns {Promise<void>}
    */
   async create(logData) {
@@ -110,7 +333,15 @@ export class LogRepository {
       user: logData.user,
       fullName: logData.fullName,
       email: logData.email,
-      date: logData.date
+      date: logData.date,
+      timezone: logData.timezone,
+      action: logData.action,
+      module: logData.module,
+      resource: logData.resource ?? undefined,
+      outcome: logData.outcome,
+      ip: logData.ip,
+      userAgent: logData.userAgent,
+      metadata: logData.metadata,
     });
 
     // Persiste el documento en MongoDB
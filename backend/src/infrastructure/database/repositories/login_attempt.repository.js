@@ -0,0 +1,54 @@
+// backend/src/infrastructure/database/repositories/login_attempt.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de intentos de login fallidos (colección LOGIN_ATTEMPT).
+// -----------------------------------------------------------------------------
+
+import { LoginAttemptModel } from '../models/login_attempt.model.js';
+
+// Implementación concreta para registrar y contar intentos fallidos en MongoDB.
+export class LoginAttemptRepository {
+
+  /**
+   * Registra un intento de login fallido.
+   * @param {Object} attempt
+   * @param {string} attempt.user Username introducido
+   * @param {number|null} [attempt.code] Código del usuario si existe
+   * @param {string} [attempt.ip]
+   * @param {string} [attempt.userAgent]
+   * @param {string} attempt.reason 'user_not_found' | 'bad_password' | 'bad_mfa_code' | 'google_rejected' | 'locked'
+   * @returns {Promise<void>}
+   */
+  async create(attempt) {
+    await LoginAttemptModel.create({
+      user: attempt.user,
+      code: attempt.code ?? null,
+      ip: attempt.ip ?? null,
+      userAgent: attempt.userAgent ?? null,
+      reason: attempt.reason,
+      date: new Date(),
+    });
+  }
+
+  /**
+   * Resume los fallos de credenciales de un username desde una fecha.
+   * No cuenta los intentos rechazados por bloqueo ('locked'), igual que el
+   * contador de la cuenta no sube mientras está bloqueada.
+   * @param {string} username Username introducido
+   * @param {Date} since Fecha desde la que contar
+   * @returns {Promise<{count: number, lastAt: Date|null}>}
+   */
+  async getFailureStatsSince(username, since) {
+    const query = {
+      user: username,
+      reason: { $ne: 'locked' },
+      date: { $gte: since },
+    };
+
+    const [count, last] = await Promise.all([
+      LoginAttemptModel.countDocuments(query),
+      LoginAttemptModel.findOne(query).sort({ date: -1 }).select('date').lean(),
+    ]);
+
+    return { count, lastAt: last?.date ?? null };
+  }
+}
@@ -0,0 +1,57 @@
+// backend/src/infrastructure/database/repositories/password_reset.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de tokens de recuperación de contraseña (colección PASSWORD_RESET).
+// -----------------------------------------------------------------------------
+
+import { PasswordResetModel } from '../models/password_reset.model.js';
+
+// Implementación concreta para emitir, canjear e invalidar tokens en MongoDB.
+export class PasswordResetRepository {
+
+  /**
+   * Guarda un token de recuperación.
+   * @param {Object} data
+   * @param {number} data.code Código del usuario
+   * @param {string} data.tokenHash Hash del token enviado por email
+   * @param {Date} data.expiresAt Caducidad
+   * @param {string} [data.ip]
+   * @param {string} [data.userAgent]
+   * @returns {Promise<void>}
+   */
+  async create(data) {
+    await PasswordResetModel.create({
+      code: data.code,
+      tokenHash: data.tokenHash,
+      expiresAt: data.expiresAt,
+      ip: data.ip ?? null,
+      userAgent: data.userAgent ?? null,
+    });
+  }
+
+  /**
+   * Marca como usado un token vigente de forma atómica: dos canjes
+   * simultáneos del mismo token no pueden tener éxito a la vez.
+   * @param {string} tokenHash Hash del token presentado
+   * @returns {Promise<any|null>} Token canjeado o null si no existe, está usado o ha caducado.
+   */
+  async consume(tokenHash) {
+    return await PasswordResetModel.findOneAndUpdate(
+      { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Invalida todos los tokens pendientes de un usuario.
+   * @param {number} code Código del usuario
+   * @returns {Promise<number>} Número de tokens invalidados
+   */
+  async invalidateAllForUser(code) {
+    const result = await PasswordResetModel.updateMany(
+      { code, usedAt: null },
+      { $set: { usedAt: new Date() } },
+    );
+    return result.modifiedCount;
+  }
+}
@@ -0,0 +1,55 @@
+// backend/src/infrastructure/database/repositories/password_reset_request.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de solicitudes de recuperación de contraseña
+// (colección PASSWORD_RESET_REQUEST).
+// -----------------------------------------------------------------------------
+
+import { PasswordResetRequestModel } from '../models/password_reset_request.model.js';
+
+// Implementación concreta para registrar y contar solicitudes en MongoDB.
+export class PasswordResetRequestRepository {
+
+  /**
+   * Registra una solicitud.
+   * @param {Object} request
+   * @param {string} request.user Username introducido (normalizado)
+   * @param {string} [request.ip]
+   * @param {string} [request.userAgent]
+   * @returns {Promise<void>}
+   */
+  async create(request) {
+    await PasswordResetRequestModel.create({
+      user: request.user,
+      ip: request.ip ?? null,
+      userAgent: request.userAgent ?? null,
+      date: new Date(),
+    });
+  }
+
+  /**
+   * Resume las solicitudes de una cuenta y de una IP desde una fecha.
+   * @param {Object} params
+   * @param {string} params.user Username introducido (normalizado)
+   * @param {string|null} [params.ip]
+   * @param {Date} since Fecha desde la que contar
+   * @returns {Promise<{user: {count: number, oldestAt: Date|null}, ip: {count: number, oldestAt: Date|null}}>}
+   */
+  async getStatsSince({ user, ip = null }, since) {
+    const [byUser, byIp] = await Promise.all([
+      this._statsFor({ user, date: { $gte: since } }),
+      ip ? this._statsFor({ ip, date: { $gte: since } }) : { count: 0, oldestAt: null },
+    ]);
+
+    return { user: byUser, ip: byIp };
+  }
+
+  /** @private */
+  async _statsFor(query) {
+    const [count, oldest] = await Promise.all([
+      PasswordResetRequestModel.countDocuments(query),
+      PasswordResetRequestModel.findOne(query).sort({ date: 1 }).select('date').lean(),
+    ]);
+
+    return { count, oldestAt: oldest?.date ?? null };
+  }
+}
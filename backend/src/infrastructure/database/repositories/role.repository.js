@@ -0,0 +1,85 @@
+// backend/src/infrastructure/database/repositories/role.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de roles: encapsula la lectura/escritura sobre la colección ROLE.
+// -----------------------------------------------------------------------------
+
+import { RoleModel } from '../models/role.model.js';
+
+// Implementación concreta para gestionar roles en MongoDB.
+export class RoleRepository {
+
+  /**
+   * Devuelve todos los roles ordenados por clave.
+   * @returns {Promise<any[]>}
+   */
+  async findAll() {
+    return await RoleModel.find().sort({ key: 1 }).lean();
+  }
+
+  /**
+   * Busca un rol por su clave.
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async findByKey(key) {
+    return await RoleModel.findOne({ key }).lean();
+  }
+
+  /**
+   * Busca los roles de una lista de claves (las inexistentes se ignoran).
+   * @param {string[]} keys
+   * @returns {Promise<any[]>}
+   */
+  async findByKeys(keys) {
+    return await RoleModel.find({ key: { $in: keys } }).lean();
+  }
+
+  /**
+   * Crea un rol.
+   * @param {Object} roleData { key, name, description, features, isAdmin, system }
+   * @returns {Promise<any>} Rol creado (objeto plano).
+   * @throws {Error} Error de Mongo con code 11000 si la clave ya existe.
+   */
+  async create(roleData) {
+    const role = await RoleModel.create(roleData);
+    return role.toObject();
+  }
+
+  /**
+   * Actualiza campos de un rol.
+   * @param {string} key
+   * @param {Object} changes Campos a fijar.
+   * @returns {Promise<any|null>} Rol actualizado o null si no existe.
+   */
+  async updateByKey(key, changes) {
+    return await RoleModel.findOneAndUpdate(
+      { key },
+      { $set: changes },
+      { new: true, runValidators: true },
+    ).lean();
+  }
+
+  /**
+   * Elimina un rol.
+   * @param {string} key
+   * @returns {Promise<boolean>} true si se eliminó.
+   */
+  async deleteByKey(key) {
+    const result = await RoleModel.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Crea el rol si no existe (no modifica uno existente).
+   * @param {Object} roleData Igual que en create.
+   * @returns {Promise<boolean>} true si se creó.
+   */
+  async ensure(roleData) {
+    const result = await RoleModel.updateOne(
+      { key: roleData.key },
+      { $setOnInsert: roleData },
+      { upsert: true },
+    );
+    return result.upsertedCount > 0;
+  }
+}
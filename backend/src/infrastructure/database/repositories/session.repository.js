@@ -0,0 +1,96 @@
+// backend/src/infrastructure/database/repositories/session.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de sesiones: encapsula la lectura/escritura sobre la colección SESSION.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { SessionModel } from '../models/session.model.js';
+
+// Implementación concreta para crear, rotar y revocar sesiones en MongoDB.
+export class SessionRepository {
+
+  /**
+   * Crea una nueva sesión.
+   * @param {Object} sessionData
+   * @param {number} sessionData.code
+   * @param {string} sessionData.user
+   * @param {string} sessionData.refreshTokenHash
+   * @param {Date} sessionData.expiresAt
+   * @param {string} [sessionData.ip]
+   * @param {string} [sessionData.userAgent]
+   * @returns {Promise<Object>} Sesión creada (objeto plano).
+   */
+  async create(sessionData) {
+    const session = await SessionModel.create(sessionData);
+    return session.toObject();
+  }
+
+  /**
+   * Busca una sesión por su _id.
+   * @param {string} id
+   * @returns {Promise<any|null>} Sesión o null si no existe o el id no es válido.
+   */
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return await SessionModel.findById(id).lean();
+  }
+
+  /**
+   * Sustituye el hash del refresh token de forma atómica.
+   * Solo actualiza si la sesión sigue activa y el hash actual coincide con
+   * el presentado, de modo que dos refrescos simultáneos con el mismo token
+   * no pueden rotar ambos.
+   * @param {string} id _id de la sesión.
+   * @param {string} currentHash Hash del token presentado por el cliente.
+   * @param {string} newHash Hash del nuevo token.
+   * @param {Date} expiresAt Nueva caducidad.
+   * @returns {Promise<any|null>} Sesión actualizada o null si no se pudo rotar.
+   */
+  async rotate(id, currentHash, newHash, expiresAt) {
+    return await SessionModel.findOneAndUpdate(
+      {
+        _id: id,
+        refreshTokenHash: currentHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { refreshTokenHash: newHash, expiresAt, lastUsedAt: new Date() } },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Revoca una sesión concreta.
+   * @param {string} id _id de la sesión.
+   * @param {string} reason Motivo de la revocación.
+   * @returns {Promise<boolean>} true si se revocó una sesión activa.
+   */
+  async revokeById(id, reason) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const result = await SessionModel.updateOne(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoca todas las sesiones activas de un usuario.
+   * @param {number} code Código del usuario.
+   * @param {string} reason Motivo de la revocación.
+   * @param {string} [exceptId] _id de una sesión a conservar (la del propio usuario).
+   * @returns {Promise<number>} Número de sesiones revocadas.
+   */
+  async revokeAllByUserCode(code, reason, exceptId) {
+    const filter = { code, revokedAt: null };
+    if (exceptId && mongoose.isValidObjectId(exceptId)) {
+      filter._id = { $ne: exceptId };
+    }
+
+    const result = await SessionModel.updateMany(
+      filter,
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    return result.modifiedCount;
+  }
+}
@@ -0,0 +1,36 @@
+// backend/src/infrastructure/database/repositories/setting.repository.js
+// -----------------------------------------------------------------------------
+// Repositorio de ajustes: lectura/escritura sobre la colección SETTING.
+// -----------------------------------------------------------------------------
+
+import { SettingModel } from '../models/setting.model.js';
+
+// Implementación concreta para leer y guardar ajustes en MongoDB.
+export class SettingRepository {
+
+  /**
+   * Devuelve el valor de un ajuste.
+   * @param {string} key Clave del ajuste.
+   * @returns {Promise<any|null>} Valor guardado o null si no existe.
+   */
+  async get(key) {
+    const setting = await SettingModel.findOne({ key }).lean();
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Crea o sustituye el valor de un ajuste.
+   * @param {string} key Clave del ajuste.
+   * @param {any} value Valor a guardar.
+   * @param {number} [updatedBy] Código del admin que lo cambia.
+   * @returns {Promise<any>} Valor guardado.
+   */
+  async set(key, value, updatedBy = null) {
+    const setting = await SettingModel.findOneAndUpdate(
+      { key },
+      { $set: { value, updatedBy } },
+      { new: true, upsert: true },
+    ).lean();
+    return setting.value;
+  }
+}
@@ -1,12 +1,12 @@
 // backend/src/infrastructure/database/repositories/user.repository.js
 // -----------------------------------------------------------------------------
 // Repositorio de usuarios: centraliza las consultas a la colección USER.
-// Provee métodos de lectura usados por casos de uso y controladores.
+// Provee métodos de lectura y actualización usados por casos de uso y controladores.
 // -----------------------------------------------------------------------------
 
-import { UserModel } from '../models/user.model.js';
+import { UserModel, EMAIL_COLLATION } from '../models/user.model.js';
 
-// Implementación concreta para obtener datos de usuarios desde MongoDB.
+// Implementación concreta para obtener y actualizar usuarios en MongoDB.
 export class UserRepository {
 
   /**
@@ -20,25 +20,168 @@ export class UserRepository {
 
   /**
    * Busca un usuario por su nombre de usuario (username).
-   * Registra en consola el resultado de la búsqueda para depuración.
+   * Solo registra en consola si se encontró o no: el documento incluye la
+   * contraseña y nunca debe volcarse a los logs.
    * @param {string} username Nombre de usuario a buscar.
    * @returns {Promise<any|null>} Documento encontrado o null si no existe.
    */
   async findByUsername(username) {
-    console.log(`[Repository] Buscando usuario en la BD con el username: "${username}"`);
-    
     // Búsqueda puntual por el campo 'user'
     const userDocument = await UserModel.findOne({ user: username }).lean();
-    
-    // Logs de depuración según el resultado
-    if (userDocument) {
-      console.log('[Repository] ¡Usuario encontrado en la BD!', userDocument);
-    } else {
-      console.log('[Repository] Usuario NO encontrado en la BD (findOne devolvió null).');
+
+    if (!userDocument) {
+      console.log(`[Repository] Usuario "${username}" NO encontrado en la BD.`);
     }
-    // --- FIN DEPURACIÓN ---
 
     return userDocument;
   }
 
+  /**
+   * Busca un usuario por su código interno.
+   * @param {number} code Código numérico del usuario.
+   * @returns {Promise<any|null>} Documento encontrado o null si no existe.
+   */
+  async findByCode(code) {
+    return await UserModel.findOne({ code }).lean();
+  }
+
+  /**
+   * Busca el usuario vinculado a una cuenta de Google.
+   * @param {string} googleSub Claim "sub" del ID token.
+   * @returns {Promise<any|null>}
+   */
+  async findByGoogleSub(googleSub) {
+    if (!googleSub) return null;
+    return await UserModel.findOne({ googleSub }).lean();
+  }
+
+  /**
+   * Busca los usuarios con un email (sin distinguir mayúsculas).
+   * Devuelve como mucho dos para que el llamador detecte emails duplicados.
+   * @param {string} email
+   * @returns {Promise<any[]>}
+   */
+  async findAllByEmail(email) {
+    return await UserModel.find({ email })
+      .collation(EMAIL_COLLATION)
+      .limit(2)
+      .lean();
+  }
+
+  /**
+   * Cuenta los usuarios que tienen asignado un rol.
+   * @param {string} roleKey Clave del rol.
+   * @returns {Promise<number>}
+   */
+  async countByRole(roleKey) {
+    return await UserModel.countDocuments({ roles: roleKey });
+  }
+
+  /**
+   * Devuelve el código más alto asignado (0 si no hay usuarios).
+   * @returns {Promise<number>}
+   */
+  async findMaxCode() {
+    const last = await UserModel.findOne().sort({ code: -1 }).select('code').lean();
+    return last?.code ?? 0;
+  }
+
+  /**
+   * Crea un usuario nuevo.
+   * @param {Object} userData Campos del documento USER (password ya hasheada).
+   * @returns {Promise<any>} Documento creado (objeto plano).
+   * @throws {Error} Error de Mongo con code 11000 si code o user ya existen.
+   */
+  async create(userData) {
+    const created = await UserModel.create(userData);
+    return created.toObject();
+  }
+
+  /**
+   * Actualiza un usuario por su código interno.
+   * @param {number} code Código del usuario.
+   * @param {Object} changes Operación de actualización ($set, $unset...) o campos a fijar.
+   * @returns {Promise<any|null>} Documento actualizado o null si no existe.
+   */
+  async updateByCode(code, changes) {
+    const update = Object.keys(changes).some((key) => key.startsWith('$'))
+      ? changes
+      : { $set: changes };
+
+    return await UserModel.findOneAndUpdate(
+      { code },
+      update,
+      { new: true, runValidators: true },
+    ).lean();
+  }
+
+  /**
+   * Suma un intento de login fallido de forma atómica.
+   * @param {string} id _id del documento de usuario.
+   * @returns {Promise<any|null>} Documento actualizado (con el contador nuevo).
+   */
+  async registerFailedLogin(id) {
+    return await UserModel.findByIdAndUpdate(
+      id,
+      { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: new Date() } },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Reinicia el contador de fallos y elimina el bloqueo de un usuario.
+   * @param {Object} filter Filtro de Mongo (p. ej. { _id } o { code }).
+   * @returns {Promise<any|null>} Documento actualizado o null si no existe.
+   */
+  async resetFailedLogins(filter) {
+    return await UserModel.findOneAndUpdate(
+      filter,
+      { $set: { failedLoginCount: 0, lockedUntil: null } },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * Registra el periodo TOTP aceptado, solo si es posterior al último usado.
+   * Dos peticiones simultáneas con el mismo código no pueden aceptarse ambas.
+   * @param {number} code Código del usuario.
+   * @param {number} step Periodo TOTP del código aceptado.
+   * @returns {Promise<boolean>} true si se registró (el código no se había usado).
+   */
+  async advanceMfaStep(code, step) {
+    const result = await UserModel.updateOne(
+      { code, 'mfa.enabled': true, 'mfa.lastUsedStep': { $lt: step } },
+      { $set: { 'mfa.lastUsedStep': step } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Consume un código de recuperación de forma atómica.
+   * @param {number} code Código del usuario.
+   * @param {string} codeHash SHA-256 del código de recuperación.
+   * @returns {Promise<boolean>} true si el código existía y se ha eliminado.
+   */
+  async consumeMfaRecoveryCode(code, codeHash) {
+    const result = await UserModel.updateOne(
+      { code, 'mfa.enabled': true, 'mfa.recoveryCodes': codeHash },
+      { $pull: { 'mfa.recoveryCodes': codeHash } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Actualiza campos concretos de un usuario por su _id.
+   * @param {string} id _id del documento de usuario.
+   * @param {Object} changes Campos a modificar (p. ej. { password }).
+   * @returns {Promise<any|null>} Documento actualizado o null si no existe.
+   */
+  async updateById(id, changes) {
+    return await UserModel.findByIdAndUpdate(
+      id,
+      { $set: changes },
+      { new: true, runValidators: true },
+    ).lean();
+  }
+
 }
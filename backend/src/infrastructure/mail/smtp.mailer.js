@@ -0,0 +1,50 @@
+// src/infrastructure/mail/smtp.mailer.js
+// -----------------------------------------------------------------------------
+// Envío de correo por SMTP (nodemailer).
+// El transporte se configura por variables de entorno, así que puede apuntar
+// al servidor corporativo o a un servidor de pruebas local (MailHog, Mailpit...)
+// sin cambiar código. Los casos de uso solo dependen del contrato `send`.
+// -----------------------------------------------------------------------------
+
+import nodemailer from 'nodemailer';
+
+export class SmtpMailer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.host] Servidor SMTP. Sin host el mailer queda deshabilitado.
+   * @param {number} [options.port] Puerto (587 STARTTLS, 465 TLS, 1025 servidores de prueba...).
+   * @param {boolean} [options.secure] true para TLS directo (puerto 465).
+   * @param {string} [options.user] Usuario SMTP (opcional en servidores de prueba).
+   * @param {string} [options.pass] Contraseña SMTP.
+   * @param {string} options.from Remitente por defecto.
+   */
+  constructor({ host, port, secure, user, pass, from }) {
+    this.from = from;
+    this.transporter = host
+      ? nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+      })
+      : null;
+  }
+
+  /**
+   * Envía un correo.
+   * @param {Object} message
+   * @param {string} message.to Destinatario
+   * @param {string} message.subject Asunto
+   * @param {string} message.text Cuerpo en texto plano
+   * @param {string} [message.html] Cuerpo HTML
+   * @returns {Promise<void>}
+   * @throws {Error} Si el SMTP no está configurado o el envío falla.
+   */
+  async send({ to, subject, text, html }) {
+    if (!this.transporter) {
+      throw new Error('SMTP no configurado (falta SMTP_HOST).');
+    }
+
+    await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+  }
+}
@@ -0,0 +1,116 @@
+// src/infrastructure/security/google_id_token.verifier.js
+// -----------------------------------------------------------------------------
+// Verificación de ID tokens de Google (OpenID Connect) para "Iniciar sesión
+// con Google".
+// - Descarga las claves públicas del emisor (JWKS) y las cachea según el
+//   Cache-Control de la respuesta; si llega un "kid" desconocido (rotación de
+//   claves) las vuelve a descargar una vez.
+// - La firma, la audiencia (client IDs propios), el emisor y la caducidad se
+//   validan con google-auth-library.
+// - Opcionalmente restringe a dominios de Google Workspace (claim "hd").
+// La URL del JWKS y los emisores son configurables para poder apuntar a un
+// emisor local en pruebas.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import { OAuth2Client } from 'google-auth-library';
+
+export const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+export const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+export class GoogleIdTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.clientIds Client IDs OAuth aceptados como audiencia.
+   * @param {string[]} [options.hostedDomains=[]] Dominios de Workspace permitidos (vacío = cualquiera).
+   * @param {string} [options.jwksUrl] URL del JWKS del emisor.
+   * @param {string[]} [options.issuers] Emisores aceptados (claim "iss").
+   */
+  constructor({ clientIds, hostedDomains = [], jwksUrl = GOOGLE_JWKS_URL, issuers = GOOGLE_ISSUERS }) {
+    this.clientIds = clientIds;
+    this.hostedDomains = hostedDomains.map((domain) => domain.toLowerCase());
+    this.jwksUrl = jwksUrl;
+    this.issuers = issuers;
+    this.client = new OAuth2Client();
+    this._certs = null;
+    this._certsExpireAt = 0;
+  }
+
+  /**
+   * Verifica un ID token y devuelve la identidad que contiene.
+   * @param {string} idToken JWT emitido por Google al cliente.
+   * @returns {Promise<{sub: string, email: string, emailVerified: boolean, hostedDomain: string|null, name: string|null}>}
+   * @throws {Error} Si el token no es válido (firma, audiencia, emisor, caducidad o dominio).
+   */
+  async verify(idToken) {
+    if (this.clientIds.length === 0) {
+      throw new Error('[GoogleIdTokenVerifier] No hay client IDs configurados.');
+    }
+
+    const certs = await this._getCerts(this._readKid(idToken));
+    const ticket = await this.client.verifySignedJwtWithCertsAsync(
+      idToken,
+      certs,
+      this.clientIds,
+      this.issuers,
+    );
+    const payload = ticket.getPayload();
+
+    const hostedDomain = payload.hd ? payload.hd.toLowerCase() : null;
+    if (this.hostedDomains.length > 0 && !this.hostedDomains.includes(hostedDomain)) {
+      throw new Error(`[GoogleIdTokenVerifier] Dominio no permitido: ${hostedDomain ?? '(cuenta personal)'}`);
+    }
+
+    return {
+      sub: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified === true,
+      hostedDomain,
+      name: payload.name ?? null,
+    };
+  }
+
+  /**
+   * Devuelve las claves del emisor en PEM indexadas por "kid".
+   * @private
+   */
+  async _getCerts(kid) {
+    const isFresh = this._certs && Date.now() < this._certsExpireAt;
+    if (isFresh && (!kid || this._certs[kid])) {
+      return this._certs;
+    }
+
+    const response = await fetch(this.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`[GoogleIdTokenVerifier] No se pudo descargar el JWKS (${response.status}).`);
+    }
+
+    const { keys = [] } = await response.json();
+    this._certs = Object.fromEntries(
+      keys
+        .filter((jwk) => jwk.kty === 'RSA' && jwk.kid)
+        .map((jwk) => [
+          jwk.kid,
+          crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' }),
+        ]),
+    );
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    this._certsExpireAt = Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 0);
+
+    return this._certs;
+  }
+
+  /**
+   * Lee el "kid" de la cabecera del JWT sin verificarlo.
+   * @private
+   */
+  _readKid(idToken) {
+    try {
+      const header = JSON.parse(Buffer.from(String(idToken).split('.')[0], 'base64url').toString('utf8'));
+      return header.kid ?? null;
+    } catch {
+      return null;
+    }
+  }
+}
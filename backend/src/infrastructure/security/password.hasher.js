@@ -0,0 +1,168 @@
+// src/infrastructure/security/password.hasher.js
+// -----------------------------------------------------------------------------
+// Hash de contraseñas con scrypt (node:crypto).
+// Formato almacenado: "scrypt$N$r$p$<salt base64>$<hash base64>".
+// Guardar los parámetros junto al hash permite endurecerlos en el futuro y
+// re-hashear a los usuarios de forma transparente en su siguiente login.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+
+// Parámetros por defecto: combinación equivalente de OWASP (N=2^15, r=8, p=3)
+// que limita la memoria a ~32 MB por hash, asumible en Lambda.
+const DEFAULT_PARAMS = {
+  N: 2 ** 15,
+  r: 8,
+  p: 3,
+  keyLength: 64,
+  saltLength: 16,
+};
+
+// Límites al leer un hash guardado: fuera de ellos no se deriva (un valor
+// corrupto no debe dar un 500 ni reservar memoria de más)
+const MAX_N = 2 ** 20;
+const MAX_R = 32;
+const MAX_P = 16;
+const MIN_KEY_LENGTH = 16;
+
+export class PasswordHasher {
+  /**
+   * @param {Object} [params] Parámetros de scrypt (N, r, p, keyLength, saltLength).
+   */
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+  }
+
+  /**
+   * Genera el hash de una contraseña en texto plano con una sal aleatoria.
+   * @param {string} password Contraseña en texto plano.
+   * @returns {Promise<string>} Hash serializado listo para guardar en BD.
+   */
+  async hash(password) {
+    const { N, r, p, keyLength, saltLength } = this.params;
+    const salt = crypto.randomBytes(saltLength);
+    const derived = await this._derive(password, salt, { N, r, p, keyLength });
+
+    return [PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+  }
+
+  /**
+   * Comprueba una contraseña contra el valor almacenado.
+   * Si el valor almacenado aún no es un hash (usuario legado en texto plano)
+   * se compara en tiempo constante contra el texto plano.
+   * @param {string} password Contraseña introducida por el usuario.
+   * @param {string} stored Valor guardado en BD (hash o texto plano legado).
+   * @returns {Promise<boolean>} true si coincide.
+   */
+  async verify(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+      return false;
+    }
+
+    if (!this.isHashed(stored)) {
+      return this._safeEqual(Buffer.from(password, 'utf8'), Buffer.from(stored, 'utf8'));
+    }
+
+    const parsed = parseStored(stored);
+    if (!parsed) return false;
+
+    const { N, r, p, salt, expected } = parsed;
+    let derived;
+    try {
+      derived = await this._derive(password, salt, { N, r, p, keyLength: expected.length });
+    } catch {
+      // Parámetros que scrypt rechaza (ej: memoria): se trata como contraseña incorrecta
+      return false;
+    }
+
+    return this._safeEqual(derived, expected);
+  }
+
+  /**
+   * Indica si el valor almacenado tiene formato de hash scrypt.
+   * @param {string} stored Valor guardado en BD.
+   * @returns {boolean}
+   */
+  isHashed(stored) {
+    return typeof stored === 'string'
+      && stored.startsWith(`${PREFIX}$`)
+      && stored.split('$').length === 6;
+  }
+
+  /**
+   * Indica si el valor almacenado debe re-hashearse: texto plano legado o
+   * hash generado con parámetros distintos a los actuales.
+   * @param {string} stored Valor guardado en BD.
+   * @returns {boolean}
+   */
+  needsRehash(stored) {
+    if (!this.isHashed(stored)) return true;
+
+    const [, N, r, p] = stored.split('$');
+    return Number(N) !== this.params.N
+      || Number(r) !== this.params.r
+      || Number(p) !== this.params.p;
+  }
+
+  /**
+   * Genera una contraseña aleatoria (contraseñas temporales de alta/reset).
+   * @param {number} [length=16] Longitud en caracteres.
+   * @returns {string}
+   */
+  generateRandomPassword(length = 16) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+    return Array.from(
+      { length },
+      () => alphabet[crypto.randomInt(alphabet.length)],
+    ).join('');
+  }
+
+  /**
+   * Deriva la clave con scrypt. maxmem se ajusta a los parámetros porque el
+   * límite por defecto de Node (32 MB) se queda justo con N=2^15 y r=8.
+   * @private
+   */
+  async _derive(password, salt, { N, r, p, keyLength }) {
+    const maxmem = 256 * N * r;
+    return await scrypt(password, salt, keyLength, { N, r, p, maxmem });
+  }
+
+  /**
+   * Comparación en tiempo constante tolerante a longitudes distintas.
+   * @private
+   */
+  _safeEqual(a, b) {
+    if (a.length !== b.length) {
+      // Se compara igualmente para no filtrar la longitud por tiempo de respuesta
+      crypto.timingSafeEqual(a, a);
+      return false;
+    }
+    return crypto.timingSafeEqual(a, b);
+  }
+}
+
+/**
+ * Lee un hash "scrypt$N$r$p$salt$hash" y valida sus parámetros.
+ * @param {string} stored
+ * @returns {{N: number, r: number, p: number, salt: Buffer, expected: Buffer}|null} null si está corrupto
+ */
+function parseStored(stored) {
+  const [, nText, rText, pText, saltB64, hashB64] = stored.split('$');
+  const [N, r, p] = [nText, rText, pText].map((value) => (/^\d+$/.test(value) ? Number(value) : NaN));
+
+  const validN = Number.isSafeInteger(N) && N > 1 && N <= MAX_N && (N & (N - 1)) === 0;
+  const validR = Number.isInteger(r) && r >= 1 && r <= MAX_R;
+  const validP = Number.isInteger(p) && p >= 1 && p <= MAX_P;
+  if (!validN || !validR || !validP) return null;
+
+  const salt = Buffer.from(saltB64, 'base64');
+  const expected = Buffer.from(hashB64, 'base64');
+  if (salt.length === 0 || expected.length < MIN_KEY_LENGTH) return null;
+
+  return { N, r, p, salt, expected };
+}
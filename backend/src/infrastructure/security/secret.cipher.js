@@ -0,0 +1,57 @@
+// src/infrastructure/security/secret.cipher.js
+// -----------------------------------------------------------------------------
+// Cifrado simétrico (AES-256-GCM) de secretos que hay que poder recuperar en
+// claro, como la semilla TOTP de cada usuario. Una copia de la BD sin la
+// clave no permite generar códigos de segundo factor.
+// Formato almacenado: "v1:<iv base64>:<tag base64>:<datos base64>".
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+export class SecretCipher {
+  /**
+   * @param {Object} options
+   * @param {string} options.key Clave de cifrado (cualquier longitud; se deriva a 256 bits).
+   */
+  constructor({ key }) {
+    if (!key) {
+      throw new Error('[SecretCipher] Falta la clave de cifrado.');
+    }
+    this.key = crypto.createHash('sha256').update(key).digest();
+  }
+
+  /**
+   * Cifra un texto.
+   * @param {string} plaintext
+   * @returns {string} Texto cifrado serializado.
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [VERSION, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+  }
+
+  /**
+   * Descifra un texto generado por encrypt.
+   * @param {string} serialized
+   * @returns {string} Texto en claro.
+   * @throws {Error} Si el formato no es válido o el dato fue alterado.
+   */
+  decrypt(serialized) {
+    const [version, iv, tag, data] = String(serialized).split(':');
+    if (version !== VERSION || !iv || !tag || !data) {
+      throw new Error('[SecretCipher] Formato de secreto cifrado no reconocido.');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
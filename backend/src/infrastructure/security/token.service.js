@@ -0,0 +1,91 @@
+// src/infrastructure/security/token.service.js
+// -----------------------------------------------------------------------------
+// Emisión y verificación de tokens.
+// - Access token: JWT de vida corta firmado con el secreto de config.
+// - Refresh token: valor opaco aleatorio; en BD solo se guarda su SHA-256.
+// - Token "mfa pending": JWT de muy corta vida que solo permite completar el
+//   segundo paso del login; nunca es válido como access token.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const MFA_TOKEN_TYPE = 'mfa_pending';
+
+export class TokenService {
+  /**
+   * @param {Object} deps
+   * @param {string} deps.secret Secreto de firma de los JWT.
+   * @param {string} deps.accessExpiration Caducidad del access token (formato jsonwebtoken, ej: "15m").
+   * @param {string} [deps.mfaExpiration="5m"] Caducidad del token "mfa pending".
+   */
+  constructor({ secret, accessExpiration, mfaExpiration = '5m' }) {
+    this.secret = secret;
+    this.accessExpiration = accessExpiration;
+    this.mfaExpiration = mfaExpiration;
+  }
+
+  /**
+   * Firma un access token.
+   * @param {Object} payload Datos no sensibles a incluir (code, user, sid...).
+   * @returns {string} JWT firmado.
+   */
+  signAccessToken(payload) {
+    return jwt.sign(payload, this.secret, { expiresIn: this.accessExpiration });
+  }
+
+  /**
+   * Verifica firma y caducidad de un access token.
+   * @param {string} token JWT recibido.
+   * @returns {Object} Payload decodificado.
+   * @throws {Error} Si el token no es válido, ha expirado o es un token "mfa pending".
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.secret);
+    if (payload.typ === MFA_TOKEN_TYPE) {
+      throw new Error('Un token de segundo factor no es un access token.');
+    }
+    return payload;
+  }
+
+  /**
+   * Firma el token que acredita que el primer paso del login (contraseña)
+   * se ha superado y falta el segundo factor.
+   * @param {Object} payload Datos no sensibles (code, user, enroll...).
+   * @returns {string} JWT firmado.
+   */
+  signMfaToken(payload) {
+    return jwt.sign({ ...payload, typ: MFA_TOKEN_TYPE }, this.secret, { expiresIn: this.mfaExpiration });
+  }
+
+  /**
+   * Verifica un token "mfa pending".
+   * @param {string} token JWT recibido.
+   * @returns {Object} Payload decodificado.
+   * @throws {Error} Si el token no es válido, ha expirado o no es de segundo factor.
+   */
+  verifyMfaToken(token) {
+    const payload = jwt.verify(token, this.secret);
+    if (payload.typ !== MFA_TOKEN_TYPE) {
+      throw new Error('El token no es de segundo factor.');
+    }
+    return payload;
+  }
+
+  /**
+   * Genera un secreto aleatorio apto para refresh tokens.
+   * @returns {string} Cadena base64url de 256 bits.
+   */
+  generateOpaqueToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Calcula el hash con el que se persiste un token opaco.
+   * @param {string} token Token en claro.
+   * @returns {string} SHA-256 en hexadecimal.
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
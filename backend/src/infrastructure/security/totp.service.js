@@ -0,0 +1,183 @@
+// src/infrastructure/security/totp.service.js
+// -----------------------------------------------------------------------------
+// Códigos de un solo uso basados en tiempo (TOTP, RFC 6238 sobre HOTP RFC 4226).
+// - Secretos de 160 bits codificados en base32 (lo que esperan las apps
+//   autenticadoras: Google Authenticator, Microsoft Authenticator...).
+// - URI otpauth:// para que el frontend pinte el QR de alta.
+// - Verificación con tolerancia de ±window periodos y protección frente a
+//   la reutilización de un código ya aceptado (lastUsedStep).
+// - Códigos de recuperación de un solo uso para cuando se pierde el móvil.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Códigos de recuperación: sin caracteres ambiguos (0/O, 1/I/L)
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+export class TotpService {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuer Nombre que mostrará la app autenticadora.
+   * @param {number} [options.digits=6] Dígitos del código.
+   * @param {number} [options.period=30] Segundos de validez de cada código.
+   * @param {number} [options.window=1] Periodos de tolerancia antes/después (desfase de reloj).
+   */
+  constructor({ issuer, digits = 6, period = 30, window = 1 }) {
+    this.issuer = issuer;
+    this.digits = digits;
+    this.period = period;
+    this.window = window;
+  }
+
+  /**
+   * Genera un secreto nuevo.
+   * @returns {string} Secreto en base32 (sin relleno).
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Construye la URI de aprovisionamiento (contenido del QR).
+   * @param {Object} params
+   * @param {string} params.secret Secreto en base32.
+   * @param {string} params.account Identificador de la cuenta (username).
+   * @returns {string} URI otpauth://totp/...
+   */
+  buildProvisioningUri({ secret, account }) {
+    const label = encodeURIComponent(`${this.issuer}:${account}`);
+    const query = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period),
+    });
+    return `otpauth://totp/${label}?${query.toString()}`;
+  }
+
+  /**
+   * Verifica un código.
+   * @param {string} secret Secreto en base32.
+   * @param {string} code Código introducido por el usuario.
+   * @param {number} [lastUsedStep=-1] Último periodo aceptado; no se aceptan
+   *        códigos de ese periodo ni anteriores (evita reutilizar un código).
+   * @param {number} [now=Date.now()] Instante de referencia en ms.
+   * @returns {number|null} Periodo del código aceptado o null si no es válido.
+   */
+  verify(secret, code, lastUsedStep = -1, now = Date.now()) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${this.digits}}$`).test(code)) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(now / 1000 / this.period);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      if (step <= lastUsedStep) continue;
+
+      const expected = this._generate(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Genera códigos de recuperación con formato XXXXX-XXXXX.
+   * @param {number} [count=10] Número de códigos.
+   * @returns {string[]} Códigos en claro (se muestran una única vez).
+   */
+  generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      let code = '';
+      for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+        code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+      }
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Normaliza un código de recuperación tal como lo teclea el usuario
+   * (mayúsculas, sin guiones ni espacios) antes de calcular su hash.
+   * @param {string} code
+   * @returns {string}
+   */
+  normalizeRecoveryCode(code) {
+    return String(code).toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * HOTP (RFC 4226): HMAC-SHA1 del contador + truncado dinámico.
+   * @private
+   */
+  _generate(key, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+}
+
+/**
+ * Codifica bytes en base32 (RFC 4648) sin relleno.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica base32 (ignora relleno, espacios y mayúsculas/minúsculas).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto TOTP con caracteres no válidos en base32.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
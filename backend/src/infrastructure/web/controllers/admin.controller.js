@@ -1,21 +1,128 @@
 // src/infrastructure/web/controllers/admin.controller.js
 // -----------------------------------------------------------------------------
-// Controlador de endpoints administrativos: usuarios y logs.
+// Controlador de endpoints administrativos: usuarios, logs y carpetas de Drive.
 // Responsabilidad: traducir HTTP ↔ caso de uso. No contiene lógica de negocio.
 // Recibe sus dependencias (casos de uso) por inyección en el constructor.
 // -----------------------------------------------------------------------------
 
+import { DateTime } from 'luxon';
+import { AppError } from '../../../domain/errors/app.error.js';
+import { LOG_TIMEZONE } from '../../../domain/entities/log.entity.js';
+
+// Content-Type de cada formato de exportación de logs
+const EXPORT_CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+};
+
 export class AdminController {
   /**
    * @param {Object} deps - Dependencias inyectadas desde el contenedor.
    * @param {Object} deps.getAllUsersUseCase - Caso de uso para listar usuarios.
    * @param {Object} deps.getAllLogsUseCase - Caso de uso para listar logs sin filtros.
    * @param {Object} deps.getAllLogsFilteredUseCase - Caso de uso para listar logs con filtros.
+   * @param {Object} deps.revokeUserSessionsUseCase - Caso de uso para revocar sesiones de un usuario.
+   * @param {Object} deps.unlockUserUseCase - Caso de uso para desbloquear cuentas bloqueadas por intentos fallidos.
+   * @param {Object} deps.getUserUseCase - Caso de uso para obtener un usuario.
+   * @param {Object} deps.createUserUseCase - Caso de uso para dar de alta usuarios.
+   * @param {Object} deps.updateUserUseCase - Caso de uso para editar nombre y email.
+   * @param {Object} deps.updateUserPermissionsUseCase - Caso de uso para modificar flags de permisos.
+   * @param {Object} deps.setUserDisabledUseCase - Caso de uso para deshabilitar/rehabilitar cuentas.
+   * @param {Object} deps.resetUserPasswordUseCase - Caso de uso para forzar el reseteo de contraseña.
+   * @param {Object} deps.setUserRolesUseCase - Caso de uso para asignar roles a un usuario.
+   * @param {Object} deps.listFeaturesUseCase - Caso de uso para listar funcionalidades registradas.
+   * @param {Object} deps.listRolesUseCase - Caso de uso para listar roles.
+   * @param {Object} deps.createRoleUseCase - Caso de uso para crear roles.
+   * @param {Object} deps.updateRoleUseCase - Caso de uso para editar roles.
+   * @param {Object} deps.deleteRoleUseCase - Caso de uso para borrar roles.
+   * @param {Object} deps.getMfaPolicyUseCase - Caso de uso para consultar la política de 2FA.
+   * @param {Object} deps.updateMfaPolicyUseCase - Caso de uso para fijar la política de 2FA.
+   * @param {Object} deps.resetUserMfaUseCase - Caso de uso para quitar el 2FA de un usuario.
+   * @param {Object} deps.updateUserLoginMethodsUseCase - Caso de uso para configurar los métodos de login de un usuario.
+   * @param {Object} deps.listApiKeysUseCase - Caso de uso para listar API keys.
+   * @param {Object} deps.createApiKeyUseCase - Caso de uso para crear API keys.
+   * @param {Object} deps.updateApiKeyUseCase - Caso de uso para editar API keys.
+   * @param {Object} deps.revokeApiKeyUseCase - Caso de uso para revocar API keys.
+   * @param {Object} deps.getApiKeyUsageUseCase - Caso de uso para consultar el uso de una API key.
+   * @param {Object} deps.exportLogsUseCase - Caso de uso para exportar logs a Excel/CSV.
+   * @param {Object} deps.getLoginStatsUseCase - Caso de uso para las estadísticas de logins.
+   * @param {Object} deps.listLogArchivesUseCase - Caso de uso para listar los archivos de logs en Drive.
+   * @param {Object} deps.archiveLogsUseCase - Caso de uso para archivar los logs fuera de retención.
+   * @param {Object} deps.restoreLogArchiveUseCase - Caso de uso para restaurar un archivo de logs.
+   * @param {Object} deps.releaseLogArchiveUseCase - Caso de uso para liberar un archivo restaurado.
+   * @param {Object} deps.checkDriveFoldersUseCase - Caso de uso para comprobar las carpetas de drive-ids.json.
+   * @param {Object} deps.provisionDriveFoldersUseCase - Caso de uso para crear las carpetas del manifiesto y escribir drive-ids.json.
    */
-  constructor({ getAllUsersUseCase, getAllLogsUseCase, getAllLogsFilteredUseCase }) {
+  constructor({
+    getAllUsersUseCase,
+    getAllLogsUseCase,
+    getAllLogsFilteredUseCase,
+    revokeUserSessionsUseCase,
+    unlockUserUseCase,
+    getUserUseCase,
+    createUserUseCase,
+    updateUserUseCase,
+    updateUserPermissionsUseCase,
+    setUserDisabledUseCase,
+    resetUserPasswordUseCase,
+    setUserRolesUseCase,
+    listFeaturesUseCase,
+    listRolesUseCase,
+    createRoleUseCase,
+    updateRoleUseCase,
+    deleteRoleUseCase,
+    getMfaPolicyUseCase,
+    updateMfaPolicyUseCase,
+    resetUserMfaUseCase,
+    updateUserLoginMethodsUseCase,
+    listApiKeysUseCase,
+    createApiKeyUseCase,
+    updateApiKeyUseCase,
+    revokeApiKeyUseCase,
+    getApiKeyUsageUseCase,
+    exportLogsUseCase,
+    getLoginStatsUseCase,
+    listLogArchivesUseCase,
+    archiveLogsUseCase,
+    restoreLogArchiveUseCase,
+    releaseLogArchiveUseCase,
+    checkDriveFoldersUseCase,
+    provisionDriveFoldersUseCase,
+  }) {
     this.getAllUsersUseCase = getAllUsersUseCase;
     this.getAllLogsUseCase = getAllLogsUseCase;
     this.getAllLogsFilteredUseCase = getAllLogsFilteredUseCase;
+    this.revokeUserSessionsUseCase = revokeUserSessionsUseCase;
+    this.unlockUserUseCase = unlockUserUseCase;
+    this.getUserUseCase = getUserUseCase;
+    this.createUserUseCase = createUserUseCase;
+    this.updateUserUseCase = updateUserUseCase;
+    this.updateUserPermissionsUseCase = updateUserPermissionsUseCase;
+    this.setUserDisabledUseCase = setUserDisabledUseCase;
+    this.resetUserPasswordUseCase = resetUserPasswordUseCase;
+    this.setUserRolesUseCase = setUserRolesUseCase;
+    this.listFeaturesUseCase = listFeaturesUseCase;
+    this.listRolesUseCase = listRolesUseCase;
+    this.createRoleUseCase = createRoleUseCase;
+    this.updateRoleUseCase = updateRoleUseCase;
+    this.deleteRoleUseCase = deleteRoleUseCase;
+    this.getMfaPolicyUseCase = getMfaPolicyUseCase;
+    this.updateMfaPolicyUseCase = updateMfaPolicyUseCase;
+    this.resetUserMfaUseCase = resetUserMfaUseCase;
+    this.updateUserLoginMethodsUseCase = updateUserLoginMethodsUseCase;
+    this.listApiKeysUseCase = listApiKeysUseCase;
+    this.createApiKeyUseCase = createApiKeyUseCase;
+    this.updateApiKeyUseCase = updateApiKeyUseCase;
+    this.revokeApiKeyUseCase = revokeApiKeyUseCase;
+    this.getApiKeyUsageUseCase = getApiKeyUsageUseCase;
+    this.exportLogsUseCase = exportLogsUseCase;
+    this.getLoginStatsUseCase = getLoginStatsUseCase;
+    this.listLogArchivesUseCase = listLogArchivesUseCase;
+    this.archiveLogsUseCase = archiveLogsUseCase;
+    this.restoreLogArchiveUseCase = restoreLogArchiveUseCase;
+    this.releaseLogArchiveUseCase = releaseLogArchiveUseCase;
+    this.checkDriveFoldersUseCase = checkDriveFoldersUseCase;
+    this.provisionDriveFoldersUseCase = provisionDriveFoldersUseCase;
   }
 
   /**
@@ -33,28 +140,604 @@ export class AdminController {
     }
   }
 
+  /**
+   * DELETE /api/admin/users/:code/sessions
+   * Revoca todas las sesiones activas del usuario indicado.
+   */
+  async revokeUserSessions(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const result = await this.revokeUserSessionsUseCase.execute({ code });
+
+      return res.status(200).json({
+        message: `Sesiones revocadas: ${result.revoked}`,
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/users/:code/unlock
+   * Desbloquea una cuenta bloqueada por intentos de login fallidos.
+   */
+  async unlockUser(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const result = await this.unlockUserUseCase.execute({ code });
+
+      return res.status(200).json({
+        message: 'Usuario desbloqueado correctamente.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/users
+   * Da de alta un usuario. Si no se envía contraseña se genera una temporal
+   * que se devuelve una única vez en la respuesta.
+   * Body: { full_name, user, email, password?, roles?, permissionOverrides? }
+   */
+  async createUser(req, res, next) {
+    try {
+      const { full_name, user, email, password, roles, permissionOverrides } = req.body ?? {};
+
+      const result = await this.createUserUseCase.execute({
+        full_name,
+        user,
+        email,
+        password,
+        roles,
+        permissionOverrides,
+      });
+
+      return res.status(201).json({
+        message: 'Usuario creado correctamente.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/users/:code
+   * Devuelve un usuario concreto.
+   */
+  async getUser(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const user = await this.getUserUseCase.execute({ code });
+
+      return res.status(200).json(user);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/users/:code
+   * Edita nombre completo y/o email.
+   */
+  async updateUser(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const { full_name, email } = req.body ?? {};
+      const user = await this.updateUserUseCase.execute({ code, full_name, email });
+
+      return res.status(200).json({
+        message: 'Usuario actualizado correctamente.',
+        user,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/users/:code/permissions
+   * Fija overrides de permisos por encima de los roles.
+   * Body: { <funcionalidad>: true | false | null, ... } (null quita el override)
+   */
+  async updateUserPermissions(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const user = await this.updateUserPermissionsUseCase.execute({
+        code,
+        permissions: req.body,
+      });
+
+      return res.status(200).json({
+        message: 'Permisos actualizados correctamente.',
+        user,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/users/:code/disable
+   * Deshabilita la cuenta y revoca sus sesiones.
+   */
+  async disableUser(req, res, next) {
+    return this._setDisabled(req, res, next, true);
+  }
+
+  /**
+   * POST /api/admin/users/:code/enable
+   * Rehabilita una cuenta deshabilitada.
+   */
+  async enableUser(req, res, next) {
+    return this._setDisabled(req, res, next, false);
+  }
+
+  /**
+   * POST /api/admin/users/:code/reset-password
+   * Genera una contraseña temporal (se devuelve una única vez) y obliga a
+   * cambiarla en el siguiente acceso.
+   */
+  async resetUserPassword(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const result = await this.resetUserPasswordUseCase.execute({ code });
+
+      return res.status(200).json({
+        message: 'Contraseña reseteada. Comunica la contraseña temporal al usuario.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/admin/users/:code/roles
+   * Sustituye los roles del usuario. Body: { roles: [<clave>, ...] }
+   */
+  async setUserRoles(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const user = await this.setUserRolesUseCase.execute({
+        code,
+        roles: req.body?.roles,
+        actorCode: req.user?.code,
+      });
+
+      return res.status(200).json({
+        message: 'Roles actualizados correctamente.',
+        user,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/features
+   * Devuelve las funcionalidades registradas (asignables a roles y overrides).
+   */
+  async getFeatures(req, res, next) {
+    try {
+      const features = await this.listFeaturesUseCase.execute();
+
+      return res.status(200).json(features);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/roles
+   * Devuelve el listado de roles.
+   */
+  async getRoles(req, res, next) {
+    try {
+      const roles = await this.listRolesUseCase.execute();
+
+      return res.status(200).json(roles);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/roles
+   * Crea un rol. Body: { key, name, description?, features: [<funcionalidad>, ...] }
+   */
+  async createRole(req, res, next) {
+    try {
+      const { key, name, description, features } = req.body ?? {};
+
+      const role = await this.createRoleUseCase.execute({ key, name, description, features });
+
+      return res.status(201).json({
+        message: 'Rol creado correctamente.',
+        role,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/roles/:key
+   * Edita nombre, descripción y/o funcionalidades de un rol.
+   */
+  async updateRole(req, res, next) {
+    try {
+      const { name, description, features } = req.body ?? {};
+
+      const role = await this.updateRoleUseCase.execute({
+        key: req.params.key,
+        name,
+        description,
+        features,
+      });
+
+      return res.status(200).json({
+        message: 'Rol actualizado correctamente.',
+        role,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/roles/:key
+   * Borra un rol que no sea de sistema ni esté asignado.
+   */
+  async deleteRole(req, res, next) {
+    try {
+      await this.deleteRoleUseCase.execute({ key: req.params.key });
+
+      return res.status(200).json({ message: 'Rol eliminado correctamente.' });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/users/:code/mfa/reset
+   * Quita la verificación en dos pasos de un usuario (dispositivo perdido)
+   * y revoca sus sesiones.
+   */
+  async resetUserMfa(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const result = await this.resetUserMfaUseCase.execute({ code });
+
+      return res.status(200).json({
+        message: 'Verificación en dos pasos eliminada. El usuario deberá configurarla de nuevo si se le exige.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/users/:code/login-methods
+   * Configura cómo inicia sesión el usuario.
+   * Body: { passwordLoginEnabled?: boolean, googleLoginEnabled?: boolean, unlinkGoogle?: true }
+   */
+  async updateUserLoginMethods(req, res, next) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const { passwordLoginEnabled, googleLoginEnabled, unlinkGoogle } = req.body ?? {};
+
+      const user = await this.updateUserLoginMethodsUseCase.execute({
+        code,
+        passwordLoginEnabled,
+        googleLoginEnabled,
+        unlinkGoogle,
+      });
+
+      return res.status(200).json({
+        message: 'Métodos de inicio de sesión actualizados.',
+        user,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/security/mfa-policy
+   * Devuelve la política de verificación en dos pasos.
+   */
+  async getMfaPolicy(req, res, next) {
+    try {
+      const policy = await this.getMfaPolicyUseCase.execute();
+
+      return res.status(200).json(policy);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/admin/security/mfa-policy
+   * Fija la política de 2FA. Body: { requireForAdmins?, requiredFeatures? }
+   */
+  async updateMfaPolicy(req, res, next) {
+    try {
+      const { requireForAdmins, requiredFeatures } = req.body ?? {};
+
+      const policy = await this.updateMfaPolicyUseCase.execute({
+        requireForAdmins,
+        requiredFeatures,
+        actorCode: req.user?.code,
+      });
+
+      return res.status(200).json({
+        message: 'Política de verificación en dos pasos actualizada.',
+        policy,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/api-keys
+   * Devuelve las API keys (sin hashes).
+   */
+  async getApiKeys(req, res, next) {
+    try {
+      const apiKeys = await this.listApiKeysUseCase.execute();
+
+      return res.status(200).json(apiKeys);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/api-keys
+   * Crea una API key. Body: { name, scopes: [<funcionalidad>, ...], expiresAt? }
+   * La key en claro se devuelve una única vez.
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { name, scopes, expiresAt } = req.body ?? {};
+
+      const result = await this.createApiKeyUseCase.execute({
+        name,
+        scopes,
+        expiresAt,
+        actorCode: req.user?.code,
+      });
+
+      return res.status(201).json({
+        message: 'API key creada. Guárdala ahora: no se volverá a mostrar.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/admin/api-keys/:id
+   * Edita nombre, scopes y/o caducidad (expiresAt: null la quita).
+   */
+  async updateApiKey(req, res, next) {
+    try {
+      const { name, scopes, expiresAt } = req.body ?? {};
+
+      const apiKey = await this.updateApiKeyUseCase.execute({
+        id: req.params.id,
+        name,
+        scopes,
+        expiresAt,
+      });
+
+      return res.status(200).json({
+        message: 'API key actualizada correctamente.',
+        apiKey,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/api-keys/:id
+   * Revoca una API key (se conserva para auditoría).
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const apiKey = await this.revokeApiKeyUseCase.execute({ id: req.params.id });
+
+      return res.status(200).json({
+        message: 'API key revocada correctamente.',
+        apiKey,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/api-keys/:id/usage
+   * Registro de peticiones hechas con una API key (paginado).
+   */
+  async getApiKeyUsage(req, res, next) {
+    try {
+      const page = Number(req.query.page ?? 1);
+      const limit = Number(req.query.limit ?? 20);
+
+      if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ message: 'page debe ser un entero positivo y limit un entero entre 1 y 100.' });
+      }
+
+      const result = await this.getApiKeyUsageUseCase.execute({ id: req.params.id, page, limit });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Lógica común de disable/enable.
+   * @private
+   */
+  async _setDisabled(req, res, next, disabled) {
+    try {
+      const code = Number(req.params.code);
+
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'El código de usuario debe ser numérico.' });
+      }
+
+      const user = await this.setUserDisabledUseCase.execute({
+        code,
+        disabled,
+        actorCode: req.user?.code,
+      });
+
+      return res.status(200).json({
+        message: disabled ? 'Usuario deshabilitado correctamente.' : 'Usuario habilitado correctamente.',
+        user,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
   /**
    * GET /api/admin/logs
    * Devuelve logs con paginación, con o sin filtros.
-   * Si la query incluye filtros (user, fullName, email, from, to),
-   * ejecuta el caso de uso filtrado. Si no, el general.
+   * Si la query incluye filtros (user, fullName, email, from, to, y los de
+   * actividad: code, action, module, outcome, resourceId), ejecuta el caso de
+   * uso filtrado. Si no, el general.
    */
   async getLogs(req, res, next) {
     try {
-      const { page = 1, limit = 20, user, fullName, email, from, to } = req.query;
+      const { page = 1, limit = 20 } = req.query;
 
       // Convertir page y limit a número una sola vez
       const pageNum = Number(page);
       const limitNum = Number(limit);
 
+      const filters = readLogFilters(req.query);
+
       // Determinar si hay filtros activos en la query
-      const hasFilters = user || fullName || email || from || to;
+      const hasFilters = Object.values(filters).some((value) => value !== undefined && value !== '');
 
       let result;
 
       if (hasFilters) {
         // Con filtros → caso de uso filtrado
-        const filters = { user, fullName, email, from, to };
         result = await this.getAllLogsFilteredUseCase.execute({
           page: pageNum,
           limit: limitNum,
@@ -71,7 +754,232 @@ export class AdminController {
       // Devolver el resultado directamente como hacía antes
       return res.status(200).json(result);
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/logs/export?format=xlsx|csv
+   * Descarga todos los logs que cumplen los filtros (los mismos que /logs:
+   * sin action, module ni resourceId, solo logins) como Excel o CSV. El
+   * fichero se genera en streaming sobre la respuesta.
+   */
+  async exportLogs(req, res, next) {
+    try {
+      const { format = 'xlsx' } = req.query;
+      const filters = readLogFilters(req.query);
+
+      // Validar antes de enviar cabeceras: después ya no se puede responder con JSON
+      this.exportLogsUseCase.validateFormat(format);
+
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '_');
+      res.status(200);
+      res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="logs_${stamp}.${format}"`);
+
+      await this.exportLogsUseCase.execute({ format, filters, output: res });
+    } catch (error) {
+      if (res.headersSent) {
+        // El fichero ya se estaba enviando: cortar la descarga
+        console.error('[AdminController] Error al exportar logs:', error);
+        return res.destroy(error);
+      }
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/logs/archives
+   * Archivos mensuales de logs guardados en Drive (política de retención).
+   */
+  async getLogArchives(req, res, next) {
+    try {
+      const archives = await this.listLogArchivesUseCase.execute();
+
+      return res.status(200).json(archives);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/logs/archives/run
+   * Lanza a mano el archivado de los meses fuera de retención.
+   * Body opcional: { dryRun: true } para ver qué se archivaría sin tocar nada.
+   */
+  async runLogArchive(req, res, next) {
+    try {
+      const dryRun = req.body?.dryRun === true;
+
+      const result = await this.archiveLogsUseCase.execute({ dryRun });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       next(error);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * POST /api/admin/logs/archives/:id/restore
+   * Vuelve a cargar en LOG_USER los logs de un archivo para poder consultarlos.
+   */
+  async restoreLogArchive(req, res, next) {
+    try {
+      const { archive, restored } = await this.restoreLogArchiveUseCase.execute({ id: req.params.id });
+
+      return res.status(200).json({
+        message: `Archivo ${archive.month} restaurado (${restored} logs insertados).`,
+        archive,
+        restored,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/logs/archives/:id/release
+   * Borra de LOG_USER los logs restaurados de un archivo (siguen en Drive).
+   */
+  async releaseLogArchive(req, res, next) {
+    try {
+      const { archive, deleted } = await this.releaseLogArchiveUseCase.execute({ id: req.params.id });
+
+      return res.status(200).json({
+        message: `Archivo ${archive.month} liberado (${deleted} logs borrados de la base de datos).`,
+        archive,
+        deleted,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/drive/folders
+   * Estado de las carpetas de drive-ids.json: cada una tiene que tener ID,
+   * existir, ser una carpeta y no estar en la papelera.
+   */
+  async getDriveFolders(req, res, next) {
+    try {
+      const report = await this.checkDriveFoldersUseCase.execute();
+
+      return res.status(200).json(report);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/admin/drive/folders/provision
+   * Busca o crea las carpetas del manifiesto bajo DRIVE_ID y escribe drive-ids.json.
+   * Body opcional: { dryRun: true } para ver qué se crearía; { force: true }
+   * para resolver también las claves que ya tienen una carpeta válida.
+   * Si el archivo no se puede escribir (ej: Lambda) se devuelve writeError y
+   * el mapa en driveIds para copiarlo a mano.
+   */
+  async provisionDriveFolders(req, res, next) {
+    try {
+      const result = await this.provisionDriveFoldersUseCase.execute({
+        dryRun: req.body?.dryRun === true,
+        force: req.body?.force === true,
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/admin/stats/logins?from=yyyy-MM-dd&to=yyyy-MM-dd
+   * Estadísticas de uso: logins por usuario, día y hora, usuarios activos en
+   * el rango, último login de cada usuario y usuarios que nunca han entrado.
+   * Sin fechas, devuelve los últimos 30 días.
+   */
+  async getLoginStats(req, res, next) {
+    try {
+      const { from, to } = req.query;
+
+      const stats = await this.getLoginStatsUseCase.execute({ from, to });
+
+      return res.status(200).json(stats);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+}
+
+/**
+ * Lee de la query los filtros de logs admitidos por /logs y /logs/export.
+ * @param {Object} query req.query
+ * @returns {Object} Filtros (user, fullName, email, from, to, code, action, module, outcome, resourceId)
+ * @throws {AppError} 400 si code no es numérico o from/to no son fechas ISO
+ */
+function readLogFilters({ user, fullName, email, from, to, code, action, module, outcome, resourceId }) {
+  const userCode = code !== undefined && code !== '' ? Number(code) : undefined;
+  if (userCode !== undefined && !Number.isInteger(userCode)) {
+    throw new AppError('El código de usuario debe ser numérico.', 400);
+  }
+
+  return {
+    user,
+    fullName,
+    email,
+    from: parseLogDate(from, 'from'),
+    to: parseLogDate(to, 'to'),
+    code: userCode,
+    action,
+    module,
+    outcome,
+    resourceId,
+  };
+}
+
+/**
+ * Convierte un from/to ISO en un instante. Sin zona explícita se interpreta
+ * en hora de Madrid (la de la tabla de logs); un "to" con solo el día incluye
+ * el día completo.
+ * @param {string|undefined} value Ej: "2025-03-30", "2025-03-30T08:00", "2025-03-30T06:00:00Z"
+ * @param {'from'|'to'} field
+ * @returns {Date|undefined}
+ * @throws {AppError} 400 si no es una fecha ISO válida
+ */
+function parseLogDate(value, field) {
+  if (value === undefined || value === '') return undefined;
+
+  const date = DateTime.fromISO(String(value), { zone: LOG_TIMEZONE });
+  if (!date.isValid) {
+    throw new AppError(`"${field}" debe ser una fecha ISO (ej: 2025-03-30 o 2025-03-30T08:00).`, 400);
+  }
+
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return (field === 'to' && dayOnly ? date.endOf('day') : date).toJSDate();
+}
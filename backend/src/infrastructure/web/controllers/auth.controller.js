@@ -5,15 +5,50 @@
 // Recibe sus dependencias (casos de uso) por inyección en el constructor.
 // -----------------------------------------------------------------------------
 
+import { AppError } from '../../../domain/errors/app.error.js';
+
 export class AuthController {
   /**
    * @param {Object} deps - Dependencias inyectadas desde el contenedor.
    * @param {Object} deps.loginUseCase - Caso de uso de login.
+   * @param {Object} deps.refreshTokenUseCase - Caso de uso de refresco de sesión.
+   * @param {Object} deps.logoutUseCase - Caso de uso de cierre de sesión.
+   * @param {Object} deps.changePasswordUseCase - Caso de uso de cambio de contraseña.
+   * @param {Object} deps.requestPasswordResetUseCase - Caso de uso de solicitud de recuperación.
+   * @param {Object} deps.resetPasswordUseCase - Caso de uso de reseteo con token.
+   * @param {Object} deps.setupMfaUseCase - Caso de uso de alta de 2FA (semilla).
+   * @param {Object} deps.enableMfaUseCase - Caso de uso de confirmación del alta de 2FA.
+   * @param {Object} deps.disableMfaUseCase - Caso de uso de desactivación de 2FA.
+   * @param {Object} deps.regenerateMfaRecoveryCodesUseCase - Caso de uso de nuevos códigos de recuperación.
    * @param {Object} deps.userRepository - Repositorio de usuarios (para validateToken).
+   * @param {Object} deps.permissionService - Servicio de permisos efectivos (para validateToken).
    */
-  constructor({ loginUseCase, userRepository }) {
+  constructor({
+    loginUseCase,
+    refreshTokenUseCase,
+    logoutUseCase,
+    changePasswordUseCase,
+    requestPasswordResetUseCase,
+    resetPasswordUseCase,
+    setupMfaUseCase,
+    enableMfaUseCase,
+    disableMfaUseCase,
+    regenerateMfaRecoveryCodesUseCase,
+    userRepository,
+    permissionService,
+  }) {
     this.loginUseCase = loginUseCase;
+    this.refreshTokenUseCase = refreshTokenUseCase;
+    this.logoutUseCase = logoutUseCase;
+    this.changePasswordUseCase = changePasswordUseCase;
+    this.requestPasswordResetUseCase = requestPasswordResetUseCase;
+    this.resetPasswordUseCase = resetPasswordUseCase;
+    this.setupMfaUseCase = setupMfaUseCase;
+    this.enableMfaUseCase = enableMfaUseCase;
+    this.disableMfaUseCase = disableMfaUseCase;
+    this.regenerateMfaRecoveryCodesUseCase = regenerateMfaRecoveryCodesUseCase;
     this.userRepository = userRepository;
+    this.permissionService = permissionService;
   }
 
   /**
@@ -25,23 +60,31 @@ export class AuthController {
     try {
       const { username, password } = req.body;
 
-      // Validación básica de presencia de campos
+      // Validación básica de presencia y tipo de campos (evita inyectar
+      // operadores de Mongo como { "$gt": "" } en la búsqueda por username)
       if (!username || !password) {
         return res.status(400).json({ message: 'Usuario y contraseña son requeridos.' });
       }
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ message: 'Usuario y contraseña deben ser texto.' });
+      }
 
       // Ejecutar la lógica de negocio
-      const result = await this.loginUseCase.login(username, password);
+      const result = await this.loginUseCase.login(username, password, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
 
       // Devolver el resultado tal cual lo genera el caso de uso
+      // (si el usuario tiene 2FA: { mfaRequired, enrollmentRequired, mfaToken, expiresIn })
       return res.status(200).json(result);
     } catch (error) {
-      // Errores conocidos del caso de uso → 401
-      if (
-        error.message === 'Usuario no encontrado' ||
-        error.message === 'Contraseña incorrecta'
-      ) {
-        return res.status(401).json({ message: error.message });
+      // Errores conocidos del caso de uso → 401 (credenciales) / 429 (bloqueo)
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
       }
 
       // Errores inesperados → delegar al middleware global de errores
@@ -49,6 +92,381 @@ export class AuthController {
     }
   }
 
+  /**
+   * POST /api/auth/refresh
+   * Canjea el refresh token por un access token nuevo y un refresh token rotado.
+   * Body: { refreshToken }
+   */
+  async refresh(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'El refreshToken es requerido.' });
+      }
+
+      const result = await this.refreshTokenUseCase.execute({ refreshToken });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Revoca en servidor la sesión asociada al refresh token.
+   * Body: { refreshToken }
+   */
+  async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'El refreshToken es requerido.' });
+      }
+
+      await this.logoutUseCase.execute({ refreshToken });
+
+      return res.status(200).json({ message: 'Sesión cerrada correctamente.' });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/change-password
+   * Cambia la contraseña del usuario autenticado. Cierra el resto de sus
+   * sesiones y mantiene la actual.
+   * Body: { currentPassword, newPassword }
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body ?? {};
+
+      if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: 'currentPassword y newPassword son requeridos.' });
+      }
+
+      const result = await this.changePasswordUseCase.execute({
+        code: req.user.code,
+        sessionId: req.user.sid,
+        currentPassword,
+        newPassword,
+      });
+
+      return res.status(200).json({
+        message: 'Contraseña actualizada correctamente.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/forgot-password
+   * Envía al email del usuario un enlace de recuperación de un solo uso.
+   * Responde siempre lo mismo para no revelar si el usuario existe: el
+   * mensaje no cambia y el caso de uso iguala el tiempo de respuesta. El
+   * correo se envía antes de responder (en Lambda no hay trabajo después).
+   * Body: { username }
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { username } = req.body ?? {};
+
+      if (typeof username !== 'string' || username.trim().length === 0) {
+        return res.status(400).json({ message: 'El usuario es requerido.' });
+      }
+
+      const params = { username: username.trim() };
+      const context = { ip: req.ip, userAgent: req.get('user-agent') };
+
+      // Límites por cuenta y por IP (429 con Retry-After)
+      await this.requestPasswordResetUseCase.accept(params, context);
+
+      try {
+        await this.requestPasswordResetUseCase.execute(params, context);
+      } catch (error) {
+        // Mismo 200 que si todo va bien: un error solo con cuentas existentes las delataría
+        console.error('[AuthController] Error en la recuperación de contraseña:', error.message);
+      }
+
+      return res.status(200).json({
+        message: 'Si el usuario existe, recibirá un correo con instrucciones para restablecer la contraseña.',
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/reset-password
+   * Fija una contraseña nueva con el token recibido por email.
+   * Body: { token, newPassword }
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body ?? {};
+
+      if (typeof token !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: 'token y newPassword son requeridos.' });
+      }
+
+      await this.resetPasswordUseCase.execute({ token, newPassword });
+
+      return res.status(200).json({ message: 'Contraseña restablecida. Ya puedes iniciar sesión.' });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/login/google
+   * Inicia sesión con Google: recibe el ID token obtenido por el cliente con
+   * Google Sign-In. Responde igual que /login (tokens o reto 2FA).
+   * Body: { idToken }
+   */
+  async loginGoogle(req, res, next) {
+    try {
+      const { idToken } = req.body ?? {};
+
+      if (typeof idToken !== 'string' || idToken.length === 0) {
+        return res.status(400).json({ message: 'El idToken de Google es requerido.' });
+      }
+
+      const result = await this.loginUseCase.loginWithGoogle(idToken, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/login/mfa
+   * Segundo paso del login: verifica el código TOTP (o uno de recuperación)
+   * y abre la sesión.
+   * Body: { mfaToken, code } o { mfaToken, recoveryCode }
+   */
+  async loginMfa(req, res, next) {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body ?? {};
+
+      if (typeof mfaToken !== 'string') {
+        return res.status(400).json({ message: 'El mfaToken es requerido.' });
+      }
+      if (!isMfaCode(code) && !isMfaCode(recoveryCode)) {
+        return res.status(400).json({ message: 'Indica el código de verificación o un código de recuperación.' });
+      }
+
+      const result = await this.loginUseCase.verifyMfa(
+        {
+          mfaToken,
+          code: isMfaCode(code) ? code : undefined,
+          recoveryCode: isMfaCode(code) ? undefined : recoveryCode,
+        },
+        { ip: req.ip, userAgent: req.get('user-agent') },
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/login/mfa/setup
+   * Alta obligatoria de 2FA durante el login: devuelve la semilla y la URI del QR.
+   * Body: { mfaToken }
+   */
+  async loginMfaSetup(req, res, next) {
+    try {
+      const { mfaToken } = req.body ?? {};
+
+      if (typeof mfaToken !== 'string') {
+        return res.status(400).json({ message: 'El mfaToken es requerido.' });
+      }
+
+      const result = await this.loginUseCase.beginMfaEnrollment({ mfaToken });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/login/mfa/enable
+   * Alta obligatoria de 2FA durante el login: confirma el código, abre la
+   * sesión y devuelve los códigos de recuperación (una única vez).
+   * Body: { mfaToken, code }
+   */
+  async loginMfaEnable(req, res, next) {
+    try {
+      const { mfaToken, code } = req.body ?? {};
+
+      if (typeof mfaToken !== 'string' || !isMfaCode(code)) {
+        return res.status(400).json({ message: 'mfaToken y code son requeridos.' });
+      }
+
+      const result = await this.loginUseCase.confirmMfaEnrollment(
+        { mfaToken, code },
+        { ip: req.ip, userAgent: req.get('user-agent') },
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        if (error.details?.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/setup
+   * Inicia el alta voluntaria de 2FA del usuario autenticado.
+   */
+  async mfaSetup(req, res, next) {
+    try {
+      const result = await this.setupMfaUseCase.execute({ code: req.user.code });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/enable
+   * Confirma el alta de 2FA y devuelve los códigos de recuperación.
+   * Body: { code }
+   */
+  async mfaEnable(req, res, next) {
+    try {
+      const { code } = req.body ?? {};
+
+      if (!isMfaCode(code)) {
+        return res.status(400).json({ message: 'El código de verificación es requerido.' });
+      }
+
+      const result = await this.enableMfaUseCase.execute({ code: req.user.code, totpCode: code });
+
+      return res.status(200).json({
+        message: 'Verificación en dos pasos activada.',
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/disable
+   * Desactiva el 2FA del usuario autenticado (si la política lo permite).
+   * Body: { password, code } o { password, recoveryCode }
+   */
+  async mfaDisable(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body ?? {};
+
+      if (typeof password !== 'string' || (!isMfaCode(code) && !isMfaCode(recoveryCode))) {
+        return res.status(400).json({ message: 'La contraseña y un código de verificación son requeridos.' });
+      }
+
+      await this.disableMfaUseCase.execute({
+        code: req.user.code,
+        password,
+        totpCode: isMfaCode(code) ? code : undefined,
+        recoveryCode: isMfaCode(code) ? undefined : recoveryCode,
+      });
+
+      return res.status(200).json({ message: 'Verificación en dos pasos desactivada.' });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/recovery-codes
+   * Genera códigos de recuperación nuevos (invalida los anteriores).
+   * Body: { code }
+   */
+  async mfaRecoveryCodes(req, res, next) {
+    try {
+      const { code } = req.body ?? {};
+
+      if (!isMfaCode(code)) {
+        return res.status(400).json({ message: 'El código de verificación es requerido.' });
+      }
+
+      const result = await this.regenerateMfaRecoveryCodesUseCase.execute({
+        code: req.user.code,
+        totpCode: code,
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  }
+
   /**
    * GET /api/auth/validate-token
    * Valida el token JWT (ya verificado por el authMiddleware) y devuelve
@@ -66,20 +484,23 @@ export class AuthController {
         return res.status(404).json({ message: 'Usuario del token no encontrado.' });
       }
 
-      // Construir respuesta según el tipo de usuario (admin vs normal)
+      // Permisos efectivos (roles + overrides), mismo formato que el login
+      const { isAdmin, roles, features, permissions } = await this.permissionService.resolve(user);
+
       const userResponse = {
         username: user.user,
         fullName: user.full_name,
         email: user.email,
+        permissions,
+        features,
+        roles,
+        isAdmin,
+        mustChangePassword: user.mustChangePassword === true,
+        mfaEnabled: user.mfa?.enabled === true,
+        passwordLoginEnabled: user.passwordLoginEnabled !== false,
+        googleLoginEnabled: user.googleLoginEnabled !== false,
       };
 
-      if (user.isAdmin === true) {
-        userResponse.isAdmin = true;
-      } else {
-        // fallback a objeto vacío por si el campo no existe en BD
-        userResponse.permissions = user.permision || {};
-      }
-
       return res.status(200).json({
         message: 'Token válido.',
         user: userResponse,
@@ -88,4 +509,13 @@ export class AuthController {
       next(error);
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Indica si el valor es un código (TOTP o de recuperación) utilizable.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMfaCode(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
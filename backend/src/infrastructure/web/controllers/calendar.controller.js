@@ -13,6 +13,7 @@ export class CalendarController {
    * @param {Object} deps.updateCalendarCommentUseCase - Caso de uso para actualizar comentarios.
    * @param {Object} deps.deleteCalendarCommentUseCase - Caso de uso para eliminar comentarios.
    * @param {Object} deps.calendarRepository - Repositorio de Calendar (para endpoints de test).
+   * @param {Object} deps.activityLogService - Registro de actividad (auditoría).
    */
   constructor({
     listCalendarCommentsUseCase,
@@ -20,12 +21,14 @@ export class CalendarController {
     updateCalendarCommentUseCase,
     deleteCalendarCommentUseCase,
     calendarRepository,
+    activityLogService,
   }) {
     this.listCalendarCommentsUseCase = listCalendarCommentsUseCase;
     this.createCalendarCommentUseCase = createCalendarCommentUseCase;
     this.updateCalendarCommentUseCase = updateCalendarCommentUseCase;
     this.deleteCalendarCommentUseCase = deleteCalendarCommentUseCase;
     this.calendarRepository = calendarRepository;
+    this.activityLogService = activityLogService;
   }
 
   /**
@@ -33,8 +36,11 @@ export class CalendarController {
    * Lista comentarios en un rango de fechas.
    */
   async getCalendarComments(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.list_comments' });
+
     try {
       const { startDate, endDate } = req.query;
+      activity.metadata = { startDate, endDate };
 
       if (!startDate || !endDate) {
         return res.status(400).json({
@@ -52,6 +58,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('[CalendarController] Error al listar comentarios:', error);
+      activity.error = error.message;
       return res.status(500).json({
         success: false,
         error: error.message,
@@ -65,6 +72,8 @@ export class CalendarController {
    * Body: { fecha, titulo, comentario, autorId, autorNombre }
    */
   async createCalendarComment(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.create_comment' });
+
     try {
       const { fecha, titulo, comentario, autorId, autorNombre } = req.body;
 
@@ -76,6 +85,9 @@ export class CalendarController {
         autorNombre,
       });
 
+      activity.resource = { type: 'calendar_event', id: createdComment.id };
+      activity.metadata = { fecha };
+
       return res.status(201).json({
         success: true,
         data: createdComment,
@@ -83,6 +95,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('[CalendarController] Error al crear comentario:', error);
+      activity.error = error.message;
       return res.status(400).json({
         success: false,
         error: error.message,
@@ -96,9 +109,12 @@ export class CalendarController {
    * Body: { titulo, comentario }
    */
   async updateCalendarComment(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.update_comment' });
+
     try {
       const { eventId } = req.params;
       const { titulo, comentario } = req.body;
+      activity.resource = { type: 'calendar_event', id: eventId };
 
       const updatedComment = await this.updateCalendarCommentUseCase.execute({
         eventId,
@@ -113,6 +129,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('[CalendarController] Error al actualizar comentario:', error);
+      activity.error = error.message;
       return res.status(400).json({
         success: false,
         error: error.message,
@@ -125,8 +142,11 @@ export class CalendarController {
    * Elimina un comentario.
    */
   async deleteCalendarComment(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.delete_comment' });
+
     try {
       const { eventId } = req.params;
+      activity.resource = { type: 'calendar_event', id: eventId };
 
       await this.deleteCalendarCommentUseCase.execute({ eventId });
 
@@ -136,6 +156,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('[CalendarController] Error al eliminar comentario:', error);
+      activity.error = error.message;
       return res.status(400).json({
         success: false,
         error: error.message,
@@ -152,6 +173,8 @@ export class CalendarController {
    * Prueba la conexión con Google Calendar listando eventos del mes actual.
    */
   async testCalendarConnection(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.test_connection' });
+
     try {
       console.log('🧪 [TEST] Probando conexión con Google Calendar Repository...');
 
@@ -187,6 +210,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('🧪 [TEST] Error:', error);
+      activity.error = error.message;
       return res.status(500).json({
         success: false,
         error: error.message,
@@ -199,6 +223,8 @@ export class CalendarController {
    * Crea un comentario de prueba en el día actual.
    */
   async testCreateComment(req, res, next) {
+    const activity = this.activityLogService.track(req, res, { module: 'calendar', action: 'calendar.test_create_comment' });
+
     try {
       const today = this.calendarRepository.getCurrentDate();
 
@@ -211,6 +237,7 @@ export class CalendarController {
       };
 
       const createdComment = await this.calendarRepository.createComment(testComment);
+      activity.resource = { type: 'calendar_event', id: createdComment.id };
 
       return res.status(201).json({
         success: true,
@@ -219,6 +246,7 @@ export class CalendarController {
       });
     } catch (error) {
       console.error('🧪 [TEST] Error:', error);
+      activity.error = error.message;
       return res.status(500).json({
         success: false,
         error: error.message,
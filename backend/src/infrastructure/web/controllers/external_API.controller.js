@@ -9,9 +9,11 @@ export class ExternalApiController {
   /**
    * @param {Object} deps - Dependencias inyectadas desde el contenedor.
    * @param {Object} deps.getNotasProduccionUseCase - Caso de uso para obtener notas de producción.
+   * @param {Object} deps.activityLogService - Registro de actividad (auditoría).
    */
-  constructor({ getNotasProduccionUseCase }) {
+  constructor({ getNotasProduccionUseCase, activityLogService }) {
     this.getNotasProduccionUseCase = getNotasProduccionUseCase;
+    this.activityLogService = activityLogService;
   }
 
   /**
@@ -20,9 +22,15 @@ export class ExternalApiController {
    * Respuestas HTTP idénticas al controlador original.
    */
   async getNotasProduccion(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: 'external_api',
+      action: 'erp.get_notas_produccion',
+    });
+
     try {
       // Extraer parámetros del body
       const { fechaDesde, fechaHasta, seccion, temporada } = req.body;
+      activity.metadata = { fechaDesde, fechaHasta, seccion, temporada };
 
       // Validar que existan los parámetros básicos
       if (!fechaDesde || !fechaHasta || !seccion || !temporada) {
@@ -53,6 +61,7 @@ export class ExternalApiController {
       return res.status(200).json(result);
     } catch (error) {
       console.error('❌ Error al obtener notas de producción:', error.message);
+      activity.error = error.message;
 
       // Errores de validación del caso de uso → 400
       if (error.message.includes('Errores de validación')) {
@@ -1,11 +1,21 @@
 // src/infrastructure/web/controllers/google.controller.js
 // -----------------------------------------------------------------------------
 // Controlador de Google Drive.
-// Gestiona la subida de archivos (imágenes, Excel, PDF), verificación de
-// carpetas y creación de estructuras de directorios en Drive.
+// Gestiona la subida de archivos (imágenes, Excel, PDF), la descarga de
+// archivos para usuarios autenticados, su corrección (renombrar, mover,
+// papelera), verificación de carpetas y creación de estructuras de
+// directorios en Drive.
 // Recibe todos los casos de uso y configuración por inyección de dependencias.
 // -----------------------------------------------------------------------------
 
+import { pipeline } from "stream/promises";
+import { AppError } from "../../../domain/errors/app.error.js";
+import {
+  DEFAULT_UPLOAD_CONFLICT_POLICY,
+  UPLOAD_CONFLICT_POLICIES,
+  UPLOAD_RESULTS,
+} from "../../../domain/entities/drive_upload.entity.js";
+
 export class GoogleController {
   /**
    * @param {Object} deps - Dependencias inyectadas desde el contenedor.
@@ -14,8 +24,12 @@ export class GoogleController {
    * @param {Object} deps.uploadPdfUseCase - Subida de PDFs.
    * @param {Object} deps.checkFolderUseCase - Verificación de carpetas/archivos.
    * @param {Object} deps.createFolderStructureUseCase - Creación recursiva de carpetas.
+   * @param {Object} deps.listDriveFolderChildrenUseCase - Navegación por las carpetas de drive-ids.json.
+   * @param {Object} deps.getDriveFileContentUseCase - Descarga de archivos con comprobación de permisos.
+   * @param {Object} deps.updateDriveFileUseCase - Renombrar, mover, enviar a la papelera y restaurar archivos.
    * @param {Object} deps.driveRepository - Repositorio de Drive (para IDs de carpetas y permisos).
    * @param {Object} deps.lambdaConfig - URLs de las Lambdas de extracción de imágenes.
+   * @param {Object} deps.activityLogService - Registro de actividad (auditoría).
    */
   constructor({
     uploadImageAlertUseCase,
@@ -23,16 +37,24 @@ export class GoogleController {
     uploadPdfUseCase,
     checkFolderUseCase,
     createFolderStructureUseCase,
+    listDriveFolderChildrenUseCase,
+    getDriveFileContentUseCase,
+    updateDriveFileUseCase,
     driveRepository,
     lambdaConfig,
+    activityLogService,
   }) {
     this.uploadImageAlertUseCase = uploadImageAlertUseCase;
     this.uploadExcelUseCase = uploadExcelUseCase;
     this.uploadPdfUseCase = uploadPdfUseCase;
     this.checkFolderUseCase = checkFolderUseCase;
     this.createFolderStructureUseCase = createFolderStructureUseCase;
+    this.listDriveFolderChildrenUseCase = listDriveFolderChildrenUseCase;
+    this.getDriveFileContentUseCase = getDriveFileContentUseCase;
+    this.updateDriveFileUseCase = updateDriveFileUseCase;
     this.driveRepository = driveRepository;
     this.lambdaConfig = lambdaConfig;
+    this.activityLogService = activityLogService;
   }
 
   /**
@@ -41,6 +63,11 @@ export class GoogleController {
    * Requiere form-data con campo "file" (imagen).
    */
   async uploadImgAlert(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_image_alert",
+    });
+
     try {
       if (!req.file) {
         return res
@@ -61,12 +88,15 @@ export class GoogleController {
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
         buffer: req.file.buffer,
+        filePath: req.file.path,
         parentFolderId,
       });
+      activity.resource = { type: "drive_file", id: result.id };
 
       return res.status(201).json(result);
     } catch (error) {
       console.error("[GoogleController] Error al subir imagen:", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -84,6 +114,11 @@ export class GoogleController {
    * Marcas válidas: "STUART WEITZMAN", "VERSACE".
    */
   async uploadPrototypeExcel(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_prototype_excel",
+    });
+
     try {
       if (!req.file) {
         return res
@@ -146,6 +181,7 @@ export class GoogleController {
           "[GoogleController] Error en las llamadas a las APIs:",
           apiError,
         );
+        activity.error = apiError.message;
         return res.status(500).json({
           error: `Error al procesar el Excel con las APIs externas: ${apiError.message}`,
         });
@@ -168,16 +204,22 @@ export class GoogleController {
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
         buffer: req.file.buffer,
+        filePath: req.file.path,
         parentFolderId,
       });
 
-      // Asignar permisos públicos a cada imagen extraída
+      // Compartir cada imagen extraída según la política de la carpeta de la marca
       id_imagen.archivos.forEach((archivo) => {
-        this.driveRepository.setPublicReadPermissions(archivo.id);
+        this.driveRepository
+          .applySharingPolicy(archivo.id, parentFolderId)
+          .catch((error) => console.error(`[GoogleController] No se pudo compartir la imagen ${archivo.id}:`, error.message));
       });
 
       console.log(id_imagen);
 
+      activity.resource = { type: "drive_file", id: excelResult.id };
+      activity.metadata = { marca, imagenes: id_imagen.archivos.length };
+
       return res.status(201).json({
         message: "Excel subido e imágenes extraídas correctamente",
         id_archivo: excelResult.id,
@@ -189,6 +231,7 @@ export class GoogleController {
         "[GoogleController] Error al subir prototipo Excel:",
         error,
       );
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -205,6 +248,11 @@ export class GoogleController {
    * Requiere form-data con campo "file" (PDF).
    */
   async uploadPedidoPdf(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_pedido_pdf",
+    });
+
     try {
       if (!req.file) {
         return res
@@ -226,9 +274,12 @@ export class GoogleController {
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
         buffer: req.file.buffer,
+        filePath: req.file.path,
         parentFolderId,
       });
 
+      activity.resource = { type: "drive_file", id: pdfResult.id };
+
       return res.status(201).json({
         message: "PDF subido correctamente",
         pdf: {
@@ -240,6 +291,7 @@ export class GoogleController {
       });
     } catch (error) {
       console.error("[GoogleController] Error al subir PDF:", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -254,8 +306,15 @@ export class GoogleController {
    * POST /api/google/uploadIntrastatPDF
    * Sube uno o varios PDFs de Intrastat a Drive, organizados por tipo (COMPRA/VENTA).
    * Requiere form-data con campo "files" (PDFs) y "marca" en el body.
+   * "onConflict" (opcional, por defecto "skip") decide qué hacer si en la
+   * carpeta del día ya hay un PDF igual: skip | revision | keep_both.
    */
   async uploadIntrastatPDF(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_intrastat_pdf",
+    });
+
     try {
       const files = req.files || [];
 
@@ -272,6 +331,8 @@ export class GoogleController {
           .json({ error: 'Falta el campo "marca" en el body' });
       }
 
+      activity.metadata = { marca };
+
       const marcasValidas = ["COMPRA", "VENTA"];
       if (!marcasValidas.includes(marca)) {
         return res.status(400).json({
@@ -279,6 +340,13 @@ export class GoogleController {
         });
       }
 
+      const onConflict = req.body.onConflict || DEFAULT_UPLOAD_CONFLICT_POLICY;
+      if (!UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+        return res.status(400).json({
+          error: `"onConflict" no válido. Debe ser uno de: ${UPLOAD_CONFLICT_POLICIES.join(", ")}`,
+        });
+      }
+
       // Verificar que todos los archivos son PDFs
       const pdfMimeTypes = ["application/pdf"];
       const archivosInvalidos = files.filter(
@@ -314,7 +382,9 @@ export class GoogleController {
           originalname: file.originalname,
           mimetype: file.mimetype,
           buffer: file.buffer,
+          filePath: file.path,
           parentFolderId: idCarpeta,
+          onConflict,
         }),
       );
 
@@ -334,11 +404,14 @@ export class GoogleController {
             webContentLink: pdfResult.webContentLink,
             folderId: pdfResult.targetFolderId,
             folderName: pdfResult.folderName,
+            policy: pdfResult.policy,
+            conflict: pdfResult.conflict,
           });
         } else {
           fallidos.push({
             archivo: files[index].originalname,
             error: resultado.reason?.message || "Error desconocido",
+            policy: onConflict,
           });
         }
       });
@@ -347,6 +420,14 @@ export class GoogleController {
       const statusCode =
         fallidos.length === 0 ? 201 : exitosos.length === 0 ? 500 : 207;
 
+      activity.resource = { type: "drive_folder", id: idCarpeta };
+      activity.metadata = {
+        ...activity.metadata,
+        onConflict,
+        fileIds: exitosos.map((archivo) => archivo.id),
+        fallidos: fallidos.map((fallo) => fallo.archivo),
+      };
+
       return res.status(statusCode).json({
         message: `${exitosos.length} de ${files.length} PDF(s) subido(s) correctamente`,
         exitosos,
@@ -355,10 +436,12 @@ export class GoogleController {
           total: files.length,
           exitosos: exitosos.length,
           fallidos: fallidos.length,
+          porPolitica: countByPolicy(exitosos),
         },
       });
     } catch (error) {
       console.error("[GoogleController] Error al subir PDF(s):", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -373,8 +456,14 @@ export class GoogleController {
    * POST /api/google/uploadInventarioPDF
    * Sube uno o varios PDFs de inventario a Drive en la carpeta del día.
    * Requiere form-data con campo "files" (PDFs).
+   * "onConflict" (opcional, por defecto "skip"): igual que en uploadIntrastatPDF.
    */
   async uploadInventarioPDF(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_inventario_pdf",
+    });
+
     try {
       const files = req.files || [];
 
@@ -397,6 +486,13 @@ export class GoogleController {
         });
       }
 
+      const onConflict = req.body.onConflict || DEFAULT_UPLOAD_CONFLICT_POLICY;
+      if (!UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+        return res.status(400).json({
+          error: `"onConflict" no válido. Debe ser uno de: ${UPLOAD_CONFLICT_POLICIES.join(", ")}`,
+        });
+      }
+
       const parentFolderId = this.driveRepository.getInventarioFolderID();
 
       // Crear carpeta del día y subir todos los PDFs en paralelo
@@ -409,7 +505,9 @@ export class GoogleController {
           originalname: file.originalname,
           mimetype: file.mimetype,
           buffer: file.buffer,
+          filePath: file.path,
           parentFolderId: idCarpeta,
+          onConflict,
         }),
       );
 
@@ -428,11 +526,14 @@ export class GoogleController {
             webContentLink: pdfResult.webContentLink,
             folderId: pdfResult.targetFolderId,
             folderName: pdfResult.folderName,
+            policy: pdfResult.policy,
+            conflict: pdfResult.conflict,
           });
         } else {
           fallidos.push({
             archivo: files[index].originalname,
             error: resultado.reason?.message || "Error desconocido",
+            policy: onConflict,
           });
         }
       });
@@ -440,6 +541,13 @@ export class GoogleController {
       const statusCode =
         fallidos.length === 0 ? 201 : exitosos.length === 0 ? 500 : 207;
 
+      activity.resource = { type: "drive_folder", id: idCarpeta };
+      activity.metadata = {
+        onConflict,
+        fileIds: exitosos.map((archivo) => archivo.id),
+        fallidos: fallidos.map((fallo) => fallo.archivo),
+      };
+
       return res.status(statusCode).json({
         message: `${exitosos.length} de ${files.length} PDF(s) subido(s) correctamente`,
         exitosos,
@@ -448,10 +556,12 @@ export class GoogleController {
           total: files.length,
           exitosos: exitosos.length,
           fallidos: fallidos.length,
+          porPolitica: countByPolicy(exitosos),
         },
       });
     } catch (error) {
       console.error("[GoogleController] Error al subir PDF(s):", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -472,6 +582,11 @@ export class GoogleController {
    *   - anio y mes en el body
    */
   async uploadNominasExcels(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_nominas",
+    });
+
     try {
       console.log("[NominasController] ========== INICIO REQUEST ==========");
       console.log("[NominasController] Body:", req.body);
@@ -613,6 +728,7 @@ export class GoogleController {
             originalname: archivo.originalname,
             mimetype: archivo.mimetype,
             buffer: archivo.buffer,
+            filePath: archivo.path,
             folderId: folderRetenciones,
           });
           return result.id;
@@ -628,6 +744,7 @@ export class GoogleController {
             originalname: archivo.originalname,
             mimetype: archivo.mimetype,
             buffer: archivo.buffer,
+            filePath: archivo.path,
             folderId: folderResumenes,
           });
           return result.id;
@@ -644,6 +761,7 @@ export class GoogleController {
           originalname: archivoResumen.originalname,
           mimetype: archivoResumen.mimetype,
           buffer: archivoResumen.buffer,
+          filePath: archivoResumen.path,
           folderId: folderNominas,
         }),
       ]);
@@ -652,6 +770,14 @@ export class GoogleController {
       const retencionesData = retencionesIds.filter((id) => id !== null);
       const nominasData = resumenesIds.filter((id) => id !== null);
 
+      activity.resource = { type: "drive_file", id: excelResumen.id };
+      activity.metadata = {
+        anio,
+        mes,
+        fileIds: [...retencionesData, ...nominasData],
+        fallidos: retencionesIds.length + resumenesIds.length - retencionesData.length - nominasData.length,
+      };
+
       return res.status(200).json({
         id_excel_resumen: excelResumen.id,
         ids_retenciones: retencionesData,
@@ -659,6 +785,7 @@ export class GoogleController {
       });
     } catch (error) {
       console.error("[NominasController] Error al procesar nóminas:", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -679,6 +806,11 @@ export class GoogleController {
    * Cada archivo se sube a su carpeta correspondiente en Drive.
    */
   async uploadSituacionVersace(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_situacion_versace",
+    });
+
     try {
       if (!req.files) {
         return res.status(400).json({ error: "No se recibieron archivos" });
@@ -756,6 +888,7 @@ export class GoogleController {
         originalname: informeFechas[0].originalname,
         mimetype: informeFechas[0].mimetype,
         buffer: informeFechas[0].buffer,
+        filePath: informeFechas[0].path,
         parentFolderId: folderDiaPDF,
       });
       console.log(`[SituacionVersace] Informe Fechas subido: ${informeFechasResult.id}`);
@@ -766,6 +899,7 @@ export class GoogleController {
         originalname: dirma[0].originalname,
         mimetype: dirma[0].mimetype,
         buffer: dirma[0].buffer,
+        filePath: dirma[0].path,
         parentFolderId: parentFolderIdDirma,
       });
       console.log(`[SituacionVersace] DIRMA subido: ${dirmaResult.id}`);
@@ -776,6 +910,7 @@ export class GoogleController {
         originalname: informePasado[0].originalname,
         mimetype: informePasado[0].mimetype,
         buffer: informePasado[0].buffer,
+        filePath: informePasado[0].path,
         parentFolderId: parentFolderIdVersace,
       });
       console.log(`[SituacionVersace] Informe Pasado subido: ${informePasadoResult.id}`);
@@ -786,10 +921,20 @@ export class GoogleController {
         originalname: informeNuevo[0].originalname,
         mimetype: informeNuevo[0].mimetype,
         buffer: informeNuevo[0].buffer,
+        filePath: informeNuevo[0].path,
         parentFolderId: parentFolderIdVersace,
       });
       console.log(`[SituacionVersace] Informe Nuevo subido: ${informeNuevoResult.id}`);
 
+      activity.metadata = {
+        fileIds: [
+          informeFechasResult.id,
+          dirmaResult.id,
+          informePasadoResult.id,
+          informeNuevoResult.id,
+        ],
+      };
+
       return res.status(201).json({
         message: "Archivos de Situación Pedidos Versace subidos correctamente",
         id_informe_fechas: informeFechasResult.id,
@@ -799,6 +944,7 @@ export class GoogleController {
       });
     } catch (error) {
       console.error("[SituacionVersace] Error al subir archivos:", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -817,6 +963,11 @@ export class GoogleController {
    * Los PDFs se suben secuencialmente para evitar rate limiting de Drive.
    */
   async uploadSituacionSW(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.upload_situacion_sw",
+    });
+
     try {
       if (!req.files) {
         return res.status(400).json({ error: "No se recibieron archivos" });
@@ -869,34 +1020,44 @@ export class GoogleController {
       const folderDiaERP =
         await this.uploadPdfUseCase.executeFolderDia(parentFolderIdERP);
 
-      // Subir PDFs secuencialmente para evitar rate limiting
-      const idsPdfs = [];
-      const exitosos = [];
-      const fallidos = [];
-
-      for (const pdfFile of erpSusy) {
-        try {
-          const pdfResult = await this.uploadPdfUseCase.execute({
+      // Subir PDFs en paralelo (los límites de uso de Drive se reintentan en el wrapper)
+      const resultados = await Promise.allSettled(
+        erpSusy.map((pdfFile) =>
+          this.uploadPdfUseCase.execute({
             file: pdfFile,
             originalname: pdfFile.originalname,
             mimetype: pdfFile.mimetype,
             buffer: pdfFile.buffer,
+            filePath: pdfFile.path,
             parentFolderId: folderDiaERP,
-          });
+          }),
+        ),
+      );
 
+      const idsPdfs = [];
+      const exitosos = [];
+      const fallidos = [];
+
+      resultados.forEach((resultado, index) => {
+        const pdfFile = erpSusy[index];
+        if (resultado.status === "fulfilled") {
+          const pdfResult = resultado.value;
           idsPdfs.push(pdfResult.id);
           exitosos.push({ nombre: pdfFile.originalname, id: pdfResult.id });
           console.log(
             `[SituacionSW] PDF "${pdfFile.originalname}" subido: ${pdfResult.id}`,
           );
-        } catch (error) {
+        } else {
           console.error(
             `[SituacionSW] Error subiendo PDF "${pdfFile.originalname}":`,
-            error,
+            resultado.reason,
           );
-          fallidos.push({ nombre: pdfFile.originalname, error: error.message });
+          fallidos.push({
+            nombre: pdfFile.originalname,
+            error: resultado.reason?.message || "Error desconocido",
+          });
         }
-      }
+      });
 
       console.log("[SituacionSW] Subiendo Planning Cliente...");
 
@@ -905,6 +1066,7 @@ export class GoogleController {
         originalname: planningCliente[0].originalname,
         mimetype: planningCliente[0].mimetype,
         buffer: planningCliente[0].buffer,
+        filePath: planningCliente[0].path,
         parentFolderId: parentFolderIdSW,
       });
 
@@ -912,6 +1074,12 @@ export class GoogleController {
         `[SituacionSW] Planning Cliente subido: ${planningResult.id}`,
       );
 
+      activity.resource = { type: "drive_file", id: planningResult.id };
+      activity.metadata = {
+        fileIds: idsPdfs,
+        fallidos: fallidos.map((fallo) => fallo.nombre),
+      };
+
       return res.status(201).json({
         message:
           "Archivos de Situación Pedidos Stuart Weitzman subidos correctamente",
@@ -922,6 +1090,7 @@ export class GoogleController {
       });
     } catch (error) {
       console.error("[SituacionSW] Error al subir archivos:", error);
+      activity.error = error.message;
       const code = error?.code || error?.response?.status || 500;
       return res.status(code).json({
         error:
@@ -938,6 +1107,11 @@ export class GoogleController {
    * Requiere "idFileFolder" en el body.
    */
   async checkFolder(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.check_folder",
+    });
+
     try {
       const { idFileFolder } = req.body;
 
@@ -947,6 +1121,8 @@ export class GoogleController {
           .json({ error: "Falta idFileFolder en el cuerpo de la petición" });
       }
 
+      activity.resource = { type: "drive_file", id: idFileFolder };
+
       const folderInfo = await this.checkFolderUseCase.execute({
         idFileFolder,
       });
@@ -954,6 +1130,7 @@ export class GoogleController {
       return res.status(200).json(folderInfo);
     } catch (error) {
       console.error("[GoogleController] Error al verificar carpeta:", error);
+      activity.error = error.message;
       return res.status(500).json({
         error:
           error.response?.data?.error ||
@@ -963,14 +1140,211 @@ export class GoogleController {
     }
   }
 
+  /**
+   * GET /api/google/folders/:key/children
+   * Lista el contenido de una carpeta de drive-ids.json (o de una subcarpeta suya).
+   * Query: folderId, pageSize (1-100), pageToken, search, mimeType
+   * ("folder", MIME exacto o prefijo como "image/") y sort (name, modifiedTime,
+   * createdTime, size; "-" delante para descendente).
+   */
+  async listFolderChildren(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.list_folder_children",
+    });
+
+    try {
+      const { key } = req.params;
+      const { folderId, pageSize, pageToken, search, mimeType, sort } = req.query;
+
+      activity.resource = { type: "drive_folder", id: folderId || key };
+
+      const result = await this.listDriveFolderChildrenUseCase.execute({
+        key,
+        folderId,
+        pageSize: pageSize !== undefined ? Number(pageSize) : undefined,
+        pageToken,
+        search,
+        mimeType,
+        sort,
+      });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      activity.error = error.message;
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("[GoogleController] Error al listar carpeta:", error);
+      const code = error?.code || error?.response?.status || 500;
+      return res.status(code).json({
+        error:
+          error.response?.data?.error ||
+          error.message ||
+          "Error interno del servidor.",
+      });
+    }
+  }
+
+  /**
+   * GET /api/google/files/:id/content
+   * Sirve el contenido de un archivo de Drive si el usuario tiene la
+   * funcionalidad del módulo al que pertenece su carpeta.
+   * Admite la cabecera Range (responde 206) y ?download=1 para descargarlo
+   * como adjunto en lugar de mostrarlo.
+   */
+  async getFileContent(req, res, next) {
+    // Un visor de PDF pide el archivo en muchos trozos: solo se registra la primera petición
+    const activity = isFirstRangeRequest(req.headers.range)
+      ? this.activityLogService.track(req, res, {
+          module: "google",
+          action: "drive.download_file",
+        })
+      : { resource: null, metadata: {}, error: null };
+
+    try {
+      const { id } = req.params;
+      activity.resource = { type: "drive_file", id };
+
+      const content = await this.getDriveFileContentUseCase.execute({
+        fileId: id,
+        permissions: req.permissions,
+        range: req.headers.range,
+      });
+      activity.metadata = { folderKey: content.folderKey };
+
+      const disposition = req.query.download === "1" ? "attachment" : "inline";
+      res.status(content.status);
+      res.set({
+        "Content-Type": content.contentType || content.mimeType || "application/octet-stream",
+        "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(content.name)}`,
+        "Accept-Ranges": "bytes",
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+        // El frontend (otro origen) necesita leerlas para pedir rangos
+        "Access-Control-Expose-Headers": "Accept-Ranges, Content-Range, Content-Length, Content-Disposition",
+      });
+      if (content.contentLength) res.set("Content-Length", content.contentLength);
+      if (content.contentRange) res.set("Content-Range", content.contentRange);
+
+      await pipeline(content.stream, res);
+    } catch (error) {
+      activity.error = error.message;
+      // Cortado a mitad (el cliente cerró la conexión o falló Drive): ya no se puede responder JSON
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("[GoogleController] Error al descargar archivo:", error);
+      const code = error?.code || error?.response?.status || 500;
+      return res.status(code).json({
+        error:
+          error.response?.data?.error ||
+          error.message ||
+          "Error interno del servidor.",
+      });
+    }
+  }
+
+  /**
+   * POST /api/google/files/:id/rename
+   * Cambia el nombre de un archivo. Body: { name }.
+   */
+  async renameFile(req, res, next) {
+    return this._updateFile(req, res, "rename", { name: req.body?.name });
+  }
+
+  /**
+   * POST /api/google/files/:id/move
+   * Mueve un archivo a otra carpeta de drive-ids.json. Body: { targetKey, targetFolderId? }.
+   * Sin targetFolderId conserva su ruta de subcarpetas (día, año/mes...) bajo targetKey.
+   */
+  async moveFile(req, res, next) {
+    const { targetKey, targetFolderId } = req.body ?? {};
+    return this._updateFile(req, res, "move", { targetKey, targetFolderId });
+  }
+
+  /**
+   * POST /api/google/files/:id/trash
+   * Envía un archivo a la papelera de Drive.
+   */
+  async trashFile(req, res, next) {
+    return this._updateFile(req, res, "trash");
+  }
+
+  /**
+   * POST /api/google/files/:id/restore
+   * Recupera un archivo de la papelera de Drive.
+   */
+  async restoreFile(req, res, next) {
+    return this._updateFile(req, res, "restore");
+  }
+
+  /**
+   * Común a rename/move/trash/restore: el permiso sobre la carpeta de origen
+   * (y la de destino) lo comprueba el caso de uso. Cada operación queda en el
+   * registro de actividad con la carpeta y el nombre de antes y de después.
+   * @private
+   */
+  async _updateFile(req, res, operation, params = {}) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: `drive.${operation}_file`,
+    });
+
+    try {
+      const { id } = req.params;
+      activity.resource = { type: "drive_file", id };
+
+      const result = await this.updateDriveFileUseCase.execute({
+        fileId: id,
+        operation,
+        ...params,
+        permissions: req.permissions,
+      });
+
+      activity.metadata = {
+        from: result.from,
+        to: result.to,
+        ...(result.sharing ? { sharing: result.sharing } : {}),
+      };
+
+      return res.status(200).json(result);
+    } catch (error) {
+      activity.error = error.message;
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`[GoogleController] Error en ${operation} de archivo:`, error);
+      const code = error?.code || error?.response?.status || 500;
+      return res.status(code).json({
+        error:
+          error.response?.data?.error ||
+          error.message ||
+          "Error interno del servidor.",
+      });
+    }
+  }
+
   /**
    * POST /api/google/createFolderStructure
    * Crea recursivamente una estructura de carpetas en Drive a partir de un árbol JSON.
-   * Requiere "structure" en el body con formato { name: string, children: [...] }.
+   * Body: structure ({ name: string, children: [...] }, obligatorio), parentKey
+   * (clave de drive-ids.json, por defecto imgs_alertas) o parentId, mode
+   * ("merge" reutiliza las carpetas existentes, "create" crea siempre) y dryRun.
+   * Responde con el árbol resultante: id de cada carpeta y status created/existing.
    */
   async createFolderStructure(req, res, next) {
+    const activity = this.activityLogService.track(req, res, {
+      module: "google",
+      action: "drive.create_folder_structure",
+    });
+
     try {
-      const { structure } = req.body;
+      const { structure, parentKey, parentId, mode, dryRun } = req.body;
 
       if (!structure || !structure.name) {
         return res.status(400).json({
@@ -978,18 +1352,67 @@ export class GoogleController {
         });
       }
 
-      await this.createFolderStructureUseCase.execute({ structure });
+      activity.metadata = { root: structure.name, parentKey, parentId, mode, dryRun: dryRun === true };
 
-      return res.status(201).json({
+      const result = await this.createFolderStructureUseCase.execute({
+        structure,
+        parentKey,
+        parentId,
+        mode,
+        dryRun: dryRun === true,
+        permissions: req.permissions,
+      });
+
+      activity.resource = { type: "drive_folder", id: result.tree.id };
+      activity.metadata.summary = result.summary;
+
+      return res.status(result.dryRun || result.summary.created === 0 ? 200 : 201).json({
         status: "ok",
-        message: "Estructura creada en Drive correctamente",
+        message: result.dryRun
+          ? "Simulación: no se ha creado ninguna carpeta"
+          : "Estructura creada en Drive correctamente",
+        ...result,
       });
     } catch (error) {
+      activity.error = error.message;
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error(
         "[GoogleController] Error al crear estructura de carpetas:",
         error,
       );
-      return res.status(500).json({ error: "Error interno del servidor." });
+      const code = error?.code || error?.response?.status || 500;
+      return res.status(code).json({
+        error:
+          error.response?.data?.error ||
+          error.message ||
+          "Error interno del servidor.",
+      });
     }
   }
 }
+
+/**
+ * ¿Es la petición completa o el primer trozo (Range desde el byte 0)?
+ * @param {string|undefined} range Cabecera Range
+ * @returns {boolean}
+ */
+function isFirstRangeRequest(range) {
+  return !range || /^bytes=0-/.test(range);
+}
+
+/**
+ * Cuántos archivos han terminado en cada resultado (created, skip, revision,
+ * keep_both), para el resumen de las subidas con onConflict.
+ * @param {Array<{policy: string}>} exitosos
+ * @returns {Object<string, number>}
+ */
+function countByPolicy(exitosos) {
+  return Object.fromEntries(
+    UPLOAD_RESULTS.map((policy) => [
+      policy,
+      exitosos.filter((archivo) => archivo.policy === policy).length,
+    ]),
+  );
+}
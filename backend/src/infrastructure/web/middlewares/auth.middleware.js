@@ -1,25 +1,93 @@
 // src/infrastructure/web/middlewares/auth.middleware.js
 // -----------------------------------------------------------------------------
-// Middleware de autenticación JWT.
-// Verifica el token del header Authorization y adjunta el payload en req.user.
-// Usa la configuración centralizada en vez de leer process.env directamente.
+// Middleware de autenticación JWT (y, opcionalmente, por API key).
+// Verifica el token del header Authorization, comprueba que su sesión siga
+// activa en servidor y adjunta el payload en req.user.
+// La sesión se consulta en cada petición: es la garantía de revocación
+// (logout, deshabilitar, cambio de contraseña), no la caducidad del JWT.
+// Si recibe un apiKeyService admite también el header X-API-Key de los
+// clientes máquina; sin él, esas peticiones se rechazan.
+// Un usuario con contraseña temporal (mustChangePassword) solo puede usar
+// las rutas montadas con allowPendingPasswordChange (cambio de contraseña);
+// /refresh y /logout no pasan por este middleware.
+// Patrón factory: recibe sus dependencias desde el contenedor.
 // -----------------------------------------------------------------------------
 
-import jwt from 'jsonwebtoken';
-import config from '../../../config/env.js';
+import { API_KEY_HEADER } from '../../../domain/entities/api_key.entity.js';
 
 /**
- * Middleware que valida el token JWT en cada petición protegida.
+ * Crea el middleware que valida el token JWT en cada petición protegida.
  * - Extrae el token del header "Authorization: Bearer <token>".
- * - Verifica firma y expiración con el secreto de config.
+ * - Verifica firma y expiración con el servicio de tokens.
+ * - Rechaza tokens sin sesión (claim "sid") o cuya sesión esté revocada/caducada.
+ * - Carga el usuario y rechaza con 403 (code PASSWORD_CHANGE_REQUIRED) a quien
+ *   tiene una contraseña temporal, salvo con allowPendingPasswordChange. El
+ *   usuario queda en req.currentUser para los guards de permisos.
  * - Si es válido, adjunta el payload decodificado en req.user.
  * - Si no es válido, responde con 401.
+ * - Sin header Authorization y con X-API-Key (si hay apiKeyService): autentica
+ *   la key, adjunta { apiKeyId, user: 'apikey:<nombre>' } en req.user y la key
+ *   en req.apiKey, y registra el uso al terminar la respuesta.
+ * @param {Object} deps - Dependencias inyectadas.
+ * @param {Object} deps.tokenService - Servicio con el contrato verifyAccessToken.
+ * @param {Object} deps.sessionService - Servicio con el contrato isSessionActive.
+ * @param {Object} deps.userRepository - Repositorio de usuarios con el contrato findByCode.
+ * @param {Object} [deps.apiKeyService] - Servicio con los contratos authenticate/recordUsage.
+ * @param {boolean} [deps.allowPendingPasswordChange=false] - Deja pasar a usuarios con contraseña temporal.
+ * @returns {Function} Middleware de Express.
  */
-export const authMiddleware = (req, res, next) => {
-  try {
+export function createAuthMiddleware({ tokenService, sessionService, userRepository, apiKeyService = null, allowPendingPasswordChange = false }) {
+  /**
+   * Autentica la petición con la API key del header X-API-Key.
+   */
+  async function authenticateApiKey(req, res, next, key) {
+    if (!apiKeyService) {
+      return res.status(401).json({
+        success: false,
+        message: 'Acceso denegado. Este endpoint no admite API keys.',
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.authenticate(key);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key no válida, revocada o caducada.',
+      });
+    }
+
+    // Registrar el uso cuando se conozca el código de respuesta
+    res.on('finish', () => {
+      apiKeyService.recordUsage(apiKey, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+    });
+
+    req.user = { apiKeyId: apiKey._id.toString(), user: `apikey:${apiKey.name}` };
+    req.apiKey = apiKey;
+
+    next();
+  }
+
+  return async (req, res, next) => {
     // Leer el header Authorization
     const authHeader = req.headers['authorization'];
 
+    // Clientes máquina: API key en lugar de JWT
+    if (!authHeader && req.headers[API_KEY_HEADER]) {
+      return authenticateApiKey(req, res, next, req.headers[API_KEY_HEADER]);
+    }
+
     // Verificar que el header existe
     if (!authHeader) {
       return res.status(401).json({
@@ -39,18 +107,50 @@ export const authMiddleware = (req, res, next) => {
     // Extraer el token quitando el prefijo "Bearer "
     const token = authHeader.split(' ')[1];
 
-    // Verificar la firma y expiración del token
-    const decodedPayload = jwt.verify(token, config.jwt.secret);
+    let decodedPayload;
+    try {
+      // Verificar la firma y expiración del token
+      decodedPayload = tokenService.verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token no válido o ha expirado.',
+      });
+    }
+
+    try {
+      // Tokens sin sesión (emitidos antes de las sesiones en servidor) o con la
+      // sesión revocada dejan de ser válidos aunque la firma sea correcta
+      const isActive = decodedPayload.sid
+        && await sessionService.isSessionActive(decodedPayload.sid);
+
+      if (!isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'La sesión ha sido cerrada o revocada.',
+        });
+      }
+
+      // Contraseña temporal (alta o reset por un admin): hasta cambiarla solo
+      // puede usar el cambio de contraseña
+      const user = await userRepository.findByCode(decodedPayload.code);
+      if (user?.mustChangePassword === true && !allowPendingPasswordChange) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'Debes cambiar tu contraseña temporal antes de continuar.',
+        });
+      }
+      // Mismo criterio que los guards de permisos: deshabilitado = inexistente
+      req.currentUser = user && user.disabled !== true ? user : null;
+    } catch (error) {
+      return next(error);
+    }
 
     // Adjuntar el payload al request para que los controladores lo usen
     req.user = decodedPayload;
 
     // Continuar al siguiente middleware o controlador
     next();
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: 'Token no válido o ha expirado.',
-    });
-  }
-};
\ No newline at end of file
+  };
+}
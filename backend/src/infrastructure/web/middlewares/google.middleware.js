@@ -1,14 +1,25 @@
 // backend/src/infrastructure/web/middlewares/google.middleware.js
 import { OAuth2Client } from "google-auth-library";
-import { PassThrough } from "stream";
+import { PassThrough, Readable } from "stream";
 import config from "../../../config/env.js";
-
-async function streamToBuffer(stream) {
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(chunk);
+import { GoogleApiClient } from "./google_api.client.js";
+import { resumableUpload } from "./google_resumable_upload.js";
+
+/**
+ * Pasa a query string los parámetros admitidos por un endpoint (los que
+ * vengan undefined/null se omiten; los booleanos se envían como "true"/"false").
+ * @param {Object} params Parámetros de la llamada (estilo googleapis)
+ * @param {string[]} allowed Nombres de parámetros que acepta el endpoint
+ * @returns {URLSearchParams}
+ */
+function toSearchParams(params, allowed) {
+  const searchParams = new URLSearchParams();
+  for (const name of allowed) {
+    if (params[name] !== undefined && params[name] !== null) {
+      searchParams.append(name, String(params[name]));
+    }
   }
-  return Buffer.concat(chunks);
+  return searchParams;
 }
 
 function readTokensFromEnv() {
@@ -37,6 +48,7 @@ function generateGoogleClient() {
 class GoogleDriveWrapper {
   constructor(auth) {
     this.auth = auth;
+    this.client = new GoogleApiClient(auth);
 
     this.files = {
       create: this.createFile.bind(this),
@@ -47,171 +59,121 @@ class GoogleDriveWrapper {
 
     this.permissions = {
       create: this.createPermission.bind(this),
-    };
-  }
-
-  async _getHeaders(extra = {}) {
-    const accessTokenResponse = await this.auth.getAccessToken();
-    return {
-      Authorization: `Bearer ${accessTokenResponse.token}`,
-      ...extra,
+      list: this.listPermissions.bind(this),
+      delete: this.deletePermission.bind(this),
     };
   }
 
   // ----------------- FILES -----------------
   async listFiles(params = {}) {
-    const searchParams = new URLSearchParams();
-    if (params.q) searchParams.append("q", params.q);
-    if (params.fields) searchParams.append("fields", params.fields);
+    const searchParams = toSearchParams(params, [
+      "q",
+      "fields",
+      "pageSize",
+      "pageToken",
+      "orderBy",
+      "corpora",
+      "driveId",
+      "spaces",
+      "supportsAllDrives",
+      "includeItemsFromAllDrives",
+    ]);
 
     const url = `https://www.googleapis.com/drive/v3/files?${searchParams.toString()}`;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: await this._getHeaders(),
-    });
-    if (!response.ok) throw new Error(await response.text());
-    return { data: await response.json() };
+    return { data: await this.client.request(url) };
   }
 
-  async getFile({ fileId, fields }) {
-    const searchParams = new URLSearchParams();
-    if (fields) searchParams.append("fields", fields);
+  // alt: "media" descarga el contenido (data como ArrayBuffer) en lugar de los metadatos.
+  // Con options.responseType "stream" data es un Readable y se devuelven también
+  // status y headers (para reenviar rangos: options.headers.Range).
+  async getFile({ fileId, ...params }, options = {}) {
+    const { alt } = params;
+    const searchParams = toSearchParams(params, ["fields", "alt", "supportsAllDrives"]);
 
     const url = `https://www.googleapis.com/drive/v3/files/${fileId}?${searchParams.toString()}`;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: await this._getHeaders(),
-    });
-    if (!response.ok) throw new Error(await response.text());
-    return { data: await response.json() };
+
+    if (options.responseType === "stream") {
+      const response = await this.client.fetch(url, { headers: options.headers });
+      return {
+        data: response.body ? Readable.fromWeb(response.body) : Readable.from([]),
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+      };
+    }
+
+    const responseType = alt === "media" ? "arraybuffer" : "json";
+    return { data: await this.client.request(url, { responseType }) };
   }
 
   async createFile({ resource, media }) {
     // Si no hay media, subimos solo metadata
     if (!media) {
-      const response = await fetch(
-        "https://www.googleapis.com/drive/v3/files",
-        {
-          method: "POST",
-          headers: await this._getHeaders({
-            "Content-Type": "application/json",
-          }),
-          body: JSON.stringify(resource),
-        }
-      );
-      if (!response.ok) throw new Error(await response.text());
-      return { data: await response.json() };
-    }
-
-    // Multipart upload
-    const boundary = "foo_bar_baz";
-    const delimiter = `--${boundary}`;
-    const close_delim = `--${boundary}--`;
-
-    // Convertir stream a buffer si es necesario
-    const mediaBuffer = Buffer.isBuffer(media.body)
-      ? media.body
-      : await streamToBuffer(media.body);
-
-    // Construir el body multipart correctamente
-    const multipartBody = Buffer.concat([
-      Buffer.from(
-        `${delimiter}\r\n` +
-          `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
-          `${JSON.stringify(resource)}\r\n`,
-        "utf8"
-      ),
-      Buffer.from(
-        `${delimiter}\r\n` + `Content-Type: ${media.mimeType}\r\n\r\n`,
-        "utf8"
-      ),
-      mediaBuffer,
-      Buffer.from(`\r\n${close_delim}`, "utf8"),
-    ]);
-
-    const response = await fetch(
-      "https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart",
-      {
+      const data = await this.client.request("https://www.googleapis.com/drive/v3/files", {
         method: "POST",
-        headers: await this._getHeaders({
-          "Content-Type": `multipart/related; boundary=${boundary}`,
-        }),
-        body: multipartBody,
-      }
-    );
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(resource),
+      });
+      return { data };
+    }
 
-    if (!response.ok) throw new Error(await response.text());
-    return { data: await response.json() };
+    // Subida resumable en trozos (google_resumable_upload.js)
+    return resumableUpload(this.client, {
+      method: "POST",
+      url: "https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable",
+      resource,
+      media,
+    });
   }
 
-  async updateFile({ fileId, resource, media }) {
-    if (!media) {
-      const response = await fetch(
-        `https://www.googleapis.com/drive/v3/files/${fileId}`,
-        {
-          method: "PATCH",
-          headers: await this._getHeaders({
-            "Content-Type": "application/json",
-          }),
-          body: JSON.stringify(resource),
-        }
-      );
-      if (!response.ok) throw new Error(await response.text());
-      return { data: await response.json() };
-    }
-
-    // Multipart update
-    const boundary = "foo_bar_baz";
-    const delimiter = `--${boundary}`;
-    const close_delim = `--${boundary}--`;
-
-    let mediaBuffer = Buffer.isBuffer(media.body)
-      ? media.body
-      : await streamToBuffer(media.body);
-
-    const multipartBody = [
-      delimiter,
-      "Content-Type: application/json; charset=UTF-8",
-      "",
-      JSON.stringify(resource),
-      "",
-      delimiter,
-      `Content-Type: ${media.mimeType}`,
-      "",
-    ].join("\r\n");
-
-    const bodyBuffer = Buffer.concat([
-      Buffer.from(multipartBody, "utf8"),
-      mediaBuffer,
-      Buffer.from("\r\n" + close_delim, "utf8"),
-    ]);
+  async updateFile({ fileId, resource, media, ...params }) {
+    const searchParams = toSearchParams(params, ["addParents", "removeParents", "fields", "supportsAllDrives"]);
 
-    const response = await fetch(
-      `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`,
-      {
+    if (!media) {
+      const data = await this.client.request(`https://www.googleapis.com/drive/v3/files/${fileId}?${searchParams.toString()}`, {
         method: "PATCH",
-        headers: await this._getHeaders({
-          "Content-Type": `multipart/related; boundary=${boundary}`,
-        }),
-        body: bodyBuffer,
-      }
-    );
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(resource),
+      });
+      return { data };
+    }
 
-    if (!response.ok) throw new Error(await response.text());
-    return { data: await response.json() };
+    searchParams.set("uploadType", "resumable");
+    return resumableUpload(this.client, {
+      method: "PATCH",
+      url: `https://www.googleapis.com/upload/drive/v3/files/${fileId}?${searchParams.toString()}`,
+      resource,
+      media,
+    });
   }
 
   // ----------------- PERMISSIONS -----------------
-  async createPermission({ fileId, resource }) {
-    const url = `https://www.googleapis.com/drive/v3/files/${fileId}/permissions`;
-    const response = await fetch(url, {
+  // Repetir el mismo permiso no lo duplica: se puede reintentar como idempotente
+  async createPermission({ fileId, resource, ...params }) {
+    const searchParams = toSearchParams(params, ["sendNotificationEmail", "supportsAllDrives"]);
+
+    const url = `https://www.googleapis.com/drive/v3/files/${fileId}/permissions?${searchParams.toString()}`;
+    const data = await this.client.request(url, {
       method: "POST",
-      headers: await this._getHeaders({ "Content-Type": "application/json" }),
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify(resource),
+      idempotent: true,
     });
+    return { data };
+  }
+
+  async listPermissions({ fileId, ...params }) {
+    const searchParams = toSearchParams(params, ["fields", "pageSize", "pageToken", "supportsAllDrives"]);
 
-    if (!response.ok) throw new Error(await response.text());
-    return { data: await response.json() };
+    const url = `https://www.googleapis.com/drive/v3/files/${fileId}/permissions?${searchParams.toString()}`;
+    return { data: await this.client.request(url) };
+  }
+
+  async deletePermission({ fileId, permissionId, ...params }) {
+    const searchParams = toSearchParams(params, ["supportsAllDrives"]);
+
+    const url = `https://www.googleapis.com/drive/v3/files/${fileId}/permissions/${permissionId}?${searchParams.toString()}`;
+    await this.client.request(url, { method: "DELETE", responseType: "none" });
+    return { data: null };
   }
 }
 
@@ -222,18 +184,10 @@ class GoogleDriveWrapper {
 class GoogleCalendarWrapper {
   constructor(auth) {
     this.auth = auth;
+    this.client = new GoogleApiClient(auth);
     this.baseUrl = "https://www.googleapis.com/calendar/v3";
   }
 
-  async _getHeaders(extra = {}) {
-    const accessTokenResponse = await this.auth.getAccessToken();
-    return {
-      Authorization: `Bearer ${accessTokenResponse.token}`,
-      "Content-Type": "application/json",
-      ...extra,
-    };
-  }
-
   /**
    * Lista eventos de un calendario en un rango de fechas.
    * @param {string} calendarId ID del calendario (ej: 'primary')
@@ -255,20 +209,14 @@ class GoogleCalendarWrapper {
 
     console.log(`📅 [Calendar] Listando eventos: ${timeMin} → ${timeMax}`);
 
-    const response = await fetch(url, {
-      method: "GET",
-      headers: await this._getHeaders(),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(
-        `❌ [Calendar] Error al listar eventos: ${response.status}`
-      );
-      throw new Error(errorText);
+    let data;
+    try {
+      data = await this.client.request(url);
+    } catch (error) {
+      console.error(`❌ [Calendar] Error al listar eventos: ${error.status}`);
+      throw error;
     }
 
-    const data = await response.json();
     console.log(
       `✅ [Calendar] Eventos encontrados: ${data.items?.length || 0}`
     );
@@ -291,20 +239,19 @@ class GoogleCalendarWrapper {
       JSON.stringify(eventData, null, 2)
     ); // ← AÑADIR ESTA LÍNEA
 
-    const response = await fetch(url, {
-      method: "POST",
-      headers: await this._getHeaders(),
-      body: JSON.stringify(eventData),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ [Calendar] Error al crear evento: ${response.status}`);
-      console.error(`❌ [Calendar] Respuesta completa:`, errorText); // ← AÑADIR ESTA LÍNEA
-      throw new Error(errorText);
+    let data;
+    try {
+      data = await this.client.request(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(eventData),
+      });
+    } catch (error) {
+      console.error(`❌ [Calendar] Error al crear evento: ${error.status}`);
+      console.error(`❌ [Calendar] Respuesta completa:`, error.message); // ← AÑADIR ESTA LÍNEA
+      throw error;
     }
 
-    const data = await response.json();
     console.log(`✅ [Calendar] Evento creado con ID: ${data.id}`);
 
     return data;
@@ -322,21 +269,20 @@ class GoogleCalendarWrapper {
 
     console.log(`📅 [Calendar] Actualizando evento: ${eventId}`);
 
-    const response = await fetch(url, {
-      method: "PATCH",
-      headers: await this._getHeaders(),
-      body: JSON.stringify(eventData),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
+    let data;
+    try {
+      data = await this.client.request(url, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(eventData),
+      });
+    } catch (error) {
       console.error(
-        `❌ [Calendar] Error al actualizar evento: ${response.status}`
+        `❌ [Calendar] Error al actualizar evento: ${error.status}`
       );
-      throw new Error(errorText);
+      throw error;
     }
 
-    const data = await response.json();
     console.log(`✅ [Calendar] Evento actualizado: ${eventId}`);
 
     return data;
@@ -353,17 +299,13 @@ class GoogleCalendarWrapper {
 
     console.log(`📅 [Calendar] Eliminando evento: ${eventId}`);
 
-    const response = await fetch(url, {
-      method: "DELETE",
-      headers: await this._getHeaders(),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
+    try {
+      await this.client.request(url, { method: "DELETE", responseType: "none" });
+    } catch (error) {
       console.error(
-        `❌ [Calendar] Error al eliminar evento: ${response.status}`
+        `❌ [Calendar] Error al eliminar evento: ${error.status}`
       );
-      throw new Error(errorText);
+      throw error;
     }
 
     console.log(`✅ [Calendar] Evento eliminado: ${eventId}`);
@@ -0,0 +1,195 @@
+// backend/src/infrastructure/web/middlewares/google_api.client.js
+// -----------------------------------------------------------------------------
+// Capa común de peticiones a las APIs de Google (la usan los wrappers de Drive
+// y Calendar de google.middleware.js).
+// - Añade el access token de OAuth2 a cada intento (se refresca solo).
+// - Reintenta con backoff exponencial con jitter ("full jitter") y respeta la
+//   cabecera Retry-After:
+//     · 429 y 403 por límite de uso (userRateLimitExceeded, rateLimitExceeded):
+//       siempre, porque Google no ha ejecutado la petición.
+//     · 5xx y fallos de red: solo en peticiones idempotentes (GET, PUT, PATCH,
+//       DELETE o las marcadas con `idempotent: true`), para no duplicar
+//       archivos, carpetas o eventos.
+// - Si falla, lanza GoogleApiError con el código HTTP y el motivo de Google.
+// -----------------------------------------------------------------------------
+
+import { GoogleApiError } from "../../../domain/errors/google_api.error.js";
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "PATCH", "DELETE"];
+const RATE_LIMIT_REASONS = ["userRateLimitExceeded", "rateLimitExceeded"];
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 32000,
+  maxRetryAfterMs: 60000, // un Retry-After mayor no se espera: se devuelve el error
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class GoogleApiClient {
+  /**
+   * @param {Object} auth Cliente OAuth2 de google-auth-library (getAccessToken)
+   * @param {Object} [retryPolicy] Sobrescribe valores de DEFAULT_RETRY_POLICY
+   * @param {Object} [options]
+   * @param {(ms: number) => Promise<void>} [options.sleep] Espera entre intentos (los tests la sustituyen)
+   */
+  constructor(auth, retryPolicy = {}, { sleep: wait = sleep } = {}) {
+    this.auth = auth;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+    this.sleep = wait;
+  }
+
+  /**
+   * Cabeceras con el access token vigente.
+   * @param {Object} [extra] Cabeceras adicionales
+   * @returns {Promise<Object>}
+   */
+  async headers(extra = {}) {
+    const accessTokenResponse = await this.auth.getAccessToken();
+    return {
+      Authorization: `Bearer ${accessTokenResponse.token}`,
+      ...extra,
+    };
+  }
+
+  /**
+   * Hace la petición con reintentos y devuelve el cuerpo de la respuesta.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.method="GET"]
+   * @param {Object} [options.headers] Cabeceras adicionales (la de autorización se añade sola)
+   * @param {string|Buffer} [options.body] Debe poder reenviarse (no streams)
+   * @param {boolean} [options.idempotent] Permite reintentar 5xx y fallos de red en POST
+   * @param {"json"|"arraybuffer"|"none"} [options.responseType="json"]
+   * @returns {Promise<any>} JSON, ArrayBuffer o null según responseType
+   * @throws {GoogleApiError}
+   */
+  async request(url, { responseType = "json", ...options } = {}) {
+    const response = await this.fetch(url, options);
+
+    if (responseType === "none" || response.status === 204) return null;
+    if (responseType === "arraybuffer") return await response.arrayBuffer();
+    return await response.json();
+  }
+
+  /**
+   * Igual que request pero devuelve la Response (para leer cabeceras o estados
+   * especiales como el 308 de las subidas resumables).
+   * @param {string} url
+   * @param {Object} [options] Los de request, más:
+   * @param {number[]} [options.acceptStatuses] Estados no-2xx que se devuelven sin error
+   * @returns {Promise<Response>}
+   * @throws {GoogleApiError}
+   */
+  async fetch(url, { method = "GET", headers = {}, body, idempotent, acceptStatuses = [] } = {}) {
+    const canRetryServerErrors = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, { method, headers: await this.headers(headers), body });
+      } catch (error) {
+        if (!canRetryServerErrors || attempt > this.retryPolicy.maxRetries) {
+          throw new GoogleApiError(`Sin respuesta de Google: ${error.message}`, {
+            status: 502,
+            reason: "networkError",
+            attempts: attempt,
+          });
+        }
+        await this._wait(attempt, null, `${method} ${url}: ${error.message}`);
+        continue;
+      }
+
+      if (response.ok || acceptStatuses.includes(response.status)) return response;
+
+      const error = await toGoogleApiError(response, attempt);
+      const retryable = isRateLimitError(error) || (canRetryServerErrors && error.status >= 500);
+
+      if (!retryable || attempt > this.retryPolicy.maxRetries || this._tooLong(error)) {
+        throw error;
+      }
+      await this._wait(attempt, error.retryAfter, `${method} ${url}: ${error.status} ${error.reason ?? ""}`);
+    }
+  }
+
+  /**
+   * Espera antes del siguiente intento.
+   * @param {number} attempt Intento que acaba de fallar (1-based)
+   * @param {number|null} retryAfter Segundos de Retry-After
+   * @private
+   */
+  async _wait(attempt, retryAfter, description) {
+    const delay = retryDelay(attempt, retryAfter, this.retryPolicy);
+    console.warn(`⚠️ [Google] Reintento ${attempt}/${this.retryPolicy.maxRetries} en ${delay} ms (${description.trim()})`);
+    await this.sleep(delay);
+  }
+
+  /** @private */
+  _tooLong(error) {
+    return error.retryAfter !== null && error.retryAfter * 1000 > this.retryPolicy.maxRetryAfterMs;
+  }
+}
+
+/**
+ * Tiempo de espera antes de reintentar: Retry-After si Google lo indica; si no,
+ * un valor aleatorio entre 0 y base·2^(intento-1), con tope en maxDelayMs.
+ * @param {number} attempt Intento que acaba de fallar (1-based)
+ * @param {number|null} retryAfter Segundos de Retry-After
+ * @param {Object} [policy=DEFAULT_RETRY_POLICY]
+ * @returns {number} Milisegundos
+ */
+export function retryDelay(attempt, retryAfter, policy = DEFAULT_RETRY_POLICY) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter * 1000, policy.maxRetryAfterMs);
+  }
+  const ceiling = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * ¿Es un error por límite de uso (se puede reintentar siempre)?
+ * @param {GoogleApiError} error
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  return error.status === 429 || (error.status === 403 && RATE_LIMIT_REASONS.includes(error.reason));
+}
+
+/**
+ * Construye el GoogleApiError de una respuesta fallida.
+ * Google responde { error: { code, message, status, errors: [{ reason }] } }.
+ * @param {Response} response
+ * @param {number} [attempts=1]
+ * @returns {Promise<GoogleApiError>}
+ */
+export async function toGoogleApiError(response, attempts = 1) {
+  const text = await response.text();
+
+  let details = null;
+  try {
+    details = JSON.parse(text).error ?? null;
+  } catch {
+    // Cuerpo no JSON (HTML de un proxy, texto plano...)
+  }
+
+  return new GoogleApiError(details?.message || text || `HTTP ${response.status}`, {
+    status: response.status,
+    reason: details?.errors?.[0]?.reason ?? details?.status ?? null,
+    retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+    attempts,
+  });
+}
+
+/**
+ * Lee Retry-After (segundos o fecha HTTP).
+ * @param {string|null} value
+ * @returns {number|null} Segundos
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
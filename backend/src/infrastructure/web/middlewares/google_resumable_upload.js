@@ -0,0 +1,202 @@
+// backend/src/infrastructure/web/middlewares/google_resumable_upload.js
+// -----------------------------------------------------------------------------
+// Subidas resumables de Drive (la usa el wrapper de Drive de google.middleware.js).
+// El contenido se envía en trozos sobre una sesión de subida de Drive, así
+// que nunca se carga entero en memoria. Si un trozo falla por red, límite de
+// uso o 5xx, se pregunta a Drive cuánto ha recibido (308 + Range) y se
+// continúa desde ahí.
+// -----------------------------------------------------------------------------
+
+import { retryDelay, isRateLimitError, toGoogleApiError } from "./google_api.client.js";
+import { GoogleApiError } from "../../../domain/errors/google_api.error.js";
+
+// Drive exige trozos múltiplos de 256 KB (salvo el último)
+export const UPLOAD_CHUNK_SIZE = 32 * 256 * 1024; // 8 MB
+
+/** Cabecera Content-Range de un trozo (total "*" mientras no se conoce). */
+function contentRange(start, length, total) {
+  const size = total ?? "*";
+  return length === 0 ? `bytes */${size}` : `bytes ${start}-${start + length - 1}/${size}`;
+}
+
+/** Bytes ya guardados por Drive según la cabecera Range de una respuesta 308. */
+function confirmedBytes(response) {
+  const range = response.headers.get("range"); // "bytes=0-1234"
+  return range ? Number(range.split("-")[1]) + 1 : 0;
+}
+
+/**
+ * Recorre el cuerpo a subir (Buffer o stream) en trozos de `size` bytes.
+ * Solo guarda en memoria el trozo en curso.
+ */
+async function* readChunks(body, size) {
+  const source = Buffer.isBuffer(body) ? [body] : body;
+  let parts = [];
+  let length = 0;
+
+  for await (const data of source) {
+    parts.push(data);
+    length += data.length;
+
+    while (length >= size) {
+      const buffer = Buffer.concat(parts, length);
+      yield buffer.subarray(0, size);
+      parts = [buffer.subarray(size)];
+      length -= size;
+    }
+  }
+
+  if (length > 0) yield Buffer.concat(parts, length);
+}
+
+/**
+ * Abre una sesión de subida y envía el contenido trozo a trozo. Cierra el
+ * origen (ej: temporal en disco) aunque la subida falle a medias.
+ * @param {import('./google_api.client.js').GoogleApiClient} client Cliente con token y política de reintentos
+ * @param {Object} params
+ * @param {string} params.method POST (crear) | PATCH (actualizar)
+ * @param {string} params.url Endpoint de subida con uploadType=resumable
+ * @param {Object} [params.resource] Metadatos del archivo
+ * @param {{mimeType: string, body: Buffer|import('stream').Readable}} params.media
+ * @param {number} [params.chunkSize=UPLOAD_CHUNK_SIZE] Tamaño de trozo (los tests lo reducen)
+ * @returns {Promise<{data: Object}>} Archivo creado/actualizado
+ * @throws {GoogleApiError}
+ */
+export async function resumableUpload(client, { chunkSize = UPLOAD_CHUNK_SIZE, ...params }) {
+  try {
+    return await uploadInSession(client, params, chunkSize);
+  } finally {
+    if (typeof params.media.body?.destroy === "function") params.media.body.destroy();
+  }
+}
+
+async function uploadInSession(client, { method, url, resource, media }, chunkSize) {
+  // Abrir la sesión no crea nada en Drive: se puede reintentar sin riesgo
+  const sessionResponse = await client.fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json; charset=UTF-8",
+      "X-Upload-Content-Type": media.mimeType,
+    },
+    body: JSON.stringify(resource ?? {}),
+    idempotent: true,
+  });
+  const sessionUrl = sessionResponse.headers.get("location");
+
+  // Se lee un trozo por delante para saber cuál es el último (lleva el total)
+  const chunks = readChunks(media.body, chunkSize);
+  let offset = 0;
+  let current = (await chunks.next()).value ?? Buffer.alloc(0);
+
+  while (true) {
+    const next = await chunks.next();
+    const total = next.done ? offset + current.length : null;
+
+    const result = await sendChunk(client, sessionUrl, current, offset, total);
+    if (result.done) return { data: result.data };
+
+    offset += current.length;
+    if (next.done) {
+      throw new GoogleApiError("Drive no ha confirmado el final de la subida.", { status: 502 });
+    }
+    current = next.value;
+  }
+}
+
+/**
+ * Envía un trozo y reintenta (reanudando desde lo confirmado) ante fallos transitorios.
+ * @param {string} sessionUrl URI de la sesión de subida
+ * @param {Buffer} chunk Trozo a enviar
+ * @param {number} offset Posición del trozo en el archivo
+ * @param {number|null} total Tamaño total si es el último trozo
+ * @returns {Promise<{done: boolean, data?: Object}>} done=true con el archivo al terminar la subida
+ * @throws {GoogleApiError} Si falla de forma no transitoria o se agotan los reintentos
+ */
+async function sendChunk(client, sessionUrl, chunk, offset, total) {
+  const { maxRetries } = client.retryPolicy;
+  let sent = 0; // bytes del trozo ya confirmados por Drive
+  let attempt = 0;
+
+  while (true) {
+    const pending = chunk.subarray(sent);
+    let response = null;
+    let error = null;
+    try {
+      response = await fetch(sessionUrl, {
+        method: "PUT",
+        headers: await client.headers({
+          "Content-Range": contentRange(offset + sent, pending.length, total),
+        }),
+        body: pending,
+      });
+    } catch (networkError) {
+      error = new GoogleApiError(`Sin respuesta de Google: ${networkError.message}`, {
+        status: 502,
+        reason: "networkError",
+      });
+    }
+
+    if (response?.status === 200 || response?.status === 201) {
+      return { done: true, data: await response.json() };
+    }
+
+    if (response?.status === 308) {
+      const confirmed = Math.min(confirmedBytes(response) - offset, chunk.length);
+      if (total === null && confirmed === chunk.length) return { done: false };
+      // Drive ha guardado solo una parte del trozo: se reenvía el resto
+      if (confirmed > sent) {
+        sent = confirmed;
+        continue;
+      }
+      error = new GoogleApiError("Drive no ha guardado el trozo enviado.", { status: 502 });
+    } else if (response) {
+      error = await toGoogleApiError(response);
+      if (!isRateLimitError(error) && error.status < 500) throw error;
+    }
+
+    if (++attempt > maxRetries) {
+      error.attempts = attempt;
+      throw error;
+    }
+    const delay = retryDelay(attempt, error.retryAfter, client.retryPolicy);
+    console.warn(`⚠️ [Drive] Subida: reintento ${attempt}/${maxRetries} en ${delay} ms desde el byte ${offset + sent} (${error.status} ${error.reason ?? ""})`);
+    await client.sleep(delay);
+
+    // Preguntar a Drive cuánto ha recibido antes de reenviar
+    const status = await queryUploadStatus(client, sessionUrl, total);
+    if (status?.done) return status;
+    if (status) sent = Math.min(Math.max(0, status.confirmed - offset), chunk.length);
+    if (total === null && sent === chunk.length) return { done: false };
+  }
+}
+
+/**
+ * Consulta el estado de una sesión de subida.
+ * @returns {Promise<{done: boolean, data?: Object, confirmed?: number}|null>} null si no se pudo consultar
+ * @throws {GoogleApiError} Si la sesión ya no existe (404/410): hay que empezar de nuevo
+ */
+async function queryUploadStatus(client, sessionUrl, total) {
+  let response;
+  try {
+    response = await fetch(sessionUrl, {
+      method: "PUT",
+      headers: await client.headers({ "Content-Range": contentRange(0, 0, total) }),
+    });
+  } catch {
+    return null;
+  }
+
+  if (response.status === 200 || response.status === 201) {
+    return { done: true, data: await response.json() };
+  }
+  if (response.status === 308) {
+    return { done: false, confirmed: confirmedBytes(response) };
+  }
+  if (response.status === 404 || response.status === 410) {
+    throw new GoogleApiError("La sesión de subida a Drive ha caducado.", {
+      status: response.status,
+      reason: "uploadSessionExpired",
+    });
+  }
+  return null;
+}
@@ -1,19 +1,79 @@
 // src/infrastructure/web/middlewares/multer.middleware.js
 // -----------------------------------------------------------------------------
 // Configuración centralizada de Multer para subida de archivos.
-// Almacena en memoria (memoryStorage) para procesar los buffers directamente
-// sin escribir archivos temporales en disco, ideal para Lambda.
-// Límites: 10MB por archivo, máximo 50 archivos por petición.
+// Cada ruta crea su instancia con createUpload() y sus propios límites.
+// - storage 'memory': el archivo queda en req.file.buffer. Solo para archivos
+//   pequeños o que hay que procesar enteros (ej: Excel que se envía a la
+//   Lambda de extracción de imágenes).
+// - storage 'disk': el archivo se escribe en streaming a un temporal
+//   (req.file.path) sin pasar entero por memoria, y se sube a Drive leyendo
+//   de disco. El temporal se borra al terminar la respuesta.
+// Si se supera un límite se responde 413 (tamaño) o 400 (resto) en JSON.
 // -----------------------------------------------------------------------------
 
+import fs from 'fs';
+import os from 'os';
 import multer from 'multer';
 
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB por archivo
-    files: 100,                   // Máximo 100 archivos por petición
-  },
-});
+const MB = 1024 * 1024;
 
-export default upload;
\ No newline at end of file
+// Temporales en el directorio del sistema (/tmp en Lambda y Render)
+const diskStorage = multer.diskStorage({ destination: os.tmpdir() });
+
+/**
+ * Crea una instancia de multer con los límites de una ruta.
+ * @param {Object} [options]
+ * @param {'memory'|'disk'} [options.storage='memory'] Dónde se guarda el archivo mientras dura la petición.
+ * @param {number} [options.maxFileSizeMb=10] Tamaño máximo por archivo (MB).
+ * @param {number} [options.maxFiles=100] Número máximo de archivos por petición.
+ * @returns {{single: Function, array: Function, fields: Function}} Igual que multer: single/array/fields devuelven el middleware.
+ */
+export function createUpload({ storage = 'memory', maxFileSizeMb = 10, maxFiles = 100 } = {}) {
+  const upload = multer({
+    storage: storage === 'disk' ? diskStorage : multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSizeMb * MB,
+      files: maxFiles,
+    },
+  });
+
+  const wrap = (middleware) => (req, res, next) => {
+    if (storage === 'disk') {
+      res.once('finish', () => removeTempFiles(req));
+      res.once('close', () => removeTempFiles(req));
+    }
+
+    middleware(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Un archivo del campo "${error.field}" supera el tamaño máximo de ${maxFileSizeMb} MB.`
+          : `Subida no válida (${error.code}${error.field ? `: ${error.field}` : ''}).`;
+        return res.status(status).json({ error: message });
+      }
+      next(error);
+    });
+  };
+
+  return {
+    single: (name) => wrap(upload.single(name)),
+    array: (name, maxCount) => wrap(upload.array(name, maxCount)),
+    fields: (fields) => wrap(upload.fields(fields)),
+  };
+}
+
+/**
+ * Borra los temporales de disco de la petición (req.file / req.files).
+ * Se llama en 'finish' y en 'close'; borrar dos veces no es un error.
+ */
+function removeTempFiles(req) {
+  const files = req.file
+    ? [req.file]
+    : Array.isArray(req.files)
+      ? req.files
+      : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    if (file.path) fs.unlink(file.path, () => {});
+  }
+}
@@ -0,0 +1,143 @@
+// src/infrastructure/web/middlewares/permission.middleware.js
+// -----------------------------------------------------------------------------
+// Middlewares de autorización por funcionalidad.
+// Se montan SIEMPRE después del authMiddleware (necesitan req.user).
+// - requirePermission(...features): exige al menos una de las funcionalidades.
+// - requireAdmin: exige un rol de administración.
+// - requireUser: solo exige un usuario (o API key) válido y deja los permisos
+//   en req.permissions; para endpoints cuya funcionalidad depende del recurso
+//   y la comprueba el caso de uso.
+// Los permisos se resuelven con el PermissionService (roles + overrides); los
+// administradores pasan cualquier comprobación de permisos.
+// Las cuentas deshabilitadas se rechazan aunque su token siga siendo válido.
+// Las peticiones con API key (req.apiKey) usan los scopes de la key como
+// funcionalidades y nunca pasan requireAdmin.
+// Patrón factory: recibe sus dependencias desde el contenedor.
+// -----------------------------------------------------------------------------
+
+/**
+ * Crea los guards de permisos.
+ * @param {Object} deps - Dependencias inyectadas.
+ * @param {Object} deps.userRepository - Repositorio de usuarios con el contrato findByCode.
+ * @param {Object} deps.permissionService - Servicio de permisos (resolve, resolveApiKey).
+ * @returns {{requirePermission: Function, requireAdmin: Function, requireUser: Function}} Factorías de middlewares.
+ */
+export function createPermissionGuards({ userRepository, permissionService }) {
+  /**
+   * Carga (una sola vez por petición) el usuario del token desde la BD para
+   * trabajar con sus permisos actuales y no con los del momento del login.
+   * Un usuario deshabilitado se trata como inexistente.
+   */
+  async function loadCurrentUser(req) {
+    if (req.currentUser === undefined) {
+      const user = req.user?.code !== undefined
+        ? await userRepository.findByCode(req.user.code)
+        : null;
+      req.currentUser = user && user.disabled !== true ? user : null;
+    }
+    return req.currentUser;
+  }
+
+  /**
+   * Resuelve (una sola vez por petición) los permisos efectivos del usuario
+   * o de la API key y los deja en req.permissions para los controladores.
+   * @returns {Promise<Object|null>} Permisos, o null si no hay usuario válido.
+   */
+  async function loadPermissions(req) {
+    if (req.permissions === undefined) {
+      if (req.apiKey) {
+        req.permissions = permissionService.resolveApiKey(req.apiKey);
+      } else {
+        const user = await loadCurrentUser(req);
+        req.permissions = user ? await permissionService.resolve(user) : null;
+      }
+    }
+    return req.permissions;
+  }
+
+  /**
+   * Exige que el usuario tenga al menos una de las funcionalidades indicadas.
+   * @param {...string} features - Claves del FeatureRegistry (ej: 'intrastat').
+   * @returns {Function} Middleware de Express.
+   */
+  function requirePermission(...features) {
+    return async (req, res, next) => {
+      try {
+        const permissions = await loadPermissions(req);
+
+        if (!permissions) {
+          return res.status(401).json({
+            success: false,
+            message: 'Usuario del token no encontrado o deshabilitado.',
+          });
+        }
+
+        const { isAdmin, features: granted } = permissions;
+        const allowed = isAdmin || features.some((feature) => granted.includes(feature));
+
+        if (!allowed) {
+          return res.status(403).json({
+            success: false,
+            message: 'No tienes permiso para acceder a esta funcionalidad.',
+          });
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Exige que el usuario sea administrador.
+   */
+  async function requireAdmin(req, res, next) {
+    try {
+      const permissions = await loadPermissions(req);
+
+      if (!permissions) {
+        return res.status(401).json({
+          success: false,
+          message: 'Usuario del token no encontrado o deshabilitado.',
+        });
+      }
+
+      const { isAdmin } = permissions;
+
+      if (!isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acceso restringido a administradores.',
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exige un usuario o API key válido, sin funcionalidad concreta.
+   * Los permisos quedan en req.permissions.
+   */
+  async function requireUser(req, res, next) {
+    try {
+      const permissions = await loadPermissions(req);
+
+      if (!permissions) {
+        return res.status(401).json({
+          success: false,
+          message: 'Usuario del token no encontrado o deshabilitado.',
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return { requirePermission, requireAdmin, requireUser };
+}
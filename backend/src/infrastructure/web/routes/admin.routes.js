@@ -1,7 +1,9 @@
 // src/infrastructure/web/routes/admin.routes.js
 // -----------------------------------------------------------------------------
 // Definición de rutas administrativas.
-// Patrón factory: recibe el controlador ya instanciado desde el contenedor.
+// Patrón factory: recibe el controlador y los middlewares ya instanciados
+// desde el contenedor.
+// Todo el router exige sesión válida y rol de administrador.
 // Las rutas solo definen endpoints y conectan middlewares con controladores.
 // -----------------------------------------------------------------------------
 
@@ -11,16 +13,99 @@ import { Router } from 'express';
  * Crea y devuelve el router de administración.
  * @param {Object} deps - Dependencias inyectadas.
  * @param {Object} deps.adminController - Instancia del controlador de admin.
+ * @param {Function} deps.authMiddleware - Middleware de verificación de JWT y sesión.
+ * @param {Object} deps.permissionGuards - Guards de permisos ({ requireAdmin, requirePermission }).
  * @returns {Router} Router de Express configurado.
  */
-export function createAdminRoutes({ adminController }) {
+export function createAdminRoutes({ adminController, authMiddleware, permissionGuards }) {
   const router = Router();
 
+  // Todas las rutas de administración: sesión válida + admin
+  router.use(authMiddleware, permissionGuards.requireAdmin);
+
   // GET /users → Listado completo de usuarios
   router.get('/users', (req, res, next) => adminController.getUsers(req, res, next));
 
+  // POST /users → Alta de usuario
+  router.post('/users', (req, res, next) => adminController.createUser(req, res, next));
+
+  // GET /users/:code → Detalle de un usuario
+  router.get('/users/:code', (req, res, next) => adminController.getUser(req, res, next));
+
+  // PATCH /users/:code → Editar nombre completo y email
+  router.patch('/users/:code', (req, res, next) => adminController.updateUser(req, res, next));
+
+  // PATCH /users/:code/permissions → Overrides de permisos por encima de los roles
+  router.patch('/users/:code/permissions', (req, res, next) => adminController.updateUserPermissions(req, res, next));
+
+  // PUT /users/:code/roles → Sustituir los roles del usuario
+  router.put('/users/:code/roles', (req, res, next) => adminController.setUserRoles(req, res, next));
+
+  // POST /users/:code/disable | enable → Deshabilitar (revoca sesiones) o rehabilitar cuenta
+  router.post('/users/:code/disable', (req, res, next) => adminController.disableUser(req, res, next));
+  router.post('/users/:code/enable', (req, res, next) => adminController.enableUser(req, res, next));
+
+  // POST /users/:code/reset-password → Contraseña temporal + cambio obligatorio
+  router.post('/users/:code/reset-password', (req, res, next) => adminController.resetUserPassword(req, res, next));
+
+  // DELETE /users/:code/sessions → Revocar todas las sesiones de un usuario
+  router.delete('/users/:code/sessions', (req, res, next) => adminController.revokeUserSessions(req, res, next));
+
+  // POST /users/:code/unlock → Desbloquear cuenta bloqueada por intentos fallidos
+  router.post('/users/:code/unlock', (req, res, next) => adminController.unlockUser(req, res, next));
+
+  // PATCH /users/:code/login-methods → Login con contraseña sí/no y desvincular Google
+  router.patch('/users/:code/login-methods', (req, res, next) => adminController.updateUserLoginMethods(req, res, next));
+
+  // POST /users/:code/mfa/reset → Quitar el 2FA de un usuario (revoca sesiones)
+  router.post('/users/:code/mfa/reset', (req, res, next) => adminController.resetUserMfa(req, res, next));
+
+  // Política de verificación en dos pasos
+  router.get('/security/mfa-policy', (req, res, next) => adminController.getMfaPolicy(req, res, next));
+  router.put('/security/mfa-policy', (req, res, next) => adminController.updateMfaPolicy(req, res, next));
+
+  // API keys de clientes máquina: listado, alta, edición, revocación y uso
+  router.get('/api-keys', (req, res, next) => adminController.getApiKeys(req, res, next));
+  router.post('/api-keys', (req, res, next) => adminController.createApiKey(req, res, next));
+  router.patch('/api-keys/:id', (req, res, next) => adminController.updateApiKey(req, res, next));
+  router.delete('/api-keys/:id', (req, res, next) => adminController.revokeApiKey(req, res, next));
+  router.get('/api-keys/:id/usage', (req, res, next) => adminController.getApiKeyUsage(req, res, next));
+
+  // GET /features → Funcionalidades registradas
+  router.get('/features', (req, res, next) => adminController.getFeatures(req, res, next));
+
+  // Roles: listado, alta, edición y borrado
+  router.get('/roles', (req, res, next) => adminController.getRoles(req, res, next));
+  router.post('/roles', (req, res, next) => adminController.createRole(req, res, next));
+  router.patch('/roles/:key', (req, res, next) => adminController.updateRole(req, res, next));
+  router.delete('/roles/:key', (req, res, next) => adminController.deleteRole(req, res, next));
+
   // GET /logs → Logs con paginación y filtros opcionales
   router.get('/logs', (req, res, next) => adminController.getLogs(req, res, next));
 
+  // GET /logs/export → Descarga de logs filtrados (?format=xlsx|csv)
+  router.get('/logs/export', (req, res, next) => adminController.exportLogs(req, res, next));
+
+  // GET /logs/archives → Archivos mensuales de logs en Drive
+  router.get('/logs/archives', (req, res, next) => adminController.getLogArchives(req, res, next));
+
+  // POST /logs/archives/run → Archivar ya los meses fuera de retención (body: { dryRun })
+  router.post('/logs/archives/run', (req, res, next) => adminController.runLogArchive(req, res, next));
+
+  // POST /logs/archives/:id/restore → Volver a cargar un archivo en LOG_USER
+  router.post('/logs/archives/:id/restore', (req, res, next) => adminController.restoreLogArchive(req, res, next));
+
+  // POST /logs/archives/:id/release → Borrar de LOG_USER un archivo restaurado
+  router.post('/logs/archives/:id/release', (req, res, next) => adminController.releaseLogArchive(req, res, next));
+
+  // GET /drive/folders → Estado de las carpetas de drive-ids.json
+  router.get('/drive/folders', (req, res, next) => adminController.getDriveFolders(req, res, next));
+
+  // POST /drive/folders/provision → Crear las carpetas del manifiesto y escribir drive-ids.json (body: { dryRun, force })
+  router.post('/drive/folders/provision', (req, res, next) => adminController.provisionDriveFolders(req, res, next));
+
+  // GET /stats/logins → Estadísticas de uso (?from=yyyy-MM-dd&to=yyyy-MM-dd)
+  router.get('/stats/logins', (req, res, next) => adminController.getLoginStats(req, res, next));
+
   return router;
 }
\ No newline at end of file
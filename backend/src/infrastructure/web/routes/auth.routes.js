@@ -1,26 +1,88 @@
 // src/infrastructure/web/routes/auth.routes.js
 // -----------------------------------------------------------------------------
 // Definición de rutas de autenticación.
-// Patrón factory: recibe el controlador ya instanciado desde el contenedor.
+// Patrón factory: recibe el controlador y el middleware de auth ya
+// instanciados desde el contenedor.
 // Las rutas solo definen endpoints y conectan middlewares con controladores.
 // No importan dependencias directamente ni contienen lógica.
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
-import { authMiddleware } from '../middlewares/auth.middleware.js';
 
 /**
  * Crea y devuelve el router de autenticación.
  * @param {Object} deps - Dependencias inyectadas.
  * @param {Object} deps.authController - Instancia del controlador de auth.
+ * @param {Function} deps.authMiddleware - Middleware de verificación de JWT y sesión.
+ * @param {Function} deps.passwordChangeAuthMiddleware - Igual, pero admite usuarios con contraseña temporal.
  * @returns {Router} Router de Express configurado.
  */
-export function createAuthRoutes({ authController }) {
+export function createAuthRoutes({ authController, authMiddleware, passwordChangeAuthMiddleware }) {
   const router = Router();
 
   // POST /login → Autenticación con username y password
   router.post('/login', (req, res, next) => authController.login(req, res, next));
 
+  // POST /login/google → Iniciar sesión con Google (ID token de Google Sign-In)
+  router.post('/login/google', (req, res, next) => authController.loginGoogle(req, res, next));
+
+  // POST /login/mfa → Segundo paso del login con código TOTP o de recuperación
+  router.post('/login/mfa', (req, res, next) => authController.loginMfa(req, res, next));
+
+  // POST /login/mfa/setup → Alta obligatoria de 2FA durante el login (semilla/QR)
+  router.post('/login/mfa/setup', (req, res, next) => authController.loginMfaSetup(req, res, next));
+
+  // POST /login/mfa/enable → Confirmar el alta obligatoria y abrir la sesión
+  router.post('/login/mfa/enable', (req, res, next) => authController.loginMfaEnable(req, res, next));
+
+  // POST /refresh → Canjear refresh token por un nuevo par de tokens (rotación)
+  router.post('/refresh', (req, res, next) => authController.refresh(req, res, next));
+
+  // POST /logout → Revocar la sesión del refresh token
+  router.post('/logout', (req, res, next) => authController.logout(req, res, next));
+
+  // POST /change-password → Cambio de contraseña del usuario autenticado
+  // (única ruta autenticada disponible con una contraseña temporal)
+  router.post(
+    '/change-password',
+    passwordChangeAuthMiddleware,
+    (req, res, next) => authController.changePassword(req, res, next),
+  );
+
+  // POST /forgot-password → Enviar por email un enlace de recuperación
+  router.post('/forgot-password', (req, res, next) => authController.forgotPassword(req, res, next));
+
+  // POST /reset-password → Fijar contraseña nueva con el token del email
+  router.post('/reset-password', (req, res, next) => authController.resetPassword(req, res, next));
+
+  // POST /mfa/setup → Iniciar el alta de 2FA del usuario autenticado
+  router.post(
+    '/mfa/setup',
+    authMiddleware,
+    (req, res, next) => authController.mfaSetup(req, res, next),
+  );
+
+  // POST /mfa/enable → Confirmar el alta de 2FA (devuelve códigos de recuperación)
+  router.post(
+    '/mfa/enable',
+    authMiddleware,
+    (req, res, next) => authController.mfaEnable(req, res, next),
+  );
+
+  // POST /mfa/disable → Desactivar 2FA (contraseña + código)
+  router.post(
+    '/mfa/disable',
+    authMiddleware,
+    (req, res, next) => authController.mfaDisable(req, res, next),
+  );
+
+  // POST /mfa/recovery-codes → Generar códigos de recuperación nuevos
+  router.post(
+    '/mfa/recovery-codes',
+    authMiddleware,
+    (req, res, next) => authController.mfaRecoveryCodes(req, res, next),
+  );
+
   // GET /validate-token → Validar JWT y obtener datos del usuario
   router.get(
     '/validate-token',
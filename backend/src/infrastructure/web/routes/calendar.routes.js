@@ -1,7 +1,10 @@
 // src/infrastructure/web/routes/calendar.routes.js
 // -----------------------------------------------------------------------------
 // Definición de rutas de Google Calendar.
-// Patrón factory: recibe el controlador ya instanciado desde el contenedor.
+// Patrón factory: recibe el controlador y los middlewares ya instanciados
+// desde el contenedor.
+// Los comentarios del calendario son las notas del módulo de fabricación.
+// Permiso requerido: notas_fabricacion (endpoints de test: solo admin).
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
@@ -10,32 +13,39 @@ import { Router } from 'express';
  * Crea y devuelve el router de calendario.
  * @param {Object} deps - Dependencias inyectadas.
  * @param {Object} deps.calendarController - Instancia del controlador de calendar.
+ * @param {Function} deps.authMiddleware - Middleware de verificación de JWT y sesión (o API key).
+ * @param {Object} deps.permissionGuards - Guards de permisos ({ requireAdmin, requirePermission }).
  * @returns {Router} Router de Express configurado.
  */
-export function createCalendarRoutes({ calendarController }) {
+export function createCalendarRoutes({ calendarController, authMiddleware, permissionGuards }) {
   const router = Router();
+  const { requirePermission, requireAdmin } = permissionGuards;
+  const canUseCalendar = requirePermission('notas_fabricacion');
+
+  // Todas las rutas exigen sesión válida o API key
+  router.use(authMiddleware);
 
   // --- Endpoints de producción ---
 
   // GET /comments → Listar comentarios en un rango de fechas
-  router.get('/comments', (req, res, next) => calendarController.getCalendarComments(req, res, next));
+  router.get('/comments', canUseCalendar, (req, res, next) => calendarController.getCalendarComments(req, res, next));
 
   // POST /comments → Crear un nuevo comentario
-  router.post('/comments', (req, res, next) => calendarController.createCalendarComment(req, res, next));
+  router.post('/comments', canUseCalendar, (req, res, next) => calendarController.createCalendarComment(req, res, next));
 
   // PUT /comments/:eventId → Actualizar un comentario existente
-  router.put('/comments/:eventId', (req, res, next) => calendarController.updateCalendarComment(req, res, next));
+  router.put('/comments/:eventId', canUseCalendar, (req, res, next) => calendarController.updateCalendarComment(req, res, next));
 
   // DELETE /comments/:eventId → Eliminar un comentario
-  router.delete('/comments/:eventId', (req, res, next) => calendarController.deleteCalendarComment(req, res, next));
+  router.delete('/comments/:eventId', canUseCalendar, (req, res, next) => calendarController.deleteCalendarComment(req, res, next));
 
   // --- Endpoints de test ---
 
   // GET /test → Probar conexión con Google Calendar
-  router.get('/test', (req, res, next) => calendarController.testCalendarConnection(req, res, next));
+  router.get('/test', requireAdmin, (req, res, next) => calendarController.testCalendarConnection(req, res, next));
 
   // POST /test-create → Crear un comentario de prueba
-  router.post('/test-create', (req, res, next) => calendarController.testCreateComment(req, res, next));
+  router.post('/test-create', requireAdmin, (req, res, next) => calendarController.testCreateComment(req, res, next));
 
   return router;
 }
\ No newline at end of file
@@ -1,7 +1,9 @@
 // src/infrastructure/web/routes/external_api.routes.js
 // -----------------------------------------------------------------------------
 // Definición de rutas para APIs externas.
-// Patrón factory: recibe el controlador ya instanciado desde el contenedor.
+// Patrón factory: recibe el controlador y los middlewares ya instanciados
+// desde el contenedor.
+// Permiso requerido: notas_fabricacion.
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
@@ -10,14 +12,20 @@ import { Router } from 'express';
  * Crea y devuelve el router de APIs externas.
  * @param {Object} deps - Dependencias inyectadas.
  * @param {Object} deps.externalApiController - Instancia del controlador.
+ * @param {Function} deps.authMiddleware - Middleware de verificación de JWT y sesión (o API key).
+ * @param {Object} deps.permissionGuards - Guards de permisos ({ requireAdmin, requirePermission }).
  * @returns {Router} Router de Express configurado.
  */
-export function createExternalApiRoutes({ externalApiController }) {
+export function createExternalApiRoutes({ externalApiController, authMiddleware, permissionGuards }) {
   const router = Router();
 
+  // Todas las rutas exigen sesión válida o API key
+  router.use(authMiddleware);
+
   // POST /notas_produccion → Obtener notas de producción del ERP externo
   router.post(
     '/notas_produccion',
+    permissionGuards.requirePermission('notas_fabricacion'),
     (req, res, next) => externalApiController.getNotasProduccion(req, res, next),
   );
 
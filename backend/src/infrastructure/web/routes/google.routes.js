@@ -1,44 +1,93 @@
 // src/infrastructure/web/routes/google.routes.js
 // -----------------------------------------------------------------------------
 // Definición de rutas de Google Drive.
-// Patrón factory: recibe el controlador ya instanciado desde el contenedor.
-// La configuración de multer se importa desde el middleware centralizado.
+// Patrón factory: recibe el controlador y los middlewares ya instanciados
+// desde el contenedor.
+// La configuración de multer se importa desde el middleware centralizado;
+// cada subida tiene sus propios límites (UPLOADS).
+// Cada endpoint exige la funcionalidad del módulo que lo usa; el guard
+// va antes de multer para no recibir archivos de usuarios sin permiso.
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
-import upload from '../middlewares/multer.middleware.js';
+import { createUpload } from '../middlewares/multer.middleware.js';
+import { DRIVE_FOLDER_FEATURES } from '../../../domain/entities/drive_folder.entity.js';
+
+// Límites por ruta. Los PDF y Excel que solo se suben a Drive pasan por disco
+// (streaming); los que se procesan en memoria tienen un límite menor.
+// Nota: en AWS Lambda manda además el límite de payload de API Gateway.
+const UPLOADS = {
+  imgAlert: createUpload({ maxFileSizeMb: 10, maxFiles: 1 }),
+  prototypeExcel: createUpload({ maxFileSizeMb: 50, maxFiles: 1 }), // se envía entero a la Lambda de imágenes
+  pedidoPdf: createUpload({ storage: 'disk', maxFileSizeMb: 200, maxFiles: 1 }),
+  intrastatPdf: createUpload({ storage: 'disk', maxFileSizeMb: 50, maxFiles: 20 }),
+  inventarioPdf: createUpload({ storage: 'disk', maxFileSizeMb: 500, maxFiles: 50 }),
+  nominasExcel: createUpload({ storage: 'disk', maxFileSizeMb: 50, maxFiles: 41 }),
+  situacionVersace: createUpload({ storage: 'disk', maxFileSizeMb: 200, maxFiles: 4 }),
+  situacionSW: createUpload({ storage: 'disk', maxFileSizeMb: 200, maxFiles: 21 }),
+};
 
 /**
  * Crea y devuelve el router de Google Drive.
  * @param {Object} deps - Dependencias inyectadas.
  * @param {Object} deps.googleController - Instancia del controlador de Google.
+ * @param {Function} deps.authMiddleware - Middleware de verificación de JWT y sesión (o API key).
+ * @param {Object} deps.permissionGuards - Guards de permisos ({ requireAdmin, requirePermission, requireUser }).
  * @returns {Router} Router de Express configurado.
  */
-export function createGoogleRoutes({ googleController }) {
+export function createGoogleRoutes({ googleController, authMiddleware, permissionGuards }) {
   const router = Router();
+  const { requirePermission, requireAdmin, requireUser } = permissionGuards;
+
+  // Todas las rutas exigen sesión válida o API key
+  router.use(authMiddleware);
+
+  // La funcionalidad exigida depende de la carpeta (:key); sin mapeo, solo admin
+  const requireFolderPermission = (req, res, next) => {
+    const { key } = req.params;
+    const guard = Object.hasOwn(DRIVE_FOLDER_FEATURES, key) ? requirePermission(DRIVE_FOLDER_FEATURES[key]) : requireAdmin;
+    return guard(req, res, next);
+  };
+
+  // GET /folders/:key/children → Contenido de una carpeta de drive-ids.json (paginado, búsqueda, breadcrumbs)
+  router.get('/folders/:key/children', requireFolderPermission, (req, res, next) => googleController.listFolderChildren(req, res, next));
+
+  // GET /files/:id/content → Contenido de un archivo (el permiso depende de su carpeta; lo comprueba el caso de uso)
+  router.get('/files/:id/content', requireUser, (req, res, next) => googleController.getFileContent(req, res, next));
+
+  // Correcciones de archivos subidos (el permiso depende de la carpeta de origen y, al mover, de la de destino; lo comprueba el caso de uso)
+  // POST /files/:id/rename → Cambiar el nombre
+  router.post('/files/:id/rename', requireUser, (req, res, next) => googleController.renameFile(req, res, next));
+  // POST /files/:id/move → Mover a otra carpeta de drive-ids.json
+  router.post('/files/:id/move', requireUser, (req, res, next) => googleController.moveFile(req, res, next));
+  // POST /files/:id/trash → Enviar a la papelera
+  router.post('/files/:id/trash', requireUser, (req, res, next) => googleController.trashFile(req, res, next));
+  // POST /files/:id/restore → Recuperar de la papelera
+  router.post('/files/:id/restore', requireUser, (req, res, next) => googleController.restoreFile(req, res, next));
 
   // POST /checkFolder → Verificar existencia de carpeta/archivo en Drive
-  router.post('/checkFolder', (req, res, next) => googleController.checkFolder(req, res, next));
+  router.post('/checkFolder', requireAdmin, (req, res, next) => googleController.checkFolder(req, res, next));
 
   // POST /uploadImgAlert → Subir imagen de alerta (1 archivo)
-  router.post('/uploadImgAlert', upload.single('file'), (req, res, next) => googleController.uploadImgAlert(req, res, next));
+  router.post('/uploadImgAlert', requirePermission('alertas_produccion'), UPLOADS.imgAlert.single('file'), (req, res, next) => googleController.uploadImgAlert(req, res, next));
 
   // POST /uploadPrototypeExcel → Subir Excel de prototipo con extracción de imágenes (1 archivo + marca)
-  router.post('/uploadPrototypeExcel', upload.single('file'), (req, res, next) => googleController.uploadPrototypeExcel(req, res, next));
+  router.post('/uploadPrototypeExcel', requirePermission('prototipos'), UPLOADS.prototypeExcel.single('file'), (req, res, next) => googleController.uploadPrototypeExcel(req, res, next));
 
   // POST /uploadPedidoPDF → Subir PDF de pedido Versace (1 archivo)
-  router.post('/uploadPedidoPDF', upload.single('file'), (req, res, next) => googleController.uploadPedidoPdf(req, res, next));
+  router.post('/uploadPedidoPDF', requirePermission('gestion_pedidos'), UPLOADS.pedidoPdf.single('file'), (req, res, next) => googleController.uploadPedidoPdf(req, res, next));
 
   // POST /uploadIntrastatPDF → Subir múltiples PDFs de Intrastat (hasta 20 archivos + marca)
-  router.post('/uploadIntrastatPDF', upload.array('files', 20), (req, res, next) => googleController.uploadIntrastatPDF(req, res, next));
+  router.post('/uploadIntrastatPDF', requirePermission('intrastat'), UPLOADS.intrastatPdf.array('files', 20), (req, res, next) => googleController.uploadIntrastatPDF(req, res, next));
 
   // POST /uploadInventarioPDF → Subir múltiples PDFs de inventario (hasta 50 archivos)
-  router.post('/uploadInventarioPDF', upload.array('files', 50), (req, res, next) => googleController.uploadInventarioPDF(req, res, next));
+  router.post('/uploadInventarioPDF', requirePermission('inventario'), UPLOADS.inventarioPdf.array('files', 50), (req, res, next) => googleController.uploadInventarioPDF(req, res, next));
 
   // POST /uploadNominasExcels → Subir Excels de nóminas (resumen + detalles + retenciones)
   router.post(
     '/uploadNominasExcels',
-    upload.fields([
+    requirePermission('gestion_nominas'),
+    UPLOADS.nominasExcel.fields([
       { name: 'archivoResumen', maxCount: 1 },
       { name: 'archivosDetalle1', maxCount: 20 },
       { name: 'archivosDetalle2', maxCount: 20 },
@@ -49,7 +98,8 @@ export function createGoogleRoutes({ googleController }) {
   // POST /uploadSituacionVersace → Subir 4 archivos de situación pedidos Versace
   router.post(
     '/uploadSituacionVersace',
-    upload.fields([
+    requirePermission('situacion_pedidos'),
+    UPLOADS.situacionVersace.fields([
       { name: 'informeFechas', maxCount: 1 },
       { name: 'dirma', maxCount: 1 },
       { name: 'informePasado', maxCount: 1 },
@@ -61,7 +111,8 @@ export function createGoogleRoutes({ googleController }) {
   // POST /uploadSituacionSW → Subir PDFs de ERP + Excel de planning SW
   router.post(
     '/uploadSituacionSW',
-    upload.fields([
+    requirePermission('situacion_pedidos'),
+    UPLOADS.situacionSW.fields([
       { name: 'erpSusy', maxCount: 20 },
       { name: 'planningCliente', maxCount: 1 },
     ]),
@@ -69,7 +120,7 @@ export function createGoogleRoutes({ googleController }) {
   );
 
   // POST /createFolderStructure → Crear estructura recursiva de carpetas
-  router.post('/createFolderStructure', (req, res, next) => googleController.createFolderStructure(req, res, next));
+  router.post('/createFolderStructure', requirePermission('alertas_produccion'), (req, res, next) => googleController.createFolderStructure(req, res, next));
 
   return router;
 }
\ No newline at end of file
@@ -11,12 +11,38 @@
 import { Router } from 'express';
 import { getHomePage } from '../controllers/mainController.js';
 import { createContainer } from '../../../container.js';
+import config from '../../../config/env.js';
 import googleOauthRoutes from './google.oauth.routes.js';
 
 const router = Router();
 
 // Crear el contenedor con las dependencias ya conectadas
-const { authRoutes, adminRoutes, externalApiRoutes, calendarRoutes, googleRoutes } = createContainer();
+const {
+  authRoutes,
+  adminRoutes,
+  externalApiRoutes,
+  calendarRoutes,
+  googleRoutes,
+  checkDriveFoldersUseCase,
+} = createContainer();
+
+// Comprobación de las carpetas de drive-ids.json al arrancar. No bloquea ni
+// impide arrancar: solo informa por consola de las que tienen problemas.
+if (config.drive.checkOnStartup) {
+  checkDriveFoldersUseCase.execute()
+    .then((report) => {
+      if (report.ok) {
+        console.log(`[Drive] ${report.folders.length} carpetas de drive-ids.json comprobadas.`);
+        return;
+      }
+      console.warn(`[Drive] ${report.problems.length} de ${report.folders.length} carpetas de drive-ids.json con problemas:`);
+      for (const folder of report.problems) {
+        console.warn(`  ⚠️  ${folder.key}${folder.id ? ` (${folder.id})` : ''}: ${folder.message}`);
+      }
+      console.warn('[Drive] Revísalas con GET /api/admin/drive/folders o créalas con `npm run drive:provision`.');
+    })
+    .catch((error) => console.error('[Drive] No se pudieron comprobar las carpetas:', error.message));
+}
 
 // Healthcheck
 router.get('/ping', getHomePage);
@@ -26,8 +52,10 @@ router.use('/api/auth', authRoutes);
 router.use('/api/admin', adminRoutes);
 router.use('/api/external', externalApiRoutes);
 router.use('/api/calendar', calendarRoutes);
-router.use('/api/google', googleRoutes);
+// El callback OAuth es público (lo invoca Google) y va antes que googleRoutes,
+// cuyo router exige autenticación para todo lo que entra en él.
 router.use('/api/google', googleOauthRoutes);
+router.use('/api/google', googleRoutes);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// backend/src/scripts/archive_logs.js
+// -----------------------------------------------------------------------------
+// Comando: política de retención de LOG_USER.
+// Archiva en Drive los meses completos más antiguos que LOG_RETENTION_MONTHS
+// (un logs_yyyy-MM.ndjson.gz por mes) y los borra de Mongo. Pensado para
+// lanzarse desde un cron (ej: el día 1 de cada mes); repetirlo es seguro.
+//
+// Uso:
+//   npm run logs:archive              → archiva
+//   npm run logs:archive -- --dry-run → solo muestra qué meses archivaría
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import { createContainer } from '../container.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function archive() {
+  await mongoose.connect(config.db.uri);
+  console.log(`[logs:archive] Conectado${dryRun ? ' (dry-run: no se archivará nada)' : ''}.`);
+
+  const { archiveLogsUseCase } = createContainer();
+  const result = await archiveLogsUseCase.execute({ dryRun });
+
+  if (!result.cutoff) {
+    console.log('[logs:archive] Retención desactivada (LOG_RETENTION_MONTHS=0).');
+    return;
+  }
+
+  console.log(`[logs:archive] Retención: ${result.retentionMonths} meses · Límite: ${result.cutoff.toISOString()}`);
+  for (const entry of result.archived) {
+    console.log(`  ✅ ${entry.month}: ${entry.count} logs${entry.fileName ? ` → ${entry.fileName}` : ''}`);
+  }
+  for (const entry of result.skipped) {
+    console.warn(`  ⚠️  ${entry.month}: ${entry.reason}`);
+  }
+  console.log(`[logs:archive] ${dryRun ? 'Se archivarían' : 'Archivados'}: ${result.archived.length} meses · Omitidos: ${result.skipped.length}`);
+}
+
+archive()
+  .catch((error) => {
+    console.error('[logs:archive] Error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// backend/src/scripts/drive_provision.js
+// -----------------------------------------------------------------------------
+// Comando: crear la jerarquía de carpetas de Drive del manifiesto
+// (config/drive-manifest.json) bajo DRIVE_ID y escribir drive-ids.json
+// (GOOGLE_DRIVE_IDS_PATH o config/drive-ids.json). Las claves que ya tienen
+// una carpeta válida se conservan. Repetirlo es seguro.
+//
+// Uso:
+//   npm run drive:provision              → busca o crea y escribe drive-ids.json
+//   npm run drive:provision -- --dry-run → solo muestra qué crearía
+//   npm run drive:provision -- --force   → resuelve también las claves ya configuradas
+//   npm run drive:provision -- --check   → solo comprueba las carpetas configuradas
+// -----------------------------------------------------------------------------
+
+import { createContainer } from '../container.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+const checkOnly = process.argv.includes('--check');
+
+const STATUS_ICONS = { configured: '✅', existing: '✅', created: '🆕', missing: '➕', error: '❌' };
+
+async function provision() {
+  const { checkDriveFoldersUseCase, provisionDriveFoldersUseCase } = createContainer();
+
+  if (!checkOnly) {
+    console.log(`[drive:provision] Inicio${dryRun ? ' (dry-run: no se creará nada)' : ''}.`);
+    const result = await provisionDriveFoldersUseCase.execute({ dryRun, force });
+
+    for (const folder of result.folders) {
+      const detail = folder.error ? `: ${folder.error}` : folder.id ? ` → ${folder.id}` : '';
+      console.log(`  ${STATUS_ICONS[folder.status]} ${folder.key} (${folder.path}) ${folder.status}${detail}`);
+    }
+
+    if (result.written) console.log(`[drive:provision] drive-ids.json escrito en ${result.written}.`);
+    if (result.writeError) {
+      console.warn(`[drive:provision] No se pudo escribir drive-ids.json (${result.writeError}). Contenido:`);
+      console.log(JSON.stringify(result.driveIds, null, 4));
+    }
+    if (dryRun) return;
+    if (result.writeError || result.folders.some((folder) => folder.status === 'error')) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const report = await checkDriveFoldersUseCase.execute();
+  for (const folder of report.problems) {
+    console.warn(`  ⚠️  ${folder.key}${folder.id ? ` (${folder.id})` : ''}: ${folder.message}`);
+  }
+  console.log(`[drive:provision] Comprobadas: ${report.folders.length} carpetas · Con problemas: ${report.problems.length}`);
+  if (!report.ok) process.exitCode = 1;
+}
+
+provision().catch((error) => {
+  console.error('[drive:provision] Error:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+// backend/src/scripts/drive_sharing_backfill.js
+// -----------------------------------------------------------------------------
+// Comando: ajustar los permisos de los archivos ya subidos a Drive a la
+// política de compartición de su carpeta (config/drive-sharing.json).
+// Quita los enlaces públicos ("anyone") y de dominio que la política ya no
+// permite y añade los que falten. También retira los "anyone" con
+// expiresInDays caducado, así que conviene lanzarlo desde un cron diario si
+// alguna carpeta lo usa. Repetirlo es seguro.
+//
+// Uso:
+//   npm run drive:sharing                          → todas las carpetas
+//   npm run drive:sharing -- --folder=nominas_nominas → solo una carpeta de drive-ids.json
+//   npm run drive:sharing -- --dry-run             → solo muestra qué cambiaría
+// -----------------------------------------------------------------------------
+
+import { createContainer } from '../container.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const folderKey = process.argv.find((arg) => arg.startsWith('--folder='))?.slice('--folder='.length);
+
+async function backfill() {
+  console.log(`[drive:sharing] Inicio${dryRun ? ' (dry-run: no se cambiará nada)' : ''}.`);
+
+  const { backfillDriveSharingUseCase } = createContainer();
+  const result = await backfillDriveSharingUseCase.execute({ folderKey, dryRun });
+
+  for (const folder of result.folders) {
+    console.log(`  📁 ${folder.key} (${folder.policy}): ${folder.files} archivos · ${folder.changed} ${dryRun ? 'a cambiar' : 'cambiados'} (+${folder.added} / -${folder.removed} permisos)`);
+  }
+  for (const entry of result.errors) {
+    console.warn(`  ⚠️  ${entry.key}/${entry.name} (${entry.fileId}): ${entry.error}`);
+  }
+
+  const changed = result.folders.reduce((total, folder) => total + folder.changed, 0);
+  console.log(`[drive:sharing] ${dryRun ? 'Se cambiarían' : 'Cambiados'}: ${changed} archivos · Errores: ${result.errors.length}`);
+  if (result.errors.length > 0) process.exitCode = 1;
+}
+
+backfill().catch((error) => {
+  console.error('[drive:sharing] Error:', error);
+  process.exitCode = 1;
+});
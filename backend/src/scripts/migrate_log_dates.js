@@ -0,0 +1,85 @@
+// backend/src/scripts/migrate_log_dates.js
+// -----------------------------------------------------------------------------
+// Migración: fechas de LOG_USER guardadas como string → Date (UTC).
+// - Los logs antiguos guardaban `date` como "yyyy-MM-dd HH:mm:ss" en hora de
+//   Madrid. Se interpretan en Europe/Madrid y se guardan como instante UTC
+//   junto con `timezone: 'Europe/Madrid'`.
+// - En el cambio de hora de octubre la hora 02:00-03:00 se repite: esas
+//   fechas se asignan al primer paso (horario de verano), que es lo más que
+//   se puede deducir de un string sin offset. Las de la hora que no existe en
+//   marzo (02:00-03:00) se desplazan una hora hacia delante.
+// - Los strings que no tienen ese formato se listan y se dejan sin tocar.
+// Es idempotente: solo toca logs cuyo `date` sigue siendo string.
+//
+// Uso:
+//   npm run migrate:log-dates              → aplica la migración
+//   npm run migrate:log-dates -- --dry-run → solo muestra lo que haría
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import { LogModel } from '../infrastructure/database/models/log.model.js';
+import { LOG_TIMEZONE } from '../domain/entities/log.entity.js';
+import { parseLegacyLogDate } from '../application/dto/log.dto.js';
+
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await mongoose.connect(config.db.uri);
+  console.log(`[migrate:log-dates] Conectado${dryRun ? ' (dry-run: no se guardará nada)' : ''}.`);
+
+  const pending = await LogModel.countDocuments({ date: { $type: 'string' } });
+  console.log(`[migrate:log-dates] Logs pendientes: ${pending}`);
+
+  const cursor = LogModel.find({ date: { $type: 'string' } })
+    .select('date')
+    .lean()
+    .cursor();
+
+  let migrated = 0;
+  let invalid = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0 || dryRun) return;
+    // El filtro por $type evita pisar un log migrado entre la lectura y la escritura
+    const result = await LogModel.bulkWrite(batch, { ordered: false });
+    migrated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const log of cursor) {
+    const instant = parseLegacyLogDate(log.date);
+
+    if (!instant) {
+      invalid++;
+      console.warn(`  ⚠️  ${log._id}: fecha no reconocida "${log.date}" (se deja sin migrar)`);
+      continue;
+    }
+
+    if (dryRun) {
+      migrated++;
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id: log._id, date: { $type: 'string' } },
+        update: { $set: { date: instant, timezone: LOG_TIMEZONE } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`[migrate:log-dates] ${dryRun ? 'Se migrarían' : 'Migrados'}: ${migrated} · Sin migrar (formato no válido): ${invalid}`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error('[migrate:log-dates] Error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
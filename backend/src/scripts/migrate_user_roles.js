@@ -0,0 +1,80 @@
+// backend/src/scripts/migrate_user_roles.js
+// -----------------------------------------------------------------------------
+// Migración: flags de permisos legados (`permision` / `isAdmin`) → roles.
+// - Crea el rol de sistema "admin" si no existe.
+// - Usuarios con isAdmin: true → roles: ['admin'].
+// - Resto de usuarios → roles: [] y un override a true por cada flag activo
+//   de `permision`, de modo que conservan exactamente el mismo acceso.
+// - Elimina los campos legados de los usuarios migrados.
+// Es idempotente: solo toca usuarios sin campo `roles`.
+//
+// Uso:
+//   npm run migrate:roles              → aplica la migración
+//   npm run migrate:roles -- --dry-run → solo muestra lo que haría
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import { UserModel } from '../infrastructure/database/models/user.model.js';
+import { RoleRepository } from '../infrastructure/database/repositories/role.repository.js';
+import { BUILTIN_FEATURES } from '../domain/entities/feature.entity.js';
+import { ADMIN_ROLE_KEY, legacyRoleAssignments } from '../domain/entities/role.entity.js';
+
+const ADMIN_ROLE = {
+  key: ADMIN_ROLE_KEY,
+  name: 'Administrador',
+  description: 'Acceso a todas las funcionalidades y a la administración.',
+  features: [],
+  isAdmin: true,
+  system: true,
+};
+
+const dryRun = process.argv.includes('--dry-run');
+const knownFeatures = new Set(BUILTIN_FEATURES.map((feature) => feature.key));
+
+async function migrate() {
+  await mongoose.connect(config.db.uri);
+  console.log(`[migrate:roles] Conectado${dryRun ? ' (dry-run: no se guardará nada)' : ''}.`);
+
+  if (!dryRun) {
+    const created = await new RoleRepository().ensure(ADMIN_ROLE);
+    console.log(`[migrate:roles] Rol "${ADMIN_ROLE_KEY}" ${created ? 'creado' : 'ya existía'}.`);
+  }
+
+  const users = await UserModel.find({ roles: { $exists: false } })
+    .select('code user isAdmin permision')
+    .lean();
+
+  console.log(`[migrate:roles] Usuarios pendientes: ${users.length}`);
+
+  let migrated = 0;
+  for (const user of users) {
+    const { roles, permissionOverrides, ignored } = legacyRoleAssignments(user, knownFeatures);
+
+    console.log(`  - ${user.code} ${user.user}: roles=[${roles.join(', ')}] overrides=[${Object.keys(permissionOverrides).join(', ')}]`);
+    if (ignored.length > 0) {
+      console.warn(`    ⚠️  Flags no registrados como funcionalidad (se descartan): ${ignored.join(', ')}`);
+    }
+
+    if (dryRun) continue;
+
+    // El filtro por `roles` evita pisar un usuario migrado entre la lectura y la escritura
+    const result = await UserModel.updateOne(
+      { _id: user._id, roles: { $exists: false } },
+      {
+        $set: { roles, permissionOverrides },
+        $unset: { permision: '', isAdmin: '' },
+      },
+    );
+    migrated += result.modifiedCount;
+  }
+
+  console.log(`[migrate:roles] ${dryRun ? 'Se migrarían' : 'Migrados'}: ${dryRun ? users.length : migrated}`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error('[migrate:roles] Error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
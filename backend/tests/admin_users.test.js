@@ -0,0 +1,146 @@
+// backend/tests/admin_users.test.js
+// Gestión de usuarios (admin): alta, reseteo de contraseña y
+// deshabilitar/rehabilitar, con repositorios en memoria.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { CreateUserUseCase } from "../src/application/use_cases/create_user.usecase.js";
+import { ResetUserPasswordUseCase } from "../src/application/use_cases/reset_user_password.usecase.js";
+import { SetUserDisabledUseCase } from "../src/application/use_cases/set_user_disabled.usecase.js";
+import { PasswordHasher } from "../src/infrastructure/security/password.hasher.js";
+
+// Parámetros bajos para que los tests vayan rápido
+const passwordHasher = new PasswordHasher({ N: 1024, r: 8, p: 1 });
+
+// Campos que nunca deben salir en una respuesta
+const SECRET_FIELDS = ["password", "failedLoginCount", "mfa", "googleSub", "_id"];
+
+/** Repositorio de usuarios en memoria (índices únicos de code y user como en Mongo). */
+function createUserRepository(users) {
+  const duplicateKey = (field) => Object.assign(new Error("E11000 duplicate key"), { code: 11000, keyPattern: { [field]: 1 } });
+  return {
+    users,
+    findByUsername: async (username) => users.find((user) => user.user === username) ?? null,
+    findMaxCode: async () => Math.max(0, ...users.map((user) => user.code)),
+    create: async (data) => {
+      if (users.some((user) => user.code === data.code)) throw duplicateKey("code");
+      if (users.some((user) => user.user === data.user)) throw duplicateKey("user");
+      const user = { _id: `id-${data.code}`, ...data };
+      users.push(user);
+      return { ...user };
+    },
+    updateByCode: async (code, changes) => {
+      const user = users.find((candidate) => candidate.code === code);
+      return user ? { ...Object.assign(user, changes) } : null;
+    },
+  };
+}
+
+describe("gestión de usuarios", () => {
+  let userRepository;
+  let revoked;
+  let sessionService;
+
+  beforeEach(() => {
+    userRepository = createUserRepository([
+      { _id: "id-1", code: 1, user: "admin", full_name: "Admin", email: "admin@empresa.com", password: "x", roles: ["admin"] },
+      { _id: "id-7", code: 7, user: "ana", full_name: "Ana Pérez", email: "ana@empresa.com", password: "x", failedLoginCount: 4, lockedUntil: new Date(Date.now() + 60000) },
+    ]);
+    revoked = [];
+    sessionService = { revokeAllForUser: async (code, reason) => { revoked.push([code, reason]); return 1; } };
+  });
+
+  describe("CreateUserUseCase", () => {
+    let useCase;
+
+    beforeEach(() => {
+      useCase = new CreateUserUseCase({
+        userRepository,
+        passwordHasher,
+        permissionService: { assertValidAssignments: async () => {} },
+      });
+    });
+
+    test("sin contraseña genera una temporal, obliga a cambiarla y la guarda hasheada", async () => {
+      const { user, temporaryPassword } = await useCase.execute({ full_name: " Luis ", user: "luis", email: "luis@empresa.com" });
+
+      assert.equal(user.code, 8);
+      assert.equal(user.full_name, "Luis");
+      assert.equal(user.mustChangePassword, true);
+      for (const field of SECRET_FIELDS) assert.ok(!(field in user), field);
+
+      const stored = userRepository.users.find((candidate) => candidate.code === 8);
+      assert.notEqual(stored.password, temporaryPassword);
+      assert.equal(await passwordHasher.verify(temporaryPassword, stored.password), true);
+    });
+
+    test("con contraseña no devuelve ninguna temporal", async () => {
+      const result = await useCase.execute({ full_name: "Luis", user: "luis", email: "luis@empresa.com", password: "contraseña-1" });
+
+      assert.equal(result.temporaryPassword, undefined);
+      assert.equal(result.user.mustChangePassword, false);
+    });
+
+    test("username repetido: 409; datos no válidos: 400", async () => {
+      await assert.rejects(useCase.execute({ full_name: "Otra Ana", user: "ana", email: "ana2@empresa.com" }), { status: 409 });
+      await assert.rejects(useCase.execute({ full_name: "", user: "luis", email: "no-es-email", password: "corta" }), (error) => {
+        assert.equal(error.status, 400);
+        assert.match(error.message, /nombre completo/);
+        assert.match(error.message, /email/);
+        assert.match(error.message, /al menos 8/);
+        return true;
+      });
+    });
+
+    test("si otra alta simultánea se queda el code, reintenta con el siguiente", async () => {
+      const create = userRepository.create;
+      userRepository.create = async (data) => {
+        userRepository.create = create;
+        userRepository.users.push({ _id: "id-carrera", code: data.code, user: "carrera" });
+        return create(data);
+      };
+
+      const { user } = await useCase.execute({ full_name: "Luis", user: "luis", email: "luis@empresa.com" });
+      assert.equal(user.code, 9);
+    });
+  });
+
+  describe("ResetUserPasswordUseCase", () => {
+    test("asigna una temporal, desbloquea la cuenta y revoca sus sesiones", async () => {
+      const useCase = new ResetUserPasswordUseCase({ userRepository, passwordHasher, sessionService });
+
+      const { user, temporaryPassword } = await useCase.execute({ code: 7 });
+
+      assert.equal(user.mustChangePassword, true);
+      assert.equal(user.lockedUntil, null);
+      const stored = userRepository.users.find((candidate) => candidate.code === 7);
+      assert.equal(stored.failedLoginCount, 0);
+      assert.equal(await passwordHasher.verify(temporaryPassword, stored.password), true);
+      assert.deepEqual(revoked, [[7, "password_reset"]]);
+    });
+
+    test("usuario inexistente: 404 sin revocar nada", async () => {
+      const useCase = new ResetUserPasswordUseCase({ userRepository, passwordHasher, sessionService });
+
+      await assert.rejects(useCase.execute({ code: 99 }), { status: 404 });
+      assert.deepEqual(revoked, []);
+    });
+  });
+
+  describe("SetUserDisabledUseCase", () => {
+    test("deshabilitar revoca las sesiones; rehabilitar no", async () => {
+      const useCase = new SetUserDisabledUseCase(userRepository, sessionService);
+
+      assert.equal((await useCase.execute({ code: 7, disabled: true, actorCode: 1 })).disabled, true);
+      assert.equal((await useCase.execute({ code: 7, disabled: false, actorCode: 1 })).disabled, false);
+      assert.deepEqual(revoked, [[7, "user_disabled"]]);
+    });
+
+    test("un admin no puede deshabilitarse a sí mismo", async () => {
+      const useCase = new SetUserDisabledUseCase(userRepository, sessionService);
+
+      await assert.rejects(useCase.execute({ code: 1, disabled: true, actorCode: 1 }), { status: 400 });
+      assert.equal(userRepository.users[0].disabled, undefined);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// backend/tests/api_keys.test.js
+// API keys de clientes máquina: solo se guarda su hash, los scopes limitan
+// las rutas, nunca dan acceso a /api/admin y revocar corta el acceso al momento.
+
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { ApiKeyService } from "../src/application/services/api_key.service.js";
+import { PermissionService } from "../src/application/services/permission.service.js";
+import { FeatureRegistry } from "../src/application/services/feature.registry.js";
+import { CreateApiKeyUseCase } from "../src/application/use_cases/create_api_key.usecase.js";
+import { RevokeApiKeyUseCase } from "../src/application/use_cases/revoke_api_key.usecase.js";
+import { TokenService } from "../src/infrastructure/security/token.service.js";
+import { createAuthMiddleware } from "../src/infrastructure/web/middlewares/auth.middleware.js";
+import { createPermissionGuards } from "../src/infrastructure/web/middlewares/permission.middleware.js";
+import { createAdminRoutes } from "../src/infrastructure/web/routes/admin.routes.js";
+import { createExternalApiRoutes } from "../src/infrastructure/web/routes/external_API.routes.js";
+import { BUILTIN_FEATURES } from "../src/domain/entities/feature.entity.js";
+
+/** Repositorio de API keys en memoria (mismo contrato que el de Mongo). */
+function createApiKeyRepository() {
+  const keys = [];
+  let lastId = 0;
+  const find = (id) => keys.find((apiKey) => apiKey._id === id) ?? null;
+  return {
+    keys,
+    create: async (data) => {
+      const apiKey = { _id: `key-${++lastId}`, revokedAt: null, usageCount: 0, ...data };
+      keys.push(apiKey);
+      return { ...apiKey };
+    },
+    findActiveByHash: async (keyHash) => keys.find((apiKey) => apiKey.keyHash === keyHash && !apiKey.revokedAt) ?? null,
+    findById: async (id) => find(id),
+    revokeById: async (id) => {
+      const apiKey = find(id);
+      if (!apiKey || apiKey.revokedAt) return null;
+      apiKey.revokedAt = new Date();
+      return { ...apiKey };
+    },
+    touch: async (id, { ip }) => Object.assign(find(id), { lastUsedIp: ip, usageCount: find(id).usageCount + 1 }),
+  };
+}
+
+describe("API keys", () => {
+  const tokenService = new TokenService({ secret: "secreto-test", accessExpiration: "8h" });
+  const featureRegistry = new FeatureRegistry();
+  BUILTIN_FEATURES.forEach((feature) => featureRegistry.register(feature));
+
+  const apiKeyRepository = createApiKeyRepository();
+  const usage = [];
+  let createApiKey;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const apiKeyService = new ApiKeyService({
+      apiKeyRepository,
+      apiKeyUsageRepository: { create: async (entry) => { usage.push(entry); } },
+      tokenService,
+    });
+    createApiKey = (params) => new CreateApiKeyUseCase({ apiKeyService, featureRegistry }).execute(params);
+
+    const userRepository = { findByCode: async () => null };
+    const authMiddleware = createAuthMiddleware({
+      tokenService,
+      sessionService: { isSessionActive: async () => false },
+      userRepository,
+      apiKeyService,
+    });
+    const permissionGuards = createPermissionGuards({
+      userRepository,
+      permissionService: new PermissionService({ roleRepository: { findByKeys: async () => [] }, featureRegistry }),
+    });
+    const controller = new Proxy({}, { get: () => (req, res) => res.status(200).json({ ok: true, user: req.user.user }) });
+
+    const app = express();
+    app.use("/api/admin", createAdminRoutes({ adminController: controller, authMiddleware, permissionGuards }));
+    app.use("/api/external", createExternalApiRoutes({ externalApiController: controller, authMiddleware, permissionGuards }));
+
+    await new Promise((resolve) => { server = app.listen(0, "127.0.0.1", resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    apiKeyRepository.keys.length = 0;
+    usage.length = 0;
+  });
+
+  const call = (path, key, method = "POST") => fetch(`${baseUrl}${path}`, { method, headers: { "X-API-Key": key } });
+
+  test("la key se devuelve una vez y en BD solo queda su hash y un prefijo", async () => {
+    const { apiKey, key } = await createApiKey({ name: " Make ", scopes: ["notas_fabricacion"] });
+
+    assert.match(key, /^gmr_/);
+    assert.equal(apiKey.name, "Make");
+    assert.ok(!("keyHash" in apiKey));
+
+    const [stored] = apiKeyRepository.keys;
+    assert.equal(stored.keyHash, tokenService.hashToken(key));
+    assert.ok(key.startsWith(stored.prefix) && stored.prefix.length < key.length);
+    assert.ok(!Object.values(stored).includes(key));
+  });
+
+  test("scopes desconocidos o caducidad pasada: 400", async () => {
+    await assert.rejects(createApiKey({ name: "Make", scopes: ["nada"] }), { status: 400 });
+    await assert.rejects(createApiKey({ name: "Make", scopes: ["intrastat"], expiresAt: "2000-01-01T00:00:00Z" }), { status: 400 });
+  });
+
+  test("con el scope accede a su ruta y registra el uso; sin él, 403", async () => {
+    const { key } = await createApiKey({ name: "Make", scopes: ["notas_fabricacion"] });
+    const { key: other } = await createApiKey({ name: "Lambda", scopes: ["intrastat"] });
+
+    const response = await call("/api/external/notas_produccion", key);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).user, "apikey:Make");
+    assert.equal((await call("/api/external/notas_produccion", other)).status, 403);
+
+    await new Promise(setImmediate);
+    assert.deepEqual(usage.map(({ name, status }) => [name, status]), [["Make", 200], ["Lambda", 403]]);
+    assert.equal(apiKeyRepository.keys[0].usageCount, 1);
+  });
+
+  test("una key nunca entra en /api/admin", async () => {
+    const { key } = await createApiKey({ name: "Make", scopes: featureRegistry.keys() });
+
+    assert.equal((await call("/api/admin/users", key, "GET")).status, 403);
+  });
+
+  test("revocada deja de valer en la siguiente petición; revocar dos veces: 409", async () => {
+    const { apiKey, key } = await createApiKey({ name: "Make", scopes: ["notas_fabricacion"] });
+    const revoke = new RevokeApiKeyUseCase(apiKeyRepository);
+    assert.equal((await call("/api/external/notas_produccion", key)).status, 200);
+
+    const revoked = await revoke.execute({ id: apiKey.id });
+    assert.equal(revoked.active, false);
+
+    assert.equal((await call("/api/external/notas_produccion", key)).status, 401);
+    await assert.rejects(revoke.execute({ id: apiKey.id }), { status: 409 });
+    await assert.rejects(revoke.execute({ id: "no-existe" }), { status: 404 });
+  });
+
+  test("caducada o inventada: 401", async () => {
+    const { key } = await createApiKey({ name: "Make", scopes: ["notas_fabricacion"] });
+    apiKeyRepository.keys[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await call("/api/external/notas_produccion", key)).status, 401);
+    assert.equal((await call("/api/external/notas_produccion", "gmr_inventada")).status, 401);
+    assert.equal((await call("/api/external/notas_produccion", "otra-cosa")).status, 401);
+  });
+});
@@ -0,0 +1,97 @@
+// backend/tests/api_routes.test.js
+// Todos los routers de la API exigen autenticación, y los permisos se
+// comprueban antes de llegar al controlador.
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createAuthMiddleware } from "../src/infrastructure/web/middlewares/auth.middleware.js";
+import { createPermissionGuards } from "../src/infrastructure/web/middlewares/permission.middleware.js";
+import { createAdminRoutes } from "../src/infrastructure/web/routes/admin.routes.js";
+import { createExternalApiRoutes } from "../src/infrastructure/web/routes/external_API.routes.js";
+import { createCalendarRoutes } from "../src/infrastructure/web/routes/calendar.routes.js";
+import { createGoogleRoutes } from "../src/infrastructure/web/routes/google.routes.js";
+
+// Usuarios de prueba: 1 administrador, 2 sin ninguna funcionalidad
+const USERS = new Map([
+  [1, { code: 1, user: "admin" }],
+  [2, { code: 2, user: "ana" }],
+]);
+
+// Cualquier método del controlador responde 200
+const controller = new Proxy({}, { get: () => (req, res) => res.status(200).json({ ok: true }) });
+
+/** Rutas (método + path con los parámetros rellenos) de un router de Express. */
+const routesOf = (router) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods).map((method) => [
+    method.toUpperCase(),
+    layer.route.path.replace(/:(\w+)/g, "x"),
+  ]));
+
+describe("routers de la API", () => {
+  let server;
+  let baseUrl;
+  const routers = {};
+
+  before(async () => {
+    const userRepository = { findByCode: async (code) => USERS.get(code) ?? null };
+    const authMiddleware = createAuthMiddleware({
+      tokenService: {
+        verifyAccessToken: (token) => {
+          if (!token.startsWith("token-")) throw new Error("firma no válida");
+          return { code: Number(token.slice("token-".length)), sid: "sesion-1" };
+        },
+      },
+      sessionService: { isSessionActive: async () => true },
+      userRepository,
+    });
+    const permissionGuards = createPermissionGuards({
+      userRepository,
+      permissionService: { resolve: async (user) => ({ isAdmin: user.code === 1, features: [] }) },
+    });
+
+    routers["/api/admin"] = createAdminRoutes({ adminController: controller, authMiddleware, permissionGuards });
+    routers["/api/external"] = createExternalApiRoutes({ externalApiController: controller, authMiddleware, permissionGuards });
+    routers["/api/calendar"] = createCalendarRoutes({ calendarController: controller, authMiddleware, permissionGuards });
+    routers["/api/google"] = createGoogleRoutes({ googleController: controller, authMiddleware, permissionGuards });
+
+    const app = express();
+    for (const [prefix, router] of Object.entries(routers)) app.use(prefix, router);
+
+    await new Promise((resolve) => { server = app.listen(0, "127.0.0.1", resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const call = (method, path, token) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  test("sin token, o con un token no válido, todas las rutas responden 401", async () => {
+    for (const [prefix, router] of Object.entries(routers)) {
+      const routes = routesOf(router);
+      assert.ok(routes.length > 0, prefix);
+
+      for (const [method, path] of routes) {
+        assert.equal((await call(method, `${prefix}${path}`)).status, 401, `${method} ${prefix}${path}`);
+        assert.equal((await call(method, `${prefix}${path}`, "falso")).status, 401, `${method} ${prefix}${path}`);
+      }
+    }
+  });
+
+  test("un usuario sin funcionalidades no pasa de /api/admin ni de /api/external", async () => {
+    for (const prefix of ["/api/admin", "/api/external"]) {
+      for (const [method, path] of routesOf(routers[prefix])) {
+        assert.equal((await call(method, `${prefix}${path}`, "token-2")).status, 403, `${method} ${prefix}${path}`);
+      }
+    }
+  });
+
+  test("un administrador llega al controlador", async () => {
+    assert.equal((await call("GET", "/api/admin/users", "token-1")).status, 200);
+    assert.equal((await call("POST", "/api/external/notas_produccion", "token-1")).status, 200);
+  });
+});
@@ -0,0 +1,261 @@
+// backend/tests/archive_logs.test.js
+// Archivado y restauración de LOG_USER: el mes se sube en streaming como
+// NDJSON comprimido y solo se borra de Mongo con la subida confirmada.
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { gunzipSync, gzipSync } from "zlib";
+import { DateTime } from "luxon";
+import { ArchiveLogsUseCase } from "../src/application/use_cases/archive_logs.usecase.js";
+import { RestoreLogArchiveUseCase } from "../src/application/use_cases/restore_log_archive.usecase.js";
+import { ReleaseLogArchiveUseCase } from "../src/application/use_cases/release_log_archive.usecase.js";
+import { LOG_TIMEZONE } from "../src/domain/entities/log.entity.js";
+
+// Un mes que ya está fuera de la retención (1 mes)
+const MONTH = DateTime.now().setZone(LOG_TIMEZONE).startOf("month").minus({ months: 3 });
+
+/** Cursor de Mongoose en memoria: for await...of + close. */
+function createCursor(docs, events) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const doc of docs) yield doc;
+    },
+    close: async () => { events.push("cursor.close"); },
+  };
+}
+
+describe("ArchiveLogsUseCase", () => {
+  let events;
+  let logs;
+  let archives;
+  let uploads;
+  let driveRepository;
+  let useCase;
+
+  beforeEach(() => {
+    events = [];
+    logs = Array.from({ length: 3 }, (_, index) => ({
+      _id: `log-${index}`,
+      user: "ana",
+      action: "login",
+      date: MONTH.plus({ days: index }).toJSDate(),
+    }));
+    archives = [];
+    uploads = [];
+
+    const inRange = (from, to) => logs.filter((log) => log.date >= from && log.date < to);
+    const logRepository = {
+      findOldestDateBefore: async (before) => logs.find((log) => log.date < before)?.date ?? null,
+      countByDateRange: async (from, to) => inRange(from, to).length,
+      findByDateRangeCursor: (from, to) => createCursor(inRange(from, to), events),
+      deleteByDateRange: async (from, to) => {
+        events.push("delete");
+        const deleted = inRange(from, to).length;
+        logs = logs.filter((log) => !(log.date >= from && log.date < to));
+        return deleted;
+      },
+    };
+    const logArchiveRepository = {
+      findByMonth: async (month) => archives.find((archive) => archive.month === month) ?? null,
+      create: async (archive) => { events.push("LOG_ARCHIVE"); archives.push(archive); },
+    };
+    driveRepository = {
+      getLogsArchiveFolderId: () => "carpeta-archivo",
+      // Como la API de Drive: lee el stream entero antes de confirmar la subida
+      uploadFile: async ({ name, stream }) => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        await new Promise(setImmediate);
+        events.push("subida confirmada");
+        uploads.push({ name, content: Buffer.concat(chunks) });
+        return { id: "drive-1", name };
+      },
+    };
+
+    useCase = new ArchiveLogsUseCase({ logRepository, logArchiveRepository, driveRepository, retentionMonths: 1 });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test("sube el mes como NDJSON comprimido: cabecera y un log por línea", async () => {
+    const result = await useCase.execute();
+
+    const key = MONTH.toFormat("yyyy-MM");
+    assert.equal(uploads[0].name, `logs_${key}.ndjson.gz`);
+
+    const lines = gunzipSync(uploads[0].content).toString("utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines[0], { month: key, from: MONTH.toJSDate().toISOString(), to: MONTH.plus({ months: 1 }).toJSDate().toISOString(), timezone: LOG_TIMEZONE });
+    assert.deepEqual(lines.slice(1).map((log) => log._id), ["log-0", "log-1", "log-2"]);
+
+    assert.deepEqual(result.archived, [{
+      month: key, count: 3, fileId: "drive-1", fileName: `logs_${key}.ndjson.gz`, sizeBytes: uploads[0].content.length,
+    }]);
+    assert.equal(archives[0].count, 3);
+  });
+
+  test("borra de Mongo solo después de confirmar la subida y registrar el archivo", async () => {
+    await useCase.execute();
+
+    assert.deepEqual(events, ["cursor.close", "subida confirmada", "LOG_ARCHIVE", "delete"]);
+    assert.equal(logs.length, 0);
+  });
+
+  test("si la subida falla no se registra ni se borra nada", async () => {
+    driveRepository.uploadFile = async ({ stream }) => {
+      stream.read();
+      throw new Error("Drive no disponible");
+    };
+
+    await assert.rejects(useCase.execute(), /Drive no disponible/);
+    assert.equal(archives.length, 0);
+    assert.equal(logs.length, 3);
+    assert.ok(!events.includes("delete"));
+  });
+
+  test("si falla la lectura de Mongo a medias tampoco se borra nada", async () => {
+    useCase.logRepository.findByDateRangeCursor = () => ({
+      async *[Symbol.asyncIterator]() {
+        yield logs[0];
+        throw new Error("cursor cortado");
+      },
+      close: async () => {},
+    });
+
+    await assert.rejects(useCase.execute(), /cursor cortado/);
+    assert.equal(archives.length, 0);
+    assert.equal(logs.length, 3);
+  });
+
+  test("si una ejecución anterior se cortó tras registrar el archivo, borra sin volver a subir", async () => {
+    const key = MONTH.toFormat("yyyy-MM");
+    archives.push({ month: key, count: 3, fileId: "drive-0", fileName: `logs_${key}.ndjson.gz`, sizeBytes: 100 });
+
+    const result = await useCase.execute();
+
+    assert.deepEqual(uploads, []);
+    assert.deepEqual(events, ["delete"]);
+    assert.equal(result.archived[0].fileId, "drive-0");
+    assert.equal(logs.length, 0);
+  });
+
+  test("no toca un mes restaurado ni uno cuyo archivo no cuadra con Mongo", async () => {
+    const key = MONTH.toFormat("yyyy-MM");
+
+    archives.push({ month: key, count: 3, restoredAt: new Date() });
+    let result = await useCase.execute();
+    assert.match(result.skipped[0].reason, /restaurado/);
+
+    archives[0] = { month: key, count: 2 };
+    result = await useCase.execute();
+    assert.match(result.skipped[0].reason, /revisar a mano/);
+
+    assert.deepEqual(uploads, []);
+    assert.deepEqual(events, []);
+    assert.equal(logs.length, 3);
+  });
+
+  test("en dry-run solo informa de los meses que archivaría", async () => {
+    const result = await useCase.execute({ dryRun: true });
+
+    assert.deepEqual(result.archived, [{ month: MONTH.toFormat("yyyy-MM"), count: 3 }]);
+    assert.deepEqual(events, []);
+    assert.equal(logs.length, 3);
+  });
+
+  test("los meses dentro de la retención no se archivan", async () => {
+    useCase.retentionMonths = 4;
+
+    const result = await useCase.execute();
+
+    assert.deepEqual(result.archived, []);
+    assert.deepEqual(events, []);
+  });
+});
+
+describe("RestoreLogArchiveUseCase", () => {
+  let inserted;
+  let content;
+  let useCase;
+
+  beforeEach(() => {
+    inserted = [];
+    const archive = { _id: "archivo-1", fileId: "drive-1", fileName: "logs_2025-01.ndjson.gz" };
+    useCase = new RestoreLogArchiveUseCase({
+      logRepository: {
+        insertManyPreservingIds: async (batch) => { inserted.push(...batch); return batch.length; },
+      },
+      logArchiveRepository: {
+        findById: async (id) => (id === archive._id ? archive : null),
+        markRestored: async (id, count) => ({ ...archive, restoredAt: new Date(), restoredCount: count }),
+      },
+      driveRepository: {
+        downloadFileStream: async () => ({ stream: Readable.from([content]) }),
+      },
+    });
+  });
+
+  test("restaura un archivo NDJSON", async () => {
+    const lines = [{ month: "2025-01" }, { _id: "a", user: "ana" }, { _id: "b", user: "luis" }];
+    content = gzipSync(lines.map((line) => JSON.stringify(line)).join("\n") + "\n");
+
+    const result = await useCase.execute({ id: "archivo-1" });
+
+    assert.equal(result.restored, 2);
+    assert.equal(result.archive.restoredCount, 2);
+    assert.deepEqual(inserted.map((log) => log._id), ["a", "b"]);
+  });
+
+  test("sigue leyendo los archivos antiguos (un solo JSON)", async () => {
+    content = gzipSync(JSON.stringify({ month: "2025-01", count: 1, logs: [{ _id: "a", user: "ana" }] }));
+
+    const result = await useCase.execute({ id: "archivo-1" });
+
+    assert.equal(result.restored, 1);
+    assert.deepEqual(inserted.map((log) => log._id), ["a"]);
+  });
+
+  test("un archivo que no es gzip o sin cabecera responde 422", async () => {
+    content = Buffer.from("esto no es gzip");
+    await assert.rejects(useCase.execute({ id: "archivo-1" }), { status: 422 });
+
+    content = gzipSync(JSON.stringify({ otra: "cosa" }));
+    await assert.rejects(useCase.execute({ id: "archivo-1" }), { status: 422 });
+  });
+});
+
+describe("ReleaseLogArchiveUseCase", () => {
+  const FROM = new Date("2025-01-01T00:00:00Z");
+  const TO = new Date("2025-02-01T00:00:00Z");
+  let archive;
+  let deleted;
+  let useCase;
+
+  beforeEach(() => {
+    archive = { _id: "archivo-1", from: FROM, to: TO, restoredAt: new Date() };
+    deleted = [];
+    useCase = new ReleaseLogArchiveUseCase({
+      logRepository: { deleteByDateRange: async (from, to) => { deleted.push([from, to]); return 5; } },
+      logArchiveRepository: {
+        findById: async (id) => (id === archive._id ? archive : null),
+        clearRestored: async () => ({ ...archive, restoredAt: null }),
+      },
+    });
+  });
+
+  test("borra de Mongo el mes restaurado y le quita la marca", async () => {
+    const result = await useCase.execute({ id: "archivo-1" });
+
+    assert.equal(result.deleted, 5);
+    assert.equal(result.archive.restoredAt, null);
+    assert.deepEqual(deleted, [[FROM, TO]]);
+  });
+
+  test("un archivo no restaurado (409) o inexistente (404) no borra nada", async () => {
+    await assert.rejects(useCase.execute({ id: "otro" }), { status: 404 });
+
+    archive.restoredAt = null;
+    await assert.rejects(useCase.execute({ id: "archivo-1" }), { status: 409 });
+    assert.deepEqual(deleted, []);
+  });
+});
@@ -0,0 +1,141 @@
+// backend/tests/auth.middleware.test.js
+// authMiddleware: sesión en servidor y contraseña temporal (mustChangePassword).
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAuthMiddleware } from "../src/infrastructure/web/middlewares/auth.middleware.js";
+import { ChangePasswordUseCase } from "../src/application/use_cases/change_password.usecase.js";
+import { SessionService } from "../src/application/services/session.service.js";
+import { TokenService } from "../src/infrastructure/security/token.service.js";
+
+/** Respuesta mínima de Express. */
+const createResponse = () => {
+  const res = {};
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const request = (token = "token-1") => ({ headers: { authorization: `Bearer ${token}` } });
+
+/** Ejecuta el middleware y devuelve la respuesta (o null si llamó a next). */
+async function run(middleware, req) {
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, (error) => {
+    if (error) throw error;
+    passed = true;
+  });
+  return passed ? null : res;
+}
+
+describe("authMiddleware", () => {
+  let users;
+  let activeSessions;
+  let deps;
+
+  beforeEach(() => {
+    users = new Map([[7, { code: 7, user: "ana", password: "temporal-123", mustChangePassword: true }]]);
+    activeSessions = new Set(["sesion-1"]);
+    deps = {
+      tokenService: { verifyAccessToken: () => ({ code: 7, user: "ana", sid: "sesion-1" }) },
+      sessionService: { isSessionActive: async (sid) => activeSessions.has(sid) },
+      userRepository: {
+        findByCode: async (code) => users.get(code) ?? null,
+        updateByCode: async (code, changes) => Object.assign(users.get(code), changes),
+      },
+    };
+  });
+
+  test("con contraseña temporal rechaza con 403 PASSWORD_CHANGE_REQUIRED", async () => {
+    const res = await run(createAuthMiddleware(deps), request());
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, "PASSWORD_CHANGE_REQUIRED");
+  });
+
+  test("el middleware del cambio de contraseña deja pasar la contraseña temporal", async () => {
+    const req = request();
+    const res = await run(createAuthMiddleware({ ...deps, allowPendingPasswordChange: true }), req);
+
+    assert.equal(res, null);
+    assert.equal(req.user.code, 7);
+    assert.equal(req.currentUser.code, 7);
+  });
+
+  test("tras cambiar la contraseña se quita la marca y ya pasa", async () => {
+    const changePassword = new ChangePasswordUseCase({
+      userRepository: deps.userRepository,
+      passwordHasher: {
+        verify: async (password, stored) => password === stored,
+        hash: async (password) => `hash:${password}`,
+      },
+      sessionService: { revokeAllForUser: async () => 0 },
+    });
+
+    await changePassword.execute({
+      code: 7,
+      sessionId: "sesion-1",
+      currentPassword: "temporal-123",
+      newPassword: "definitiva-456",
+    });
+
+    assert.equal(users.get(7).mustChangePassword, false);
+    assert.equal(await run(createAuthMiddleware(deps), request()), null);
+  });
+
+  test("una sesión revocada deja de valer en la siguiente petición", async () => {
+    users.get(7).mustChangePassword = false;
+    const middleware = createAuthMiddleware(deps);
+
+    assert.equal(await run(middleware, request()), null);
+
+    activeSessions.delete("sesion-1");
+    const res = await run(middleware, request());
+    assert.equal(res.statusCode, 401);
+  });
+
+  test("un token sin sid no se acepta", async () => {
+    deps.tokenService.verifyAccessToken = () => ({ code: 7, user: "ana" });
+
+    assert.equal((await run(createAuthMiddleware(deps), request())).statusCode, 401);
+  });
+
+
+  test("un usuario deshabilitado queda como currentUser null", async () => {
+    Object.assign(users.get(7), { mustChangePassword: false, disabled: true });
+    const req = request();
+
+    assert.equal(await run(createAuthMiddleware(deps), req), null);
+    assert.equal(req.currentUser, null);
+  });
+});
+
+describe("authMiddleware + SessionService", () => {
+  test("tras el logout el access token (aún sin caducar) deja de valer", async () => {
+    const sessions = new Map();
+    const sessionRepository = {
+      create: async (data) => {
+        const session = { _id: `s${sessions.size + 1}`, ...data };
+        sessions.set(session._id, session);
+        return session;
+      },
+      findById: async (id) => sessions.get(id) ?? null,
+      revokeById: async (id, reason) => Object.assign(sessions.get(id), { revokedAt: new Date(), revokedReason: reason }),
+    };
+    const tokenService = new TokenService({ secret: "secreto-test", accessExpiration: "8h" });
+    const sessionService = new SessionService({ sessionRepository, tokenService, refreshExpirationDays: 30, accessExpiration: "8h" });
+    const middleware = createAuthMiddleware({
+      tokenService,
+      sessionService,
+      userRepository: { findByCode: async (code) => ({ code, user: "ana" }) },
+    });
+
+    const { token, refreshToken } = await sessionService.startSession({ code: 7, user: "ana" });
+    assert.equal(await run(middleware, request(token)), null);
+
+    await sessionService.revokeByRefreshToken(refreshToken);
+
+    assert.equal((await run(middleware, request(token))).statusCode, 401);
+  });
+});
@@ -0,0 +1,74 @@
+// backend/tests/calendar.routes.test.js
+// Permisos de /api/calendar: los comentarios son notas de fabricación.
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createCalendarRoutes } from "../src/infrastructure/web/routes/calendar.routes.js";
+import { createPermissionGuards } from "../src/infrastructure/web/middlewares/permission.middleware.js";
+
+// Funcionalidades de cada usuario de prueba (por código)
+const FEATURES_BY_CODE = {
+  1: ["notas_fabricacion"],
+  2: ["alertas_produccion"],
+  3: [],
+};
+
+describe("rutas de calendario", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const reply = (req, res) => res.status(200).json({ ok: true });
+    const calendarController = {
+      getCalendarComments: reply,
+      createCalendarComment: reply,
+      updateCalendarComment: reply,
+      deleteCalendarComment: reply,
+      testCalendarConnection: reply,
+      testCreateComment: reply,
+    };
+    const permissionGuards = createPermissionGuards({
+      userRepository: { findByCode: async (code) => ({ code, disabled: false }) },
+      permissionService: {
+        resolve: async (user) => ({ isAdmin: false, features: FEATURES_BY_CODE[user.code] }),
+      },
+    });
+    // El código del usuario llega en una cabecera en lugar de en un JWT
+    const authMiddleware = (req, res, next) => {
+      req.user = { code: Number(req.get("x-user-code")) };
+      next();
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/calendar", createCalendarRoutes({ calendarController, authMiddleware, permissionGuards }));
+
+    await new Promise((resolve) => { server = app.listen(0, "127.0.0.1", resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/calendar`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const call = (method, path, code) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "x-user-code": String(code), "Content-Type": "application/json" },
+    body: method === "GET" ? undefined : "{}",
+  });
+
+  test("notas_fabricacion da acceso a leer y editar comentarios", async () => {
+    for (const [method, path] of [["GET", "/comments"], ["POST", "/comments"], ["PUT", "/comments/ev1"], ["DELETE", "/comments/ev1"]]) {
+      assert.equal((await call(method, path, 1)).status, 200, `${method} ${path}`);
+    }
+  });
+
+  test("alertas_produccion sin notas_fabricacion no da acceso", async () => {
+    assert.equal((await call("GET", "/comments", 2)).status, 403);
+    assert.equal((await call("PUT", "/comments/ev1", 2)).status, 403);
+  });
+
+  test("los endpoints de test siguen siendo solo de admin", async () => {
+    assert.equal((await call("GET", "/test", 1)).status, 403);
+    assert.equal((await call("GET", "/comments", 3)).status, 403);
+  });
+});
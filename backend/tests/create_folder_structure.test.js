@@ -0,0 +1,200 @@
+// backend/tests/create_folder_structure.test.js
+// POST /api/google/createFolderStructure: repetir la petición no duplica el
+// árbol, dry-run, carpeta padre configurable y árbol de resultado.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { CreateFolderStructureDriveUseCase } from "../src/application/use_cases/create_folder_structure_drive.usecase.js";
+import { GoogleController } from "../src/infrastructure/web/controllers/google.controller.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const ALERTAS = { isAdmin: false, features: ["alertas_produccion"] };
+const ADMIN = { isAdmin: true, features: [] };
+
+const STRUCTURE = {
+  name: "Máquina 7",
+  children: [
+    { name: "Fotos", children: [{ name: "2025" }] },
+    { name: "Informes", children: [] },
+  ],
+};
+
+describe("CreateFolderStructureDriveUseCase", () => {
+  let drive;
+  let useCase;
+
+  beforeEach(() => {
+    drive = createFakeDriveClient([
+      { id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "maquinas", name: "Máquinas", mimeType: FOLDER, parents: ["alertas"] },
+      { id: "plano", name: "plano.pdf", mimeType: "application/pdf", parents: ["alertas"] },
+      { id: "vieja", name: "Vieja", mimeType: FOLDER, parents: ["alertas"], trashed: true },
+      { id: "pedidos", name: "Pedidos", mimeType: FOLDER, parents: ["unidad"] },
+    ]);
+    const driveRepository = new DriveRepository({ drive, driveIds: { imgs_alertas: "alertas", sw_pedidos: "pedidos", sin_configurar: "" } });
+    useCase = new CreateFolderStructureDriveUseCase(driveRepository);
+  });
+
+  const creates = () => drive.calls.filter((call) => call.method === "files.create");
+  const folderIds = (node) => [node.id, ...node.children.flatMap(folderIds)];
+  const statuses = (node) => [[node.name, node.status], ...node.children.flatMap(statuses)];
+
+  test("crea el árbol bajo imgs_alertas y devuelve el ID de cada carpeta", async () => {
+    const result = await useCase.execute({ structure: STRUCTURE, permissions: ALERTAS });
+
+    assert.deepEqual(result.parent, { id: "alertas", key: "imgs_alertas" });
+    assert.deepEqual(result.summary, { created: 4, existing: 0 });
+    assert.equal(creates().length, 4);
+
+    const fotos = result.tree.children[0];
+    assert.equal(drive.store.get(fotos.id).name, "Fotos");
+    assert.deepEqual(drive.store.get(fotos.children[0].id).parents, [fotos.id]);
+  });
+
+  test("en modo merge repetir la petición reutiliza las carpetas", async () => {
+    const first = await useCase.execute({ structure: STRUCTURE, permissions: ALERTAS });
+    const again = await useCase.execute({ structure: STRUCTURE, permissions: ALERTAS });
+
+    assert.deepEqual(again.summary, { created: 0, existing: 4 });
+    assert.deepEqual(folderIds(again.tree), folderIds(first.tree));
+    assert.equal(creates().length, 4);
+  });
+
+  test("completa un árbol que ya existe en parte", async () => {
+    drive.add({ id: "maquina", name: "Máquina 7", mimeType: FOLDER, parents: ["alertas"] });
+    drive.add({ id: "fotos", name: "Fotos", mimeType: FOLDER, parents: ["maquina"] });
+
+    const result = await useCase.execute({ structure: STRUCTURE, permissions: ALERTAS });
+
+    assert.deepEqual(statuses(result.tree), [
+      ["Máquina 7", "existing"], ["Fotos", "existing"], ["2025", "created"], ["Informes", "created"],
+    ]);
+    assert.equal(result.tree.id, "maquina");
+  });
+
+  test("en modo create crea todas las carpetas aunque ya existan", async () => {
+    await useCase.execute({ structure: STRUCTURE, permissions: ALERTAS });
+    const again = await useCase.execute({ structure: STRUCTURE, mode: "create", permissions: ALERTAS });
+
+    assert.deepEqual(again.summary, { created: 4, existing: 0 });
+    assert.equal(creates().length, 8);
+  });
+
+  test("en dry-run no crea nada: lo que falta va con id null", async () => {
+    drive.add({ id: "maquina", name: "Máquina 7", mimeType: FOLDER, parents: ["alertas"] });
+
+    const result = await useCase.execute({ structure: STRUCTURE, dryRun: true, permissions: ALERTAS });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(folderIds(result.tree), ["maquina", null, null, null]);
+    assert.deepEqual(result.summary, { created: 3, existing: 1 });
+    assert.equal(creates().length, 0);
+    // Dentro de "Fotos" (que se crearía) no se busca nada
+    assert.equal(drive.calls.filter((call) => call.method === "files.list").length, 3);
+  });
+
+  test("la carpeta padre se elige por clave o por ID, con el permiso de su carpeta", async () => {
+    const byKey = await useCase.execute({ structure: { name: "Pedido 1" }, parentKey: "sw_pedidos", permissions: ADMIN });
+    assert.deepEqual(byKey.parent, { id: "pedidos", key: "sw_pedidos" });
+
+    const byId = await useCase.execute({ structure: { name: "Máquina 8" }, parentId: "maquinas", permissions: ALERTAS });
+    assert.deepEqual(byId.parent, { id: "maquinas", key: "imgs_alertas" });
+    assert.deepEqual(drive.store.get(byId.tree.id).parents, ["maquinas"]);
+
+    await assert.rejects(useCase.execute({ structure: { name: "Pedido 2" }, parentKey: "sw_pedidos", permissions: ALERTAS }), { status: 403 });
+    await assert.rejects(useCase.execute({ structure: { name: "Suelta" }, parentId: "unidad-suelta", permissions: ADMIN }), { status: 404 });
+  });
+
+  test("una carpeta padre que no vale: 400 o 404", async () => {
+    const execute = (params) => useCase.execute({ structure: { name: "X" }, permissions: ADMIN, ...params });
+
+    await assert.rejects(execute({ parentId: "plano" }), { status: 400, message: /no es una carpeta/ });
+    await assert.rejects(execute({ parentId: "vieja" }), { status: 404, message: /papelera/ });
+    await assert.rejects(execute({ parentKey: "sin_configurar" }), { status: 404 });
+    await assert.rejects(execute({ parentKey: "imgs_alertas", parentId: "maquinas" }), { status: 400 });
+    assert.equal(creates().length, 0);
+  });
+
+  test("estructuras y modos no válidos: 400 sin crear nada", async () => {
+    const execute = (params) => useCase.execute({ permissions: ADMIN, ...params });
+    const deep = (levels) => (levels === 0 ? { name: "hoja" } : { name: `nivel ${levels}`, children: [deep(levels - 1)] });
+
+    await assert.rejects(execute({ structure: { name: "  " } }), { status: 400, message: /necesita un "name"/ });
+    await assert.rejects(execute({ structure: { name: "A", children: [{}] } }), { status: 400 });
+    await assert.rejects(execute({ structure: { name: "A", children: "B" } }), { status: 400, message: /debe ser una lista/ });
+    await assert.rejects(execute({ structure: deep(10) }), { status: 400, message: /más de 10 niveles/ });
+    await assert.rejects(
+      execute({ structure: { name: "A", children: Array.from({ length: 500 }, (_, index) => ({ name: `C${index}` })) } }),
+      { status: 400, message: /más de 500 carpetas/ },
+    );
+    await assert.rejects(execute({ structure: STRUCTURE, mode: "replace" }), { status: 400, message: /"mode" no válido/ });
+    assert.equal(drive.calls.length, 0);
+  });
+
+  test("las carpetas hermanas se crean en paralelo, como mucho 4 peticiones a la vez", async () => {
+    let active = 0;
+    let maxActive = 0;
+    const track = async () => {
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise((resolve) => setImmediate(resolve));
+      active--;
+    };
+    drive.hooks["files.list"] = track;
+    drive.hooks["files.create"] = track;
+
+    const structure = { name: "Semana", children: Array.from({ length: 10 }, (_, index) => ({ name: `Día ${index + 1}` })) };
+    const result = await useCase.execute({ structure, permissions: ALERTAS });
+
+    assert.equal(result.summary.created, 11);
+    assert.equal(maxActive, 4);
+  });
+});
+
+describe("GoogleController.createFolderStructure", () => {
+  let controller;
+
+  beforeEach(() => {
+    const drive = createFakeDriveClient([{ id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] }]);
+    const driveRepository = new DriveRepository({ drive, driveIds: { imgs_alertas: "alertas" } });
+    controller = new GoogleController({
+      createFolderStructureUseCase: new CreateFolderStructureDriveUseCase(driveRepository),
+      activityLogService: { track: () => ({ metadata: {} }) },
+    });
+  });
+
+  const send = async (body, permissions = ALERTAS) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(data) { this.body = data; return this; },
+    };
+    await controller.createFolderStructure({ body, permissions }, res);
+    return res;
+  };
+
+  test("201 si ha creado algo; 200 si ya estaba todo o es una simulación", async () => {
+    assert.equal((await send({ structure: STRUCTURE, dryRun: true })).statusCode, 200);
+
+    const created = await send({ structure: STRUCTURE });
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.tree.children.length, 2);
+
+    const again = await send({ structure: STRUCTURE });
+    assert.equal(again.statusCode, 200);
+    assert.deepEqual(again.body.summary, { created: 0, existing: 4 });
+  });
+
+  test("dryRun solo cuenta si es true (no \"true\" ni 1)", async () => {
+    const res = await send({ structure: STRUCTURE, dryRun: "true" });
+
+    assert.equal(res.body.dryRun, false);
+  });
+
+  test("los errores del caso de uso responden con su estado", async () => {
+    const res = await send({ structure: STRUCTURE }, { isAdmin: false, features: ["intrastat"] });
+
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.error, /No tienes permiso/);
+  });
+});
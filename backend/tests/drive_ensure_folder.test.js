@@ -0,0 +1,134 @@
+// backend/tests/drive_ensure_folder.test.js
+// DriveRepository.ensureFolder: una sola creación por carpeta aunque lleguen
+// subidas a la vez, caché en memoria y en Mongo, y fusión de duplicadas.
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("DriveRepository.ensureFolder", () => {
+  let drive;
+  let repository;
+
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+    drive = createFakeDriveClient([{ id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] }]);
+    repository = new DriveRepository({ drive, driveIds: { imgs_alertas: "alertas" } });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const count = (method) => drive.calls.filter((call) => call.method === method).length;
+  const foldersNamed = (name) => [...drive.store.values()].filter((file) => file.name === name && file.mimeType === FOLDER);
+
+  test("las subidas simultáneas comparten una sola creación", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => repository.ensureFolderWithStatus("03-02-2025", "alertas")),
+    );
+
+    assert.equal(foldersNamed("03-02-2025").length, 1);
+    assert.equal(count("files.create"), 1);
+    assert.equal(new Set(results.map((result) => result.folderId)).size, 1);
+    assert.ok(results.every((result) => result.created));
+  });
+
+  test("una carpeta que ya existe se reutiliza sin crear nada", async () => {
+    drive.add({ id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+
+    assert.deepEqual(await repository.ensureFolderWithStatus("03-02-2025", "alertas"), { folderId: "dia", created: false });
+    assert.equal(count("files.create"), 0);
+  });
+
+  test("la caché en memoria evita volver a Drive durante una hora", async () => {
+    const folderId = await repository.ensureFolder("03-02-2025", "alertas");
+    const callsAfterFirst = drive.calls.length;
+
+    assert.equal(await repository.ensureFolder("03-02-2025", "alertas"), folderId);
+    assert.equal(drive.calls.length, callsAfterFirst);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + HOUR_MS + 1);
+    assert.equal(await repository.ensureFolder("03-02-2025", "alertas"), folderId);
+    assert.ok(drive.calls.length > callsAfterFirst);
+  });
+
+  test("una resolución que falla no se cachea ni deja el cerrojo puesto", async () => {
+    drive.hooks["files.list"] = async () => {
+      drive.hooks["files.list"] = undefined;
+      throw new Error("Drive no disponible");
+    };
+
+    await assert.rejects(repository.ensureFolder("03-02-2025", "alertas"), /Drive no disponible/);
+    assert.ok(await repository.ensureFolder("03-02-2025", "alertas"));
+    assert.equal(foldersNamed("03-02-2025").length, 1);
+  });
+
+  test("si ya hay duplicadas, se queda la más antigua con el contenido de todas", async () => {
+    drive.add({ id: "dia-1", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+    drive.add({ id: "dia-2", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+    drive.add({ id: "foto", name: "foto.jpg", mimeType: "image/jpeg", parents: ["dia-2"] });
+
+    assert.equal(await repository.ensureFolder("03-02-2025", "alertas"), "dia-1");
+    assert.deepEqual(drive.store.get("foto").parents, ["dia-1"]);
+    assert.equal(drive.store.get("dia-2").trashed, true);
+  });
+
+  test("si otra instancia la crea a la vez, se usa la suya y la propia se fusiona", async () => {
+    drive.hooks["files.create"] = async () => {
+      drive.hooks["files.create"] = undefined;
+      drive.add({ id: "de-otra-instancia", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+    };
+
+    const result = await repository.ensureFolderWithStatus("03-02-2025", "alertas");
+
+    assert.deepEqual(result, { folderId: "de-otra-instancia", created: false });
+    assert.deepEqual(foldersNamed("03-02-2025").filter((folder) => !folder.trashed).map((folder) => folder.id), ["de-otra-instancia"]);
+  });
+
+  test("un fallo al fusionar no rompe la subida", async () => {
+    drive.add({ id: "dia-1", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+    drive.add({ id: "dia-2", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] });
+    drive.hooks["files.update"] = async () => { throw new Error("sin permisos"); };
+
+    assert.equal(await repository.ensureFolder("03-02-2025", "alertas"), "dia-1");
+    assert.equal(drive.store.get("dia-2").trashed, false);
+    assert.match(console.warn.mock.calls[0].arguments[0], /No se pudo fusionar la carpeta duplicada dia-2/);
+  });
+
+  describe("con caché persistente (folderStore)", () => {
+    let saved;
+
+    const withStore = (store) => new DriveRepository({ drive, driveIds: {}, folderStore: store });
+
+    beforeEach(() => { saved = []; });
+
+    test("lo guardado en Mongo se usa sin buscar en Drive", async () => {
+      const stored = withStore({ find: async () => "dia-guardado", save: async () => {} });
+
+      assert.equal(await stored.ensureFolder("03-02-2025", "alertas"), "dia-guardado");
+      assert.equal(drive.calls.length, 0);
+    });
+
+    test("lo resuelto en Drive se guarda durante un día", async () => {
+      const stored = withStore({ find: async () => null, save: async (...args) => { saved.push(args); } });
+
+      const folderId = await stored.ensureFolder("03-02-2025", "alertas");
+
+      assert.equal(saved.length, 1);
+      const [parentId, name, savedId, expiresAt] = saved[0];
+      assert.deepEqual([parentId, name, savedId], ["alertas", "03-02-2025", folderId]);
+      assert.ok(Math.abs(expiresAt.getTime() - (Date.now() + 24 * HOUR_MS)) < 60 * 1000);
+    });
+
+    test("si Mongo falla se sigue buscando en Drive", async () => {
+      const failing = async () => { throw new Error("Mongo caído"); };
+      const stored = withStore({ find: failing, save: failing });
+
+      assert.ok(await stored.ensureFolder("03-02-2025", "alertas"));
+      assert.equal(console.warn.mock.callCount(), 2);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// backend/tests/drive_file_proxy.test.js
+// GET /api/google/files/:id/content: el contenido de Drive pasa por el
+// backend con el permiso de la carpeta del archivo, reenviando Range.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { GoogleController } from "../src/infrastructure/web/controllers/google.controller.js";
+import { GetDriveFileContentUseCase } from "../src/application/use_cases/get_drive_file_content.usecase.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { createGoogleRoutes } from "../src/infrastructure/web/routes/google.routes.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const CONTENT = "%PDF-1.7 contenido del plano";
+const ADMIN = { isAdmin: true, features: [] };
+const PEDIDOS = { isAdmin: false, features: ["gestion_pedidos"] };
+
+describe("proxy de archivos de Drive", () => {
+  let drive;
+  let tracked;
+  let permissions;
+  let router;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use("/api/google", (req, res, next) => router(req, res, next));
+
+    await new Promise((resolve) => { server = app.listen(0, "127.0.0.1", resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/google`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    drive = createFakeDriveClient([
+      { id: "pedidos", name: "Pedidos", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["pedidos"] },
+      { id: "plano", name: "plano nº 3.pdf", mimeType: "application/pdf", parents: ["dia"], content: CONTENT },
+      { id: "suelto", name: "suelto.pdf", mimeType: "application/pdf", parents: ["unidad"], content: CONTENT },
+      { id: "doc", name: "Acta", mimeType: "application/vnd.google-apps.document", parents: ["pedidos"] },
+    ]);
+    tracked = [];
+    permissions = PEDIDOS;
+
+    const googleController = new GoogleController({
+      getDriveFileContentUseCase: new GetDriveFileContentUseCase(
+        new DriveRepository({ drive, driveIds: { sw_pedidos: "pedidos", imgs_alertas: "alertas" } }),
+      ),
+      activityLogService: {
+        track: (req, res, activity) => {
+          const entry = { ...activity, resource: null, metadata: {}, error: null };
+          tracked.push(entry);
+          return entry;
+        },
+      },
+    });
+    const permissionGuards = {
+      requireUser: (req, res, next) => { req.permissions = permissions; next(); },
+      requirePermission: () => (req, res) => res.status(403).end(),
+      requireAdmin: (req, res) => res.status(403).end(),
+    };
+    router = createGoogleRoutes({ googleController, authMiddleware: (req, res, next) => next(), permissionGuards });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const get = (id, headers = {}, query = "") => fetch(`${baseUrl}/files/${id}/content${query}`, { headers });
+  const mediaRequests = () => drive.calls.filter((call) => call.params.alt === "media");
+
+  test("con la funcionalidad de la carpeta sirve el archivo sin caché ni enlace público", async () => {
+    const response = await get("plano");
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), CONTENT);
+    assert.equal(response.headers.get("content-type"), "application/pdf");
+    assert.equal(response.headers.get("content-disposition"), "inline; filename*=UTF-8''plano%20n%C2%BA%203.pdf");
+    assert.equal(response.headers.get("cache-control"), "private, no-store");
+    assert.equal(response.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(response.headers.get("accept-ranges"), "bytes");
+    assert.deepEqual(drive.permissionsOf("plano"), []);
+    assert.deepEqual(tracked.map(({ action, metadata }) => [action, metadata.folderKey]), [["drive.download_file", "sw_pedidos"]]);
+  });
+
+  test("reenvía un Range a Drive y responde 206 con Content-Range", async () => {
+    const response = await get("plano", { Range: "bytes=5-7" });
+
+    assert.equal(response.status, 206);
+    assert.equal(await response.text(), CONTENT.slice(5, 8));
+    assert.equal(response.headers.get("content-range"), `bytes 5-7/${CONTENT.length}`);
+    assert.equal(response.headers.get("content-length"), "3");
+    assert.deepEqual(mediaRequests()[0].options.headers, { Range: "bytes=5-7" });
+  });
+
+  test("los rangos múltiples no se reenvían: se sirve el archivo entero", async () => {
+    const response = await get("plano", { Range: "bytes=0-1,5-7" });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), CONTENT);
+    assert.deepEqual(mediaRequests()[0].options.headers, {});
+  });
+
+  test("un visor que pide por trozos solo registra la primera petición", async () => {
+    await (await get("plano", { Range: "bytes=0-3" })).text();
+    await (await get("plano", { Range: "bytes=4-7" })).text();
+
+    assert.equal(tracked.length, 1);
+  });
+
+  test("?download=1 lo sirve como adjunto", async () => {
+    const response = await get("plano", {}, "?download=1");
+
+    assert.match(response.headers.get("content-disposition"), /^attachment;/);
+    await response.text();
+  });
+
+  test("sin la funcionalidad de la carpeta: 403 sin descargar nada", async () => {
+    permissions = { isAdmin: false, features: ["alertas_produccion"] };
+
+    const response = await get("plano");
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(mediaRequests(), []);
+  });
+
+  test("fuera de las carpetas configuradas solo lo ve un admin", async () => {
+    assert.equal((await get("suelto")).status, 403);
+
+    permissions = ADMIN;
+    const response = await get("suelto");
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), CONTENT);
+  });
+
+  test("carpetas y documentos nativos de Google: 400; un archivo que no existe: 404", async () => {
+    assert.equal((await get("doc")).status, 400);
+    assert.equal((await get("dia")).status, 400);
+    assert.equal((await get("no-existe")).status, 404);
+  });
+
+  test("la carpeta de cada archivo se resuelve una vez y se cachea", async () => {
+    await (await get("plano")).text();
+    const firstCalls = drive.calls.length;
+    await (await get("plano")).text();
+
+    // Segunda petición: solo los metadatos del archivo y la descarga
+    assert.equal(drive.calls.length - firstCalls, 2);
+  });
+});
@@ -0,0 +1,122 @@
+// backend/tests/drive_folder_browse.test.js
+// Navegación por las carpetas de drive-ids.json: paginación, búsqueda, orden,
+// breadcrumbs y que no se pueda salir de la carpeta raíz de la clave.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ListDriveFolderChildrenUseCase } from "../src/application/use_cases/list_drive_folder_children.usecase.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { canAccessDriveFolder } from "../src/domain/entities/drive_folder.entity.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+describe("ListDriveFolderChildrenUseCase", () => {
+  let drive;
+  let useCase;
+
+  beforeEach(() => {
+    drive = createFakeDriveClient([
+      { id: "raiz", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "anio", name: "2025", mimeType: FOLDER, parents: ["raiz"] },
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["anio"] },
+      { id: "foto", name: "máquina 3.jpg", mimeType: "image/jpeg", parents: ["dia"], content: "jpeg" },
+      { id: "informe", name: "informe O'Brien.pdf", mimeType: "application/pdf", parents: ["dia"], content: "pdf" },
+      { id: "borrado", name: "viejo.pdf", mimeType: "application/pdf", parents: ["dia"], trashed: true },
+      { id: "ajena", name: "Nóminas", mimeType: FOLDER, parents: ["unidad"] },
+    ]);
+    const driveRepository = new DriveRepository({ drive, driveIds: { imgs_alertas: "raiz", sin_configurar: "" } });
+    useCase = new ListDriveFolderChildrenUseCase(driveRepository);
+  });
+
+  const lastList = () => drive.calls.filter((call) => call.method === "files.list").at(-1).params;
+
+  test("sin folderId lista la raíz de la clave, con las carpetas primero", async () => {
+    const result = await useCase.execute({ key: "imgs_alertas" });
+
+    assert.deepEqual(result.folder, { id: "raiz", name: "Alertas" });
+    assert.deepEqual(result.breadcrumbs, [{ id: "raiz", name: "Alertas" }]);
+    assert.deepEqual(result.files.map((file) => [file.name, file.isFolder]), [["2025", true]]);
+    assert.equal(lastList().orderBy, "folder,name_natural");
+    assert.equal(lastList().pageSize, 50);
+  });
+
+  test("en una subcarpeta devuelve la ruta desde la raíz y omite la papelera", async () => {
+    const result = await useCase.execute({ key: "imgs_alertas", folderId: "dia" });
+
+    assert.deepEqual(result.breadcrumbs.map((crumb) => crumb.name), ["Alertas", "2025", "03-02-2025"]);
+    assert.deepEqual(result.files.map((file) => file.id).sort(), ["foto", "informe"]);
+
+    const foto = result.files.find((file) => file.id === "foto");
+    assert.equal(foto.size, 4);
+    assert.equal(foto.isFolder, false);
+    assert.equal(foto.thumbnailLink, null);
+  });
+
+  test("pagina con el nextPageToken de Drive", async () => {
+    const first = await useCase.execute({ key: "imgs_alertas", folderId: "dia", pageSize: 1 });
+    const second = await useCase.execute({ key: "imgs_alertas", folderId: "dia", pageSize: 1, pageToken: first.nextPageToken });
+
+    assert.ok(first.nextPageToken);
+    assert.equal(second.nextPageToken, null);
+    assert.notEqual(first.files[0].id, second.files[0].id);
+  });
+
+  test("busca por nombre (escapando comillas) y filtra por MIME", async () => {
+    const byName = await useCase.execute({ key: "imgs_alertas", folderId: "dia", search: "  o'brien " });
+    assert.deepEqual(byName.files.map((file) => file.id), ["informe"]);
+    assert.match(lastList().q, /name contains 'o\\'brien'/);
+
+    const images = await useCase.execute({ key: "imgs_alertas", folderId: "dia", mimeType: "image/" });
+    assert.deepEqual(images.files.map((file) => file.id), ["foto"]);
+
+    const folders = await useCase.execute({ key: "imgs_alertas", mimeType: "folder" });
+    assert.deepEqual(folders.files.map((file) => file.id), ["anio"]);
+  });
+
+  test("ordena por los campos admitidos, con '-' para descendente", async () => {
+    await useCase.execute({ key: "imgs_alertas", sort: "-modifiedTime" });
+    assert.equal(lastList().orderBy, "folder,modifiedTime desc");
+
+    await useCase.execute({ key: "imgs_alertas", sort: "size" });
+    assert.equal(lastList().orderBy, "folder,quotaBytesUsed");
+  });
+
+  test("no deja salir de la raíz de la clave: 404", async () => {
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", folderId: "ajena" }), { status: 404 });
+    // Un padre sin acceso (404) también queda fuera
+    drive.store.delete("anio");
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", folderId: "dia" }), { status: 404 });
+  });
+
+  test("parámetros no válidos: 400 sin llegar a listar", async () => {
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", folderId: "foto" }), { status: 400, message: /no es una carpeta/ });
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", pageSize: 101 }), { status: 400 });
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", pageSize: 1.5 }), { status: 400 });
+    await assert.rejects(useCase.execute({ key: "imgs_alertas", sort: "owner" }), { status: 400 });
+    assert.equal(drive.calls.filter((call) => call.method === "files.list").length, 0);
+  });
+
+  test("una clave que no está en drive-ids.json (o vacía): 404", async () => {
+    await assert.rejects(useCase.execute({ key: "no_existe" }), { status: 404 });
+    await assert.rejects(useCase.execute({ key: "sin_configurar" }), { status: 404 });
+    await assert.rejects(useCase.execute({ key: "toString" }), { status: 404 });
+  });
+});
+
+describe("canAccessDriveFolder", () => {
+  test("cada carpeta exige la funcionalidad de su módulo; los admin pasan siempre", () => {
+    const intrastat = { isAdmin: false, features: ["intrastat"] };
+
+    assert.equal(canAccessDriveFolder("intrastat_ventas", intrastat), true);
+    assert.equal(canAccessDriveFolder("imgs_alertas", intrastat), false);
+    assert.equal(canAccessDriveFolder("imgs_alertas", { isAdmin: true, features: [] }), true);
+  });
+
+  test("fuera de las carpetas con módulo (logs_archive, null...) solo los admin", () => {
+    const everything = { isAdmin: false, features: ["intrastat", "inventario", "prototipos"] };
+
+    assert.equal(canAccessDriveFolder("logs_archive", everything), false);
+    assert.equal(canAccessDriveFolder(null, everything), false);
+    assert.equal(canAccessDriveFolder("constructor", everything), false);
+    assert.equal(canAccessDriveFolder(null, { isAdmin: true }), true);
+  });
+});
@@ -0,0 +1,254 @@
+// backend/tests/drive_provision.test.js
+// Aprovisionamiento de carpetas de Drive desde drive-manifest.json, escritura
+// de drive-ids.json y comprobación de las carpetas configuradas.
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, writeFile, rm } from "node:fs/promises";
+import { readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseDriveManifest, folderProblem } from "../src/domain/entities/drive_manifest.entity.js";
+import { ProvisionDriveFoldersUseCase } from "../src/application/use_cases/provision_drive_folders.usecase.js";
+import { CheckDriveFoldersUseCase } from "../src/application/use_cases/check_drive_folders.usecase.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { DriveIdsFile } from "../src/infrastructure/database/google/drive_ids.file.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const MANIFEST = parseDriveManifest({
+  folders: {
+    nominas_asesorias: "Nóminas/Asesorías",
+    nominas_nominas: "Nóminas/Nóminas",
+    inventario: "Inventario",
+  },
+});
+
+describe("parseDriveManifest", () => {
+  test("el drive-manifest.json del repositorio es válido", () => {
+    const config = JSON.parse(readFileSync(new URL("../src/config/drive-manifest.json", import.meta.url), "utf8"));
+
+    const manifest = parseDriveManifest(config);
+    assert.deepEqual(manifest.find((entry) => entry.key === "nominas_asesorias").path, ["Nóminas", "Asesorías"]);
+  });
+
+  test("parte la ruta en niveles y recorta los espacios", () => {
+    assert.deepEqual(parseDriveManifest({ folders: { sw_pedidos: " Pedidos / SW " } }), [{ key: "sw_pedidos", path: ["Pedidos", "SW"] }]);
+    assert.deepEqual(parseDriveManifest(), []);
+  });
+
+  test("rechaza claves y rutas no válidas", () => {
+    assert.throws(() => parseDriveManifest({ folders: { "Nóminas": "Nóminas" } }), /la clave "Nóminas" no es válida/);
+    assert.throws(() => parseDriveManifest({ folders: { nominas: "Nóminas//Asesorías" } }), /la ruta de "nominas"/);
+    assert.throws(() => parseDriveManifest({ folders: { nominas: "" } }), /la ruta de "nominas"/);
+    assert.throws(() => parseDriveManifest({ folders: { nominas: ["Nóminas"] } }), /la ruta de "nominas"/);
+  });
+});
+
+describe("folderProblem", () => {
+  test("carpeta válida, inexistente, que no es carpeta o en la papelera", () => {
+    assert.equal(folderProblem({ mimeType: FOLDER, trashed: false }), null);
+    assert.equal(folderProblem(null), "not_found");
+    assert.equal(folderProblem({ mimeType: "application/pdf", trashed: false }), "not_folder");
+    assert.equal(folderProblem({ mimeType: FOLDER, trashed: true }), "trashed");
+  });
+});
+
+describe("ProvisionDriveFoldersUseCase", () => {
+  let drive;
+  let driveRepository;
+  let written;
+  let writeError;
+  let useCase;
+
+  beforeEach(() => {
+    drive = createFakeDriveClient([{ id: "raiz", name: "Empresa", mimeType: FOLDER, parents: ["unidad"] }]);
+    driveRepository = new DriveRepository({ drive, driveIds: { logs_archive: "archivo" } });
+    written = [];
+    writeError = null;
+    const driveIdsFile = {
+      path: "/config/drive-ids.json",
+      write: async (ids) => {
+        if (writeError) throw writeError;
+        written.push(ids);
+      },
+    };
+    useCase = new ProvisionDriveFoldersUseCase({ driveRepository, driveIdsFile, manifest: MANIFEST, rootFolderId: "raiz" });
+  });
+
+  const creates = () => drive.calls.filter((call) => call.method === "files.create").map((call) => call.params.resource.name);
+  const statuses = (result) => Object.fromEntries(result.folders.map((folder) => [folder.key, folder.status]));
+  const addFolder = (id, name, parent) => drive.add({ id, name, mimeType: FOLDER, parents: [parent] });
+
+  test("en un Drive vacío crea la jerarquía (los niveles comunes una vez) y escribe drive-ids.json", async () => {
+    const result = await useCase.execute();
+
+    assert.deepEqual(creates(), ["Nóminas", "Asesorías", "Nóminas", "Inventario"]);
+    assert.deepEqual(statuses(result), { nominas_asesorias: "created", nominas_nominas: "created", inventario: "created" });
+
+    const nominas = drive.store.get(result.driveIds.nominas_nominas);
+    assert.equal(drive.store.get(nominas.parents[0]).name, "Nóminas");
+    assert.equal(nominas.parents[0], drive.store.get(result.driveIds.nominas_asesorias).parents[0]);
+
+    // Las claves que no están en el manifiesto se conservan
+    assert.equal(result.driveIds.logs_archive, "archivo");
+    assert.deepEqual(written, [result.driveIds]);
+    assert.equal(result.written, "/config/drive-ids.json");
+    assert.equal(driveRepository.getFolderIdByKey("inventario"), result.driveIds.inventario);
+  });
+
+  test("repetirlo es seguro: las claves ya configuradas se conservan", async () => {
+    const first = await useCase.execute();
+    const createdBefore = creates().length;
+
+    const again = await useCase.execute();
+
+    assert.equal(creates().length, createdBefore);
+    assert.deepEqual(Object.values(statuses(again)), ["configured", "configured", "configured"]);
+    assert.deepEqual(again.driveIds, first.driveIds);
+  });
+
+  test("reutiliza las carpetas que ya existen y fusiona las duplicadas", async () => {
+    addFolder("inv-1", "Inventario", "raiz");
+    addFolder("inv-2", "Inventario", "raiz");
+    drive.add({ id: "recuento", name: "recuento.pdf", parents: ["inv-2"] });
+
+    const result = await useCase.execute();
+
+    assert.equal(result.folders.find((folder) => folder.key === "inventario").status, "existing");
+    assert.equal(result.driveIds.inventario, "inv-1");
+    assert.deepEqual(drive.store.get("recuento").parents, ["inv-1"]);
+    assert.equal(drive.store.get("inv-2").trashed, true);
+  });
+
+  test("una carpeta configurada en la papelera (o sin acceso) se vuelve a resolver", async () => {
+    drive.add({ id: "vieja", name: "Inventario", mimeType: FOLDER, parents: ["raiz"], trashed: true });
+    driveRepository.setDriveIds({ inventario: "vieja", nominas_nominas: "borrada" });
+
+    const result = await useCase.execute();
+
+    assert.notEqual(result.driveIds.inventario, "vieja");
+    assert.notEqual(result.driveIds.nominas_nominas, "borrada");
+    assert.equal(statuses(result).inventario, "created");
+  });
+
+  test("con force vuelve a resolver también las válidas", async () => {
+    addFolder("otra", "Otra carpeta", "raiz");
+    driveRepository.setDriveIds({ inventario: "otra" });
+
+    const result = await useCase.execute({ force: true });
+
+    assert.equal(statuses(result).inventario, "created");
+    assert.notEqual(result.driveIds.inventario, "otra");
+  });
+
+  test("en dry-run solo busca: no crea carpetas ni escribe", async () => {
+    addFolder("nominas", "Nóminas", "raiz");
+    addFolder("asesorias", "Asesorías", "nominas");
+
+    const result = await useCase.execute({ dryRun: true });
+
+    assert.deepEqual(statuses(result), { nominas_asesorias: "existing", nominas_nominas: "missing", inventario: "missing" });
+    assert.equal(result.driveIds.nominas_asesorias, "asesorias");
+    assert.deepEqual(creates(), []);
+    assert.deepEqual(written, []);
+    assert.equal(driveRepository.getFolderIdByKey("nominas_asesorias"), null);
+  });
+
+  test("una clave que falla se anota y el resto sigue", async () => {
+    drive.hooks["files.list"] = async ({ q }) => {
+      if (q.includes("'Inventario'")) throw new Error("Drive no disponible");
+    };
+
+    const result = await useCase.execute();
+
+    assert.deepEqual(result.folders.find((folder) => folder.key === "inventario"), {
+      key: "inventario", path: "Inventario", id: null, status: "error", error: "Drive no disponible",
+    });
+    assert.equal(statuses(result).nominas_asesorias, "created");
+    assert.equal(Object.hasOwn(result.driveIds, "inventario"), false);
+  });
+
+  test("si no se puede escribir el archivo, se aplica en caliente y se informa", async () => {
+    writeError = new Error("EROFS: read-only file system");
+
+    const result = await useCase.execute();
+
+    assert.equal(result.written, null);
+    assert.equal(result.writeError, "EROFS: read-only file system");
+    assert.equal(driveRepository.getFolderIdByKey("inventario"), result.driveIds.inventario);
+  });
+
+  test("sin carpeta principal (DRIVE_ID): 500", async () => {
+    const withoutRoot = new ProvisionDriveFoldersUseCase({ driveRepository, driveIdsFile: {}, manifest: MANIFEST, rootFolderId: "" });
+
+    await assert.rejects(withoutRoot.execute(), { status: 500 });
+  });
+});
+
+describe("DriveIdsFile", () => {
+  let directory;
+
+  beforeEach(async () => { directory = await mkdtemp(join(tmpdir(), "drive-ids-")); });
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  test("sin archivo (entorno nuevo) devuelve un mapa vacío", () => {
+    assert.deepEqual(new DriveIdsFile(join(directory, "drive-ids.json")).read(), {});
+  });
+
+  test("escribe sin dejar el temporal y se vuelve a leer igual", async () => {
+    const file = new DriveIdsFile(join(directory, "drive-ids.json"));
+
+    await file.write({ inventario: "id-inventario" });
+
+    assert.deepEqual(file.read(), { inventario: "id-inventario" });
+    assert.deepEqual(await readdir(directory), ["drive-ids.json"]);
+    assert.match(await readFile(file.path, "utf8"), /\n$/);
+  });
+
+  test("un archivo mal formado impide arrancar", async () => {
+    const path = join(directory, "drive-ids.json");
+
+    await writeFile(path, "{ inventario: ");
+    assert.throws(() => new DriveIdsFile(path).read(), /no es un JSON válido/);
+
+    await writeFile(path, JSON.stringify({ inventario: 3 }));
+    assert.throws(() => new DriveIdsFile(path).read(), /debe ser un objeto/);
+  });
+});
+
+describe("CheckDriveFoldersUseCase", () => {
+  test("informa del problema de cada carpeta configurada", async () => {
+    const drive = createFakeDriveClient([
+      { id: "ok", name: "Inventario", mimeType: FOLDER, parents: ["raiz"] },
+      { id: "pdf", name: "plano.pdf", mimeType: "application/pdf", parents: ["raiz"] },
+      { id: "papelera", name: "Nóminas", mimeType: FOLDER, parents: ["raiz"], trashed: true },
+    ]);
+    drive.hooks["files.get"] = async ({ fileId }) => {
+      if (fileId === "caido") throw new Error("timeout");
+    };
+    const driveRepository = new DriveRepository({
+      drive,
+      driveIds: { inventario: "ok", planos: "pdf", nominas: "papelera", borrada: "no-existe", lenta: "caido", vacia: "" },
+    });
+    const useCase = new CheckDriveFoldersUseCase({
+      driveRepository,
+      folderKeys: ["inventario", "planos", "nominas", "borrada", "lenta", "vacia", "sin_id"],
+    });
+
+    const result = await useCase.execute();
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.folders.map((folder) => [folder.key, folder.problem]), [
+      ["inventario", null],
+      ["planos", "not_folder"],
+      ["nominas", "trashed"],
+      ["borrada", "not_found"],
+      ["lenta", "error"],
+      ["vacia", "missing"],
+      ["sin_id", "missing"],
+    ]);
+    assert.equal(result.folders[0].name, "Inventario");
+    assert.equal(result.folders.find((folder) => folder.key === "lenta").message, "no se ha podido comprobar: timeout");
+    assert.equal(result.problems.length, 6);
+  });
+});
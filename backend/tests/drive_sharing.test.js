@@ -0,0 +1,219 @@
+// backend/tests/drive_sharing.test.js
+// Políticas de compartición por carpeta (drive-sharing.json): validación,
+// permisos de cada tipo, diferencia con los permisos actuales y backfill.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseSharingPolicies, sharingPermissions, diffSharing } from "../src/domain/entities/drive_sharing.entity.js";
+import { BackfillDriveSharingUseCase } from "../src/application/use_cases/backfill_drive_sharing.usecase.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+const policy = (raw) => parseSharingPolicies({ default: raw }).default;
+
+describe("parseSharingPolicies", () => {
+  test("el drive-sharing.json del repositorio es válido", () => {
+    const config = JSON.parse(readFileSync(new URL("../src/config/drive-sharing.json", import.meta.url), "utf8"));
+    const driveIds = JSON.parse(readFileSync(new URL("../src/config/drive-ids.json", import.meta.url), "utf8"));
+
+    const policies = parseSharingPolicies(config, Object.keys(driveIds));
+    assert.equal(policies.default.type, "private");
+    assert.equal(policies.folders.imgs_alertas.type, "anyone");
+  });
+
+  test("normaliza: private por defecto, rol reader y sin caducidad", () => {
+    assert.deepEqual(parseSharingPolicies({}).default, { type: "private" });
+    assert.deepEqual(policy({ type: "anyone" }), { type: "anyone", role: "reader", expiresInDays: null });
+    assert.deepEqual(policy({ type: "domain", domain: "empresa.com" }), {
+      type: "domain", role: "reader", domain: "empresa.com", allowFileDiscovery: false,
+    });
+  });
+
+  test("rechaza al arrancar las políticas mal escritas", () => {
+    assert.throws(() => policy({ type: "publico" }), /"type" debe ser uno de/);
+    assert.throws(() => policy({ type: "anyone", role: "writer" }), /"role"/);
+    assert.throws(() => policy({ type: "anyone", expiresInDays: 0 }), /expiresInDays/);
+    assert.throws(() => policy({ type: "domain" }), /falta "domain"/);
+    assert.throws(() => policy({ type: "members", groups: [] }), /al menos uno/);
+    assert.throws(
+      () => parseSharingPolicies({ folders: { inventado: { type: "private" } } }, ["inventario"]),
+      /"inventado" no existe en drive-ids.json/,
+    );
+  });
+});
+
+describe("sharingPermissions", () => {
+  test("private no crea permisos; anyone y domain, uno", () => {
+    assert.deepEqual(sharingPermissions(policy({ type: "private" })), []);
+    assert.deepEqual(sharingPermissions(policy({ type: "anyone" })), [{ type: "anyone", role: "reader" }]);
+    assert.deepEqual(sharingPermissions(policy({ type: "domain", domain: "empresa.com", allowFileDiscovery: true })), [
+      { type: "domain", role: "reader", domain: "empresa.com", allowFileDiscovery: true },
+    ]);
+  });
+
+  test("members: un permiso por grupo y usuario, con caducidad desde la subida", () => {
+    const members = policy({ type: "members", groups: ["oficina@empresa.com"], users: ["ana@empresa.com"], role: "commenter", expiresInDays: 7 });
+
+    const expirationTime = new Date(NOW.getTime() + 7 * DAY_MS).toISOString();
+    assert.deepEqual(sharingPermissions(members, NOW), [
+      { type: "group", role: "commenter", emailAddress: "oficina@empresa.com", expirationTime },
+      { type: "user", role: "commenter", emailAddress: "ana@empresa.com", expirationTime },
+    ]);
+  });
+});
+
+describe("diffSharing", () => {
+  const OWNER = { id: "owner", type: "user", role: "owner", emailAddress: "cuenta@empresa.com" };
+  const MANUAL = { id: "manual", type: "user", role: "reader", emailAddress: "externo@otra.com" };
+  const ANYONE = { id: "anyone", type: "anyone", role: "reader" };
+
+  test("private quita enlaces públicos y de dominio, pero no los permisos individuales", () => {
+    const domain = { id: "dom", type: "domain", role: "reader", domain: "empresa.com" };
+
+    const { add, remove } = diffSharing(policy({ type: "private" }), [OWNER, MANUAL, ANYONE, domain], { now: NOW });
+
+    assert.deepEqual(add, []);
+    assert.deepEqual(remove.map((permission) => permission.id), ["anyone", "dom"]);
+  });
+
+  test("añade solo lo que falta: no duplica permisos existentes (emails sin distinguir mayúsculas)", () => {
+    const members = policy({ type: "members", groups: ["Oficina@Empresa.com"], users: ["ana@empresa.com"] });
+    const current = [OWNER, { id: "g", type: "group", role: "reader", emailAddress: "oficina@empresa.com" }];
+
+    const { add, remove } = diffSharing(members, current, { now: NOW });
+
+    assert.deepEqual(add.map((permission) => permission.emailAddress), ["ana@empresa.com"]);
+    assert.deepEqual(remove, []);
+  });
+
+  test("un dominio distinto al de la política se sustituye", () => {
+    const current = [{ id: "viejo", type: "domain", role: "reader", domain: "antigua.com" }];
+
+    const { add, remove } = diffSharing(policy({ type: "domain", domain: "empresa.com" }), current, { now: NOW });
+
+    assert.deepEqual(remove.map((permission) => permission.id), ["viejo"]);
+    assert.deepEqual(add.map((permission) => permission.domain), ["empresa.com"]);
+  });
+
+  test("anyone con expiresInDays: caducado se quita y no se vuelve a crear", () => {
+    const temporary = policy({ type: "anyone", expiresInDays: 30 });
+    const recent = new Date(NOW.getTime() - 10 * DAY_MS).toISOString();
+    const old = new Date(NOW.getTime() - 31 * DAY_MS).toISOString();
+
+    assert.deepEqual(diffSharing(temporary, [ANYONE], { createdTime: recent, now: NOW }), { add: [], remove: [] });
+    assert.deepEqual(diffSharing(temporary, [], { createdTime: recent, now: NOW }).add, [{ type: "anyone", role: "reader" }]);
+    assert.deepEqual(diffSharing(temporary, [ANYONE], { createdTime: old, now: NOW }), { add: [], remove: [ANYONE] });
+    assert.deepEqual(diffSharing(temporary, [], { createdTime: old, now: NOW }).add, []);
+  });
+});
+
+describe("DriveRepository.applySharingPolicy", () => {
+  const repositoryWith = (drive, folders) => new DriveRepository({
+    drive,
+    driveIds: { imgs_alertas: "alertas", inventario: "inventario" },
+    sharingPolicies: parseSharingPolicies({ default: { type: "private" }, folders }),
+  });
+
+  test("una subida a una subcarpeta hereda la política de la clave", async () => {
+    const drive = createFakeDriveClient([
+      { id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] },
+      { id: "foto", name: "foto.jpg", mimeType: "image/jpeg", parents: ["dia"] },
+    ]);
+
+    assert.equal(await repositoryWith(drive, { imgs_alertas: { type: "anyone" } }).applySharingPolicy("foto", "dia"), "anyone");
+    assert.deepEqual(drive.permissionsOf("foto").map((permission) => permission.type), ["anyone"]);
+  });
+
+  test("private no crea permisos; members no envía correo a usuarios ni grupos", async () => {
+    const drive = createFakeDriveClient([
+      { id: "inventario", name: "Inventario", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "recuento", name: "recuento.pdf", mimeType: "application/pdf", parents: ["inventario"] },
+      { id: "suelto", name: "suelto.pdf", mimeType: "application/pdf", parents: ["unidad"] },
+    ]);
+    const repository = repositoryWith(drive, { inventario: { type: "members", groups: ["oficina@empresa.com"] } });
+
+    assert.equal(await repository.applySharingPolicy("suelto", "unidad"), "private");
+    assert.deepEqual(drive.permissionsOf("suelto"), []);
+
+    await repository.applySharingPolicy("recuento", "inventario");
+    const created = drive.calls.filter((call) => call.method === "permissions.create");
+    assert.deepEqual(created.map((call) => [call.params.resource.emailAddress, call.params.sendNotificationEmail]), [["oficina@empresa.com", false]]);
+  });
+});
+
+describe("BackfillDriveSharingUseCase", () => {
+  let drive;
+  let useCase;
+
+  // imgs_alertas (anyone) contiene una subcarpeta normal y la raíz de inventario (private)
+  beforeEach(() => {
+    drive = createFakeDriveClient([
+      { id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["alertas"] },
+      { id: "foto-1", name: "foto 1.jpg", mimeType: "image/jpeg", parents: ["alertas"] },
+      { id: "foto-2", name: "foto 2.jpg", mimeType: "image/jpeg", parents: ["dia"] },
+      { id: "atajo", name: "atajo", mimeType: "application/vnd.google-apps.shortcut", parents: ["dia"] },
+      { id: "inventario", name: "Inventario", mimeType: FOLDER, parents: ["alertas"] },
+      { id: "recuento", name: "recuento.pdf", mimeType: "application/pdf", parents: ["inventario"] },
+    ]);
+    const driveRepository = new DriveRepository({
+      drive,
+      driveIds: { imgs_alertas: "alertas", inventario: "inventario" },
+      sharingPolicies: parseSharingPolicies({
+        default: { type: "private" },
+        folders: { imgs_alertas: { type: "anyone" }, inventario: { type: "private" } },
+      }),
+    });
+    useCase = new BackfillDriveSharingUseCase({ driveRepository, folderKeys: ["imgs_alertas", "inventario", "sin_configurar"] });
+  });
+
+  const shareWithAnyone = (fileId) => drive.permissions.create({ fileId, resource: { type: "anyone", role: "reader" } });
+
+  test("aplica a cada archivo la política de su carpeta, con las subcarpetas", async () => {
+    await shareWithAnyone("recuento");
+
+    const result = await useCase.execute();
+
+    assert.deepEqual(result.folders, [
+      { key: "imgs_alertas", policy: "anyone", files: 2, changed: 2, added: 2, removed: 0 },
+      { key: "inventario", policy: "private", files: 1, changed: 1, added: 0, removed: 1 },
+    ]);
+    assert.deepEqual(drive.permissionsOf("foto-2").map((permission) => permission.type), ["anyone"]);
+    assert.deepEqual(drive.permissionsOf("recuento"), []);
+    assert.deepEqual(drive.permissionsOf("atajo"), []);
+  });
+
+  test("repetirlo no cambia nada", async () => {
+    await useCase.execute();
+    const again = await useCase.execute();
+
+    assert.equal(again.folders.reduce((sum, folder) => sum + folder.changed, 0), 0);
+  });
+
+  test("en dry-run solo cuenta", async () => {
+    const result = await useCase.execute({ folderKey: "imgs_alertas", dryRun: true });
+
+    assert.equal(result.folders[0].added, 2);
+    assert.deepEqual(drive.permissionsOf("foto-1"), []);
+  });
+
+  test("un archivo que falla se anota y el recorrido sigue", async () => {
+    drive.hooks["permissions.list"] = async ({ fileId }) => {
+      if (fileId === "foto-1") throw new Error("Drive no disponible");
+    };
+
+    const result = await useCase.execute({ folderKey: "imgs_alertas" });
+
+    assert.deepEqual(result.errors, [{ key: "imgs_alertas", fileId: "foto-1", name: "foto 1.jpg", error: "Drive no disponible" }]);
+    assert.deepEqual(drive.permissionsOf("foto-2").map((permission) => permission.type), ["anyone"]);
+  });
+
+  test("una carpeta que no está en drive-ids.json: 404", async () => {
+    await assert.rejects(useCase.execute({ folderKey: "sin_configurar" }), { status: 404 });
+  });
+});
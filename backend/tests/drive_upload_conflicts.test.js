@@ -0,0 +1,178 @@
+// backend/tests/drive_upload_conflicts.test.js
+// Subidas de PDFs de Intrastat e inventario cuando en la carpeta ya hay uno
+// igual (mismo contenido o mismo nombre): políticas skip, revision y keep_both.
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { UploadPdfUseCase } from "../src/application/use_cases/upload_pdf_drive.usecase.js";
+import { GoogleController } from "../src/infrastructure/web/controllers/google.controller.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { suffixedName } from "../src/domain/entities/drive_upload.entity.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const FACTURA = Buffer.from("%PDF-1.7 factura 1001");
+const OTRA = Buffer.from("%PDF-1.7 factura 1002");
+
+describe("suffixedName", () => {
+  test("primer sufijo libre, sin distinguir mayúsculas y con o sin extensión", () => {
+    assert.equal(suffixedName("factura.pdf", ["factura.pdf"]), "factura (1).pdf");
+    assert.equal(suffixedName("factura.pdf", ["factura.pdf", "FACTURA (1).PDF"]), "factura (2).pdf");
+    assert.equal(suffixedName("LEEME", ["LEEME"]), "LEEME (1)");
+    assert.equal(suffixedName(".env", [".env"]), ".env (1)");
+  });
+});
+
+describe("UploadPdfUseCase con onConflict", () => {
+  let drive;
+  let useCase;
+
+  beforeEach(() => {
+    drive = createFakeDriveClient([
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["ventas"] },
+      { id: "existente", name: "factura.pdf", mimeType: "application/pdf", parents: ["dia"], content: FACTURA },
+      { id: "borrado", name: "borrada.pdf", mimeType: "application/pdf", parents: ["dia"], content: OTRA, trashed: true },
+    ]);
+    const driveRepository = new DriveRepository({
+      drive,
+      driveIds: { intrastat_ventas: "ventas" },
+      bufferToStream: (buffer) => Readable.from([buffer]),
+    });
+    useCase = new UploadPdfUseCase(driveRepository);
+  });
+
+  const upload = (originalname, buffer, onConflict, extra = {}) =>
+    useCase.execute({ originalname, mimetype: "application/pdf", buffer, parentFolderId: "dia", onConflict, ...extra });
+
+  const filesInFolder = () => [...drive.store.values()].filter((file) => file.parents.includes("dia") && !file.trashed);
+
+  test("sin conflicto se crea normalmente", async () => {
+    const result = await upload("nueva.pdf", OTRA, "skip");
+
+    assert.equal(result.policy, "created");
+    assert.equal(result.conflict, null);
+    assert.equal(filesInFolder().length, 2);
+  });
+
+  test("skip: el mismo contenido con otro nombre devuelve el existente sin subir", async () => {
+    const result = await upload("copia de factura.pdf", FACTURA, "skip");
+
+    assert.equal(result.id, "existente");
+    assert.equal(result.policy, "skip");
+    assert.deepEqual(result.conflict, { fileId: "existente", name: "factura.pdf", matchedBy: "md5" });
+    assert.equal(drive.calls.filter((call) => call.method === "files.create").length, 0);
+  });
+
+  test("revision: mismo nombre y otro contenido sube una revisión que conserva el ID", async () => {
+    const result = await upload("factura.pdf", OTRA, "revision");
+
+    assert.equal(result.id, "existente");
+    assert.equal(result.policy, "revision");
+    assert.equal(result.conflict.matchedBy, "name");
+    assert.deepEqual(drive.store.get("existente").content, OTRA);
+    assert.equal(filesInFolder().length, 1);
+  });
+
+  test("revision con el contenido idéntico no sube nada: se aplica skip", async () => {
+    const result = await upload("factura.pdf", FACTURA, "revision");
+
+    assert.equal(result.policy, "skip");
+    assert.equal(drive.calls.filter((call) => call.method === "files.update").length, 0);
+  });
+
+  test("keep_both: se sube aparte con sufijo y la política de compartición de la carpeta", async () => {
+    const result = await upload("factura.pdf", OTRA, "keep_both");
+
+    assert.equal(result.name, "factura (1).pdf");
+    assert.equal(result.policy, "keep_both");
+    assert.deepEqual(filesInFolder().map((file) => file.name).sort(), ["factura (1).pdf", "factura.pdf"]);
+    assert.deepEqual(drive.permissionsOf(result.id), []);
+  });
+
+  test("los archivos en la papelera no cuentan como duplicados", async () => {
+    assert.equal((await upload("borrada.pdf", OTRA, "skip")).policy, "created");
+  });
+
+  test("sin onConflict no se buscan duplicados", async () => {
+    const result = await upload("factura.pdf", FACTURA);
+
+    assert.equal(result.policy, "created");
+    assert.equal(result.name, "factura.pdf");
+    assert.equal(drive.calls.filter((call) => call.method === "files.list").length, 0);
+  });
+
+  describe("con el archivo en disco (almacenamiento temporal)", () => {
+    let directory;
+
+    beforeEach(async () => { directory = await mkdtemp(join(tmpdir(), "subida-")); });
+    afterEach(() => rm(directory, { recursive: true, force: true }));
+
+    test("el md5 se calcula leyendo el temporal", async () => {
+      const filePath = join(directory, "upload");
+      await writeFile(filePath, FACTURA);
+
+      const result = await upload("otro nombre.pdf", undefined, "skip", { filePath });
+
+      assert.equal(result.conflict.matchedBy, "md5");
+    });
+  });
+});
+
+describe("GoogleController.uploadIntrastatPDF", () => {
+  let drive;
+  let controller;
+
+  beforeEach(() => {
+    drive = createFakeDriveClient([{ id: "ventas", name: "Intrastat ventas", mimeType: FOLDER, parents: ["unidad"] }]);
+    const driveRepository = new DriveRepository({
+      drive,
+      driveIds: { intrastat_ventas: "ventas" },
+      bufferToStream: (buffer) => Readable.from([buffer]),
+    });
+    controller = new GoogleController({
+      uploadPdfUseCase: new UploadPdfUseCase(driveRepository),
+      driveRepository,
+      activityLogService: { track: () => ({ metadata: {} }) },
+    });
+  });
+
+  const send = async (body, files) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(data) { this.body = data; return this; },
+    };
+    const pdf = (originalname, buffer) => ({ originalname, mimetype: "application/pdf", buffer });
+    await controller.uploadIntrastatPDF({ body, files: files ?? [pdf("factura.pdf", FACTURA)] }, res);
+    return res;
+  };
+
+  test("resume cuántos archivos han terminado con cada política", async () => {
+    await send({ marca: "VENTA" });
+    const again = await send({ marca: "VENTA", onConflict: "keep_both" }, [
+      { originalname: "factura.pdf", mimetype: "application/pdf", buffer: OTRA },
+      { originalname: "nueva.pdf", mimetype: "application/pdf", buffer: Buffer.from("%PDF nueva") },
+    ]);
+
+    assert.equal(again.statusCode, 201);
+    assert.deepEqual(again.body.resumen.porPolitica, { created: 1, skip: 0, revision: 0, keep_both: 1 });
+  });
+
+  test("por defecto aplica skip", async () => {
+    await send({ marca: "VENTA" });
+    const again = await send({ marca: "VENTA" });
+
+    assert.equal(again.body.exitosos[0].policy, "skip");
+  });
+
+  test("un onConflict desconocido: 400 sin subir nada", async () => {
+    const res = await send({ marca: "VENTA", onConflict: "overwrite" });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /"onConflict" no válido/);
+    assert.equal(drive.calls.length, 0);
+  });
+});
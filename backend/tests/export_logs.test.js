@@ -0,0 +1,47 @@
+// backend/tests/export_logs.test.js
+// Export CSV de logs: los valores que Excel tomaría como fórmula se neutralizan.
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import { ExportLogsUseCase } from "../src/application/use_cases/export_logs.usecase.js";
+
+/** Exporta los logs a CSV y devuelve las líneas de datos (sin BOM ni cabecera). */
+async function exportCsv(logs) {
+  const useCase = new ExportLogsUseCase({
+    findAllFilteredCursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* logs;
+      },
+      close: async () => {},
+    }),
+  });
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+
+  await useCase.execute({ format: "csv", output });
+
+  return Buffer.concat(chunks).toString("utf8").replace(/^\uFEFF/, "").split("\r\n").slice(1, -1);
+}
+
+describe("ExportLogsUseCase (csv)", () => {
+  test("prefija con ' los textos que empiezan por =, +, -, @, tabulador o retorno de carro", async () => {
+    const users = ["=HYPERLINK(\"x\")", "+1", "-2", "@SUM(A1)", "\t=1+1", "\r=1+1", "ana"];
+
+    const lines = await exportCsv(users.map((user) => ({ code: 1, user, date: new Date("2025-01-15T10:00:00Z") })));
+
+    const fields = lines.map((line) => line.split(";")[2]);
+    assert.deepEqual(fields.slice(1, 5), ["'+1", "'-2", "'@SUM(A1)", "'\t=1+1"]);
+    assert.equal(fields[6], "ana");
+    // Con comillas o salto de línea el campo va entre comillas (y la ' dentro)
+    assert.match(lines[0], /;"'=HYPERLINK\(""x""\)";/);
+    assert.match(lines[5], /;"'\r=1\+1";/);
+  });
+
+  test("los números no se tocan aunque sean negativos", async () => {
+    const [line] = await exportCsv([{ code: -5, user: "ana", date: new Date("2025-01-15T10:00:00Z") }]);
+
+    assert.equal(line.split(";")[1], "-5");
+  });
+});
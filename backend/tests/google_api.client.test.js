@@ -0,0 +1,197 @@
+// backend/tests/google_api.client.test.js
+// Reintentos y errores de GoogleApiClient contra un servidor HTTP local.
+
+import { test, describe, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GoogleApiClient } from "../src/infrastructure/web/middlewares/google_api.client.js";
+import { GoogleApiError } from "../src/domain/errors/google_api.error.js";
+import { startFakeServer } from "./helpers/fake_http_server.js";
+
+const auth = { getAccessToken: async () => ({ token: "token-de-prueba" }) };
+
+// Sin esperas reales: se anotan los retrasos que se habrían aplicado
+const RETRY_POLICY = { maxRetries: 3, baseDelayMs: 10, maxDelayMs: 40, maxRetryAfterMs: 10000 };
+
+const googleError = (status, reason, message = "fallo") => ({
+  status,
+  body: { error: { code: status, message, errors: [{ reason }] } },
+});
+
+describe("GoogleApiClient", () => {
+  let server;
+  let delays;
+  let client;
+
+  before(async () => {
+    server = await startFakeServer();
+    mock.method(console, "warn", () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    delays = [];
+    client = new GoogleApiClient(auth, RETRY_POLICY, {
+      sleep: async (ms) => { delays.push(ms); },
+    });
+  });
+
+  test("envía el access token y devuelve el JSON", async () => {
+    server.reply({ body: { id: "1" } });
+
+    assert.deepEqual(await client.request(`${server.url}/files`), { id: "1" });
+    assert.equal(server.requests[0].headers.authorization, "Bearer token-de-prueba");
+  });
+
+  test("429 con Retry-After en segundos: espera lo indicado y reintenta", async () => {
+    server.reply({ status: 429, headers: { "Retry-After": "3" }, body: "" }, { body: { ok: true } });
+
+    assert.deepEqual(await client.request(`${server.url}/files`), { ok: true });
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(delays, [3000]);
+  });
+
+  test("429 con Retry-After como fecha HTTP: espera hasta esa fecha", async () => {
+    const date = new Date(Date.now() + 5000).toUTCString();
+    server.reply({ status: 429, headers: { "Retry-After": date }, body: "" }, { body: { ok: true } });
+
+    await client.request(`${server.url}/files`);
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] >= 4000 && delays[0] <= 6000, `retraso ${delays[0]}`);
+  });
+
+  test("Retry-After mayor que maxRetryAfterMs: falla sin reintentar", async () => {
+    server.reply({ status: 429, headers: { "Retry-After": "60" }, body: "" });
+
+    await assert.rejects(client.request(`${server.url}/files`), (error) => {
+      assert.ok(error instanceof GoogleApiError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 60);
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  test("403 userRateLimitExceeded se reintenta (también en POST)", async () => {
+    server.reply(googleError(403, "userRateLimitExceeded"), { body: { id: "nuevo" } });
+
+    const data = await client.request(`${server.url}/files`, { method: "POST", body: "{}" });
+    assert.deepEqual(data, { id: "nuevo" });
+    assert.equal(server.requests.length, 2);
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] >= 0 && delays[0] <= RETRY_POLICY.baseDelayMs);
+  });
+
+  test("403 sin límite de uso no se reintenta", async () => {
+    server.reply(googleError(403, "insufficientFilePermissions", "Sin permiso"));
+
+    await assert.rejects(client.request(`${server.url}/files/1`), (error) => {
+      assert.equal(error.status, 403);
+      assert.equal(error.code, 403);
+      assert.equal(error.reason, "insufficientFilePermissions");
+      assert.equal(error.message, "Sin permiso");
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("5xx en GET se reintenta", async () => {
+    server.reply(googleError(503, "backendError"), googleError(500, "backendError"), { body: { ok: true } });
+
+    assert.deepEqual(await client.request(`${server.url}/files`), { ok: true });
+    assert.equal(server.requests.length, 3);
+    assert.equal(delays.length, 2);
+  });
+
+  test("5xx en POST sin idempotent no se reintenta", async () => {
+    server.reply(googleError(503, "backendError"));
+
+    await assert.rejects(client.request(`${server.url}/files`, { method: "POST", body: "{}" }), (error) => {
+      assert.equal(error.status, 503);
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("5xx en POST con idempotent: true se reintenta", async () => {
+    server.reply(googleError(503, "backendError"), { body: { ok: true } });
+
+    await client.request(`${server.url}/files`, { method: "POST", body: "{}", idempotent: true });
+    assert.equal(server.requests.length, 2);
+  });
+
+  test("fallo de red: se reintenta en GET y da 502 networkError en POST", async () => {
+    const dropConnection = (req) => req.socket.destroy();
+
+    server.reply(dropConnection, { body: { ok: true } });
+    assert.deepEqual(await client.request(`${server.url}/files`), { ok: true });
+    assert.equal(delays.length, 1);
+
+    server.reply(dropConnection);
+    await assert.rejects(client.request(`${server.url}/files`, { method: "POST", body: "{}" }), (error) => {
+      assert.ok(error instanceof GoogleApiError);
+      assert.equal(error.status, 502);
+      assert.equal(error.reason, "networkError");
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+  });
+
+  test("se agotan los reintentos: lanza el último error con los intentos hechos", async () => {
+    const failures = Array.from({ length: RETRY_POLICY.maxRetries + 1 }, () => googleError(429, "rateLimitExceeded"));
+    server.reply(...failures);
+
+    await assert.rejects(client.request(`${server.url}/files`), (error) => {
+      assert.equal(error.status, 429);
+      assert.equal(error.reason, "rateLimitExceeded");
+      assert.equal(error.attempts, RETRY_POLICY.maxRetries + 1);
+      return true;
+    });
+    assert.equal(server.requests.length, RETRY_POLICY.maxRetries + 1);
+    assert.equal(delays.length, RETRY_POLICY.maxRetries);
+    for (const [index, delay] of delays.entries()) {
+      assert.ok(delay <= Math.min(RETRY_POLICY.baseDelayMs * 2 ** index, RETRY_POLICY.maxDelayMs));
+    }
+  });
+
+  test("cuerpo no JSON: el mensaje es el texto y no hay reason", async () => {
+    server.reply({ status: 404, headers: { "Content-Type": "text/html" }, body: "<h1>Not Found</h1>" });
+
+    await assert.rejects(client.request(`${server.url}/files/x`), (error) => {
+      assert.equal(error.status, 404);
+      assert.equal(error.reason, null);
+      assert.equal(error.message, "<h1>Not Found</h1>");
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+  });
+
+  test("error.status de Google se usa como reason si no hay errors[]", async () => {
+    server.reply({ status: 400, body: { error: { code: 400, message: "Mal", status: "INVALID_ARGUMENT" } } });
+
+    await assert.rejects(client.request(`${server.url}/files`), { status: 400, reason: "INVALID_ARGUMENT", message: "Mal" });
+  });
+
+  test("un 308 incluido en acceptStatuses se devuelve sin error", async () => {
+    server.reply({ status: 308, headers: { Range: "bytes=0-99" }, body: "" });
+
+    const response = await client.fetch(`${server.url}/upload`, { method: "PUT", acceptStatuses: [308] });
+    assert.equal(response.status, 308);
+    assert.equal(response.headers.get("range"), "bytes=0-99");
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("un 308 fuera de acceptStatuses es un error", async () => {
+    server.reply({ status: 308, body: "" });
+
+    await assert.rejects(client.fetch(`${server.url}/upload`, { method: "PUT" }), { status: 308 });
+  });
+});
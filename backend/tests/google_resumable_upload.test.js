@@ -0,0 +1,161 @@
+// backend/tests/google_resumable_upload.test.js
+// Subidas resumables de Drive contra una sesión simulada en un servidor local:
+// trozos con Content-Range, reanudación con 308 + Range y sesiones caducadas.
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { GoogleApiClient } from "../src/infrastructure/web/middlewares/google_api.client.js";
+import { resumableUpload } from "../src/infrastructure/web/middlewares/google_resumable_upload.js";
+import { GoogleApiError } from "../src/domain/errors/google_api.error.js";
+import { startFakeServer } from "./helpers/fake_http_server.js";
+
+const auth = { getAccessToken: async () => ({ token: "token-de-prueba" }) };
+const RETRY_POLICY = { maxRetries: 3, baseDelayMs: 10, maxDelayMs: 40, maxRetryAfterMs: 10000 };
+
+// Trozos de 10 bytes: el contenido de 25 bytes se sube en 3 PUT (10 + 10 + 5)
+const CHUNK_SIZE = 10;
+const CONTENT = "abcdefghijklmnopqrstuvwxy";
+
+describe("resumableUpload", () => {
+  let server;
+  let drive;
+  let delays;
+  let client;
+
+  before(async () => {
+    // Sesión de subida de Drive: guarda lo recibido y responde 308 con Range
+    // hasta tener el total. `drive.faults` fuerza fallos en los siguientes PUT.
+    server = await startFakeServer((req, res, body) => {
+      const reply = (status, headers = {}, data = "") => res.writeHead(status, headers).end(data);
+      const range = () => (drive.received.length ? { Range: `bytes=0-${drive.received.length - 1}` } : {});
+
+      if (req.method === "POST") return reply(200, { Location: `${server.url}/sesion` });
+
+      const [, start, , total] = req.headers["content-range"].match(/^bytes (\*|\d+)-?(\d+)?\/(\*|\d+)$/);
+      const fault = start === "*" ? drive.statusFaults.shift() : drive.faults.shift();
+      if (fault === "caducada") return reply(404);
+      if (fault === "503") return reply(503);
+      if (fault === "400") return reply(400, { "Content-Type": "application/json" }, JSON.stringify({ error: { code: 400, message: "mal" } }));
+
+      if (start !== "*") {
+        assert.equal(Number(start), drive.received.length, "Drive recibe los bytes en orden");
+        drive.received += fault === "parcial" ? body.slice(0, body.length / 2) : body;
+        // Drive guarda el trozo pero la respuesta no llega al cliente
+        if (fault === "respuesta perdida") return req.socket.destroy();
+      }
+
+      if (total !== "*" && drive.received.length === Number(total)) {
+        return reply(200, { "Content-Type": "application/json" }, JSON.stringify({ id: "archivo-1", size: total }));
+      }
+      return reply(308, range());
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+    server.requests.length = 0;
+    drive = { received: "", faults: [], statusFaults: [] };
+    delays = [];
+    client = new GoogleApiClient(auth, RETRY_POLICY, { sleep: async (ms) => { delays.push(ms); } });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const upload = (body = Readable.from([Buffer.from(CONTENT)])) => ({
+    body,
+    result: resumableUpload(client, {
+      method: "POST",
+      url: `${server.url}/upload`,
+      resource: { name: "plano.pdf" },
+      media: { mimeType: "application/pdf", body },
+      chunkSize: CHUNK_SIZE,
+    }),
+  });
+
+  const contentRanges = () => server.requests.filter((req) => req.method === "PUT").map((req) => req.headers["content-range"]);
+
+  test("abre la sesión y envía el contenido en trozos; el último lleva el total", async () => {
+    const { body, result } = upload();
+
+    assert.deepEqual((await result).data, { id: "archivo-1", size: "25" });
+    assert.equal(drive.received, CONTENT);
+    assert.equal(server.requests[0].headers["x-upload-content-type"], "application/pdf");
+    assert.deepEqual(JSON.parse(server.requests[0].body), { name: "plano.pdf" });
+    assert.deepEqual(contentRanges(), ["bytes 0-9/*", "bytes 10-19/*", "bytes 20-24/25"]);
+    assert.equal(body.destroyed, true);
+  });
+
+  test("si Drive guarda solo parte de un trozo (308 + Range), reenvía el resto sin esperar", async () => {
+    drive.faults.push(undefined, "parcial");
+
+    await upload().result;
+
+    assert.equal(drive.received, CONTENT);
+    assert.deepEqual(contentRanges(), ["bytes 0-9/*", "bytes 10-19/*", "bytes 15-19/*", "bytes 20-24/25"]);
+    assert.deepEqual(delays, []);
+  });
+
+  test("ante un 503 pregunta a Drive cuánto tiene y continúa desde ahí", async () => {
+    drive.faults.push(undefined, "503");
+
+    await upload().result;
+
+    assert.equal(drive.received, CONTENT);
+    assert.deepEqual(contentRanges(), ["bytes 0-9/*", "bytes 10-19/*", "bytes */*", "bytes 10-19/*", "bytes 20-24/25"]);
+    assert.equal(delays.length, 1);
+  });
+
+  test("si se pierde la respuesta de un trozo ya guardado, no lo reenvía", async () => {
+    drive.faults.push("respuesta perdida");
+
+    await upload().result;
+
+    assert.equal(drive.received, CONTENT);
+    assert.deepEqual(contentRanges(), ["bytes 0-9/*", "bytes */*", "bytes 10-19/*", "bytes 20-24/25"]);
+  });
+
+  test("si se pierde la respuesta del último trozo, la consulta de estado devuelve el archivo", async () => {
+    drive.faults.push(undefined, undefined, "respuesta perdida");
+
+    assert.equal((await upload().result).data.id, "archivo-1");
+    assert.deepEqual(contentRanges().slice(-2), ["bytes 20-24/25", "bytes */25"]);
+  });
+
+  test("una sesión caducada falla con uploadSessionExpired y cierra el origen", async () => {
+    drive.faults.push(undefined, "503");
+    drive.statusFaults.push("caducada");
+    const { body, result } = upload();
+
+    await assert.rejects(result, (error) => {
+      assert.ok(error instanceof GoogleApiError);
+      assert.equal(error.status, 404);
+      assert.equal(error.reason, "uploadSessionExpired");
+      return true;
+    });
+    assert.equal(body.destroyed, true);
+  });
+
+  test("un 4xx que no es de límite de uso no se reintenta", async () => {
+    drive.faults.push("400");
+
+    await assert.rejects(upload().result, { status: 400 });
+    assert.deepEqual(contentRanges(), ["bytes 0-9/*"]);
+    assert.deepEqual(delays, []);
+  });
+
+  test("agotados los reintentos, devuelve el último error con los intentos hechos", async () => {
+    drive.faults.push("503", "503", "503", "503");
+
+    await assert.rejects(upload().result, { status: 503, attempts: 4 });
+    assert.equal(delays.length, 3);
+  });
+
+  test("acepta un Buffer como cuerpo", async () => {
+    await upload(Buffer.from(CONTENT)).result;
+
+    assert.equal(drive.received, CONTENT);
+  });
+});
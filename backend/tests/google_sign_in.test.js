@@ -0,0 +1,229 @@
+// backend/tests/google_sign_in.test.js
+// "Iniciar sesión con Google" de extremo a extremo: GoogleIdTokenVerifier
+// contra un JWKS servido en local y LoginUseCase con repositorios en memoria.
+
+import { test, describe, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { GoogleIdTokenVerifier } from "../src/infrastructure/security/google_id_token.verifier.js";
+import { LoginUseCase } from "../src/application/use_cases/login.usecase.js";
+import { startFakeServer } from "./helpers/fake_http_server.js";
+
+const CLIENT_ID = "cliente-de-prueba.apps.googleusercontent.com";
+const ISSUER = "https://emisor-de-prueba.local";
+const KID = "clave-1";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" }] };
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Firma un ID token RS256 con la clave del JWKS local. Los claims por
+ * defecto son válidos; cada test cambia solo lo que quiere romper.
+ */
+function signIdToken(claims = {}, { kid = KID } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: "RS256", typ: "JWT", kid });
+  const payload = base64url({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: "google-sub-ana",
+    email: "Ana@Empresa.com",
+    email_verified: true,
+    iat: now,
+    exp: now + 3600,
+    ...claims,
+  });
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+/** Repositorio de usuarios en memoria (email sin distinguir mayúsculas). */
+function createUserRepository(users) {
+  return {
+    users,
+    async findByGoogleSub(googleSub) {
+      return users.find((user) => user.googleSub === googleSub) ?? null;
+    },
+    async findAllByEmail(email) {
+      return users.filter((user) => user.email?.toLowerCase() === email.toLowerCase()).slice(0, 2);
+    },
+    async updateByCode(code, changes) {
+      const user = users.find((candidate) => candidate.code === code);
+      Object.assign(user, changes);
+      return user;
+    },
+    async resetFailedLogins() {},
+  };
+}
+
+const baseUser = (overrides = {}) => ({
+  _id: `id-${overrides.code ?? 1}`,
+  code: 1,
+  user: "ana",
+  full_name: "Ana Pérez",
+  email: "ana@empresa.com",
+  failedLoginCount: 0,
+  lockedUntil: null,
+  disabled: false,
+  passwordLoginEnabled: true,
+  googleSub: null,
+  ...overrides,
+});
+
+describe("Iniciar sesión con Google", () => {
+  let server;
+  let attempts;
+  let logins;
+
+  const buildLoginUseCase = (users) => {
+    const userRepository = createUserRepository(users);
+    const useCase = new LoginUseCase({
+      userRepository,
+      logRepository: { create: async (log) => { logins.push(log); } },
+      loginAttemptRepository: { create: async (attempt) => { attempts.push(attempt); } },
+      passwordHasher: null,
+      sessionService: { startSession: async (user) => ({ accessToken: `access-${user.code}`, refreshToken: "refresh" }) },
+      permissionService: { resolve: async () => ({ isAdmin: false, roles: [], features: [], permissions: {} }) },
+      mfaService: { isRequiredFor: async () => false },
+      tokenService: null,
+      mfaTokenExpiration: "5m",
+      googleIdTokenVerifier: new GoogleIdTokenVerifier({
+        clientIds: [CLIENT_ID],
+        jwksUrl: `${server.url}/certs`,
+        issuers: [ISSUER],
+      }),
+      lockoutPolicy: null,
+    });
+    return { useCase, userRepository };
+  };
+
+  before(async () => {
+    server = await startFakeServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" });
+      res.end(JSON.stringify(jwks));
+    });
+    mock.method(console, "warn", () => {});
+    mock.method(console, "log", () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    attempts = [];
+    logins = [];
+  });
+
+  test("token válido: encuentra la cuenta por email, la vincula y abre la sesión", async () => {
+    const { useCase, userRepository } = buildLoginUseCase([baseUser()]);
+
+    const result = await useCase.loginWithGoogle(signIdToken(), { ip: "10.0.0.1" });
+
+    assert.equal(result.accessToken, "access-1");
+    assert.equal(result.user.username, "ana");
+    assert.equal(result.user.googleLoginEnabled, true);
+    assert.equal(userRepository.users[0].googleSub, "google-sub-ana");
+    assert.equal(logins.length, 1);
+    assert.equal(server.requests[0].url, "/certs");
+  });
+
+  test("la cuenta vinculada se encuentra por googleSub aunque el email haya cambiado", async () => {
+    const { useCase } = buildLoginUseCase([
+      baseUser({ code: 1, email: "ana.antiguo@empresa.com", googleSub: "google-sub-ana" }),
+      baseUser({ code: 2, user: "otra", email: "ana@empresa.com" }),
+    ]);
+
+    const result = await useCase.loginWithGoogle(signIdToken());
+
+    assert.equal(result.accessToken, "access-1");
+  });
+
+  test("el email coincide pero la cuenta está vinculada a otra cuenta de Google: 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser({ googleSub: "google-sub-otra" })]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken()), { status: 401 });
+    assert.equal(attempts[0].reason, "google_rejected");
+    assert.equal(attempts[0].code, 1);
+  });
+
+  test("ningún usuario con ese email: 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser({ email: "otro@empresa.com" })]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken()), { status: 401 });
+    assert.equal(attempts[0].user, "google:Ana@Empresa.com");
+  });
+
+  test("varios usuarios con el mismo email: 409", async () => {
+    const { useCase } = buildLoginUseCase([baseUser({ code: 1 }), baseUser({ code: 2, user: "ana2" })]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken()), { status: 409 });
+  });
+
+  test("audiencia distinta: 401 sin tocar los usuarios", async () => {
+    const { useCase, userRepository } = buildLoginUseCase([baseUser()]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken({ aud: "otro-cliente" })), { status: 401 });
+    assert.equal(userRepository.users[0].googleSub, null);
+    assert.equal(attempts[0].reason, "google_rejected");
+  });
+
+  test("emisor distinto: 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser()]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken({ iss: "https://accounts.google.com" })), { status: 401 });
+  });
+
+  test("token caducado: 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser()]);
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken({ iat: hourAgo - 3600, exp: hourAgo })), { status: 401 });
+  });
+
+  test("firma que no corresponde a la clave del JWKS: 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser()]);
+    const [header, payload] = signIdToken().split(".");
+    const forged = `${header}.${payload}.${Buffer.from("firma-falsa").toString("base64url")}`;
+
+    await assert.rejects(useCase.loginWithGoogle(forged), { status: 401 });
+  });
+
+  test("kid desconocido: vuelve a descargar el JWKS y rechaza con 401", async () => {
+    const { useCase } = buildLoginUseCase([baseUser()]);
+
+    await useCase.loginWithGoogle(signIdToken());
+    await assert.rejects(useCase.loginWithGoogle(signIdToken({}, { kid: "clave-rotada" })), { status: 401 });
+    assert.equal(server.requests.length, 2);
+  });
+
+  test("email sin verificar: 401", async () => {
+    const { useCase, userRepository } = buildLoginUseCase([baseUser()]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken({ email_verified: false })), {
+      status: 401,
+      message: "El email de la cuenta de Google no está verificado.",
+    });
+    assert.equal(userRepository.users[0].googleSub, null);
+  });
+
+  test("cuenta deshabilitada: 403", async () => {
+    const { useCase } = buildLoginUseCase([baseUser({ disabled: true })]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken()), { status: 403 });
+    assert.equal(logins.length, 0);
+  });
+
+  test("cuenta con el acceso con Google desactivado: 403 y no se vincula", async () => {
+    const { useCase, userRepository } = buildLoginUseCase([baseUser({ googleLoginEnabled: false })]);
+
+    await assert.rejects(useCase.loginWithGoogle(signIdToken()), { status: 403 });
+    assert.equal(userRepository.users[0].googleSub, null);
+    assert.equal(attempts[0].reason, "google_rejected");
+    assert.equal(logins.length, 0);
+  });
+});
@@ -0,0 +1,218 @@
+// backend/tests/helpers/fake_drive_client.js
+// -----------------------------------------------------------------------------
+// Cliente de Drive en memoria con la misma forma que el wrapper de
+// google.middleware.js (files.list/get/create/update, permissions.*), para
+// probar DriveRepository y los casos de uso sin llamar a Google.
+// - files.list entiende las queries (q) que construye DriveRepository:
+//   "'id' in parents", "trashed = false", "name = / contains",
+//   "mimeType = / != / contains", unidas con "and".
+// - Los IDs y createdTime son correlativos, así que "la más antigua" es la
+//   primera creada.
+// - `calls` guarda cada llamada ({ method, params, options }) y
+//   `hooks.<método>` permite intercalar algo antes de que se ejecute (ej: otra
+//   instancia creando una carpeta a la vez).
+// -----------------------------------------------------------------------------
+
+import { createHash } from "node:crypto";
+import { Readable } from "node:stream";
+import { GoogleApiError } from "../../src/domain/errors/google_api.error.js";
+
+export const FOLDER = "application/vnd.google-apps.folder";
+
+/**
+ * @param {Object[]} [files] Archivos iniciales ({ id, name, mimeType, parents, content? ... })
+ * @returns {Object} Cliente con files, permissions, store (Map id → archivo), calls y hooks
+ */
+export function createFakeDriveClient(files = []) {
+  const store = new Map();
+  const permissions = new Map(); // fileId → [{ id, type, role, ... }]
+  const calls = [];
+  const hooks = {};
+  let lastId = 0;
+
+  const add = (file) => {
+    const id = file.id ?? `f${++lastId}`;
+    const stored = {
+      trashed: false,
+      parents: [],
+      mimeType: "application/octet-stream",
+      createdTime: new Date(Date.UTC(2025, 0, 1) + store.size * 1000).toISOString(),
+      ...file,
+      id,
+    };
+    if (stored.content !== undefined) setContent(stored, stored.content);
+    store.set(id, stored);
+    return stored;
+  };
+
+  const setContent = (file, content) => {
+    file.content = Buffer.from(content);
+    file.size = String(file.content.length);
+    file.md5Checksum = createHash("md5").update(file.content).digest("hex");
+  };
+
+  const notFound = (fileId) => new GoogleApiError(`File not found: ${fileId}.`, { status: 404, reason: "notFound" });
+
+  const find = (fileId) => {
+    const file = store.get(fileId);
+    if (!file) throw notFound(fileId);
+    return file;
+  };
+
+  const record = async (method, params, options) => {
+    calls.push({ method, params, options });
+    await hooks[method]?.(params);
+  };
+
+  const metadata = ({ content, ...file }) => ({
+    ...file,
+    webViewLink: `https://drive.google.com/file/d/${file.id}/view`,
+    webContentLink: `https://drive.google.com/uc?id=${file.id}`,
+  });
+
+  for (const file of files) add(file);
+
+  return {
+    store,
+    permissionsOf: (fileId) => permissions.get(fileId) ?? [],
+    calls,
+    hooks,
+    add,
+
+    files: {
+      async list(params) {
+        await record("files.list", params);
+        const matches = [...store.values()].filter(compileQuery(params.q));
+        if (params.orderBy === "createdTime") matches.sort((a, b) => a.createdTime.localeCompare(b.createdTime));
+
+        const start = Number(params.pageToken ?? 0);
+        const end = start + (params.pageSize ?? 100);
+        return {
+          data: {
+            files: matches.slice(start, end).map(metadata),
+            nextPageToken: end < matches.length ? String(end) : undefined,
+          },
+        };
+      },
+
+      async get(params, options = {}) {
+        await record("files.get", params, options);
+        const file = find(params.fileId);
+        if (params.alt !== "media") return { data: metadata(file) };
+        if (options.responseType !== "stream") return { data: file.content };
+
+        // Como Drive: un rango "bytes=inicio-[fin]" se sirve con 206 y Content-Range
+        const total = file.content.length;
+        const range = options.headers?.Range?.match(/^bytes=(\d+)-(\d*)$/);
+        const headers = { "content-type": file.mimeType, "content-length": String(total) };
+        if (!range) return { data: Readable.from([file.content]), status: 200, headers };
+
+        const start = Number(range[1]);
+        const end = Math.min(range[2] ? Number(range[2]) : total - 1, total - 1);
+        return {
+          data: Readable.from([file.content.subarray(start, end + 1)]),
+          status: 206,
+          headers: { ...headers, "content-length": String(end - start + 1), "content-range": `bytes ${start}-${end}/${total}` },
+        };
+      },
+
+      async create(params) {
+        await record("files.create", params);
+        const file = add({ ...params.resource });
+        if (params.media) setContent(file, await readBody(params.media.body));
+        return { data: metadata(file) };
+      },
+
+      async update({ fileId, addParents, removeParents, resource = {}, media, ...params }) {
+        await record("files.update", { fileId, addParents, removeParents, resource, media, ...params });
+        const file = find(fileId);
+        if (removeParents) file.parents = file.parents.filter((parent) => parent !== removeParents);
+        if (addParents) file.parents = [...file.parents, addParents];
+        Object.assign(file, resource);
+        if (media) setContent(file, await readBody(media.body));
+        return { data: metadata(file) };
+      },
+    },
+
+    permissions: {
+      async list(params) {
+        await record("permissions.list", params);
+        find(params.fileId);
+        return { data: { permissions: permissions.get(params.fileId) ?? [] } };
+      },
+
+      async create({ fileId, resource, ...params }) {
+        await record("permissions.create", { fileId, resource, ...params });
+        find(fileId);
+        const list = permissions.get(fileId) ?? [];
+        const permission = { id: `p${list.length + 1}-${fileId}`, ...resource };
+        permissions.set(fileId, [...list, permission]);
+        return { data: permission };
+      },
+
+      async delete(params) {
+        await record("permissions.delete", params);
+        permissions.set(params.fileId, (permissions.get(params.fileId) ?? []).filter((permission) => permission.id !== params.permissionId));
+        return { data: null };
+      },
+    },
+  };
+}
+
+/** Lee el cuerpo de una subida (Buffer o stream). */
+async function readBody(body) {
+  if (Buffer.isBuffer(body)) return body;
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/** Convierte una query (q) de Drive en un filtro de archivos. */
+function compileQuery(q = "") {
+  const value = "'((?:\\\\.|[^'\\\\])*)'";
+  const unescape = (text) => text.replace(/\\(.)/g, "$1");
+  const tests = splitClauses(q).map((clause) => {
+    let match;
+    if ((match = clause.match(new RegExp(`^${value} in parents$`)))) {
+      const parent = unescape(match[1]);
+      return (file) => file.parents.includes(parent);
+    }
+    if (clause === "trashed = false") return (file) => !file.trashed;
+    if ((match = clause.match(new RegExp(`^(name|mimeType) (=|!=|contains) ${value}$`)))) {
+      const [, field, operator, raw] = match;
+      const expected = unescape(raw);
+      if (operator === "=") return (file) => file[field] === expected;
+      if (operator === "!=") return (file) => file[field] !== expected;
+      return (file) => file[field].toLowerCase().includes(expected.toLowerCase());
+    }
+    throw new Error(`Query de Drive no soportada por el fake: ${clause}`);
+  });
+
+  return (file) => tests.every((test) => test(file));
+}
+
+/** Separa las condiciones unidas con " and " (fuera de las comillas). */
+function splitClauses(q) {
+  const clauses = [];
+  let current = "";
+  let quoted = false;
+
+  for (let index = 0; index < q.length; index++) {
+    const char = q[index];
+    if (quoted && char === "\\") {
+      current += char + q[++index];
+      continue;
+    }
+    if (char === "'") quoted = !quoted;
+    if (!quoted && q.startsWith(" and ", index)) {
+      clauses.push(current);
+      current = "";
+      index += 4;
+      continue;
+    }
+    current += char;
+  }
+  clauses.push(current);
+
+  return clauses.map((clause) => clause.trim()).filter(Boolean);
+}
@@ -0,0 +1,59 @@
+// backend/tests/helpers/fake_http_server.js
+// -----------------------------------------------------------------------------
+// Servidor HTTP local para los tests: responde a cada petición con la
+// siguiente respuesta de la cola (o con el handler por defecto) y guarda las
+// peticiones recibidas.
+// -----------------------------------------------------------------------------
+
+import http from "node:http";
+
+/**
+ * Arranca el servidor en un puerto libre de 127.0.0.1.
+ * @param {(req: http.IncomingMessage, res: http.ServerResponse, body: string) => void} [defaultHandler]
+ * @returns {Promise<{url: string, requests: Object[], reply: Function, close: Function}>}
+ */
+export async function startFakeServer(defaultHandler = null) {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const handler = queue.shift() ?? defaultHandler;
+      if (!handler) {
+        res.writeHead(500).end("sin respuesta preparada");
+        return;
+      }
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    /**
+     * Encola respuestas: { status, headers, body } (body objeto → JSON) o un handler.
+     */
+    reply(...responses) {
+      for (const response of responses) {
+        queue.push(typeof response === "function" ? response : (req, res) => {
+          const isJson = response.body !== undefined && typeof response.body !== "string";
+          res.writeHead(response.status ?? 200, {
+            ...(isJson ? { "Content-Type": "application/json" } : {}),
+            ...response.headers,
+          });
+          res.end(isJson ? JSON.stringify(response.body) : response.body ?? "");
+        });
+      }
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// backend/tests/log_dates.test.js
+// Fechas de LOG_USER como instantes UTC: migración de los strings antiguos
+// (cambios de hora incluidos), formato hacia el frontend y filtros from/to.
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { formatLogDate, parseLegacyLogDate, toLogDTO } from "../src/application/dto/log.dto.js";
+import { AdminController } from "../src/infrastructure/web/controllers/admin.controller.js";
+
+describe("migración de fechas string", () => {
+  test("interpreta la hora de Madrid en invierno y en verano", () => {
+    assert.deepEqual(parseLegacyLogDate("2025-01-15 09:00:00"), new Date("2025-01-15T08:00:00Z"));
+    assert.deepEqual(parseLegacyLogDate("2025-07-15 09:00:00"), new Date("2025-07-15T07:00:00Z"));
+  });
+
+  test("la hora repetida de octubre se asigna al primer paso (horario de verano)", () => {
+    assert.deepEqual(parseLegacyLogDate("2025-10-26 01:59:59"), new Date("2025-10-25T23:59:59Z"));
+    assert.deepEqual(parseLegacyLogDate("2025-10-26 02:30:00"), new Date("2025-10-26T00:30:00Z"));
+    assert.deepEqual(parseLegacyLogDate("2025-10-26 03:00:00"), new Date("2025-10-26T02:00:00Z"));
+  });
+
+  test("la hora que no existe en marzo se desplaza una hora hacia delante", () => {
+    const instant = parseLegacyLogDate("2025-03-30 02:30:00");
+
+    assert.deepEqual(instant, new Date("2025-03-30T01:30:00Z"));
+    assert.equal(formatLogDate(instant), "2025-03-30 03:30:00");
+  });
+
+  test("los formatos no reconocidos se dejan sin migrar", () => {
+    assert.equal(parseLegacyLogDate("30/03/2025 10:00"), null);
+    assert.equal(parseLegacyLogDate("2025-02-30 10:00:00"), null);
+  });
+
+  test("ida y vuelta: el texto que ve el frontend no cambia tras migrar", () => {
+    for (const value of ["2025-01-15 09:00:00", "2025-07-15 23:59:59", "2025-10-26 02:30:00"]) {
+      assert.equal(formatLogDate(parseLegacyLogDate(value)), value);
+    }
+  });
+});
+
+describe("toLogDTO", () => {
+  test("envía el texto en la zona del log y el instante ISO", () => {
+    const dto = toLogDTO({ user: "ana", date: new Date("2025-07-15T07:00:00Z") });
+
+    assert.deepEqual(dto, { user: "ana", date: "2025-07-15 09:00:00", timestamp: "2025-07-15T07:00:00.000Z", timezone: "Europe/Madrid" });
+  });
+
+  test("un log aún sin migrar sale tal cual y sin timestamp", () => {
+    const dto = toLogDTO({ user: "ana", date: "2025-07-15 09:00:00" });
+
+    assert.equal(dto.date, "2025-07-15 09:00:00");
+    assert.equal(dto.timestamp, null);
+  });
+});
+
+describe("filtros from/to de GET /api/admin/logs", () => {
+  /** Llama al controlador con una query y devuelve los filtros que llegan al caso de uso. */
+  const filtersFor = async (query) => {
+    let received;
+    let status = 200;
+    let body;
+    const controller = new AdminController({
+      getAllLogsUseCase: { execute: async () => ({}) },
+      getAllLogsFilteredUseCase: { execute: async ({ filters }) => { received = filters; return {}; } },
+    });
+    const res = {
+      status(code) { status = code; return this; },
+      json(data) { body = data; return this; },
+    };
+
+    await controller.getLogs({ query }, res, (error) => { throw error; });
+    return { filters: received, status, body };
+  };
+
+  test("sin zona, en hora de Madrid; un 'to' de solo día incluye el día completo", async () => {
+    const { filters } = await filtersFor({ from: "2025-03-30", to: "2025-03-30" });
+
+    assert.deepEqual(filters.from, new Date("2025-03-29T23:00:00.000Z"));
+    assert.deepEqual(filters.to, new Date("2025-03-30T21:59:59.999Z"));
+  });
+
+  test("con hora y con zona explícita", async () => {
+    const { filters } = await filtersFor({ from: "2025-07-15T08:00", to: "2025-07-15T08:00:00Z" });
+
+    assert.deepEqual(filters.from, new Date("2025-07-15T06:00:00Z"));
+    assert.deepEqual(filters.to, new Date("2025-07-15T08:00:00Z"));
+  });
+
+  test("una fecha no ISO: 400", async () => {
+    const { filters, status, body } = await filtersFor({ from: "30/03/2025" });
+
+    assert.equal(filters, undefined);
+    assert.equal(status, 400);
+    assert.match(body.message, /"from" debe ser una fecha ISO/);
+  });
+});
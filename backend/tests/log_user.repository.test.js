@@ -0,0 +1,66 @@
+// backend/tests/log_user.repository.test.js
+// Consultas que LogRepository envía a Mongo para listar y exportar logs
+// (sin base de datos: se sustituye LogModel.find/countDocuments).
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { LogModel } from "../src/infrastructure/database/models/log.model.js";
+import { LogRepository } from "../src/infrastructure/database/repositories/log_user.repository.js";
+
+const LOGIN_MATCH = { action: { $in: ["login", null] } };
+
+describe("LogRepository: logins por defecto", () => {
+  const repository = new LogRepository();
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      lean: () => chain,
+      cursor: () => chain,
+      then: (resolve) => resolve([]),
+    };
+    mock.method(LogModel, "find", (query) => { queries.push(query); return chain; });
+    mock.method(LogModel, "countDocuments", async () => 0);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test("el listado sin filtros solo devuelve logins", async () => {
+    await repository.findAllPaginated({ page: 1, limit: 20 });
+
+    assert.deepEqual(queries, [LOGIN_MATCH]);
+    assert.deepEqual(LogModel.countDocuments.mock.calls[0].arguments, [LOGIN_MATCH]);
+  });
+
+  test("los filtros de usuario o fechas mantienen el límite a logins", async () => {
+    await repository.findAllFilteredPaginated({ filters: { user: "ana", code: 1 } });
+
+    assert.deepEqual(queries[0], { ...LOGIN_MATCH, user: { $regex: "ana", $options: "i" }, code: 1 });
+  });
+
+  test("con action, module o resourceId se lista la actividad pedida", async () => {
+    await repository.findAllFilteredPaginated({ filters: { module: "google" } });
+    await repository.findAllFilteredPaginated({ filters: { action: "drive.upload_pdf" } });
+    await repository.findAllFilteredPaginated({ filters: { resourceId: "file-1" } });
+
+    assert.deepEqual(queries, [
+      { module: "google" },
+      { action: "drive.upload_pdf" },
+      { "resource.id": "file-1" },
+    ]);
+  });
+
+  test("la exportación aplica el mismo criterio", () => {
+    repository.findAllFilteredCursor({ email: "empresa.com" });
+    repository.findAllFilteredCursor({ module: "calendar", outcome: "failure" });
+
+    assert.deepEqual(queries, [
+      { ...LOGIN_MATCH, email: { $regex: "empresa.com", $options: "i" } },
+      { module: "calendar", outcome: "failure" },
+    ]);
+  });
+});
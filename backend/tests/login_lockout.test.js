@@ -0,0 +1,149 @@
+// backend/tests/login_lockout.test.js
+// Bloqueo progresivo por cuenta tras varios fallos de login y auditoría de
+// cada intento fallido (LoginUseCase con repositorios en memoria).
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { LoginUseCase } from "../src/application/use_cases/login.usecase.js";
+
+const MINUTE_MS = 60 * 1000;
+const LOCKOUT_POLICY = { maxAttempts: 3, baseLockMinutes: 5, maxLockMinutes: 15 };
+const CONTEXT = { ip: "10.0.0.1", userAgent: "test" };
+
+const baseUser = (overrides = {}) => ({
+  _id: `id-${overrides.code ?? 1}`,
+  code: 1,
+  user: "ana",
+  full_name: "Ana Pérez",
+  email: "ana@empresa.com",
+  password: "secreta",
+  failedLoginCount: 0,
+  lockedUntil: null,
+  ...overrides,
+});
+
+/** Repositorio de usuarios en memoria con el mismo contrato que el de Mongo. */
+function createUserRepository(users) {
+  const byId = (id) => users.find((user) => user._id === id);
+  return {
+    users,
+    findByUsername: async (username) => users.find((user) => user.user === username) ?? null,
+    registerFailedLogin: async (id) => {
+      const user = byId(id);
+      user.failedLoginCount += 1;
+      return { ...user };
+    },
+    updateById: async (id, changes) => Object.assign(byId(id), changes),
+    resetFailedLogins: async ({ _id }) => Object.assign(byId(_id), { failedLoginCount: 0, lockedUntil: null }),
+  };
+}
+
+/** Repositorio de intentos fallidos en memoria. */
+function createLoginAttemptRepository() {
+  const attempts = [];
+  return {
+    attempts,
+    create: async (attempt) => { attempts.push({ ...attempt, date: new Date() }); },
+    getFailureStatsSince: async (user, since) => {
+      const dates = attempts.filter((attempt) => attempt.user === user && attempt.date >= since).map((attempt) => attempt.date);
+      return { count: dates.length, lastAt: dates.length ? new Date(Math.max(...dates)) : null };
+    },
+  };
+}
+
+/** Comprueba el 429 y que Retry-After corresponde a un bloqueo de `minutes` minutos. */
+const assertRetryAfter = (error, minutes) => {
+  assert.equal(error.status, 429);
+  assert.ok(error.details.retryAfter > minutes * 60 - 5 && error.details.retryAfter <= minutes * 60, `retryAfter ${error.details.retryAfter}`);
+  return true;
+};
+
+describe("LoginUseCase: bloqueo tras fallos", () => {
+  let userRepository;
+  let loginAttemptRepository;
+  let useCase;
+
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+    userRepository = createUserRepository([baseUser(), baseUser({ code: 2, user: "luis", password: "otra" })]);
+    loginAttemptRepository = createLoginAttemptRepository();
+    useCase = new LoginUseCase({
+      userRepository,
+      logRepository: { create: async () => {} },
+      loginAttemptRepository,
+      passwordHasher: {
+        verify: async (password, stored) => password === stored,
+        hash: async (password) => `hash:${password}`,
+        needsRehash: () => false,
+      },
+      sessionService: { startSession: async (user) => ({ token: `token-${user.code}`, refreshToken: "r", expiresIn: "8h" }) },
+      permissionService: { resolve: async () => ({ isAdmin: false, roles: [], features: [], permissions: {} }) },
+      mfaService: { isRequiredFor: async () => false },
+      lockoutPolicy: LOCKOUT_POLICY,
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const failTimes = async (username, times) => {
+    for (let index = 0; index < times; index++) {
+      await assert.rejects(useCase.login(username, "mal", CONTEXT), { status: 401 });
+    }
+  };
+
+  test("al llegar al umbral bloquea la cuenta aunque después acierte la contraseña", async () => {
+    await failTimes("ana", LOCKOUT_POLICY.maxAttempts);
+
+    await assert.rejects(useCase.login("ana", "secreta", CONTEXT), (error) => assertRetryAfter(error, LOCKOUT_POLICY.baseLockMinutes));
+    assert.deepEqual(loginAttemptRepository.attempts.map(({ user, code, reason, ip }) => ({ user, code, reason, ip })), [
+      ...Array(LOCKOUT_POLICY.maxAttempts).fill({ user: "ana", code: 1, reason: "bad_password", ip: "10.0.0.1" }),
+      { user: "ana", code: 1, reason: "locked", ip: "10.0.0.1" },
+    ]);
+  });
+
+  test("cada fallo extra duplica el bloqueo hasta el máximo", async () => {
+    const ana = userRepository.users[0];
+    const expired = new Date(Date.now() - MINUTE_MS);
+
+    Object.assign(ana, { failedLoginCount: LOCKOUT_POLICY.maxAttempts, lockedUntil: expired });
+    await failTimes("ana", 1);
+    assert.ok(ana.lockedUntil - Date.now() > 9 * MINUTE_MS && ana.lockedUntil - Date.now() <= 10 * MINUTE_MS);
+
+    Object.assign(ana, { failedLoginCount: LOCKOUT_POLICY.maxAttempts + 5, lockedUntil: expired });
+    await failTimes("ana", 1);
+    assert.ok(ana.lockedUntil - Date.now() > 14 * MINUTE_MS && ana.lockedUntil - Date.now() <= LOCKOUT_POLICY.maxLockMinutes * MINUTE_MS);
+  });
+
+  test("el bloqueo es por cuenta: las demás siguen entrando", async () => {
+    await failTimes("ana", LOCKOUT_POLICY.maxAttempts);
+
+    const result = await useCase.login("luis", "otra", CONTEXT);
+    assert.equal(result.token, "token-2");
+  });
+
+  test("un acierto antes del umbral pone el contador a cero", async () => {
+    await failTimes("ana", LOCKOUT_POLICY.maxAttempts - 1);
+    await useCase.login("ana", "secreta", CONTEXT);
+    assert.equal(userRepository.users[0].failedLoginCount, 0);
+
+    await failTimes("ana", LOCKOUT_POLICY.maxAttempts - 1);
+    assert.equal((await useCase.login("ana", "secreta", CONTEXT)).token, "token-1");
+  });
+
+  test("un username inexistente responde igual y también se bloquea", async () => {
+    await failTimes("nadie", LOCKOUT_POLICY.maxAttempts);
+
+    await assert.rejects(useCase.login("nadie", "mal", CONTEXT), (error) => assertRetryAfter(error, LOCKOUT_POLICY.baseLockMinutes));
+    assert.deepEqual(loginAttemptRepository.attempts.map(({ reason, code }) => [reason, code]), [
+      ...Array(LOCKOUT_POLICY.maxAttempts).fill(["user_not_found", null]),
+      ["locked", null],
+    ]);
+  });
+
+  test("si falla la auditoría, la respuesta no cambia", async () => {
+    mock.method(console, "error", () => {});
+    loginAttemptRepository.create = async () => { throw new Error("Mongo caído"); };
+
+    await assert.rejects(useCase.login("ana", "mal", CONTEXT), { status: 401, message: "Usuario o contraseña incorrectos." });
+  });
+});
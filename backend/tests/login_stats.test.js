@@ -0,0 +1,84 @@
+// backend/tests/login_stats.test.js
+// Estadísticas de logins (admin): rango en hora de Madrid, series completas
+// por día y por hora, y usuarios que nunca han entrado.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { GetLoginStatsUseCase } from "../src/application/use_cases/get_login_stats.usecase.js";
+import { LOG_TIMEZONE } from "../src/domain/entities/log.entity.js";
+
+const EMPTY_STATS = { totalLogins: 0, activeUsers: 0, byUser: [], byDay: [], byHour: [] };
+
+describe("GetLoginStatsUseCase", () => {
+  let calls;
+  let stats;
+  let lastLogins;
+  let useCase;
+
+  beforeEach(() => {
+    calls = [];
+    stats = EMPTY_STATS;
+    lastLogins = [];
+    useCase = new GetLoginStatsUseCase({
+      getLoginStats: async (params) => { calls.push(params); return stats; },
+      getLastLoginPerUser: async () => lastLogins,
+    });
+  });
+
+  test("los días del rango son días de Madrid, también el del cambio de hora", async () => {
+    const result = await useCase.execute({ from: "2026-03-29", to: "2026-03-29" });
+
+    assert.deepEqual(result.range, { from: "2026-03-29", to: "2026-03-29" });
+    assert.deepEqual(calls, [{
+      from: new Date("2026-03-28T23:00:00.000Z"),
+      to: new Date("2026-03-29T21:59:59.999Z"),
+      timezone: LOG_TIMEZONE,
+    }]);
+  });
+
+  test("completa con ceros los días y horas sin logins y formatea las fechas", async () => {
+    stats = {
+      totalLogins: 3,
+      activeUsers: 2,
+      byUser: [{ code: 1, user: "ana", fullName: "Ana", logins: 2, lastLogin: new Date("2026-07-02T06:30:00Z") }],
+      byDay: [{ day: "2026-07-02", logins: 3, activeUsers: 2 }],
+      byHour: [{ hour: 8, logins: 3 }],
+    };
+    lastLogins = [
+      { code: 1, user: "ana", lastLogin: new Date("2026-07-02T06:30:00Z") },
+      { code: 2, user: "luis", lastLogin: null },
+    ];
+
+    const result = await useCase.execute({ from: "2026-07-01", to: "2026-07-03" });
+
+    assert.equal(result.byUser[0].lastLogin, "2026-07-02 08:30:00");
+    assert.deepEqual(result.byDay, [
+      { day: "2026-07-01", logins: 0, activeUsers: 0 },
+      { day: "2026-07-02", logins: 3, activeUsers: 2 },
+      { day: "2026-07-03", logins: 0, activeUsers: 0 },
+    ]);
+    assert.equal(result.byHour.length, 24);
+    assert.deepEqual(result.byHour[8], { hour: 8, logins: 3 });
+    assert.equal(result.byHour.reduce((sum, { logins }) => sum + logins, 0), 3);
+    assert.deepEqual(result.lastLoginPerUser, [{ code: 1, user: "ana", lastLogin: "2026-07-02 08:30:00" }]);
+    assert.deepEqual(result.neverLoggedIn, [{ code: 2, user: "luis" }]);
+  });
+
+  test("sin fechas, los últimos 30 días hasta hoy", async () => {
+    const today = DateTime.now().setZone(LOG_TIMEZONE);
+
+    const result = await useCase.execute();
+
+    assert.equal(result.range.to, today.toFormat("yyyy-MM-dd"));
+    assert.equal(result.range.from, today.minus({ days: 29 }).toFormat("yyyy-MM-dd"));
+    assert.equal(result.byDay.length, 30);
+  });
+
+  test("fechas mal formadas, invertidas o un rango de más de un año: 400", async () => {
+    await assert.rejects(useCase.execute({ from: "01/07/2026" }), { status: 400 });
+    await assert.rejects(useCase.execute({ from: "2026-07-03", to: "2026-07-01" }), { status: 400 });
+    await assert.rejects(useCase.execute({ from: "2025-01-01", to: "2026-01-02" }), { status: 400 });
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,222 @@
+// backend/tests/mfa.test.js
+// Verificación en dos pasos: códigos TOTP (RFC 6238), token "mfa pending" y
+// login completo con LoginUseCase + MfaService reales sobre repositorios en memoria.
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import { TotpService } from "../src/infrastructure/security/totp.service.js";
+import { SecretCipher } from "../src/infrastructure/security/secret.cipher.js";
+import { TokenService } from "../src/infrastructure/security/token.service.js";
+import { MfaService } from "../src/application/services/mfa.service.js";
+import { LoginUseCase } from "../src/application/use_cases/login.usecase.js";
+
+// Vector de prueba de la RFC 6238 (SHA1): secreto ASCII "12345678901234567890"
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const PERIOD_MS = 30 * 1000;
+
+const totpService = new TotpService({ issuer: "GIMAR" });
+
+/** Código TOTP de 6 dígitos para un instante: lo que mostraría la app autenticadora. */
+function codeAt(secret, now = Date.now()) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  const bits = [...secret].map((char) => alphabet.indexOf(char).toString(2).padStart(5, "0")).join("");
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / PERIOD_MS)));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0x0f) & 0x7fffffff;
+  return String(binary % 1e6).padStart(6, "0");
+}
+
+describe("TotpService", () => {
+  test("cumple los vectores de la RFC 6238", () => {
+    const rfc = new TotpService({ issuer: "GIMAR", digits: 8 });
+
+    assert.equal(rfc.verify(RFC_SECRET, "94287082", -1, 59 * 1000), 1);
+    assert.equal(rfc.verify(RFC_SECRET, "07081804", -1, 1111111109 * 1000), 37037036);
+    assert.equal(rfc.verify(RFC_SECRET, "14050471", -1, 1111111111 * 1000), 37037037);
+  });
+
+  test("admite un periodo de desfase y rechaza los más lejanos", () => {
+    const now = Date.now();
+    const code = codeAt(RFC_SECRET, now);
+
+    assert.notEqual(totpService.verify(RFC_SECRET, code, -1, now + PERIOD_MS), null);
+    assert.equal(totpService.verify(RFC_SECRET, code, -1, now + 3 * PERIOD_MS), null);
+  });
+
+  test("no acepta un código de un periodo ya usado ni formatos raros", () => {
+    const now = Date.now();
+    const code = codeAt(RFC_SECRET, now);
+    const step = totpService.verify(RFC_SECRET, code, -1, now);
+
+    assert.equal(totpService.verify(RFC_SECRET, code, step, now), null);
+    assert.equal(totpService.verify(RFC_SECRET, "12 345", -1, now), null);
+    assert.equal(totpService.verify(RFC_SECRET, undefined, -1, now), null);
+  });
+});
+
+describe("token mfa pending", () => {
+  const tokenService = new TokenService({ secret: "secreto-test", accessExpiration: "8h", mfaExpiration: "5m" });
+
+  afterEach(() => mock.restoreAll());
+
+  test("caduca a los 5 minutos", () => {
+    const token = tokenService.signMfaToken({ code: 1, user: "ana", enroll: false });
+    assert.equal(tokenService.verifyMfaToken(token).code, 1);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 5 * 60 * 1000 + 1000);
+    assert.throws(() => tokenService.verifyMfaToken(token), jwt.TokenExpiredError);
+  });
+
+  test("no sirve como access token, ni un access token como mfa pending", () => {
+    const mfaToken = tokenService.signMfaToken({ code: 1, user: "ana", enroll: false });
+    const accessToken = tokenService.signAccessToken({ code: 1, user: "ana", sid: "s1" });
+
+    assert.throws(() => tokenService.verifyAccessToken(mfaToken), /segundo factor/);
+    assert.throws(() => tokenService.verifyMfaToken(accessToken), /no es de segundo factor/);
+  });
+});
+
+/** Aplica un update de Mongo simple ({ "a.b": v }, { $unset }) a un objeto. */
+function applyUpdate(target, changes) {
+  for (const [path, value] of Object.entries(changes)) {
+    if (path === "$unset") {
+      for (const key of Object.keys(value)) delete target[key];
+      continue;
+    }
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] ??= {}), target);
+    parent[last] = value;
+  }
+  return target;
+}
+
+describe("login con verificación en dos pasos", () => {
+  const CONTEXT = { ip: "10.0.0.1", userAgent: "test" };
+  let users;
+  let policy;
+  let useCase;
+
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+    users = [{ _id: "id-1", code: 1, user: "ana", full_name: "Ana", email: "ana@empresa.com", password: "secreta", failedLoginCount: 0 }];
+    policy = null;
+
+    const findByCode = async (code) => structuredClone(users.find((user) => user.code === code) ?? null);
+    const userRepository = {
+      findByUsername: async (username) => structuredClone(users.find((user) => user.user === username) ?? null),
+      findByCode,
+      updateByCode: async (code, changes) => applyUpdate(users.find((user) => user.code === code), changes),
+      updateById: async (id, changes) => applyUpdate(users.find((user) => user._id === id), changes),
+      registerFailedLogin: async (id) => {
+        const user = users.find((candidate) => candidate._id === id);
+        user.failedLoginCount += 1;
+        return { ...user };
+      },
+      resetFailedLogins: async ({ _id }) => applyUpdate(users.find((user) => user._id === _id), { failedLoginCount: 0, lockedUntil: null }),
+      advanceMfaStep: async (code, step) => {
+        const { mfa } = users.find((user) => user.code === code);
+        if (!(mfa.lastUsedStep < step)) return false;
+        mfa.lastUsedStep = step;
+        return true;
+      },
+      consumeMfaRecoveryCode: async (code, codeHash) => {
+        const { mfa } = users.find((user) => user.code === code);
+        const index = mfa.recoveryCodes.indexOf(codeHash);
+        if (index === -1) return false;
+        mfa.recoveryCodes.splice(index, 1);
+        return true;
+      },
+    };
+    const tokenService = new TokenService({ secret: "secreto-test", accessExpiration: "8h" });
+    const mfaService = new MfaService({
+      userRepository,
+      settingRepository: { get: async () => policy, set: async (key, value) => { policy = value; return value; } },
+      totpService,
+      secretCipher: new SecretCipher({ key: "clave-test" }),
+      tokenService,
+    });
+
+    useCase = new LoginUseCase({
+      userRepository,
+      logRepository: { create: async () => {} },
+      loginAttemptRepository: { create: async () => {}, getFailureStatsSince: async () => ({ count: 0, lastAt: null }) },
+      passwordHasher: { verify: async (password, stored) => password === stored, needsRehash: () => false },
+      sessionService: { startSession: async (user) => ({ token: `sesion-${user.code}`, refreshToken: "r", expiresIn: "8h" }) },
+      permissionService: { resolve: async () => ({ isAdmin: true, roles: ["admin"], features: [], permissions: {} }) },
+      mfaService,
+      tokenService,
+      mfaTokenExpiration: "5m",
+      lockoutPolicy: { maxAttempts: 5, baseLockMinutes: 5, maxLockMinutes: 60 },
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  /** Alta obligatoria completa; devuelve la semilla y los códigos de recuperación. */
+  const enroll = async () => {
+    const challenge = await useCase.login("ana", "secreta", CONTEXT);
+    const { secret } = await useCase.beginMfaEnrollment({ mfaToken: challenge.mfaToken });
+    const result = await useCase.confirmMfaEnrollment({ mfaToken: challenge.mfaToken, code: codeAt(secret) }, CONTEXT);
+    return { secret, result };
+  };
+
+  test("sin 2FA ni política, la contraseña basta", async () => {
+    assert.equal((await useCase.login("ana", "secreta", CONTEXT)).token, "sesion-1");
+  });
+
+  test("la política de admins obliga a dar de alta el 2FA antes de abrir sesión", async () => {
+    policy = { requireForAdmins: true, requiredFeatures: [] };
+
+    const challenge = await useCase.login("ana", "secreta", CONTEXT);
+    assert.equal(challenge.mfaRequired, true);
+    assert.equal(challenge.enrollmentRequired, true);
+    assert.equal(challenge.token, undefined);
+
+    const { secret, result } = await enroll();
+    assert.equal(result.token, "sesion-1");
+    assert.equal(result.recoveryCodes.length, 10);
+    assert.equal(users[0].mfa.enabled, true);
+    assert.notEqual(users[0].mfa.secret, secret);
+  });
+
+  test("con 2FA activo hace falta un código válido, y cada código sirve una vez", async () => {
+    policy = { requireForAdmins: true, requiredFeatures: [] };
+    const { secret } = await enroll();
+    users[0].mfa.lastUsedStep -= 2; // el código del alta ya es de un periodo anterior
+
+    const { mfaToken, enrollmentRequired } = await useCase.login("ana", "secreta", CONTEXT);
+    assert.equal(enrollmentRequired, false);
+
+    await assert.rejects(useCase.verifyMfa({ mfaToken, code: "000000" }, CONTEXT), { status: 401 });
+    const code = codeAt(secret);
+    assert.equal((await useCase.verifyMfa({ mfaToken, code }, CONTEXT)).token, "sesion-1");
+    await assert.rejects(useCase.verifyMfa({ mfaToken, code }, CONTEXT), { status: 401 });
+  });
+
+  test("los códigos de recuperación valen una sola vez", async () => {
+    policy = { requireForAdmins: true, requiredFeatures: [] };
+    const { result: { recoveryCodes } } = await enroll();
+    const { mfaToken } = await useCase.login("ana", "secreta", CONTEXT);
+
+    const typed = recoveryCodes[0].toLowerCase().replace("-", " ");
+    assert.equal((await useCase.verifyMfa({ mfaToken, recoveryCode: typed }, CONTEXT)).token, "sesion-1");
+    await assert.rejects(useCase.verifyMfa({ mfaToken, recoveryCode: recoveryCodes[0] }, CONTEXT), { status: 401 });
+    assert.equal(users[0].mfa.recoveryCodes.length, 9);
+  });
+
+  test("un token mfa pending caducado obliga a empezar de nuevo", async () => {
+    policy = { requireForAdmins: true, requiredFeatures: [] };
+    const { mfaToken } = await useCase.login("ana", "secreta", CONTEXT);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 6 * 60 * 1000);
+    await assert.rejects(useCase.beginMfaEnrollment({ mfaToken }), { status: 401 });
+  });
+});
@@ -0,0 +1,44 @@
+// backend/tests/password.hasher.test.js
+// Verificación de contraseñas con hashes scrypt válidos, legados y corruptos.
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { PasswordHasher } from "../src/infrastructure/security/password.hasher.js";
+
+// Parámetros bajos para que los tests vayan rápido
+const hasher = new PasswordHasher({ N: 1024, r: 8, p: 1 });
+
+describe("PasswordHasher.verify", () => {
+  test("acepta la contraseña correcta y rechaza otra", async () => {
+    const stored = await hasher.hash("secreta");
+
+    assert.equal(await hasher.verify("secreta", stored), true);
+    assert.equal(await hasher.verify("otra", stored), false);
+  });
+
+  test("compara en texto plano los valores legados", async () => {
+    assert.equal(await hasher.verify("legado", "legado"), true);
+    assert.equal(await hasher.verify("legado", "distinto"), false);
+  });
+
+  test("un hash con parámetros corruptos devuelve false en lugar de lanzar", async () => {
+    const stored = await hasher.hash("secreta");
+    const [, , , , salt, hash] = stored.split("$");
+
+    const corrupted = [
+      `scrypt$abc$8$1$${salt}$${hash}`, // N no numérico
+      `scrypt$1000$8$1$${salt}$${hash}`, // N no es potencia de 2
+      `scrypt$1$8$1$${salt}$${hash}`, // N demasiado pequeño
+      `scrypt$${2 ** 30}$8$1$${salt}$${hash}`, // N demasiado grande
+      `scrypt$1024$0$1$${salt}$${hash}`, // r = 0
+      `scrypt$1024$8$-1$${salt}$${hash}`, // p negativo
+      `scrypt$1024$8$1.5$${salt}$${hash}`, // p no entero
+      `scrypt$1024$8$1$${salt}$`, // hash vacío
+      `scrypt$1024$8$1$$${hash}`, // sal vacía
+    ];
+
+    for (const value of corrupted) {
+      assert.equal(await hasher.verify("secreta", value), false, value);
+    }
+  });
+});
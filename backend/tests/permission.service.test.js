@@ -0,0 +1,126 @@
+// backend/tests/permission.service.test.js
+// Permisos efectivos: roles + overrides sobre el registro de funcionalidades,
+// usuarios legados y migración de sus flags a roles.
+
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PermissionService } from "../src/application/services/permission.service.js";
+import { FeatureRegistry } from "../src/application/services/feature.registry.js";
+import { BUILTIN_FEATURES } from "../src/domain/entities/feature.entity.js";
+import { ADMIN_ROLE_KEY, legacyRoleAssignments } from "../src/domain/entities/role.entity.js";
+
+const ROLES = [
+  { key: ADMIN_ROLE_KEY, features: [], isAdmin: true },
+  { key: "oficina", features: ["intrastat", "inventario"] },
+  { key: "produccion", features: ["alertas_produccion", "notas_fabricacion"] },
+];
+
+describe("PermissionService", () => {
+  let featureRegistry;
+  let service;
+
+  beforeEach(() => {
+    featureRegistry = new FeatureRegistry();
+    BUILTIN_FEATURES.forEach((feature) => featureRegistry.register(feature));
+    service = new PermissionService({
+      roleRepository: { findByKeys: async (keys) => ROLES.filter((role) => keys.includes(role.key)) },
+      featureRegistry,
+    });
+  });
+
+  test("une las funcionalidades de los roles y aplica los overrides", async () => {
+    const permissions = await service.resolve({
+      roles: ["oficina", "produccion"],
+      permissionOverrides: { inventario: false, buzon: true },
+    });
+
+    assert.equal(permissions.isAdmin, false);
+    assert.deepEqual(permissions.roles, ["oficina", "produccion"]);
+    assert.deepEqual(permissions.features, ["buzon", "alertas_produccion", "intrastat", "notas_fabricacion"]);
+    assert.equal(permissions.permissions.inventario, false);
+    assert.equal(Object.keys(permissions.permissions).length, BUILTIN_FEATURES.length);
+  });
+
+  test("el rol admin da todas las funcionalidades y los overrides no le restan", async () => {
+    const permissions = await service.resolve({ roles: [ADMIN_ROLE_KEY], permissionOverrides: { intrastat: false } });
+
+    assert.equal(permissions.isAdmin, true);
+    assert.deepEqual(permissions.features, featureRegistry.keys());
+  });
+
+  test("una funcionalidad nueva registrada se puede conceder sin tocar el código de permisos", async () => {
+    featureRegistry.register({ key: "calidad", label: "Calidad" });
+
+    const permissions = await service.resolve({ roles: [], permissionOverrides: { calidad: true } });
+    assert.deepEqual(permissions.features, ["calidad"]);
+  });
+
+  test("las API keys usan sus scopes y nunca son admin", () => {
+    const permissions = service.resolveApiKey({ scopes: ["intrastat", "no_registrada"] });
+
+    assert.equal(permissions.isAdmin, false);
+    assert.deepEqual(permissions.features, ["intrastat"]);
+  });
+
+  test("valida roles y overrides de la API de admin", async () => {
+    await service.assertValidAssignments({ roles: ["oficina"], permissionOverrides: { intrastat: false, buzon: null } });
+
+    await assert.rejects(
+      service.assertValidAssignments({ roles: ["oficina", "fantasma"], permissionOverrides: { nada: true, intrastat: "sí" } }),
+      (error) => {
+        assert.equal(error.status, 400);
+        assert.match(error.message, /Roles desconocidos: fantasma/);
+        assert.match(error.message, /Funcionalidades desconocidas: nada/);
+        assert.match(error.message, /booleanos o null: intrastat/);
+        return true;
+      },
+    );
+  });
+
+  describe("usuarios legados (permision / isAdmin)", () => {
+    const LEGACY_USERS = [
+      { isAdmin: true },
+      { permision: { intrastat: true, inventario: false, buzon: true, antiguo_modulo: true } },
+      { permision: {} },
+      {},
+    ];
+
+    test("sin migrar conservan su acceso", async () => {
+      assert.equal((await service.resolve({ isAdmin: true })).isAdmin, true);
+      assert.deepEqual((await service.resolve(LEGACY_USERS[1])).features, ["buzon", "intrastat"]);
+    });
+
+    test("la migración a roles da exactamente los mismos permisos", async () => {
+      const knownFeatures = new Set(featureRegistry.keys());
+
+      for (const legacy of LEGACY_USERS) {
+        const { roles, permissionOverrides } = legacyRoleAssignments(legacy, knownFeatures);
+        assert.deepEqual(
+          await service.resolve({ roles, permissionOverrides }),
+          { ...(await service.resolve(legacy)), roles },
+          JSON.stringify(legacy),
+        );
+      }
+    });
+
+    test("la migración descarta (y lista) los flags que no son funcionalidades", () => {
+      const assignments = legacyRoleAssignments(LEGACY_USERS[1], new Set(featureRegistry.keys()));
+
+      assert.deepEqual(assignments, {
+        roles: [],
+        permissionOverrides: { intrastat: true, buzon: true },
+        ignored: ["antiguo_modulo"],
+      });
+    });
+  });
+});
+
+describe("FeatureRegistry", () => {
+  test("rechaza claves no válidas o repetidas", () => {
+    const registry = new FeatureRegistry().register({ key: "intrastat", label: "Intrastat" });
+
+    assert.throws(() => registry.register({ key: "intrastat", label: "Otra" }), /ya está registrada/);
+    assert.throws(() => registry.register({ key: "Con Espacios", label: "x" }), /no válida/);
+    assert.deepEqual(registry.unknown(["intrastat", "otra"]), ["otra"]);
+  });
+});
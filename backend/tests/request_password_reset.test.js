@@ -0,0 +1,210 @@
+// backend/tests/request_password_reset.test.js
+// "He olvidado mi contraseña": límites por cuenta y por IP, y respuesta que
+// no depende de que la cuenta exista (el correo sale antes de responder y la
+// duración se iguala).
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { RequestPasswordResetUseCase } from "../src/application/use_cases/request_password_reset.usecase.js";
+import { AuthController } from "../src/infrastructure/web/controllers/auth.controller.js";
+import { AppError } from "../src/domain/errors/app.error.js";
+
+const MINUTE_MS = 60 * 1000;
+const THROTTLE_POLICY = { maxPerAccount: 3, maxPerIp: 5, windowMinutes: 60 };
+const MIN_DURATION_MS = 2000;
+
+/** Repositorio de solicitudes en memoria (mismo contrato que el de Mongo). */
+function createRequestRepository() {
+  const requests = [];
+  const statsFor = (matches, since) => {
+    const dates = requests.filter((request) => matches(request) && request.date >= since).map((request) => request.date);
+    return { count: dates.length, oldestAt: dates.length ? new Date(Math.min(...dates)) : null };
+  };
+
+  return {
+    requests,
+    async create({ user, ip, userAgent }) {
+      requests.push({ user, ip, userAgent, date: new Date() });
+    },
+    async getStatsSince({ user, ip }, since) {
+      return {
+        user: statsFor((request) => request.user === user, since),
+        ip: ip ? statsFor((request) => request.ip === ip, since) : { count: 0, oldestAt: null },
+      };
+    },
+  };
+}
+
+describe("RequestPasswordResetUseCase", () => {
+  let requestRepository;
+  let userRepository;
+  let sent;
+  let waits;
+  let passwordResetRepository;
+  let useCase;
+
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+    requestRepository = createRequestRepository();
+    userRepository = {
+      findByUsername: mock.fn(async (username) => (username === "ana"
+        ? { code: 1, user: "ana", full_name: "Ana Pérez", email: "ana@empresa.com" }
+        : null)),
+    };
+    sent = [];
+    waits = [];
+    passwordResetRepository = { invalidateAllForUser: async () => 0, create: async () => {} };
+    useCase = new RequestPasswordResetUseCase({
+      userRepository,
+      passwordResetRepository,
+      passwordResetRequestRepository: requestRepository,
+      tokenService: { generateOpaqueToken: () => "token", hashToken: (token) => `hash-${token}` },
+      mailer: { send: async (message) => { sent.push(message); } },
+      tokenMinutes: 30,
+      resetUrl: "https://app.local/reset",
+      throttlePolicy: THROTTLE_POLICY,
+      minDurationMs: MIN_DURATION_MS,
+      sleep: async (ms) => { waits.push(ms); },
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test("accept registra la solicitud sin consultar USER", async () => {
+    await useCase.accept({ username: "Ana" }, { ip: "10.0.0.1", userAgent: "test" });
+
+    assert.equal(userRepository.findByUsername.mock.callCount(), 0);
+    assert.deepEqual(requestRepository.requests.map(({ user, ip }) => ({ user, ip })), [{ user: "ana", ip: "10.0.0.1" }]);
+  });
+
+  test("límite por cuenta: cuenta el username exista o no, sin distinguir mayúsculas", async () => {
+    for (const username of ["nadie", "Nadie", "NADIE"]) {
+      await useCase.accept({ username }, { ip: `10.0.0.${username.length}` });
+    }
+
+    await assert.rejects(useCase.accept({ username: "nadie" }, { ip: "10.0.0.99" }), (error) => {
+      assert.ok(error instanceof AppError);
+      assert.equal(error.status, 429);
+      assert.ok(error.details.retryAfter > 59 * 60 && error.details.retryAfter <= 60 * 60);
+      return true;
+    });
+    assert.equal(requestRepository.requests.length, 3);
+  });
+
+  test("límite por IP: muchas cuentas distintas desde la misma IP", async () => {
+    for (let index = 0; index < THROTTLE_POLICY.maxPerIp; index++) {
+      await useCase.accept({ username: `usuario${index}` }, { ip: "10.0.0.1" });
+    }
+
+    await assert.rejects(useCase.accept({ username: "otro" }, { ip: "10.0.0.1" }), { status: 429 });
+    await useCase.accept({ username: "otro" }, { ip: "10.0.0.2" });
+  });
+
+  test("las solicitudes fuera de la ventana no cuentan", async () => {
+    const old = new Date(Date.now() - (THROTTLE_POLICY.windowMinutes + 1) * MINUTE_MS);
+    for (let index = 0; index < THROTTLE_POLICY.maxPerAccount; index++) {
+      requestRepository.requests.push({ user: "ana", ip: "10.0.0.1", date: old });
+    }
+
+    await useCase.accept({ username: "ana" }, { ip: "10.0.0.1" });
+  });
+
+  test("execute envía el correo solo si la cuenta existe", async () => {
+    await useCase.execute({ username: "ana" });
+    await useCase.execute({ username: "nadie" });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "ana@empresa.com");
+    assert.match(sent[0].text, /https:\/\/app\.local\/reset\?token=token/);
+  });
+
+  test("execute dura lo mismo exista o no la cuenta", async () => {
+    await useCase.execute({ username: "ana" });
+    await useCase.execute({ username: "nadie" });
+
+    assert.equal(waits.length, 2);
+    for (const ms of waits) {
+      assert.ok(ms > MIN_DURATION_MS - 100 && ms <= MIN_DURATION_MS, `espera ${ms}`);
+    }
+  });
+
+  test("si falla al guardar el token también espera antes de lanzar", async () => {
+    mock.method(console, "error", () => {});
+    passwordResetRepository.create = async () => { throw new Error("Mongo caído"); };
+
+    await assert.rejects(useCase.execute({ username: "ana" }), /Mongo caído/);
+    assert.equal(waits.length, 1);
+    assert.equal(sent.length, 0);
+  });
+});
+
+describe("POST /api/auth/forgot-password", () => {
+  /** Respuesta mínima de Express: emite "finish" al responder. */
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.headers = {};
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = (status) => { res.statusCode = status; return res; };
+    res.json = (body) => { res.body = body; res.emit("finish"); return res; };
+    return res;
+  };
+  const request = (body) => ({ body, ip: "10.0.0.1", get: () => "test" });
+
+  beforeEach(() => mock.method(console, "error", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  test("envía el correo antes de que el handler termine y de responder", async () => {
+    const calls = [];
+    const controller = new AuthController({
+      requestPasswordResetUseCase: {
+        accept: async () => { calls.push("accept"); },
+        execute: async () => {
+          await new Promise(setImmediate);
+          calls.push("correo");
+        },
+      },
+    });
+    const res = createResponse();
+    res.on("finish", () => calls.push("respuesta"));
+
+    await controller.forgotPassword(request({ username: "ana" }), res, assert.fail);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls, ["accept", "correo", "respuesta"]);
+  });
+
+  test("la misma respuesta exista o no la cuenta", async () => {
+    const bodies = [];
+    for (const found of [true, false]) {
+      const controller = new AuthController({
+        requestPasswordResetUseCase: {
+          accept: async () => {},
+          execute: async () => { if (!found) throw new Error("no debería afectar a la respuesta"); },
+        },
+      });
+      const res = createResponse();
+      await controller.forgotPassword(request({ username: "ana" }), res, assert.fail);
+      bodies.push([res.statusCode, res.body]);
+    }
+
+    assert.deepEqual(bodies[0], bodies[1]);
+  });
+
+  test("límite superado: 429 con Retry-After y sin enviar nada", async () => {
+    const execute = mock.fn(async () => {});
+    const controller = new AuthController({
+      requestPasswordResetUseCase: {
+        accept: async () => { throw new AppError("Demasiadas solicitudes", 429, { retryAfter: 120 }); },
+        execute,
+      },
+    });
+    const res = createResponse();
+
+    await controller.forgotPassword(request({ username: "ana" }), res, assert.fail);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], "120");
+    assert.equal(execute.mock.callCount(), 0);
+  });
+});
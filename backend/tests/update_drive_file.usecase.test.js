@@ -0,0 +1,207 @@
+// backend/tests/update_drive_file.usecase.test.js
+// Corregir un archivo subido a Drive: renombrar, mover entre carpetas de
+// drive-ids.json (la política de compartición se compara por valor, no por
+// referencia), enviar a la papelera y recuperar.
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { UpdateDriveFileUseCase } from "../src/application/use_cases/update_drive_file.usecase.js";
+import { parseSharingPolicies, sameSharingPolicy } from "../src/domain/entities/drive_sharing.entity.js";
+import { DriveRepository } from "../src/infrastructure/database/google/drive.repository.js";
+import { createFakeDriveClient, FOLDER } from "./helpers/fake_drive_client.js";
+
+const ADMIN = { isAdmin: true, features: [] };
+const FOLDER_IDS = { intrastat_compra: "f-compra", intrastat_venta: "f-venta", imgs_alertas: "f-alertas" };
+
+/** Repositorio de Drive en memoria con las políticas de drive-sharing.json. */
+function createDriveRepository(sharingConfig) {
+  const sharingPolicies = parseSharingPolicies(sharingConfig, Object.keys(FOLDER_IDS));
+  const keyById = Object.fromEntries(Object.entries(FOLDER_IDS).map(([key, id]) => [id, key]));
+  const files = new Map([["doc-1", {
+    id: "doc-1",
+    name: "intrastat.pdf",
+    mimeType: "application/pdf",
+    parents: ["f-compra"],
+    createdTime: new Date().toISOString(),
+  }]]);
+  const permissions = new Map([["doc-1", [{ id: "p-dominio", type: "domain", role: "reader", domain: "empresa.com" }]]]);
+
+  return {
+    files,
+    permissions,
+    getFolderKeyById: (id) => keyById[id] ?? null,
+    getFolderIdByKey: (key) => FOLDER_IDS[key] ?? null,
+    resolveFolderKey: async (id) => keyById[id] ?? null,
+    getFileMetadata: async (id) => ({ ...files.get(id) }),
+    moveFile: async (id, from, to) => { files.get(id).parents = [to]; },
+    getSharingPolicy: (key) => (Object.hasOwn(sharingPolicies.folders, key) ? sharingPolicies.folders[key] : sharingPolicies.default),
+    listPermissions: mock.fn(async (id) => [...permissions.get(id)]),
+    createPermission: async (id, permission) => { permissions.get(id).push({ id: `p-${permission.type}`, ...permission }); },
+    deletePermission: async (id, permissionId) => {
+      permissions.set(id, permissions.get(id).filter((permission) => permission.id !== permissionId));
+    },
+  };
+}
+
+describe("UpdateDriveFileUseCase: move", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("misma política (en objetos distintos): no toca los permisos", async () => {
+    const domain = { type: "domain", domain: "empresa.com" };
+    const driveRepository = createDriveRepository({
+      folders: { intrastat_compra: { ...domain }, intrastat_venta: { ...domain } },
+    });
+    assert.notEqual(driveRepository.getSharingPolicy("intrastat_compra"), driveRepository.getSharingPolicy("intrastat_venta"));
+
+    const result = await new UpdateDriveFileUseCase(driveRepository).execute({
+      fileId: "doc-1", operation: "move", targetKey: "intrastat_venta", permissions: ADMIN,
+    });
+
+    assert.equal(result.to.folderId, "f-venta");
+    assert.equal(result.sharing, null);
+    assert.equal(driveRepository.listPermissions.mock.callCount(), 0);
+  });
+
+  test("política distinta: aplica la del destino", async () => {
+    const driveRepository = createDriveRepository({
+      folders: { intrastat_compra: { type: "domain", domain: "empresa.com" }, imgs_alertas: { type: "anyone" } },
+    });
+
+    const result = await new UpdateDriveFileUseCase(driveRepository).execute({
+      fileId: "doc-1", operation: "move", targetKey: "imgs_alertas", permissions: ADMIN,
+    });
+
+    assert.deepEqual(result.sharing, { policy: "anyone", added: 1, removed: 1 });
+    assert.deepEqual(driveRepository.permissions.get("doc-1").map(({ type, role }) => ({ type, role })), [
+      { type: "anyone", role: "reader" },
+    ]);
+  });
+});
+
+describe("UpdateDriveFileUseCase sobre Drive", () => {
+  const INTRASTAT = { isAdmin: false, features: ["intrastat"] };
+  let drive;
+  let useCase;
+
+  // Intrastat compras/ventas con la carpeta del día; alertas, con otra política
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    drive = createFakeDriveClient([
+      { id: "compras", name: "Compras", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "ventas", name: "Ventas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "alertas", name: "Alertas", mimeType: FOLDER, parents: ["unidad"] },
+      { id: "dia", name: "03-02-2025", mimeType: FOLDER, parents: ["compras"] },
+      { id: "otro-dia", name: "04-02-2025", mimeType: FOLDER, parents: ["ventas"] },
+      { id: "factura", name: "factura.pdf", mimeType: "application/pdf", parents: ["dia"] },
+      { id: "borrada", name: "vieja.pdf", mimeType: "application/pdf", parents: ["dia"], trashed: true },
+      { id: "suelto", name: "suelto.pdf", mimeType: "application/pdf", parents: ["unidad"] },
+    ]);
+    const driveRepository = new DriveRepository({
+      drive,
+      driveIds: { intrastat_compras: "compras", intrastat_ventas: "ventas", imgs_alertas: "alertas" },
+      sharingPolicies: parseSharingPolicies({ default: { type: "private" }, folders: { imgs_alertas: { type: "anyone" } } }),
+    });
+    useCase = new UpdateDriveFileUseCase(driveRepository);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const execute = (params) => useCase.execute({ fileId: "factura", permissions: INTRASTAT, ...params });
+
+  test("rename: cambia el nombre (recortado) y devuelve el anterior", async () => {
+    const result = await execute({ operation: "rename", name: "  factura 1001.pdf " });
+
+    assert.equal(drive.store.get("factura").name, "factura 1001.pdf");
+    assert.deepEqual(result.from, { key: "intrastat_compras", folderId: "dia", name: "factura.pdf" });
+    assert.equal(result.to.name, "factura 1001.pdf");
+    await assert.rejects(execute({ operation: "rename", name: "   " }), { status: 400 });
+  });
+
+  test("trash y restore; repetirlos es un 409", async () => {
+    assert.equal((await execute({ operation: "trash" })).file.trashed, true);
+    assert.equal(drive.store.get("factura").trashed, true);
+    await assert.rejects(execute({ operation: "trash" }), { status: 409, message: /ya está en la papelera/ });
+
+    assert.equal((await execute({ operation: "restore" })).file.trashed, false);
+    await assert.rejects(execute({ operation: "restore" }), { status: 409, message: /no está en la papelera/ });
+  });
+
+  test("move: conserva la ruta de subcarpetas bajo la clave destino, creándola si falta", async () => {
+    const result = await execute({ operation: "move", targetKey: "intrastat_ventas" });
+
+    const dayFolder = drive.store.get(result.to.folderId);
+    assert.equal(dayFolder.name, "03-02-2025");
+    assert.deepEqual(dayFolder.parents, ["ventas"]);
+    assert.deepEqual(drive.store.get("factura").parents, [dayFolder.id]);
+    assert.equal(result.sharing, null);
+  });
+
+  test("move con targetFolderId: tiene que ser una carpeta dentro de la clave destino", async () => {
+    const result = await execute({ operation: "move", targetKey: "intrastat_ventas", targetFolderId: "otro-dia" });
+    assert.equal(result.file.parentId, "otro-dia");
+
+    await assert.rejects(execute({ operation: "move", targetKey: "intrastat_compras", targetFolderId: "otro-dia" }), { status: 400 });
+    await assert.rejects(execute({ operation: "move", targetKey: "intrastat_ventas", targetFolderId: "suelto" }), { status: 400 });
+    await assert.rejects(execute({ operation: "move", targetKey: "intrastat_ventas", targetFolderId: "no-existe" }), { status: 404 });
+  });
+
+  test("move: sin targetKey, a la misma carpeta o desde la papelera, no se mueve", async () => {
+    await assert.rejects(execute({ operation: "move" }), { status: 400 });
+    await assert.rejects(execute({ operation: "move", targetKey: "no_existe" }), { status: 404 });
+    await assert.rejects(execute({ operation: "move", targetKey: "intrastat_compras" }), { status: 400, message: /ya está en esa carpeta/ });
+    await assert.rejects(execute({ fileId: "borrada", operation: "move", targetKey: "intrastat_ventas" }), { status: 409 });
+    assert.deepEqual(drive.store.get("factura").parents, ["dia"]);
+  });
+
+  test("move a una carpeta con otra política: si falla al compartir, el archivo queda movido y se informa", async () => {
+    drive.hooks["permissions.list"] = async () => { throw new Error("Drive no disponible"); };
+
+    const result = await execute({ operation: "move", targetKey: "imgs_alertas", permissions: { isAdmin: true, features: [] } });
+
+    assert.equal(drive.store.get(drive.store.get("factura").parents[0]).parents[0], "alertas");
+    assert.deepEqual(result.sharing, { policy: "anyone", error: "Drive no disponible" });
+  });
+
+  test("permisos: la carpeta de origen y la de destino", async () => {
+    await assert.rejects(execute({ operation: "rename", name: "x.pdf", permissions: { isAdmin: false, features: ["inventario"] } }), { status: 403 });
+    await assert.rejects(execute({ operation: "move", targetKey: "imgs_alertas" }), { status: 403 });
+    await assert.rejects(execute({ fileId: "suelto", operation: "trash" }), { status: 403 });
+    assert.equal(drive.store.get("factura").name, "factura.pdf");
+  });
+
+  test("solo archivos: ni carpetas ni raíces de drive-ids.json; operaciones desconocidas, 400", async () => {
+    await assert.rejects(execute({ fileId: "compras", operation: "trash" }), { status: 400, message: /drive-ids.json/ });
+    await assert.rejects(execute({ fileId: "dia", operation: "rename", name: "x" }), { status: 400, message: /es una carpeta/ });
+    await assert.rejects(execute({ operation: "delete" }), { status: 400, message: /Operación no válida/ });
+    await assert.rejects(execute({ fileId: "no-existe", operation: "trash" }), { status: 404 });
+  });
+});
+
+describe("sameSharingPolicy", () => {
+  const parse = (policy) => parseSharingPolicies({ default: policy }).default;
+
+  test("compara por valor, sin importar orden ni mayúsculas de los miembros", () => {
+    assert.ok(sameSharingPolicy(
+      parse({ type: "members", users: ["Ana@empresa.com", "luis@empresa.com"], expiresInDays: 7 }),
+      parse({ type: "members", users: ["luis@empresa.com", "ana@empresa.com"], expiresInDays: 7 }),
+    ));
+    assert.ok(sameSharingPolicy(parse({ type: "private" }), parse({ type: "private" })));
+  });
+
+  test("cualquier diferencia de tipo, rol, dominio, miembros o caducidad cuenta", () => {
+    const base = { type: "members", role: "reader", groups: ["calidad@empresa.com"], expiresInDays: 7 };
+    for (const change of [
+      { type: "anyone" },
+      { role: "commenter" },
+      { groups: ["produccion@empresa.com"] },
+      { users: ["ana@empresa.com"] },
+      { expiresInDays: 30 },
+    ]) {
+      assert.equal(sameSharingPolicy(parse(base), parse({ ...base, ...change })), false, JSON.stringify(change));
+    }
+    assert.equal(
+      sameSharingPolicy(parse({ type: "domain", domain: "empresa.com" }), parse({ type: "domain", domain: "otra.com" })),
+      false,
+    );
+  });
+});
@@ -5,12 +5,17 @@ class LogModel {
   final String fullName;
   final String user;
   final String email;
+  // Acción y módulo que la registró; los logs antiguos son logins ('login', 'auth').
+  final String action;
+  final String module;
 
   LogModel({
     required this.date,
     required this.fullName,
     required this.user,
     required this.email,
+    this.action = 'login',
+    this.module = 'auth',
   });
 
   factory LogModel.fromJson(Map<String, dynamic> json) {
@@ -19,6 +24,8 @@ class LogModel {
       fullName: json['fullName'] ?? '',
       user: json['user'] ?? '',
       email: json['email'] ?? '',
+      action: json['action'] ?? 'login',
+      module: json['module'] ?? 'auth',
     );
   }
 }
@@ -30,11 +30,17 @@ class _LogTableColumns {
     maxWidth: 200.0,
   );
 
+  static const actionColumn = DataTableColumnConfig(
+    label: 'Acción',
+    maxWidth: 180.0,
+  );
+
   static const List<DataTableColumnConfig> all = [
     dateColumn,
     fullNameColumn,
     usernameColumn,
     emailColumn,
+    actionColumn,
   ];
 }
 
@@ -80,6 +86,7 @@ class LogTable extends StatelessWidget {
       log.fullName,
       log.user,
       log.email,
+      '${log.action} (${log.module})',
     ];
   }
 }
\ No newline at end of file